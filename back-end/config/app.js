@@ -0,0 +1,4 @@
+// Where the front-end is served, used to build the links emailed to clients
+module.exports = {
+  url: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '')
+};
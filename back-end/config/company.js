@@ -0,0 +1,7 @@
+// Company details printed on documents sent to clients (invoice PDFs, emails)
+module.exports = {
+  name: process.env.COMPANY_NAME || 'Invoicer',
+  address: process.env.COMPANY_ADDRESS || '',
+  email: process.env.COMPANY_EMAIL || '',
+  phone: process.env.COMPANY_PHONE || ''
+};
@@ -0,0 +1,16 @@
+const company = require('./company');
+
+// Outgoing email. MAIL_TRANSPORT picks how messages are delivered: 'smtp' sends them,
+// 'file' writes each one to MAIL_FILE_DIR as an .eml file and 'console' only logs them.
+module.exports = {
+  transport: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM || (company.email ? `"${company.name}" <${company.email}>` : ''),
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  fileDir: process.env.MAIL_FILE_DIR || 'mail-outbox'
+};
@@ -0,0 +1,5 @@
+// Client portal accounts. Invitations and sign-in links are single-use and expire after the given time.
+module.exports = {
+  inviteExpiryDays: Number(process.env.PORTAL_INVITE_EXPIRY_DAYS) || 7,
+  loginLinkExpiryMinutes: Number(process.env.PORTAL_LOGIN_LINK_EXPIRY_MINUTES) || 15
+};
@@ -0,0 +1,6 @@
+// Links that let clients open an invoice without an account. Tokens are signed with
+// SHARE_LINK_SECRET (JWT_SECRET when unset).
+module.exports = {
+  secret: process.env.SHARE_LINK_SECRET || process.env.JWT_SECRET || 'your-secret-key',
+  defaultExpiryDays: Number(process.env.SHARE_LINK_EXPIRY_DAYS) || 30
+};
@@ -0,0 +1,8 @@
+// Where invoice attachments are kept. STORAGE_DRIVER picks the adapter: 'local' writes files
+// under STORAGE_DIR; other adapters can be added with StorageService.registerAdapter.
+module.exports = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  localDir: process.env.STORAGE_DIR || 'uploads',
+  maxFileBytes: Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024,
+  maxFilesPerInvoice: Number(process.env.ATTACHMENT_MAX_FILES) || 10
+};
@@ -212,6 +212,7 @@ module.exports = class AIController {
           totalInvoices: dataSummary.summary.totalInvoices,
           totalClients: dataSummary.summary.totalClients,
           totalRevenue: dataSummary.summary.totalRevenue,
+          totalCredited: dataSummary.summary.totalCredited,
           unpaidAmount: dataSummary.summary.unpaidAmount,
           overdueInvoices: overdueInvoices.length,
           highRiskClients: churnRiskResult.success ? churnRiskResult.highRiskClients.length : 0
@@ -0,0 +1,85 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const AttachmentService = require('../services/attachmentService');
+
+module.exports = class AttachmentController {
+  /**
+   * @description Attaches the file sent as the request body to an invoice, named by the `fileName` query parameter.
+   * @param {Object} req - Express request object with params, query and the raw file as body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the attachment or error details.
+   */
+  static async uploadAttachment(req, res) {
+    try {
+      if (!Buffer.isBuffer(req.body)) {
+        return errorResponse(res, 400, 'Send the file as the request body');
+      }
+
+      const response = await AttachmentService.addAttachment(req.params.id, {
+        fileName: req.query.fileName,
+        contentType: req.get('Content-Type'),
+        content: req.body
+      }, req.user._id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Attachment uploaded successfully', response.data);
+    } catch (error) {
+      console.error('Error in uploadAttachment:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Downloads a file attached to an invoice.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - The file or a JSON error.
+   */
+  static async downloadAttachment(req, res) {
+    try {
+      const { id, attachmentId } = req.params;
+
+      const response = await AttachmentService.getAttachment(id, attachmentId);
+      if (!response.success) {
+        return errorResponse(res, 404, response.message);
+      }
+
+      const { attachment, content } = response.data;
+      const asciiName = attachment.fileName.replace(/[^\x20-\x7e]/g, '_');
+      res.set({
+        // Attachments stored before the safe list existed may carry any type, so it is checked again here
+        'Content-Type': AttachmentService.safeContentType(attachment.contentType),
+        'X-Content-Type-Options': 'nosniff',
+        'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+        'Content-Length': content.length
+      });
+      return res.send(content);
+    } catch (error) {
+      console.error('Error in downloadAttachment:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Removes a file attached to an invoice.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the remaining attachments or error details.
+   */
+  static async deleteAttachment(req, res) {
+    try {
+      const { id, attachmentId } = req.params;
+
+      const response = await AttachmentService.removeAttachment(id, attachmentId);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, response.message, response.data);
+    } catch (error) {
+      console.error('Error in deleteAttachment:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
@@ -62,4 +62,86 @@ module.exports = class AuthController {
       return errorResponse(res, 500, 'An unexpected error occurred');
     }
   }
-}; 
\ No newline at end of file
+
+  /**
+   * @description Accepts a client portal invitation and signs the client in
+   * @param {Object} req - Express request object with token and password in body
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with token and client data
+   */
+  static async acceptClientInvite(req, res) {
+    try {
+      const { token, password } = req.body;
+      const response = await AuthService.acceptClientInvite({ token, password });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Invitation accepted successfully', response.data);
+    } catch (error) {
+      console.error('Error in acceptClientInvite:', error);
+      return errorResponse(res, 500, 'An unexpected error occurred');
+    }
+  }
+
+  /**
+   * @description Authenticates client login with a password
+   * @param {Object} req - Express request object with body
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with token and client data
+   */
+  static async loginClient(req, res) {
+    try {
+      const { email, password } = req.body;
+      const response = await AuthService.loginClient(email, password);
+      if (!response.success) {
+        return errorResponse(res, 401, response.message);
+      }
+
+      return successResponse(res, 200, 'Client logged in successfully', response.data);
+    } catch (error) {
+      console.error('Error in loginClient:', error);
+      return errorResponse(res, 500, 'An unexpected error occurred');
+    }
+  }
+
+  /**
+   * @description Emails a client a sign-in link
+   * @param {Object} req - Express request object with email in body
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response that is the same whether or not the email has a portal account
+   */
+  static async requestClientLoginLink(req, res) {
+    try {
+      const response = await AuthService.requestClientLoginLink(req.body.email);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'If this email has a portal account, a sign-in link is on its way');
+    } catch (error) {
+      console.error('Error in requestClientLoginLink:', error);
+      return errorResponse(res, 500, 'An unexpected error occurred');
+    }
+  }
+
+  /**
+   * @description Authenticates client login with the token from a sign-in link
+   * @param {Object} req - Express request object with token in body
+   * @param {Object} res - Express response object
+   * @returns {Object} - JSON response with token and client data
+   */
+  static async loginClientWithLink(req, res) {
+    try {
+      const response = await AuthService.loginClientWithLink(req.body.token);
+      if (!response.success) {
+        return errorResponse(res, 401, response.message);
+      }
+
+      return successResponse(res, 200, 'Client logged in successfully', response.data);
+    } catch (error) {
+      console.error('Error in loginClientWithLink:', error);
+      return errorResponse(res, 500, 'An unexpected error occurred');
+    }
+  }
+};
@@ -0,0 +1,104 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const BulkInvoiceService = require('../services/bulkInvoiceService');
+const ExportService = require('../services/exportService');
+
+/**
+ * @description Reads the invoices a bulk request applies to: `ids`, or `filter` with the invoice list filters.
+ * @param {Object} body - Request body.
+ * @returns {Object} - The selection, as accepted by BulkInvoiceService.resolveSelection.
+ */
+const pickSelection = ({ ids, filter } = {}) => ({ ids, filter });
+
+/**
+ * @description Sends the per-invoice results of a bulk action.
+ * @param {Object} res - Express response object.
+ * @param {Object} response - The service response.
+ * @param {string} done - What happened to the invoices that succeeded, e.g. 'marked as paid'.
+ * @returns {Object} - JSON response with the results or error details.
+ */
+const sendResults = (res, response, done) => {
+  if (!response.success) {
+    return errorResponse(res, 400, response.message);
+  }
+
+  const { total, succeeded } = response.data;
+  return successResponse(res, 200, `${succeeded} of ${total} invoices ${done}`, response.data);
+};
+
+module.exports = class BulkInvoiceController {
+  /**
+   * @description Marks several invoices as paid at once.
+   * @param {Object} req - Express request object with the selection as body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with a result per invoice or error details.
+   */
+  static async markPaid(req, res) {
+    try {
+      const response = await BulkInvoiceService.markPaid(pickSelection(req.body), req.user._id);
+      return sendResults(res, response, 'marked as paid');
+    } catch (error) {
+      console.error('Error in bulk markPaid:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Emails a payment reminder for several invoices at once.
+   * @param {Object} req - Express request object with the selection as body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with a result per invoice or error details.
+   */
+  static async sendReminders(req, res) {
+    try {
+      const response = await BulkInvoiceService.sendReminders(pickSelection(req.body), req.user._id);
+      return sendResults(res, response, 'reminded');
+    } catch (error) {
+      console.error('Error in bulk sendReminders:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Voids several invoices at once with one reason.
+   * @param {Object} req - Express request object with the selection and `reason` as body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with a result per invoice or error details.
+   */
+  static async voidInvoices(req, res) {
+    try {
+      const response = await BulkInvoiceService.voidInvoices(pickSelection(req.body), req.body && req.body.reason, req.user._id);
+      return sendResults(res, response, 'voided');
+    } catch (error) {
+      console.error('Error in bulk voidInvoices:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Downloads several invoices as a CSV or XLSX file.
+   * @param {Object} req - Express request object with the selection and `format` ('csv' or 'xlsx') as body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - The file or a JSON error.
+   */
+  static async exportInvoices(req, res) {
+    try {
+      const format = ExportService.resolveFormat(req.body && req.body.format);
+      if (!format.success) {
+        return errorResponse(res, 400, format.message);
+      }
+
+      const response = await BulkInvoiceService.exportInvoices(pickSelection(req.body));
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return await ExportService.stream(res, format.data, response.data);
+    } catch (error) {
+      console.error('Error in bulk exportInvoices:', error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
@@ -1,5 +1,7 @@
 const { errorResponse, successResponse } = require('../utils/response');
 const ClientService = require('../services/clientService');
+const AuthService = require('../services/authService');
+const StatementService = require('../services/statementService');
 
 module.exports = class ClientController {
   /**
@@ -10,12 +12,12 @@ module.exports = class ClientController {
    */
   static async createClient(req, res) {
     try {
-      const { name, phone_number, email, address, billingAddress } = req.body;
+      const { name, phone_number, email, address, billingAddress, currency } = req.body;
       if (!name) {
         return errorResponse(res, 400, 'Name is required');
       }
 
-      const response = await ClientService.createClient({ name, phone_number, email, address, billingAddress });
+      const response = await ClientService.createClient({ name, phone_number, email, address, billingAddress, currency });
       if (!response.success) {
         return errorResponse(res, 400, response.message);
       }
@@ -36,12 +38,12 @@ module.exports = class ClientController {
   static async updateClient(req, res) {
     try {
       const { id } = req.params;
-      const { name, phone_number, email, address, billingAddress, status } = req.body;
+      const { name, phone_number, email, address, billingAddress, currency, status } = req.body;
       if (!id) {
         return errorResponse(res, 400, 'Client ID is required');
       }
 
-      const response = await ClientService.updateClient(id, { name, phone_number, email, address, billingAddress, status });
+      const response = await ClientService.updateClient(id, { name, phone_number, email, address, billingAddress, currency, status });
       if (!response.success) {
         return errorResponse(res, 400, response.message);
       }
@@ -128,4 +130,69 @@ module.exports = class ClientController {
       return errorResponse(res, 500, 'Server error');
     }
   }
-};
\ No newline at end of file
+
+  /**
+   * @description Retrieves a client's statement of account for a period.
+   * @param {Object} req - Express request object with params and query (from, to).
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the statement or error details.
+   */
+  static async getStatement(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      const response = await StatementService.getStatement(req.params.id, { from, to });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Statement retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getStatement:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Invites a client to the client portal by email.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the client, the invitation url and whether it was emailed, or error details.
+   */
+  static async inviteToPortal(req, res) {
+    try {
+      const response = await AuthService.inviteClient(req.params.id, req.user._id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      const message = response.data.emailed
+        ? 'Portal invitation sent successfully'
+        : `Portal invitation created, but it could not be emailed. ${response.message}`;
+      return successResponse(res, 200, message, response.data);
+    } catch (error) {
+      console.error('Error in inviteToPortal:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Removes a client's access to the client portal.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated client or error details.
+   */
+  static async revokePortalAccess(req, res) {
+    try {
+      const response = await AuthService.revokeClientAccess(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Portal access revoked successfully', response.data);
+    } catch (error) {
+      console.error('Error in revokePortalAccess:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
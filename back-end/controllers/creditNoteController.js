@@ -0,0 +1,94 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const CreditNoteService = require('../services/creditNoteService');
+
+module.exports = class CreditNoteController {
+  /**
+   * @description Issues a credit note against an invoice.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the credit note and updated invoice or error details.
+   */
+  static async createCreditNote(req, res) {
+    try {
+      const { id } = req.params;
+      const { lines, amount, reason, restock, refund } = req.body;
+      if (!reason) {
+        return errorResponse(res, 400, 'A reason is required');
+      }
+
+      const response = await CreditNoteService.createCreditNote(
+        id,
+        { lines, amount, reason, restock, refund: refund || {} },
+        req.user._id
+      );
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Credit note created successfully', response.data);
+    } catch (error) {
+      console.error('Error in createCreditNote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the credit notes issued against an invoice.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with credit notes or error details.
+   */
+  static async getInvoiceCreditNotes(req, res) {
+    try {
+      const response = await CreditNoteService.getCreditNotes({ invoiceId: req.params.id });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Credit notes retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getInvoiceCreditNotes:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves credit notes, optionally filtered by client.
+   * @param {Object} req - Express request object with query parameters.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with credit notes or error details.
+   */
+  static async getCreditNotes(req, res) {
+    try {
+      const response = await CreditNoteService.getCreditNotes({ clientId: req.query.clientId });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Credit notes retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getCreditNotes:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves a single credit note.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the credit note or error details.
+   */
+  static async getCreditNote(req, res) {
+    try {
+      const response = await CreditNoteService.getCreditNote(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Credit note retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getCreditNote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
@@ -0,0 +1,95 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const CurrencyService = require('../services/currencyService');
+
+module.exports = class CurrencyController {
+  /**
+   * @description Retrieves the base currency and the exchange rate table.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with currencies or error details.
+   */
+  static async getCurrencies(req, res) {
+    try {
+      const response = await CurrencyService.getCurrencies();
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Currencies retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getCurrencies:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Changes the base currency.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with updated currencies or error details.
+   */
+  static async updateBaseCurrency(req, res) {
+    try {
+      const { baseCurrency } = req.body;
+      if (!baseCurrency) {
+        return errorResponse(res, 400, 'Base currency is required');
+      }
+
+      const response = await CurrencyService.updateBaseCurrency(baseCurrency);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Base currency updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateBaseCurrency:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Creates or updates the exchange rate of a currency.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the exchange rate or error details.
+   */
+  static async setExchangeRate(req, res) {
+    try {
+      const { currency } = req.params;
+      const { rate } = req.body;
+      if (rate == null) {
+        return errorResponse(res, 400, 'Rate is required');
+      }
+
+      const response = await CurrencyService.setExchangeRate(currency, Number(rate));
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Exchange rate saved successfully', response.data);
+    } catch (error) {
+      console.error('Error in setExchangeRate:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Removes a currency from the exchange rate table.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with success message or error details.
+   */
+  static async deleteExchangeRate(req, res) {
+    try {
+      const response = await CurrencyService.deleteExchangeRate(req.params.currency);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, response.message);
+    } catch (error) {
+      console.error('Error in deleteExchangeRate:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
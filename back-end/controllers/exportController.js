@@ -0,0 +1,82 @@
+const { errorResponse } = require('../utils/response');
+const ExportService = require('../services/exportService');
+
+/**
+ * @description Streams an export as a download in the format asked for by the `format` query parameter.
+ * @param {Object} req - Express request object with query parameters.
+ * @param {Object} res - Express response object.
+ * @param {Function} build - Called with the query once the format is known; returns the export, see ExportService.
+ * @returns {Promise<Object>} - The file or a JSON error.
+ */
+const sendExport = async (req, res, build) => {
+  const format = ExportService.resolveFormat(req.query.format);
+  if (!format.success) {
+    return errorResponse(res, 400, format.message);
+  }
+
+  const response = await build(req.query);
+  if (!response.success) {
+    return errorResponse(res, 400, response.message);
+  }
+
+  return ExportService.stream(res, format.data, response.data);
+};
+
+/**
+ * @description Reports an export that failed; once the file has started, the download can only be cut off.
+ * @param {Object} res - Express response object.
+ * @param {Error} error - The error.
+ * @param {string} action - The controller method, for the log.
+ * @returns {Object} - JSON error, or nothing when the response was already under way.
+ */
+const exportFailed = (res, error, action) => {
+  console.error(`Error in ${action}:`, error);
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+  return errorResponse(res, 500, 'Server error');
+};
+
+module.exports = class ExportController {
+  /**
+   * @description Downloads the invoices matching the invoice list filters, in the list's order.
+   * @param {Object} req - Express request object with `format` ('csv' or 'xlsx'), sortBy, sortOrder and the list filters as query.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - The file or a JSON error.
+   */
+  static async exportInvoices(req, res) {
+    try {
+      return await sendExport(req, res, (query) => ExportService.invoiceExport(query));
+    } catch (error) {
+      return exportFailed(res, error, 'exportInvoices');
+    }
+  }
+
+  /**
+   * @description Downloads the active clients matching the client list search.
+   * @param {Object} req - Express request object with `format` and `search` as query.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - The file or a JSON error.
+   */
+  static async exportClients(req, res) {
+    try {
+      return await sendExport(req, res, (query) => ExportService.clientExport({ search: query.search }));
+    } catch (error) {
+      return exportFailed(res, error, 'exportClients');
+    }
+  }
+
+  /**
+   * @description Downloads the items matching the item list search.
+   * @param {Object} req - Express request object with `format` and `search` as query.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - The file or a JSON error.
+   */
+  static async exportItems(req, res) {
+    try {
+      return await sendExport(req, res, (query) => ExportService.itemExport({ search: query.search }));
+    } catch (error) {
+      return exportFailed(res, error, 'exportItems');
+    }
+  }
+};
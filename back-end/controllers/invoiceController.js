@@ -1,5 +1,9 @@
 const { errorResponse, successResponse } = require('../utils/response');
 const InvoiceService = require('../services/invoiceService');
+const PdfService = require('../services/pdfService');
+const PaymentService = require('../services/paymentService');
+const InvoiceDeliveryService = require('../services/invoiceDeliveryService');
+const SettingsService = require('../services/settingsService');
 
 module.exports = class InvoiceController {
     /**
@@ -10,18 +14,18 @@ module.exports = class InvoiceController {
      */
     static async createInvoice(req, res) {
         try {
-        const { issueDate, dueDate, items, clientId } = req.body;
+        const { issueDate, dueDate, items, clientId, taxRateIds, taxInclusive, discount, currency, notes, terms, footer, draft } = req.body;
         
         if (!issueDate || !dueDate || !items || !Array.isArray(items) || !clientId) {
             return errorResponse(res, 400, 'Missing or invalid required fields');
         }
 
-        const response = await InvoiceService.createInvoice({ issueDate, dueDate, clientId, items });
+        const response = await InvoiceService.createInvoice({ issueDate, dueDate, clientId, items, taxRateIds, taxInclusive, discount, currency, notes, terms, footer, draft: draft === true });
         if (!response.success) {
             return errorResponse(res, 400, response.message);
         }
 
-        return successResponse(res, 201, 'Invoice created successfully', response.data);
+        return successResponse(res, 201, draft === true ? 'Draft invoice saved successfully' : 'Invoice created successfully', response.data);
         } catch (error) {
         console.error('Error in createInvoice:', error);
         return errorResponse(res, 500, 'An unexpected error occurred');
@@ -29,19 +33,149 @@ module.exports = class InvoiceController {
     }
 
     /**
-     * @description Retrieves a paginated list of invoices with optional status filtering.
+     * @description Replaces the details of a draft invoice.
+     * @param {Object} req - Express request object with params and body.
+     * @param {Object} res - Express response object.
+     * @returns {Object} - JSON response with the updated draft or error details.
+     */
+    static async updateInvoice(req, res) {
+        try {
+        const { id } = req.params;
+        const { issueDate, dueDate, items, clientId, taxRateIds, taxInclusive, discount, currency, notes, terms, footer } = req.body;
+
+        if (!issueDate || !dueDate || !items || !Array.isArray(items) || !clientId) {
+            return errorResponse(res, 400, 'Missing or invalid required fields');
+        }
+
+        const response = await InvoiceService.updateDraft(id, { issueDate, dueDate, clientId, items, taxRateIds, taxInclusive, discount, currency, notes, terms, footer });
+        if (!response.success) {
+            return errorResponse(res, 400, response.message);
+        }
+
+        return successResponse(res, 200, 'Draft invoice updated successfully', response.data);
+        } catch (error) {
+        console.error('Error in updateInvoice:', error);
+        return errorResponse(res, 500, 'An unexpected error occurred');
+        }
+    }
+
+    /**
+     * @description Issues a draft invoice, committing its stock and numbering it.
+     * @param {Object} req - Express request object with params.
+     * @param {Object} res - Express response object.
+     * @returns {Object} - JSON response with the issued invoice or error details.
+     */
+    static async issueInvoice(req, res) {
+        try {
+        const response = await InvoiceService.issueInvoice(req.params.id, req.user._id);
+        if (!response.success) {
+            return errorResponse(res, 400, response.message);
+        }
+
+        return successResponse(res, 200, 'Invoice issued successfully', response.data);
+        } catch (error) {
+        console.error('Error in issueInvoice:', error);
+        return errorResponse(res, 500, 'An unexpected error occurred');
+        }
+    }
+
+    /**
+     * @description Emails an invoice to its client with the PDF attached, issuing it first if it is a draft.
+     * @param {Object} req - Express request object with params.
+     * @param {Object} res - Express response object.
+     * @returns {Object} - JSON response with the sent invoice or error details.
+     */
+    static async sendInvoice(req, res) {
+        try {
+        const response = await InvoiceDeliveryService.sendInvoice(req.params.id, { by: req.user._id });
+        if (!response.success) {
+            // A draft issued before its email failed comes back too, so the caller can show it as issued
+            return errorResponse(res, 400, response.message, response.data);
+        }
+
+        return successResponse(res, 200, 'Invoice emailed successfully', response.data);
+        } catch (error) {
+        console.error('Error in sendInvoice:', error);
+        return errorResponse(res, 500, 'An unexpected error occurred');
+        }
+    }
+
+    /**
+     * @description Deletes a draft invoice.
+     * @param {Object} req - Express request object with params.
+     * @param {Object} res - Express response object.
+     * @returns {Object} - JSON response with success or error details.
+     */
+    static async deleteInvoice(req, res) {
+        try {
+        const response = await InvoiceService.deleteDraft(req.params.id);
+        if (!response.success) {
+            return errorResponse(res, 400, response.message);
+        }
+
+        return successResponse(res, 200, 'Draft invoice deleted successfully');
+        } catch (error) {
+        console.error('Error in deleteInvoice:', error);
+        return errorResponse(res, 500, 'An unexpected error occurred');
+        }
+    }
+
+    /**
+     * @description Voids an issued invoice and returns its stock.
+     * @param {Object} req - Express request object with params and body.
+     * @param {Object} res - Express response object.
+     * @returns {Object} - JSON response with the voided invoice or error details.
+     */
+    static async voidInvoice(req, res) {
+        try {
+        const response = await InvoiceService.voidInvoice(req.params.id, req.body.reason, req.user._id);
+        if (!response.success) {
+            return errorResponse(res, 400, response.message);
+        }
+
+        return successResponse(res, 200, 'Invoice voided successfully', response.data);
+        } catch (error) {
+        console.error('Error in voidInvoice:', error);
+        return errorResponse(res, 500, 'An unexpected error occurred');
+        }
+    }
+
+    /**
+     * @description Retrieves the notes, payment terms and footer new invoices start with, to prefill the invoice form.
+     * @param {Object} req - Express request object.
+     * @param {Object} res - Express response object.
+     * @returns {Object} - JSON response with the invoice defaults or error details.
+     */
+    static async getInvoiceDefaults(req, res) {
+        try {
+        const response = await SettingsService.getInvoiceDefaults();
+        if (!response.success) {
+            return errorResponse(res, 400, response.message);
+        }
+
+        return successResponse(res, 200, 'Invoice defaults retrieved successfully', response.data);
+        } catch (error) {
+        console.error('Error in getInvoiceDefaults:', error);
+        return errorResponse(res, 500, 'Server error');
+        }
+    }
+
+    /**
+     * @description Retrieves a paginated list of invoices, filtered and sorted by the query parameters.
      * @param {Object} req - Express request object with query parameters.
      * @param {Object} res - Express response object.
      * @returns {Object} - JSON response with invoice list or error details.
      */
     static async getInvoices(req, res) {
         try {
-        const { page, limit, status } = req.query;
-        
+        const { page, limit, sortBy, sortOrder } = req.query;
+
         const response = await InvoiceService.getInvoices({
             page: parseInt(page) || 1,
             limit: parseInt(limit) || 10,
-            status
+            sortBy,
+            sortOrder,
+            ...InvoiceService.pickListFilters(req.query)
         });
 
         if (!response.success) {
@@ -67,12 +201,15 @@ module.exports = class InvoiceController {
     static async updateStatus(req, res) {
         try {
         const { id } = req.params;
-        const { status } = req.body;
+        const { status, note } = req.body;
         if (!id || !status) {
             return errorResponse(res, 400, 'Invoice ID and status are required');
         }
 
-        const response = await InvoiceService.updateInvoiceStatus(id, status);
+        // Marking an invoice as paid records a payment for the remaining balance so the ledger stays complete
+        const response = status === 'paid'
+            ? await PaymentService.settleInvoice(id, req.user._id)
+            : await InvoiceService.updateInvoiceStatus(id, status, { by: req.user._id, note });
         if (!response.success) {
             return errorResponse(res, 400, response.message);
         }
@@ -111,4 +248,36 @@ module.exports = class InvoiceController {
         return errorResponse(res, 500, 'An unexpected error occurred');
         }
     }
+
+    /**
+     * @description Renders a single invoice as a downloadable PDF.
+     * @param {Object} req - Express request object with params.
+     * @param {Object} res - Express response object.
+     * @returns {Object} - PDF file response or JSON error.
+     */
+    static async downloadInvoicePdf(req, res) {
+        try {
+        const { id } = req.params;
+        if (!id) {
+            return errorResponse(res, 400, 'Invoice ID is required');
+        }
+
+        const response = await InvoiceService.getSingleInvoice(id);
+        if (!response.success) {
+            return errorResponse(res, 400, response.message);
+        }
+
+        const pdf = await PdfService.renderInvoice(response.data);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${response.data.invoiceNumber || 'draft'}.pdf"`,
+            'Content-Length': pdf.length
+        });
+        return res.send(pdf);
+        } catch (error) {
+        console.error('Error in downloadInvoicePdf:', error);
+        return errorResponse(res, 500, 'Could not generate invoice PDF');
+        }
+    }
 };
\ No newline at end of file
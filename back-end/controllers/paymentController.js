@@ -0,0 +1,71 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const PaymentService = require('../services/paymentService');
+
+module.exports = class PaymentController {
+  /**
+   * @description Records a payment against an invoice.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the payment and updated invoice or error details.
+   */
+  static async recordPayment(req, res) {
+    try {
+      const { id } = req.params;
+      const { amount, date, method, reference } = req.body;
+      if (amount === undefined || !method) {
+        return errorResponse(res, 400, 'Amount and method are required');
+      }
+
+      const response = await PaymentService.recordPayment(id, { amount, date, method, reference }, req.user._id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Payment recorded successfully', response.data);
+    } catch (error) {
+      console.error('Error in recordPayment:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the payments recorded against an invoice.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with payments or error details.
+   */
+  static async getPayments(req, res) {
+    try {
+      const response = await PaymentService.getPayments(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Payments retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getPayments:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Deletes a payment and restores the invoice balance.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated invoice or error details.
+   */
+  static async deletePayment(req, res) {
+    try {
+      const { id, paymentId } = req.params;
+      const response = await PaymentService.deletePayment(id, paymentId);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Payment deleted successfully', response.data);
+    } catch (error) {
+      console.error('Error in deletePayment:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
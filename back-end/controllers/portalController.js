@@ -0,0 +1,123 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const PortalService = require('../services/portalService');
+const ShareLinkService = require('../services/shareLinkService');
+const StatementService = require('../services/statementService');
+const PdfService = require('../services/pdfService');
+
+// Every handler is scoped to the signed-in client, req.user, set by authenticateToken and requireClient
+module.exports = class PortalController {
+  /**
+   * @description Retrieves the signed-in client's outstanding and overdue balances.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the balances per currency or error details.
+   */
+  static async getSummary(req, res) {
+    try {
+      const response = await PortalService.getSummary(req.user._id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Account summary retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getSummary:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the signed-in client's invoices with pagination.
+   * @param {Object} req - Express request object with query (page, limit, status).
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with invoices and pagination links or error details.
+   */
+  static async getInvoices(req, res) {
+    try {
+      const { page, limit, status } = req.query;
+
+      const response = await PortalService.getInvoices(req.user._id, {
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 10, 100),
+        status
+      });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoices retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getInvoices:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves one of the signed-in client's invoices, marking it as viewed.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the client's view of the invoice or error details.
+   */
+  static async getInvoice(req, res) {
+    try {
+      const response = await PortalService.getInvoice(req.user._id, req.params.id, { recordView: true });
+      if (!response.success) {
+        return errorResponse(res, 404, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoice retrieved successfully', ShareLinkService.publicView(response.data));
+    } catch (error) {
+      console.error('Error in getInvoice:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Renders one of the signed-in client's invoices as a downloadable PDF.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - PDF file response or JSON error.
+   */
+  static async downloadInvoicePdf(req, res) {
+    try {
+      const response = await PortalService.getInvoice(req.user._id, req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 404, response.message);
+      }
+
+      const pdf = await PdfService.renderInvoice(response.data);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${response.data.invoiceNumber}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    } catch (error) {
+      console.error('Error in downloadInvoicePdf:', error);
+      return errorResponse(res, 500, 'Could not generate invoice PDF');
+    }
+  }
+
+  /**
+   * @description Retrieves the signed-in client's statement of account.
+   * @param {Object} req - Express request object with query (from, to).
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the statement or error details.
+   */
+  static async getStatement(req, res) {
+    try {
+      const { from, to } = req.query;
+
+      const response = await StatementService.getStatement(req.user._id, { from, to });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Statement retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getStatement:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
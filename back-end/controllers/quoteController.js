@@ -0,0 +1,254 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const QuoteService = require('../services/quoteService');
+
+const QUOTE_FIELDS = [
+  'clientId', 'issueDate', 'validUntil', 'items', 'taxRateIds', 'taxInclusive', 'discount', 'currency', 'paymentTermsDays'
+];
+
+const pickQuoteFields = (body) => Object.fromEntries(
+  QUOTE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+module.exports = class QuoteController {
+  /**
+   * @description Creates a draft quote.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the created quote or error details.
+   */
+  static async createQuote(req, res) {
+    try {
+      const { clientId, issueDate, validUntil, items } = req.body;
+      if (!clientId || !issueDate || !validUntil || !Array.isArray(items)) {
+        return errorResponse(res, 400, 'Missing or invalid required fields');
+      }
+
+      const response = await QuoteService.createQuote(pickQuoteFields(req.body), req.user._id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Quote created successfully', response.data);
+    } catch (error) {
+      console.error('Error in createQuote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves a page of quotes.
+   * @param {Object} req - Express request object with query parameters.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with quotes and pagination links or error details.
+   */
+  static async getQuotes(req, res) {
+    try {
+      const { page, limit, status, clientId } = req.query;
+
+      const response = await QuoteService.getQuotes({
+        page: parseInt(page) || 1,
+        limit: Math.min(parseInt(limit) || 10, 100),
+        status,
+        clientId
+      });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Quotes retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getQuotes:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves a single quote.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the quote or error details.
+   */
+  static async getQuote(req, res) {
+    try {
+      const response = await QuoteService.getQuote(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 404, response.message);
+      }
+
+      return successResponse(res, 200, 'Quote retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getQuote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Revises a quote the client has not answered yet.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated quote or error details.
+   */
+  static async updateQuote(req, res) {
+    try {
+      const { clientId, issueDate, validUntil, items } = req.body;
+      if (!clientId || !issueDate || !validUntil || !Array.isArray(items)) {
+        return errorResponse(res, 400, 'Missing or invalid required fields');
+      }
+
+      const response = await QuoteService.updateQuote(req.params.id, pickQuoteFields(req.body), req.user._id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Quote updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateQuote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Sends a quote to its client, by email unless `email` is false.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the sent quote and its acceptance link or error details.
+   */
+  static async sendQuote(req, res) {
+    try {
+      const response = await QuoteService.sendQuote(req.params.id, { by: req.user._id, email: req.body.email !== false });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Quote sent successfully', response.data);
+    } catch (error) {
+      console.error('Error in sendQuote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Records a client's answer to a quote on their behalf.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated quote or error details.
+   */
+  static async updateStatus(req, res) {
+    try {
+      const { status, note } = req.body;
+      if (!status) {
+        return errorResponse(res, 400, 'Status is required');
+      }
+
+      const response = await QuoteService.updateStatus(req.params.id, status, { by: req.user._id, note });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Quote status updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateStatus:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Converts a quote into an invoice.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the created invoice or error details.
+   */
+  static async convertToInvoice(req, res) {
+    try {
+      const response = await QuoteService.convertToInvoice(req.params.id, { by: req.user._id });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Quote converted into an invoice successfully', response.data);
+    } catch (error) {
+      console.error('Error in convertToInvoice:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Deletes a quote that was never sent.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with success or error details.
+   */
+  static async deleteQuote(req, res) {
+    try {
+      const response = await QuoteService.deleteQuote(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, response.message);
+    } catch (error) {
+      console.error('Error in deleteQuote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the quote behind an acceptance link, without authentication.
+   * @param {Object} req - Express request object with the token in params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the client's view of the quote or error details.
+   */
+  static async getPublicQuote(req, res) {
+    try {
+      const response = await QuoteService.resolveToken(req.params.token, { recordView: true });
+      if (!response.success) {
+        return errorResponse(res, 404, response.message);
+      }
+
+      return successResponse(res, 200, 'Quote retrieved successfully', QuoteService.publicView(response.data));
+    } catch (error) {
+      console.error('Error in getPublicQuote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Accepts the quote behind an acceptance link, signed with the name the client typed.
+   * @param {Object} req - Express request object with the token in params and name in body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the client's view of the accepted quote or error details.
+   */
+  static async acceptPublicQuote(req, res) {
+    try {
+      const response = await QuoteService.respond(req.params.token, 'accepted', { name: req.body.name });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Quote accepted successfully', QuoteService.publicView(response.data));
+    } catch (error) {
+      console.error('Error in acceptPublicQuote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Declines the quote behind an acceptance link.
+   * @param {Object} req - Express request object with the token in params and an optional reason in body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the client's view of the declined quote or error details.
+   */
+  static async declinePublicQuote(req, res) {
+    try {
+      const response = await QuoteService.respond(req.params.token, 'declined', { reason: req.body.reason });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Quote declined', QuoteService.publicView(response.data));
+    } catch (error) {
+      console.error('Error in declinePublicQuote:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
@@ -0,0 +1,163 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const RecurringInvoiceService = require('../services/recurringInvoiceService');
+
+const TEMPLATE_FIELDS = [
+  'name', 'clientId', 'items', 'taxRateIds', 'taxInclusive', 'discount', 'currency',
+  'interval', 'paymentTermsDays', 'startDate', 'endDate', 'maxOccurrences'
+];
+
+const pickTemplateFields = (body) => Object.fromEntries(
+  TEMPLATE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+module.exports = class RecurringInvoiceController {
+  /**
+   * @description Creates a recurring invoice schedule.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the created schedule or error details.
+   */
+  static async createRecurringInvoice(req, res) {
+    try {
+      const { name, clientId, items, interval, startDate } = req.body;
+      if (!name || !clientId || !Array.isArray(items) || !interval || !startDate) {
+        return errorResponse(res, 400, 'Missing or invalid required fields');
+      }
+
+      const response = await RecurringInvoiceService.createRecurringInvoice(pickTemplateFields(req.body), req.user._id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Recurring invoice created successfully', response.data);
+    } catch (error) {
+      console.error('Error in createRecurringInvoice:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves recurring invoice schedules.
+   * @param {Object} req - Express request object with query parameters.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with schedules or error details.
+   */
+  static async getRecurringInvoices(req, res) {
+    try {
+      const response = await RecurringInvoiceService.getRecurringInvoices({ status: req.query.status });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Recurring invoices retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getRecurringInvoices:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves a single recurring invoice with its run history.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the schedule or error details.
+   */
+  static async getRecurringInvoice(req, res) {
+    try {
+      const response = await RecurringInvoiceService.getRecurringInvoice(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Recurring invoice retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getRecurringInvoice:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Updates a recurring invoice schedule.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated schedule or error details.
+   */
+  static async updateRecurringInvoice(req, res) {
+    try {
+      const response = await RecurringInvoiceService.updateRecurringInvoice(req.params.id, pickTemplateFields(req.body));
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Recurring invoice updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateRecurringInvoice:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Pauses or resumes a recurring invoice schedule.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated schedule or error details.
+   */
+  static async updateStatus(req, res) {
+    try {
+      const { status } = req.body;
+      if (!status) {
+        return errorResponse(res, 400, 'Status is required');
+      }
+
+      const response = await RecurringInvoiceService.setStatus(req.params.id, status);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Recurring invoice status updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateStatus:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Generates an invoice from a schedule immediately.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the generated invoice or error details.
+   */
+  static async runNow(req, res) {
+    try {
+      const response = await RecurringInvoiceService.runNow(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Invoice generated successfully', response.data);
+    } catch (error) {
+      console.error('Error in runNow:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Deletes a recurring invoice schedule.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with success or error details.
+   */
+  static async deleteRecurringInvoice(req, res) {
+    try {
+      const response = await RecurringInvoiceService.deleteRecurringInvoice(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, response.message);
+    } catch (error) {
+      console.error('Error in deleteRecurringInvoice:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
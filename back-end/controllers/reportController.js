@@ -0,0 +1,26 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const AgingService = require('../services/agingService');
+
+module.exports = class ReportController {
+  /**
+   * @description Retrieves the accounts receivable aging report.
+   * @param {Object} req - Express request object with optional `asOf` ('YYYY-MM-DD') and `clientId` query parameters.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the report or error details.
+   */
+  static async getAgingReport(req, res) {
+    try {
+      const { asOf, clientId } = req.query;
+
+      const response = await AgingService.getAgingReport({ asOf, clientId });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Aging report retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getAgingReport:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
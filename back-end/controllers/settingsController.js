@@ -0,0 +1,214 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const SettingsService = require('../services/settingsService');
+
+module.exports = class SettingsController {
+  /**
+   * @description Retrieves the invoice numbering settings and a preview of the next number.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with numbering settings or error details.
+   */
+  static async getInvoiceNumbering(req, res) {
+    try {
+      const response = await SettingsService.getInvoiceNumbering();
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoice numbering settings retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getInvoiceNumbering:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Updates the invoice numbering pattern, yearly reset and next sequence number.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with updated numbering settings or error details.
+   */
+  static async updateInvoiceNumbering(req, res) {
+    try {
+      const { pattern, resetYearly, nextSequence } = req.body;
+
+      const response = await SettingsService.updateInvoiceNumbering({ pattern, resetYearly, nextSequence });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoice numbering settings updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateInvoiceNumbering:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the late fee policy.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the late fee policy or error details.
+   */
+  static async getLateFeePolicy(req, res) {
+    try {
+      const response = await SettingsService.getLateFeePolicy();
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Late fee policy retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getLateFeePolicy:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Updates the late fee policy charged on overdue invoices.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated policy or error details.
+   */
+  static async updateLateFeePolicy(req, res) {
+    try {
+      const { enabled, type, flatAmount, percentage, graceDays, periodDays } = req.body;
+
+      const response = await SettingsService.updateLateFeePolicy({ enabled, type, flatAmount, percentage, graceDays, periodDays });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Late fee policy updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateLateFeePolicy:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the notes, payment terms and footer new invoices start with.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the invoice defaults or error details.
+   */
+  static async getInvoiceDefaults(req, res) {
+    try {
+      const response = await SettingsService.getInvoiceDefaults();
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoice defaults retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getInvoiceDefaults:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Updates the notes, payment terms and footer new invoices start with.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated defaults or error details.
+   */
+  static async updateInvoiceDefaults(req, res) {
+    try {
+      const { notes, terms, footer } = req.body;
+
+      const response = await SettingsService.updateInvoiceDefaults({ notes, terms, footer });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoice defaults updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateInvoiceDefaults:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the message invoices are emailed with.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the invoice email template or error details.
+   */
+  static async getInvoiceEmail(req, res) {
+    try {
+      const response = await SettingsService.getInvoiceEmail();
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoice email settings retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getInvoiceEmail:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Updates the message invoices are emailed with.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the updated template or error details.
+   */
+  static async updateInvoiceEmail(req, res) {
+    try {
+      const { subject, body } = req.body;
+
+      const response = await SettingsService.updateInvoiceEmail({ subject, body });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoice email settings updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateInvoiceEmail:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the payment reminder schedule.
+   * @param {Object} req - Express request object.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with reminder settings or error details.
+   */
+  static async getReminderSettings(req, res) {
+    try {
+      const response = await SettingsService.getReminderSettings();
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Reminder settings retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getReminderSettings:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Turns payment reminders on or off and replaces their schedule.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with updated reminder settings or error details.
+   */
+  static async updateReminderSettings(req, res) {
+    try {
+      const { enabled, steps } = req.body;
+
+      const response = await SettingsService.updateReminderSettings({ enabled, steps });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Reminder settings updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateReminderSettings:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
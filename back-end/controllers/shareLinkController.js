@@ -0,0 +1,116 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const ShareLinkService = require('../services/shareLinkService');
+const PdfService = require('../services/pdfService');
+
+module.exports = class ShareLinkController {
+  /**
+   * @description Creates a link that lets the client open an invoice without an account.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the link and its url or error details.
+   */
+  static async createShareLink(req, res) {
+    try {
+      const { expiresInDays } = req.body;
+
+      const response = await ShareLinkService.createLink(req.params.id, { by: req.user._id, expiresInDays });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Share link created successfully', response.data);
+    } catch (error) {
+      console.error('Error in createShareLink:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the share links of an invoice.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the links or error details.
+   */
+  static async getShareLinks(req, res) {
+    try {
+      const response = await ShareLinkService.getLinks(req.params.id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Share links retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getShareLinks:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Revokes a share link.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the revoked link or error details.
+   */
+  static async revokeShareLink(req, res) {
+    try {
+      const { id, linkId } = req.params;
+
+      const response = await ShareLinkService.revokeLink(id, linkId, req.user._id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Share link revoked successfully', response.data);
+    } catch (error) {
+      console.error('Error in revokeShareLink:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Retrieves the invoice behind a share link, without authentication.
+   * @param {Object} req - Express request object with the token in params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with the client's view of the invoice or error details.
+   */
+  static async getSharedInvoice(req, res) {
+    try {
+      const response = await ShareLinkService.resolveToken(req.params.token, { recordView: true });
+      if (!response.success) {
+        return errorResponse(res, 404, response.message);
+      }
+
+      return successResponse(res, 200, 'Invoice retrieved successfully', ShareLinkService.publicView(response.data));
+    } catch (error) {
+      console.error('Error in getSharedInvoice:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Renders the invoice behind a share link as a downloadable PDF, without authentication.
+   * @param {Object} req - Express request object with the token in params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - PDF file response or JSON error.
+   */
+  static async downloadSharedInvoicePdf(req, res) {
+    try {
+      const response = await ShareLinkService.resolveToken(req.params.token);
+      if (!response.success) {
+        return errorResponse(res, 404, response.message);
+      }
+
+      const pdf = await PdfService.renderInvoice(response.data);
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${response.data.invoiceNumber}.pdf"`,
+        'Content-Length': pdf.length
+      });
+      return res.send(pdf);
+    } catch (error) {
+      console.error('Error in downloadSharedInvoicePdf:', error);
+      return errorResponse(res, 500, 'Could not generate invoice PDF');
+    }
+  }
+};
@@ -0,0 +1,106 @@
+const { errorResponse, successResponse } = require('../utils/response');
+const TaxRateService = require('../services/taxRateService');
+
+module.exports = class TaxRateController {
+  /**
+   * @description Creates a new tax rate.
+   * @param {Object} req - Express request object with body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with created tax rate or error details.
+   */
+  static async createTaxRate(req, res) {
+    try {
+      const { name, percentage, compound } = req.body;
+      if (!name || percentage == null) {
+        return errorResponse(res, 400, 'Name and percentage are required');
+      }
+
+      const response = await TaxRateService.createTaxRate({ name, percentage: Number(percentage), compound });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 201, 'Tax rate created successfully', response.data);
+    } catch (error) {
+      console.error('Error in createTaxRate:', error);
+      return errorResponse(res, 500, 'An unexpected error occurred');
+    }
+  }
+
+  /**
+   * @description Retrieves tax rates, optionally including inactive ones.
+   * @param {Object} req - Express request object with query parameters.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with tax rates or error details.
+   */
+  static async getTaxRates(req, res) {
+    try {
+      const { includeInactive } = req.query;
+      const response = await TaxRateService.getTaxRates({ includeInactive: includeInactive === 'true' });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Tax rates retrieved successfully', response.data);
+    } catch (error) {
+      console.error('Error in getTaxRates:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Updates an existing tax rate.
+   * @param {Object} req - Express request object with params and body.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with updated tax rate or error details.
+   */
+  static async updateTaxRate(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, percentage, compound, status } = req.body;
+      if (!id) {
+        return errorResponse(res, 400, 'Tax rate ID is required');
+      }
+
+      const response = await TaxRateService.updateTaxRate(id, {
+        name,
+        percentage: percentage != null ? Number(percentage) : undefined,
+        compound,
+        status
+      });
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, 'Tax rate updated successfully', response.data);
+    } catch (error) {
+      console.error('Error in updateTaxRate:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+
+  /**
+   * @description Marks a tax rate as inactive.
+   * @param {Object} req - Express request object with params.
+   * @param {Object} res - Express response object.
+   * @returns {Object} - JSON response with success message or error details.
+   */
+  static async deleteTaxRate(req, res) {
+    try {
+      const { id } = req.params;
+      if (!id) {
+        return errorResponse(res, 400, 'Tax rate ID is required');
+      }
+
+      const response = await TaxRateService.deleteTaxRate(id);
+      if (!response.success) {
+        return errorResponse(res, 400, response.message);
+      }
+
+      return successResponse(res, 200, response.message);
+    } catch (error) {
+      console.error('Error in deleteTaxRate:', error);
+      return errorResponse(res, 500, 'Server error');
+    }
+  }
+};
@@ -0,0 +1,13 @@
+const QuoteService = require('../services/quoteService');
+
+// Moves sent quotes past their expiry date to 'expired'
+module.exports = {
+  name: 'expired-quotes',
+  intervalMs: Number(process.env.EXPIRED_QUOTES_INTERVAL_MS) || 60 * 60 * 1000,
+  run: async () => {
+    const expired = await QuoteService.expireQuotes();
+    if (expired > 0) {
+      console.log(`Expired quotes: ${expired} marked expired`);
+    }
+  }
+};
@@ -0,0 +1,47 @@
+const recurringInvoices = require('./recurringInvoices');
+const overdueInvoices = require('./overdueInvoices');
+const paymentReminders = require('./paymentReminders');
+const lateFees = require('./lateFees');
+const expiredQuotes = require('./expiredQuotes');
+
+// Background jobs run inside the API process on a fixed interval. Each job must be safe
+// to run from several processes at once, since every API instance runs its own scheduler.
+const jobs = [recurringInvoices, overdueInvoices, lateFees, paymentReminders, expiredQuotes];
+
+/**
+ * @description Runs a job once, skipping the tick if its previous run is still going.
+ * @param {Object} job - Job with { name, run }.
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Error running job ${job.name}:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * @description Starts every background job: once straight away, then on its interval.
+ * @returns {Array<NodeJS.Timeout>} - The interval timers, e.g. to clear them in tests.
+ */
+module.exports.startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('Background jobs disabled'.yellow);
+    return [];
+  }
+
+  return jobs.map(job => {
+    runJob(job);
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    return timer;
+  });
+};
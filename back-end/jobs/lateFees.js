@@ -0,0 +1,13 @@
+const LateFeeService = require('../services/lateFeeService');
+
+// Charges the late fee policy in settings on invoices as they become overdue
+module.exports = {
+  name: 'late-fees',
+  intervalMs: Number(process.env.LATE_FEES_INTERVAL_MS) || 60 * 60 * 1000,
+  run: async () => {
+    const { charged, failed } = await LateFeeService.applyLateFees();
+    if (charged > 0 || failed > 0) {
+      console.log(`Late fees: ${charged} charged, ${failed} failed`);
+    }
+  }
+};
@@ -0,0 +1,13 @@
+const InvoiceStatusService = require('../services/invoiceStatusService');
+
+// Moves open invoices past their due date to 'overdue'
+module.exports = {
+  name: 'overdue-invoices',
+  intervalMs: Number(process.env.OVERDUE_INVOICES_INTERVAL_MS) || 60 * 60 * 1000,
+  run: async () => {
+    const marked = await InvoiceStatusService.markOverdue();
+    if (marked > 0) {
+      console.log(`Overdue invoices: ${marked} marked overdue`);
+    }
+  }
+};
@@ -0,0 +1,13 @@
+const ReminderService = require('../services/reminderService');
+
+// Emails the payment reminders of the schedule in settings as open invoices reach each step
+module.exports = {
+  name: 'payment-reminders',
+  intervalMs: Number(process.env.PAYMENT_REMINDERS_INTERVAL_MS) || 60 * 60 * 1000,
+  run: async () => {
+    const { sent, failed } = await ReminderService.sendDueReminders();
+    if (sent > 0 || failed > 0) {
+      console.log(`Payment reminders: ${sent} sent, ${failed} failed`);
+    }
+  }
+};
@@ -0,0 +1,13 @@
+const RecurringInvoiceService = require('../services/recurringInvoiceService');
+
+// Generates the invoices of recurring schedules that have come due
+module.exports = {
+  name: 'recurring-invoices',
+  intervalMs: Number(process.env.RECURRING_INVOICES_INTERVAL_MS) || 15 * 60 * 1000,
+  run: async () => {
+    const { created, failed } = await RecurringInvoiceService.runDueSchedules();
+    if (created > 0 || failed > 0) {
+      console.log(`Recurring invoices: ${created} created, ${failed} failed`);
+    }
+  }
+};
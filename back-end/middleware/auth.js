@@ -25,10 +25,14 @@ const authenticateToken = async (req, res, next) => {
       req.user = { ...staff.toPublicJSON(), type: 'staff' };
     } else if (decoded.type === 'client') {
       const client = await Client.findById(decoded.id);
-      if (!client || client.status !== 'active') {
+      if (!client || client.status !== 'active' || !client.portal.enabled) {
         return errorResponse(res, 401, 'Invalid or inactive client account');
       }
-      req.user = { ...client.toObject(), type: 'client' };
+      // Tokens issued before the latest invitation or revocation belong to access that has since been replaced
+      if ((decoded.ver || 0) !== (client.portal.tokenVersion || 0)) {
+        return errorResponse(res, 401, 'Token expired');
+      }
+      req.user = { ...client.toPublicJSON(), type: 'client' };
     } else {
       return errorResponse(res, 401, 'Invalid token type');
     }
@@ -0,0 +1,22 @@
+const express = require('express');
+const storage = require('../config/storage');
+const { errorResponse } = require('../utils/response');
+
+const MAX_MB = Math.round(storage.maxFileBytes / (1024 * 1024) * 10) / 10;
+
+const rawParser = express.raw({ type: () => true, limit: storage.maxFileBytes });
+
+// Reads an uploaded file sent as the raw request body into req.body as a Buffer,
+// answering with a JSON error instead of the default error page when it is too large
+const receiveFile = (req, res, next) => {
+  rawParser(req, res, (error) => {
+    if (error) {
+      return error.status === 413
+        ? errorResponse(res, 413, `Files can be at most ${MAX_MB} MB`)
+        : errorResponse(res, 400, 'Could not read the uploaded file');
+    }
+    next();
+  });
+};
+
+module.exports = { receiveFile };
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const Item = require('../models/item');
+const runMigration = require('./runMigration');
+
+/**
+ * Backfills invoices created before line items were embedded.
+ *
+ * Old invoices stored `items` as bare Item ObjectIds and discarded the requested
+ * quantities, so the original lines can only be reconstructed approximately:
+ * - single-item invoices derive the quantity from `total / unitPrice` when it divides evenly;
+ * - everything else assumes a quantity of 1 at the item's current unit price.
+ * The stored `total` is never changed. Invoices whose rebuilt lines do not add up
+ * to it are listed at the end so they can be reviewed by hand.
+ *
+ * Usage: node migrations/001-embed-invoice-line-items.js
+ */
+
+const rebuildLines = (invoice, itemMap) => {
+  return invoice.items.map(itemId => {
+    const item = itemMap.get(itemId.toString());
+    const unitPrice = item ? item.unitPrice : 0;
+
+    let quantity = 1;
+    if (invoice.items.length === 1 && unitPrice > 0 && Number.isInteger(invoice.total / unitPrice)) {
+      quantity = Math.max(1, invoice.total / unitPrice);
+    }
+
+    return {
+      item: itemId,
+      name: item ? item.name : 'Deleted item',
+      quantity,
+      unitPrice,
+      lineTotal: quantity * unitPrice
+    };
+  });
+};
+
+const migrate = async () => {
+  // Read through the raw collection: the legacy shape no longer matches the schema
+  const legacyInvoices = await Invoice.collection
+    .find({ 'items.0': { $type: 'objectId' } })
+    .toArray();
+  console.log(`Found ${legacyInvoices.length} invoices to backfill`);
+
+  const itemIds = [...new Set(legacyInvoices.flatMap(inv => inv.items.map(id => id.toString())))];
+  const items = await Item.find({ _id: { $in: itemIds } });
+  const itemMap = new Map(items.map(item => [item._id.toString(), item]));
+
+  const unreconciled = [];
+  for (const invoice of legacyInvoices) {
+    const lines = rebuildLines(invoice, itemMap);
+    const linesTotal = lines.reduce((sum, line) => sum + line.lineTotal, 0);
+    if (linesTotal !== invoice.total) {
+      unreconciled.push(`${invoice.invoiceNumber} (lines: ${linesTotal}, total: ${invoice.total})`);
+    }
+
+    await Invoice.collection.updateOne(
+      { _id: invoice._id },
+      { $set: { items: lines.map(line => ({ _id: new mongoose.Types.ObjectId(), ...line })) } }
+    );
+  }
+
+  console.log(`Backfilled ${legacyInvoices.length} invoices`);
+  if (unreconciled.length > 0) {
+    console.log('These invoices need manual review, their rebuilt lines do not match the stored total:');
+    unreconciled.forEach(entry => console.log(`- ${entry}`));
+  }
+};
+
+runMigration(migrate);
@@ -0,0 +1,32 @@
+const Invoice = require('../models/invoice');
+const runMigration = require('./runMigration');
+
+/**
+ * Backfills the running balance on invoices created before the payment ledger.
+ *
+ * Payments are applied to `amountPaid`/`balanceDue` atomically, so every invoice
+ * needs both fields. Legacy invoices only had a paid/unpaid flag:
+ * - 'paid' invoices are treated as settled in full (amountPaid = total, balanceDue = 0);
+ * - 'unpaid' invoices owe their whole total.
+ * No Payment documents are created for legacy paid invoices; they can still be
+ * reopened with the "Mark as Unpaid" action because their ledger is empty.
+ *
+ * Usage: node migrations/002-backfill-invoice-balances.js
+ */
+
+const migrate = async () => {
+  const missingBalance = { balanceDue: { $exists: false } };
+
+  const paid = await Invoice.updateMany(
+    { ...missingBalance, status: 'paid' },
+    [{ $set: { amountPaid: '$total', balanceDue: 0 } }]
+  );
+  const unpaid = await Invoice.updateMany(
+    { ...missingBalance, status: { $ne: 'paid' } },
+    [{ $set: { amountPaid: 0, balanceDue: '$total' } }]
+  );
+
+  console.log(`Backfilled ${paid.modifiedCount} paid and ${unpaid.modifiedCount} unpaid invoices`);
+};
+
+runMigration(migrate);
@@ -0,0 +1,21 @@
+const Invoice = require('../models/invoice');
+const runMigration = require('./runMigration');
+
+/**
+ * Rebuilds the unique index on `invoiceNumber` as a sparse index.
+ *
+ * Draft invoices have no number until they are issued. The original index was
+ * unique but not sparse, so a second draft would collide with the first on the
+ * missing value. Mongoose does not change the options of an existing index by
+ * itself; syncIndexes drops the old index and builds the one declared on the
+ * schema. Existing invoices all have numbers, so no data changes.
+ *
+ * Usage: node migrations/003-sparse-invoice-number-index.js
+ */
+
+const migrate = async () => {
+  const dropped = await Invoice.syncIndexes();
+  console.log(`Rebuilt invoice indexes${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+};
+
+runMigration(migrate);
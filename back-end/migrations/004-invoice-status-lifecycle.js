@@ -0,0 +1,33 @@
+const Invoice = require('../models/invoice');
+const runMigration = require('./runMigration');
+
+/**
+ * Moves invoices onto the explicit status lifecycle.
+ *
+ * The 'unpaid' status is replaced by 'sent', 'viewed' and 'overdue':
+ * - unpaid and partially paid invoices past their due date with a balance become 'overdue';
+ * - the remaining unpaid invoices become 'sent', since there is no record of them being viewed.
+ * Every invoice without a status history gets one entry for its current status,
+ * dated when the invoice was created, so the timeline has a starting point.
+ *
+ * Usage: node migrations/004-invoice-status-lifecycle.js
+ */
+
+const migrate = async () => {
+  const overdue = await Invoice.updateMany(
+    { status: { $in: ['unpaid', 'partially_paid'] }, dueDate: { $lt: new Date() }, balanceDue: { $gt: 0 } },
+    { $set: { status: 'overdue' } }
+  );
+  const sent = await Invoice.updateMany(
+    { status: 'unpaid' },
+    { $set: { status: 'sent' } }
+  );
+  const history = await Invoice.updateMany(
+    { $or: [{ statusHistory: { $exists: false } }, { statusHistory: { $size: 0 } }] },
+    [{ $set: { statusHistory: [{ status: '$status', at: '$createdAt' }] } }]
+  );
+
+  console.log(`Marked ${overdue.modifiedCount} invoices overdue and ${sent.modifiedCount} sent, started the history of ${history.modifiedCount}`);
+};
+
+runMigration(migrate);
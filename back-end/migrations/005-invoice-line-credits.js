@@ -0,0 +1,54 @@
+const Invoice = require('../models/invoice');
+const CreditNote = require('../models/creditNote');
+const runMigration = require('./runMigration');
+
+/**
+ * Records on each invoice line what credit notes have already taken off it.
+ *
+ * Credit notes are now checked against `creditedQuantity`, `creditedAmount` and
+ * `creditedTaxAmount` on the invoice lines, in the same update that applies the
+ * credit, so two credit notes issued at once cannot credit the same units. Lines
+ * of invoices created before that have none of the fields; they are set to the
+ * sums of the credit notes already issued against each line, or 0.
+ *
+ * Usage: node migrations/005-invoice-line-credits.js
+ */
+
+const migrate = async () => {
+  const invoices = await Invoice.collection
+    .find({ 'items.creditedQuantity': { $exists: false }, 'items.0': { $exists: true } }, { projection: { items: 1 } })
+    .toArray();
+  console.log(`Found ${invoices.length} invoices to backfill`);
+
+  for (const invoice of invoices) {
+    const notes = await CreditNote.find({ invoice: invoice._id }, 'lines');
+    const credited = new Map();
+    notes.forEach(note => note.lines.forEach(line => {
+      const key = String(line.lineItem);
+      const totals = credited.get(key) || { quantity: 0, amount: 0, taxAmount: 0 };
+      credited.set(key, {
+        quantity: totals.quantity + line.quantity,
+        amount: Math.round((totals.amount + line.amount) * 100) / 100,
+        taxAmount: Math.round((totals.taxAmount + line.taxAmount) * 100) / 100
+      });
+    }));
+
+    await Invoice.collection.updateOne(
+      { _id: invoice._id },
+      {
+        $set: Object.assign({}, ...invoice.items.map((line, index) => {
+          const totals = credited.get(String(line._id)) || { quantity: 0, amount: 0, taxAmount: 0 };
+          return {
+            [`items.${index}.creditedQuantity`]: totals.quantity,
+            [`items.${index}.creditedAmount`]: totals.amount,
+            [`items.${index}.creditedTaxAmount`]: totals.taxAmount
+          };
+        }))
+      }
+    );
+  }
+
+  console.log(`Backfilled the credited amounts of ${invoices.length} invoices`);
+};
+
+runMigration(migrate);
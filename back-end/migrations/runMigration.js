@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/db');
+require('dotenv').config();
+
+/**
+ * Runs a one-off migration against the app's database.
+ *
+ * Connects through config/db.js, so migrations use the same connection settings
+ * as the server, runs the migration and always disconnects afterwards. The
+ * process exits with a non-zero code when the database cannot be reached or
+ * the migration throws.
+ *
+ * @param {Function} migrate - Async function doing the migration's work.
+ * @returns {Promise<void>}
+ */
+module.exports = async (migrate) => {
+  if (!await connectDB()) {
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await migrate();
+  } catch (error) {
+    console.error('Error running migration:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Database disconnected');
+  }
+};
@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// A single-use token emailed to the client; only its SHA-256 hash is stored
+const emailTokenSchema = new mongoose.Schema({
+  hash: {
+    type: String
+  },
+  expiresAt: {
+    type: Date
+  }
+}, { _id: false });
 
 const clientSchema = new mongoose.Schema({
   name: { 
@@ -22,16 +33,85 @@ const clientSchema = new mongoose.Schema({
   billingAddress: {
     type: String,
   },
+  // Currency new invoices for this client are issued in; the base currency when unset
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
   status: {
     type: String,
     enum: ['active', 'inactive'],
     default: 'active'
+  },
+  // Client portal account. Staff invite the client, who sets a password from the invitation email;
+  // clients can also sign in with a link emailed to them. The password and tokens are only loaded when
+  // selected explicitly, e.g. select('+password').
+  password: {
+    type: String,
+    minlength: 6,
+    select: false
+  },
+  portal: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    invitedAt: {
+      type: Date
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    activatedAt: {
+      type: Date
+    },
+    lastLoginAt: {
+      type: Date
+    },
+    // Raised whenever access is re-invited or revoked; portal tokens carry the version they were issued under
+    tokenVersion: {
+      type: Number,
+      default: 0
+    }
+  },
+  inviteToken: {
+    type: emailTokenSchema,
+    select: false
+  },
+  loginToken: {
+    type: emailTokenSchema,
+    select: false
   }
 }, {timestamps: true});
 
-// Method to get public profile
+// Hash password before saving
+clientSchema.pre('save', async function(next) {
+  if (!this.isModified('password') || !this.password) return next();
+
+  try {
+    const salt = await bcrypt.genSalt(10);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare password
+clientSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to get public profile (without password or portal tokens)
 clientSchema.methods.toPublicJSON = function() {
-  return this.toObject();
+  const client = this.toObject();
+  delete client.password;
+  delete client.inviteToken;
+  delete client.loginToken;
+  return client;
 };
 
 module.exports = mongoose.model('Client', clientSchema);
\ No newline at end of file
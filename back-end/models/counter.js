@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  },
+  // Numbers handed back after a failed save, reused before the sequence moves on so it never has gaps
+  released: [{
+    type: Number
+  }]
+}, { timestamps: true });
+
+module.exports = mongoose.model('Counter', counterSchema);
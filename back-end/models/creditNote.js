@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Part of an invoice line being credited; amounts include tax and the line's share of any discounts
+const creditLineSchema = new mongoose.Schema({
+  lineItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true,
+    index: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  // Copied from the invoice so the credit converts to the base currency at the same rate
+  currency: {
+    type: String,
+    required: true
+  },
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  issueDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lines: [creditLineSchema],
+  // Credited on top of the lines, e.g. a goodwill gesture
+  additionalAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  // Part of the credit paid back because the invoice had already been paid beyond its new total
+  refund: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    method: {
+      type: String,
+      enum: ['bank_transfer', 'card', 'cash', 'cheque', 'other']
+    },
+    reference: {
+      type: String,
+      trim: true
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('CreditNote', creditNoteSchema);
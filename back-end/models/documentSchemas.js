@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Sub-schemas shared by invoices and quotes, which are priced the same way
+
+// Snapshot of a tax rate as applied to a line or summed across the invoice or quote
+const appliedTaxSchema = new mongoose.Schema({
+  taxRate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  percentage: {
+    type: Number,
+    required: true
+  },
+  compound: {
+    type: Boolean,
+    default: false
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Discount as requested, either a percentage of the amount or a fixed amount off it
+const discountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Line items are snapshots taken when the document is priced so later catalog changes never alter an issued invoice or a sent quote
+const lineItemSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  discount: discountSchema,
+  // Line-level discount only; the document-wide discount is recorded on the invoice or quote
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  taxes: [appliedTaxSchema],
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+});
+
+// One entry per status change, so the lifecycle of an invoice or quote can be followed after the fact
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  // Unset for changes made by the system or the client, e.g. payments recorded, the overdue job or a quote accepted through its link
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+module.exports = { appliedTaxSchema, discountSchema, lineItemSchema, statusChangeSchema };
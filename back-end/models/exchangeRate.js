@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+const exchangeRateSchema = new mongoose.Schema({
+  // ISO 4217 currency code, e.g. EUR
+  currency: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/
+  },
+  // Value of one unit of the currency in the base currency
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -1,10 +1,184 @@
 const mongoose = require('mongoose');
+const { appliedTaxSchema, discountSchema, lineItemSchema, statusChangeSchema } = require('./documentSchemas');
+
+// Delivery log of the payment reminders emailed for the invoice, one entry per attempt
+// Invoice lines also keep what credit notes have taken off them, so concurrent credit notes can be
+// checked against the line itself in the same update that applies the credit
+const invoiceLineSchema = lineItemSchema.clone();
+invoiceLineSchema.add({
+  creditedQuantity: {
+    type: Number,
+    default: 0
+  },
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
+  creditedTaxAmount: {
+    type: Number,
+    default: 0
+  }
+});
+
+const reminderSchema = new mongoose.Schema({
+  // The reminder step of the schedule in settings, identified by its offset from the due date
+  offsetDays: {
+    type: Number,
+    required: true
+  },
+  to: {
+    type: String
+  },
+  subject: {
+    type: String
+  },
+  // 'sending' while the email is handed to the transport; a reminder left there past the claim timeout,
+  // e.g. because the process stopped mid-send, is marked failed and retried
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  sentAt: {
+    type: Date,
+    required: true
+  },
+  // When the sender claimed the step, to tell a send in progress from an abandoned one
+  claimedAt: {
+    type: Date
+  },
+  // Set when staff sent the reminder by hand rather than the schedule
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  messageId: {
+    type: String
+  },
+  error: {
+    type: String
+  }
+});
+
+// Delivery log of the invoice being emailed to the client, one entry per attempt
+const deliverySchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  subject: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending'
+  },
+  sentAt: {
+    type: Date,
+    required: true
+  },
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  messageId: {
+    type: String
+  },
+  error: {
+    type: String
+  }
+});
+
+// A link that lets the client open the invoice without an account; the signed token itself is never stored
+const shareLinkSchema = new mongoose.Schema({
+  createdAt: {
+    type: Date,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date
+  }
+});
+
+// A late fee or interest charge added by the late fees job once the invoice is overdue
+const lateFeeSchema = new mongoose.Schema({
+  // Which charge of the late fee policy this is; flat and percentage fees only have period 1, interest one per period
+  period: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  chargedAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// A file kept with the invoice in the configured attachment storage, under `key`
+const attachmentSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    default: 'application/octet-stream'
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  uploadedAt: {
+    type: Date,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+});
 
 const invoiceSchema = new mongoose.Schema({
+  // Allocated when the invoice is issued; drafts have no number yet
   invoiceNumber: {
     type: String,
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
   },
   issueDate: {
     type: Date,
@@ -19,20 +193,139 @@ const invoiceSchema = new mongoose.Schema({
     ref: 'Client',
     required: true
   },
-  items: [{
+  // Invoices created before multi-currency support were all in USD
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  // Value of one unit of the invoice currency in the base currency at issue time
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  items: [invoiceLineSchema],
+  // Tax rates requested for lines without their own, kept so drafts can be edited as they were entered
+  taxRateIds: [{
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Item',
-    required: true
+    ref: 'TaxRate'
   }],
+  // When true, unit prices already include tax and the tax is extracted from them
+  taxInclusive: {
+    type: Boolean,
+    default: false
+  },
+  discount: discountSchema,
+  // Amount taken off by the invoice-wide discount
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // Line and invoice-wide discounts combined
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  // Amount after discounts, excluding tax
+  subtotal: {
+    type: Number
+  },
+  taxes: [appliedTaxSchema],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  // Includes the late fees charged so far
   total: {
     type: Number,
     required: true
   },
+  lateFees: [lateFeeSchema],
+  lateFeeTotal: {
+    type: Number,
+    default: 0
+  },
+  // Running sums of the Payment ledger, kept on the invoice so payments can be applied atomically
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  balanceDue: {
+    type: Number
+  },
+  // Sum of the credit notes issued against the invoice, and the part of them paid back to the client
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Free text printed on the invoice, copied from the defaults in settings when the invoice is created
+  notes: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  terms: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  footer: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  attachments: [attachmentSchema],
+  // Set on invoices generated from a recurring schedule
+  recurringInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringInvoice'
+  },
+  // Set on invoices converted from a quote
+  quote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quote'
+  },
+  // Set when an issued invoice is cancelled; void invoices are kept for audit but hold no stock and owe nothing
+  voidReason: {
+    type: String,
+    trim: true
+  },
+  voidedAt: {
+    type: Date
+  },
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  // Amount given up when the invoice was written off as uncollectable
+  writtenOffAmount: {
+    type: Number,
+    default: 0
+  },
+  // When the invoice was first emailed to the client
+  sentAt: {
+    type: Date
+  },
+  // When the client first opened the invoice
+  viewedAt: {
+    type: Date
+  },
+  // Drafts can be edited freely and hold no stock until issued. Issued invoices move through the
+  // lifecycle in InvoiceStatusService, which is the only place allowed to change the status; they
+  // stay 'issued' until they are sent to the client.
   status: {
     type: String,
-    enum: ['paid', 'unpaid'],
-    default: 'unpaid'
-  }
+    enum: ['draft', 'issued', 'sent', 'viewed', 'partially_paid', 'paid', 'overdue', 'credited', 'void', 'written_off'],
+    default: 'issued'
+  },
+  statusHistory: [statusChangeSchema],
+  deliveries: [deliverySchema],
+  shareLinks: [shareLinkSchema],
+  reminders: [reminderSchema]
 }, { timestamps: true });
 
 module.exports = mongoose.model('Invoice', invoiceSchema);
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true,
+    index: true
+  },
+  // In the invoice currency
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  method: {
+    type: String,
+    enum: ['bank_transfer', 'card', 'cash', 'cheque', 'other'],
+    required: true
+  },
+  // Bank reference, cheque number, card transaction ID, etc.
+  reference: {
+    type: String,
+    trim: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Payment', paymentSchema);
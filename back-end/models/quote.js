@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const { appliedTaxSchema, discountSchema, lineItemSchema, statusChangeSchema } = require('./documentSchemas');
+
+// An estimate sent to a client before the work, priced like an invoice and converted into one once accepted
+const quoteSchema = new mongoose.Schema({
+  quoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true,
+    index: true
+  },
+  issueDate: {
+    type: Date,
+    required: true
+  },
+  // The client can accept the quote until the end of this day
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Value of one unit of the quote currency in the base currency when it was priced
+  exchangeRate: {
+    type: Number,
+    default: 1
+  },
+  items: [lineItemSchema],
+  // Tax rates requested for lines without their own, kept so drafts can be edited as they were entered
+  taxRateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  }],
+  taxInclusive: {
+    type: Boolean,
+    default: false
+  },
+  discount: discountSchema,
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  discountTotal: {
+    type: Number,
+    default: 0
+  },
+  subtotal: {
+    type: Number
+  },
+  taxes: [appliedTaxSchema],
+  taxTotal: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  // Due date of the invoice the quote converts into, counted from the conversion
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  // Drafts can be edited; sent quotes wait for the client until they are accepted, declined or expire
+  status: {
+    type: String,
+    enum: ['draft', 'sent', 'accepted', 'declined', 'expired'],
+    default: 'draft'
+  },
+  statusHistory: [statusChangeSchema],
+  // When the quote was last sent; acceptance links from earlier sends stop working
+  sentAt: {
+    type: Date
+  },
+  viewedAt: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  },
+  // Name typed by the client when accepting through the link
+  acceptedName: {
+    type: String,
+    trim: true
+  },
+  declinedAt: {
+    type: Date
+  },
+  declineReason: {
+    type: String,
+    trim: true
+  },
+  // The invoice the quote was converted into
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  convertedAt: {
+    type: Date
+  },
+  // Claimed while the invoice is being created so a quote is never converted twice
+  convertingAt: {
+    type: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Quote', quoteSchema);
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+// Same shape as the discount on invoices, either a percentage of the amount or a fixed amount off it
+const discountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Lines reference catalog items; prices are taken from the catalog each time an invoice is generated
+const templateLineSchema = new mongoose.Schema({
+  item: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  description: {
+    type: String
+  },
+  discount: discountSchema,
+  taxRateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  }]
+}, { _id: false });
+
+// One scheduled run, kept so staff can see what was generated and what failed
+const runSchema = new mongoose.Schema({
+  runDate: {
+    type: Date,
+    required: true
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  status: {
+    type: String,
+    enum: ['created', 'failed'],
+    required: true
+  },
+  error: {
+    type: String
+  },
+  // Failed scheduled runs are retried every tick until an invoice is generated
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // Runs triggered from the UI do not move the schedule
+  manual: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+const recurringInvoiceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  client: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Client',
+    required: true
+  },
+  items: {
+    type: [templateLineSchema],
+    validate: [items => items.length > 0, 'At least one line is required']
+  },
+  taxRateIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxRate'
+  }],
+  taxInclusive: {
+    type: Boolean,
+    default: false
+  },
+  discount: discountSchema,
+  // Falls back to the client's currency, then the base currency, when unset
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  interval: {
+    unit: {
+      type: String,
+      enum: ['day', 'week', 'month', 'year'],
+      required: true
+    },
+    every: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  },
+  // Due date of each generated invoice, counted from its issue date
+  paymentTermsDays: {
+    type: Number,
+    default: 30,
+    min: 0
+  },
+  // Occurrences are counted from the start date so month ends do not drift (Jan 31, Feb 28, Mar 31, ...)
+  startDate: {
+    type: Date,
+    required: true
+  },
+  nextRunDate: {
+    type: Date,
+    index: true
+  },
+  // End condition: stop after this date and/or after this many occurrences (including any skipped while paused)
+  endDate: {
+    type: Date
+  },
+  maxOccurrences: {
+    type: Number,
+    min: 1
+  },
+  occurrences: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active'
+  },
+  runs: [runSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('RecurringInvoice', recurringInvoiceSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// A payment reminder emailed offsetDays after an invoice's due date (negative for before it)
+const reminderStepSchema = new mongoose.Schema({
+  offsetDays: {
+    type: Number,
+    required: true
+  },
+  subject: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const DEFAULT_REMINDER_STEPS = [
+  {
+    offsetDays: -3,
+    subject: 'Invoice {{invoiceNumber}} is due on {{dueDate}}',
+    body: 'Hi {{clientName}},\n\nThis is a friendly reminder that invoice {{invoiceNumber}} for {{amountDue}} is due on {{dueDate}}.\n\nThank you,\n{{companyName}}'
+  },
+  {
+    offsetDays: 0,
+    subject: 'Invoice {{invoiceNumber}} is due today',
+    body: 'Hi {{clientName}},\n\nInvoice {{invoiceNumber}} for {{amountDue}} is due today.\n\nThank you,\n{{companyName}}'
+  },
+  {
+    offsetDays: 7,
+    subject: 'Invoice {{invoiceNumber}} is overdue',
+    body: 'Hi {{clientName}},\n\nInvoice {{invoiceNumber}} was due on {{dueDate}} and {{amountDue}} is still outstanding. Please arrange payment at your earliest convenience.\n\nThank you,\n{{companyName}}'
+  },
+  {
+    offsetDays: 14,
+    subject: 'Invoice {{invoiceNumber}} is {{daysOverdue}} days overdue',
+    body: 'Hi {{clientName}},\n\nInvoice {{invoiceNumber}} is now {{daysOverdue}} days overdue with {{amountDue}} outstanding. Please let us know if there is a problem with the invoice.\n\nThank you,\n{{companyName}}'
+  },
+  {
+    offsetDays: 30,
+    subject: 'Final reminder: invoice {{invoiceNumber}} is {{daysOverdue}} days overdue',
+    body: 'Hi {{clientName}},\n\nInvoice {{invoiceNumber}} is {{daysOverdue}} days overdue and {{amountDue}} remains unpaid. Please pay the outstanding balance as soon as possible.\n\n{{companyName}}'
+  }
+];
+
+const DEFAULT_INVOICE_EMAIL = {
+  subject: 'Invoice {{invoiceNumber}} from {{companyName}}',
+  body: 'Hi {{clientName}},\n\nPlease find attached invoice {{invoiceNumber}} for {{total}}, due on {{dueDate}}.\n\nThank you for your business,\n{{companyName}}'
+};
+
+const settingsSchema = new mongoose.Schema({
+  // Application-wide settings live in a single document
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Currency analytics are reported in; invoices in other currencies store their rate to it
+  baseCurrency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  invoiceNumbering: {
+    pattern: {
+      type: String,
+      default: 'INV-{YYYY}-{seq:5}'
+    },
+    resetYearly: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Fees charged on overdue invoices by the late fees job, off until enabled
+  lateFees: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // 'flat' and 'percentage' charge a single fee; 'interest' charges the percentage again every period
+    type: {
+      type: String,
+      enum: ['flat', 'percentage', 'interest'],
+      default: 'interest'
+    },
+    // Flat fee in the base currency, converted at each invoice's exchange rate
+    flatAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Percentage of the overdue balance, per period for interest
+    percentage: {
+      type: Number,
+      default: 1.5,
+      min: 0,
+      max: 100
+    },
+    graceDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    periodDays: {
+      type: Number,
+      default: 30,
+      min: 1
+    },
+    // When fees were last turned on; fees that fell due before then are never charged
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Notes, payment terms and footer new invoices start with
+  invoiceDefaults: {
+    notes: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    terms: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    footer: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
+  // Message invoices are emailed to clients with, the PDF attached
+  invoiceEmail: {
+    subject: {
+      type: String,
+      trim: true,
+      default: DEFAULT_INVOICE_EMAIL.subject
+    },
+    body: {
+      type: String,
+      default: DEFAULT_INVOICE_EMAIL.body
+    }
+  },
+  // Payment reminders emailed to clients with open invoices, off until enabled
+  reminders: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    steps: {
+      type: [reminderStepSchema],
+      default: () => DEFAULT_REMINDER_STEPS
+    }
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Settings', settingsSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const taxRateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  percentage: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Compound taxes are charged on the amount plus the taxes applied before them
+  compound: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
@@ -1,10 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const AIController = require('../controllers/aiController');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
 
-// All AI routes require authentication
-router.use(authenticateToken);
+// All AI routes require staff authentication
+router.use(authenticateToken, requireStaff);
 
 // Main AI query endpoint
 router.post('/query', AIController.processQuery);
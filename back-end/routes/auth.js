@@ -6,6 +6,10 @@ const { authenticateToken } = require('../middleware/auth');
 // Public routes
 router.post('/staff/register', AuthController.registerStaff);
 router.post('/staff/login', AuthController.loginStaff);
+router.post('/client/accept-invite', AuthController.acceptClientInvite);
+router.post('/client/login', AuthController.loginClient);
+router.post('/client/login-link', AuthController.requestClientLoginLink);
+router.post('/client/login-link/verify', AuthController.loginClientWithLink);
 
 // Protected routes
 router.get('/profile', authenticateToken, AuthController.getProfile);
@@ -1,16 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const ClientController = require('../controllers/clientController');
-const { authenticateToken } = require('../middleware/auth');
+const ExportController = require('../controllers/exportController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
 
-// All client routes require authentication
-router.use(authenticateToken);
+// All client routes require staff authentication
+router.use(authenticateToken, requireStaff);
 
 // All routes accessible to staff
 router.post('/create', ClientController.createClient);
 router.put('/update/:id', ClientController.updateClient);
 router.delete('/delete/:id', ClientController.deleteClient);
 router.get('/active', ClientController.getActiveClients);
+router.get('/export', ExportController.exportClients);
+router.get('/:id/statement', ClientController.getStatement);
+router.post('/:id/portal-invite', ClientController.inviteToPortal);
+router.delete('/:id/portal-access', ClientController.revokePortalAccess);
 router.get('/:id', ClientController.getClient);
 
 module.exports = router;
\ No newline at end of file
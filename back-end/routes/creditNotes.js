@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const CreditNoteController = require('../controllers/creditNoteController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+
+// Credit notes are issued from their invoice, see routes/invoices.js
+router.use(authenticateToken, requireStaff);
+
+router.get('/', CreditNoteController.getCreditNotes);
+router.get('/:id', CreditNoteController.getCreditNote);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const CurrencyController = require('../controllers/currencyController');
+const { authenticateToken, requireStaff, requireAdmin } = require('../middleware/auth');
+
+// Any staff member can read the rates; only admins maintain them
+router.use(authenticateToken, requireStaff);
+
+router.get('/', CurrencyController.getCurrencies);
+router.put('/base', requireAdmin, CurrencyController.updateBaseCurrency);
+router.put('/rates/:currency', requireAdmin, CurrencyController.setExchangeRate);
+router.delete('/rates/:currency', requireAdmin, CurrencyController.deleteExchangeRate);
+
+module.exports = router;
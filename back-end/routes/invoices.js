@@ -1,14 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const InvoiceController = require('../controllers/invoiceController');
-const { authenticateToken } = require('../middleware/auth');
+const PaymentController = require('../controllers/paymentController');
+const CreditNoteController = require('../controllers/creditNoteController');
+const ShareLinkController = require('../controllers/shareLinkController');
+const AttachmentController = require('../controllers/attachmentController');
+const BulkInvoiceController = require('../controllers/bulkInvoiceController');
+const ExportController = require('../controllers/exportController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/upload');
 
-// All invoice routes require authentication
-router.use(authenticateToken);
+// All invoice routes require staff authentication; clients see their invoices through /portal
+router.use(authenticateToken, requireStaff);
 
 router.post('/create', InvoiceController.createInvoice);
 router.get('/list', InvoiceController.getInvoices);
+router.get('/defaults', InvoiceController.getInvoiceDefaults);
+router.get('/export', ExportController.exportInvoices);
+router.post('/bulk/mark-paid', BulkInvoiceController.markPaid);
+router.post('/bulk/send-reminders', BulkInvoiceController.sendReminders);
+router.post('/bulk/void', BulkInvoiceController.voidInvoices);
+router.post('/bulk/export', BulkInvoiceController.exportInvoices);
 router.put('/update-status/:id', InvoiceController.updateStatus);
+router.delete('/delete/:id', InvoiceController.deleteInvoice);
+router.post('/:id/issue', InvoiceController.issueInvoice);
+router.post('/:id/send', InvoiceController.sendInvoice);
+router.post('/:id/void', InvoiceController.voidInvoice);
+router.get('/:id/pdf', InvoiceController.downloadInvoicePdf);
+router.get('/:id/payments', PaymentController.getPayments);
+router.post('/:id/payments', PaymentController.recordPayment);
+router.delete('/:id/payments/:paymentId', PaymentController.deletePayment);
+router.get('/:id/credit-notes', CreditNoteController.getInvoiceCreditNotes);
+router.post('/:id/credit-notes', CreditNoteController.createCreditNote);
+router.get('/:id/share-links', ShareLinkController.getShareLinks);
+router.post('/:id/share-links', ShareLinkController.createShareLink);
+router.delete('/:id/share-links/:linkId', ShareLinkController.revokeShareLink);
+router.post('/:id/attachments', receiveFile, AttachmentController.uploadAttachment);
+router.get('/:id/attachments/:attachmentId', AttachmentController.downloadAttachment);
+router.delete('/:id/attachments/:attachmentId', AttachmentController.deleteAttachment);
+router.put('/:id', InvoiceController.updateInvoice);
 router.get('/:id', InvoiceController.getSingleInvoice);
 
 module.exports = router;
\ No newline at end of file
@@ -1,14 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const ItemController = require('../controllers/itemController');
-const { authenticateToken } = require('../middleware/auth');
+const ExportController = require('../controllers/exportController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
 
-// All item routes require authentication
-router.use(authenticateToken);
+// All item routes require staff authentication
+router.use(authenticateToken, requireStaff);
 
 // All routes accessible to staff
 router.get('/single/:id', ItemController.getSingleItem);
 router.get('/', ItemController.getAllItems);
+router.get('/export', ExportController.exportItems);
 router.post('/add', ItemController.addItem);
 router.put('/update/:id', ItemController.updateItem);
 router.delete('/delete/:id', ItemController.deleteItem);
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const PortalController = require('../controllers/portalController');
+const { authenticateToken, requireClient } = require('../middleware/auth');
+
+// Client portal routes, only for signed-in clients and always limited to their own data
+router.use(authenticateToken, requireClient);
+
+router.get('/summary', PortalController.getSummary);
+router.get('/invoices', PortalController.getInvoices);
+router.get('/invoices/:id/pdf', PortalController.downloadInvoicePdf);
+router.get('/invoices/:id', PortalController.getInvoice);
+router.get('/statement', PortalController.getStatement);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const ShareLinkController = require('../controllers/shareLinkController');
+const QuoteController = require('../controllers/quoteController');
+
+// No authentication: access is granted by the signed share link or quote acceptance token
+router.get('/invoices/:token', ShareLinkController.getSharedInvoice);
+router.get('/invoices/:token/pdf', ShareLinkController.downloadSharedInvoicePdf);
+router.get('/quotes/:token', QuoteController.getPublicQuote);
+router.post('/quotes/:token/accept', QuoteController.acceptPublicQuote);
+router.post('/quotes/:token/decline', QuoteController.declinePublicQuote);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const QuoteController = require('../controllers/quoteController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+
+// All quote routes require a staff member; clients answer quotes through the public acceptance link
+router.use(authenticateToken, requireStaff);
+
+router.post('/create', QuoteController.createQuote);
+router.get('/', QuoteController.getQuotes);
+router.put('/update/:id', QuoteController.updateQuote);
+router.post('/:id/send', QuoteController.sendQuote);
+router.put('/update-status/:id', QuoteController.updateStatus);
+router.post('/:id/convert', QuoteController.convertToInvoice);
+router.delete('/delete/:id', QuoteController.deleteQuote);
+router.get('/:id', QuoteController.getQuote);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const RecurringInvoiceController = require('../controllers/recurringInvoiceController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+
+// All recurring invoice routes require a staff member
+router.use(authenticateToken, requireStaff);
+
+router.post('/create', RecurringInvoiceController.createRecurringInvoice);
+router.get('/', RecurringInvoiceController.getRecurringInvoices);
+router.put('/update/:id', RecurringInvoiceController.updateRecurringInvoice);
+router.put('/update-status/:id', RecurringInvoiceController.updateStatus);
+router.post('/:id/run', RecurringInvoiceController.runNow);
+router.delete('/delete/:id', RecurringInvoiceController.deleteRecurringInvoice);
+router.get('/:id', RecurringInvoiceController.getRecurringInvoice);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const ReportController = require('../controllers/reportController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+
+// Financial reports cover every client, so they are for staff only
+router.use(authenticateToken, requireStaff);
+
+router.get('/aging', ReportController.getAgingReport);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const SettingsController = require('../controllers/settingsController');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+// Settings are managed by admins only
+router.use(authenticateToken, requireAdmin);
+
+router.get('/invoice-numbering', SettingsController.getInvoiceNumbering);
+router.put('/invoice-numbering', SettingsController.updateInvoiceNumbering);
+router.get('/invoice-defaults', SettingsController.getInvoiceDefaults);
+router.put('/invoice-defaults', SettingsController.updateInvoiceDefaults);
+router.get('/invoice-email', SettingsController.getInvoiceEmail);
+router.put('/invoice-email', SettingsController.updateInvoiceEmail);
+router.get('/late-fees', SettingsController.getLateFeePolicy);
+router.put('/late-fees', SettingsController.updateLateFeePolicy);
+router.get('/reminders', SettingsController.getReminderSettings);
+router.put('/reminders', SettingsController.updateReminderSettings);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const TaxRateController = require('../controllers/taxRateController');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+
+// All tax rate routes require staff authentication
+router.use(authenticateToken, requireStaff);
+
+router.get('/', TaxRateController.getTaxRates);
+router.post('/create', TaxRateController.createTaxRate);
+router.put('/update/:id', TaxRateController.updateTaxRate);
+router.delete('/delete/:id', TaxRateController.deleteTaxRate);
+
+module.exports = router;
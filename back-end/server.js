@@ -2,15 +2,32 @@ const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 const db = require('./config/db');
+const { startJobs } = require('./jobs');
 const authRoutes = require('./routes/auth');
 const invoiceRoutes = require('./routes/invoices');
 const clientRoutes = require('./routes/clients');
 const itemRoutes = require('./routes/items');
 const aiRoutes = require('./routes/ai');
+const settingsRoutes = require('./routes/settings');
+const taxRateRoutes = require('./routes/taxRates');
+const currencyRoutes = require('./routes/currencies');
+const creditNoteRoutes = require('./routes/creditNotes');
+const recurringInvoiceRoutes = require('./routes/recurringInvoices');
+const quoteRoutes = require('./routes/quotes');
+const publicRoutes = require('./routes/public');
+const portalRoutes = require('./routes/portal');
+const reportRoutes = require('./routes/reports');
 
 const app = express();
 
-db.connectDB();
+// The jobs poll the database, so they only start once it is connected
+db.connectDB().then(connected => {
+  if (connected) {
+    startJobs();
+  } else {
+    console.error('Background jobs not started, the database is not connected');
+  }
+});
 
 // Enable CORS
 app.use(cors({
@@ -22,12 +39,21 @@ app.use(express.json());
 
 // Public routes
 app.use('/auth', authRoutes);
+app.use('/public', publicRoutes);
 
 // Protected routes
 app.use('/invoices', invoiceRoutes);
 app.use('/clients', clientRoutes);
 app.use('/items', itemRoutes);
 app.use('/ai', aiRoutes);
+app.use('/settings', settingsRoutes);
+app.use('/tax-rates', taxRateRoutes);
+app.use('/currencies', currencyRoutes);
+app.use('/credit-notes', creditNoteRoutes);
+app.use('/recurring-invoices', recurringInvoiceRoutes);
+app.use('/quotes', quoteRoutes);
+app.use('/portal', portalRoutes);
+app.use('/reports', reportRoutes);
 
 app.get('/', (req, res) => {
   res.send('invoicer back-end is running');
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const Payment = require('../models/payment');
+const CreditNote = require('../models/creditNote');
+const InvoiceService = require('./invoiceService');
+const StatementService = require('./statementService');
+const AnalyticsService = require('./analyticsService');
+const CurrencyService = require('./currencyService');
+
+// Aging buckets by whole days past the due date, oldest last; 'current' is not due yet
+const BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days1to30', label: '1–30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31–60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61–90 days', maxDays: 90 },
+  { key: 'over90', label: '90+ days', maxDays: Infinity }
+];
+
+const emptyTotals = () => Object.fromEntries([...BUCKETS.map(bucket => [bucket.key, 0]), ['total', 0]]);
+
+module.exports = class AgingService {
+  /**
+   * @description Lists the aging buckets in report order.
+   * @returns {Array<Object>} - { key, label } of each bucket.
+   */
+  static buckets() {
+    return BUCKETS.map(({ key, label }) => ({ key, label }));
+  }
+
+  /**
+   * @description Picks the aging bucket for a number of days past due.
+   * @param {number} days - Whole days past the due date, 0 or less when not due yet.
+   * @returns {string} - The bucket key.
+   */
+  static bucketFor(days) {
+    return BUCKETS.find(bucket => days <= bucket.maxDays).key;
+  }
+
+  /**
+   * @description Works out what each invoice still owed at a point in time.
+   * @param {Array<Object>} invoices - Issued, non-void invoices.
+   * @param {Date} end - Exclusive end of the as-of day.
+   * @returns {Promise<Map>} - Balance in the invoice currency by invoice ID.
+   * @how - Replays the same entries as a statement of account up to the as-of date, so payments, credit notes, refunds, late fees and write-offs made later do not count yet.
+   */
+  static async balancesAt(invoices, end) {
+    const invoiceIds = invoices.map(invoice => invoice._id);
+    const [payments, creditNotes] = await Promise.all([
+      Payment.find({ invoice: { $in: invoiceIds }, date: { $lt: end } }),
+      CreditNote.find({ invoice: { $in: invoiceIds }, issueDate: { $lt: end } })
+    ]);
+
+    const balances = new Map();
+    for (const entry of StatementService.buildEntries(invoices, payments, creditNotes)) {
+      if (new Date(entry.date) >= end) continue;
+      const id = String(entry.invoice._id);
+      balances.set(id, InvoiceService.roundMoney((balances.get(id) || 0) + entry.debit - entry.credit));
+    }
+    return balances;
+  }
+
+  /**
+   * @description Builds the accounts receivable aging report: what each client owes, bucketed by how long it is past due.
+   * @param {Object} [params={}] - Report parameters.
+   * @param {string} [params.asOf] - Day to age balances at ('YYYY-MM-DD'), counted to the end of that day; now when omitted.
+   * @param {string} [params.clientId] - Only this client.
+   * @returns {Object} - Response object with { success, data: { asOf, baseCurrency, buckets, totals, clients }, message }; each client has its bucket totals and the outstanding invoices behind them.
+   * @how - Amounts are converted to the base currency at each invoice's stored rate so clients billed in several currencies add up, and every invoice also keeps its balance in its own currency. Days past due are counted as for the invoice list. Only invoices that still have a balance, or were changed after the as-of date, can have owed anything then, so only those are replayed.
+   */
+  static async getAgingReport({ asOf, clientId } = {}) {
+    try {
+      let now = new Date();
+      if (asOf) {
+        const end = InvoiceService.parseDateBound(asOf, true);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(asOf)) || !end) {
+          return { success: false, message: 'The as-of date must be a valid date, e.g. 2024-01-31' };
+        }
+        now = new Date(end.getTime() - 1);
+      }
+      if (clientId && !mongoose.isValidObjectId(clientId)) {
+        return { success: false, message: 'Invalid client ID' };
+      }
+
+      const end = new Date(now.getTime() + 1);
+      const invoices = await Invoice.find({
+        status: { $nin: ['draft', 'void'] },
+        issueDate: { $lt: end },
+        $or: [{ balanceDue: { $gt: 0 } }, { updatedAt: { $gte: end } }],
+        ...(clientId && { client: clientId })
+      }, 'invoiceNumber client issueDate dueDate currency exchangeRate total lateFees lateFeeTotal writtenOffAmount statusHistory updatedAt')
+        .populate('client', 'name email');
+
+      const [balances, baseCurrency] = await Promise.all([
+        this.balancesAt(invoices, end),
+        CurrencyService.getBaseCurrency()
+      ]);
+
+      const totals = emptyTotals();
+      const clients = new Map();
+      for (const invoice of invoices) {
+        const balance = balances.get(String(invoice._id)) || 0;
+        if (!(balance > 0)) continue;
+
+        const daysPastDue = InvoiceService.daysPastDue(invoice.dueDate, now);
+        const bucket = this.bucketFor(daysPastDue);
+        const baseBalance = AnalyticsService.toBaseAmount(invoice, balance);
+
+        const clientKey = invoice.client ? String(invoice.client._id) : 'unknown';
+        if (!clients.has(clientKey)) {
+          clients.set(clientKey, {
+            client: invoice.client ? { _id: invoice.client._id, name: invoice.client.name, email: invoice.client.email } : null,
+            ...emptyTotals(),
+            invoices: []
+          });
+        }
+        const row = clients.get(clientKey);
+        row[bucket] = InvoiceService.roundMoney(row[bucket] + baseBalance);
+        row.total = InvoiceService.roundMoney(row.total + baseBalance);
+        totals[bucket] = InvoiceService.roundMoney(totals[bucket] + baseBalance);
+        totals.total = InvoiceService.roundMoney(totals.total + baseBalance);
+        row.invoices.push({
+          _id: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          issueDate: invoice.issueDate,
+          dueDate: invoice.dueDate,
+          currency: invoice.currency,
+          balance,
+          baseBalance,
+          daysPastDue: Math.max(daysPastDue, 0),
+          bucket
+        });
+      }
+
+      for (const row of clients.values()) {
+        row.invoices.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+      }
+
+      return {
+        success: true,
+        data: {
+          asOf: now,
+          baseCurrency,
+          buckets: this.buckets(),
+          totals,
+          clients: [...clients.values()].sort((a, b) => b.total - a.total)
+        }
+      };
+    } catch (error) {
+      console.error('Error building aging report:', error);
+      return { success: false, message: 'Could not build aging report' };
+    }
+  }
+};
@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const AnalyticsService = require('./analyticsService');
+const CurrencyService = require('./currencyService');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -111,10 +112,13 @@ module.exports = class AIService {
 
     return {
       summary: {
+        baseCurrency: summary.baseCurrency,
         totalInvoices: summary.totalInvoices,
+        voidedInvoices: summary.voidedInvoices,
         totalClients: summary.totalClients,
         totalItems: summary.totalItems,
         totalRevenue: summary.totalRevenue,
+        totalCredited: summary.totalCredited,
         unpaidAmount: summary.unpaidAmount,
         averageInvoiceValue: summary.averageInvoiceValue
       },
@@ -146,21 +150,23 @@ module.exports = class AIService {
    * @returns {string} Formatted prompt for AI
    */
   static generatePrompt(query, context) {
+    const money = (amount) => CurrencyService.formatMoney(amount, context.summary.baseCurrency);
     const basePrompt = `You are analyzing an invoicing system with the following data:
 
-SUMMARY:
-- Total Invoices: ${context.summary.totalInvoices}
+SUMMARY (all amounts converted to ${context.summary.baseCurrency} at the exchange rate stored on each invoice):
+- Total Invoices: ${context.summary.totalInvoices} (plus ${context.summary.voidedInvoices} voided, excluded from every figure)
 - Total Clients: ${context.summary.totalClients}
 - Total Items: ${context.summary.totalItems}
-- Total Revenue: $${context.summary.totalRevenue.toLocaleString()}
-- Unpaid Amount: $${context.summary.unpaidAmount.toLocaleString()}
-- Average Invoice Value: $${context.summary.averageInvoiceValue.toFixed(2)}
+- Total Revenue (received, net of refunds): ${money(context.summary.totalRevenue)}
+- Credited: ${money(context.summary.totalCredited)}
+- Unpaid Amount: ${money(context.summary.unpaidAmount)}
+- Average Invoice Value: ${money(context.summary.averageInvoiceValue)}
 
 TOP CLIENTS (by total spent):
-${context.topClients.map(client => `- ${client.name}: $${client.totalSpent.toLocaleString()} (${client.totalInvoices} invoices)`).join('\n')}
+${context.topClients.map(client => `- ${client.name}: ${money(client.totalSpent)} (${client.totalInvoices} invoices)`).join('\n')}
 
 TOP ITEMS (by revenue):
-${context.topItems.map(item => `- ${item.name}: $${item.totalRevenue.toLocaleString()} (${item.invoicesCount} sales)`).join('\n')}
+${context.topItems.map(item => `- ${item.name}: ${money(item.totalRevenue)} (${item.invoicesCount} sales)`).join('\n')}
 
 CHURN RISK CLIENTS:
 ${context.churnRisk.map(client => `- ${client.clientName}: ${client.riskScore}% risk - ${client.riskFactors.join(', ')}`).join('\n')}
@@ -302,7 +308,7 @@ Format your response as structured insights with specific data points and recomm
           recommendations.push({
             type: 'client_recommendation',
             clientName: client.name,
-            reasoning: `High-value client with $${client.totalSpent.toLocaleString()} total spent`,
+            reasoning: `High-value client with ${CurrencyService.formatMoney(client.totalSpent, dataSummary.summary.baseCurrency)} total spent`,
             action: 'Consider targeted marketing for new products'
           });
         });
@@ -1,38 +1,50 @@
 const Invoice = require('../models/invoice');
 const Client = require('../models/client');
 const Item = require('../models/item');
+const CurrencyService = require('./currencyService');
+const InvoiceStatusService = require('./invoiceStatusService');
+
+// Drafts have not been sent to anyone yet and void invoices were cancelled, so both are left out of every figure
+const BILLED = { status: { $nin: ['draft', 'void'] } };
 
 module.exports = class AnalyticsService {
   /**
    * @description Get comprehensive data summary for AI analysis
-   * @returns {Object} Aggregated data for AI context
+   * @returns {Object} Aggregated data for AI context, with every amount in the base currency
    */
   static async getDataSummary() {
     try {
       const [
         totalInvoices,
+        voidedInvoices,
         totalClients,
         totalItems,
         invoices,
         clients,
-        items
+        items,
+        baseCurrency
       ] = await Promise.all([
-        Invoice.countDocuments(),
+        Invoice.countDocuments(BILLED),
+        Invoice.countDocuments({ status: 'void' }),
         Client.countDocuments({ status: 'active' }),
         Item.countDocuments(),
-        Invoice.find().populate('client', 'name email status').populate('items', 'name unitPrice'),
+        Invoice.find(BILLED).populate('client', 'name email status'),
         Client.find({ status: 'active' }),
-        Item.find()
+        Item.find(),
+        CurrencyService.getBaseCurrency()
       ]);
 
       // Calculate basic statistics
+      // Revenue is what has actually been received and kept, so partially paid invoices count for their payments and refunds are taken off
       const totalRevenue = invoices
-        .filter(inv => inv.status === 'paid')
-        .reduce((sum, inv) => sum + inv.total, 0);
+        .reduce((sum, inv) => sum + this.toBaseAmount(inv, (inv.amountPaid || 0) - (inv.refundedAmount || 0)), 0);
+
+      const totalCredited = invoices
+        .reduce((sum, inv) => sum + this.toBaseAmount(inv, inv.creditedAmount || 0), 0);
 
       const unpaidAmount = invoices
-        .filter(inv => inv.status === 'unpaid')
-        .reduce((sum, inv) => sum + inv.total, 0);
+        .filter(inv => inv.status !== 'paid')
+        .reduce((sum, inv) => sum + this.toBaseAmount(inv, inv.balanceDue != null ? inv.balanceDue : inv.total), 0);
 
       // Analyze client purchase patterns
       const clientAnalysis = await this.analyzeClientPurchases(invoices);
@@ -45,10 +57,13 @@ module.exports = class AnalyticsService {
 
       return {
         summary: {
+          baseCurrency,
           totalInvoices,
+          voidedInvoices,
           totalClients,
           totalItems,
           totalRevenue,
+          totalCredited,
           unpaidAmount,
           averageInvoiceValue: totalInvoices > 0 ? totalRevenue / totalInvoices : 0
         },
@@ -61,7 +76,14 @@ module.exports = class AnalyticsService {
             invoiceNumber: inv.invoiceNumber,
             client: inv.client,
             items: inv.items,
+            currency: inv.currency,
             total: inv.total,
+            exchangeRate: inv.exchangeRate,
+            baseTotal: this.toBaseAmount(inv),
+            amountPaid: inv.amountPaid,
+            balanceDue: inv.balanceDue,
+            creditedAmount: inv.creditedAmount,
+            refundedAmount: inv.refundedAmount,
             status: inv.status,
             issueDate: inv.issueDate,
             dueDate: inv.dueDate,
@@ -123,9 +145,9 @@ module.exports = class AnalyticsService {
 
       const client = clientPurchases[clientId];
       client.totalInvoices++;
-      client.totalSpent += invoice.total;
+      client.totalSpent += this.toBaseAmount(invoice, invoice.total - (invoice.creditedAmount || 0));
       
-      if (invoice.status === 'paid') {
+      if (['paid', 'credited'].includes(invoice.status)) {
         client.paidInvoices++;
       } else {
         client.unpaidInvoices++;
@@ -137,7 +159,7 @@ module.exports = class AnalyticsService {
       // Track recent activity (last 3 months)
       if (invoice.issueDate >= threeMonthsAgo) {
         client.recentInvoices++;
-        client.recentSpent += invoice.total;
+        client.recentSpent += this.toBaseAmount(invoice, invoice.total - (invoice.creditedAmount || 0));
       }
 
       // Track items purchased
@@ -151,7 +173,7 @@ module.exports = class AnalyticsService {
       }
 
       // Calculate payment delay for unpaid invoices
-      if (invoice.status === 'unpaid' && this.isOverdue(invoice)) {
+      if (this.isOverdue(invoice)) {
         const delayDays = Math.floor((now - invoice.dueDate) / (1000 * 60 * 60 * 24));
         client.paymentDelay = Math.max(client.paymentDelay, delayDays);
       }
@@ -193,13 +215,13 @@ module.exports = class AnalyticsService {
       };
     });
 
-    // Calculate item performance from invoices
+    // Calculate item performance from invoice line items
     invoices.forEach(invoice => {
-      invoice.items.forEach(item => {
-        const itemId = item._id.toString();
+      invoice.items.forEach(line => {
+        const itemId = line.item.toString();
         if (itemStats[itemId]) {
-          itemStats[itemId].totalSold += 1; // Assuming quantity is 1 per invoice item
-          itemStats[itemId].totalRevenue += item.unitPrice;
+          itemStats[itemId].totalSold += line.quantity;
+          itemStats[itemId].totalRevenue += this.toBaseAmount(invoice, line.lineTotal);
           itemStats[itemId].invoicesCount++;
           
           if (!itemStats[itemId].lastSoldDate || invoice.issueDate > itemStats[itemId].lastSoldDate) {
@@ -236,8 +258,8 @@ module.exports = class AnalyticsService {
       const recentInvoices = clientInvoices.filter(inv => inv.issueDate >= threeMonthsAgo);
       const olderInvoices = clientInvoices.filter(inv => inv.issueDate >= sixMonthsAgo && inv.issueDate < threeMonthsAgo);
       
-      const recentVolume = recentInvoices.reduce((sum, inv) => sum + inv.total, 0);
-      const olderVolume = olderInvoices.reduce((sum, inv) => sum + inv.total, 0);
+      const recentVolume = recentInvoices.reduce((sum, inv) => sum + this.toBaseAmount(inv), 0);
+      const olderVolume = olderInvoices.reduce((sum, inv) => sum + this.toBaseAmount(inv), 0);
       
       const recentCount = recentInvoices.length;
       const olderCount = olderInvoices.length;
@@ -309,15 +331,23 @@ module.exports = class AnalyticsService {
     return churnRisk;
   }
 
+  /**
+   * @description Convert an invoice amount to the base currency using the rate stored at issue time
+   * @param {Object} invoice - Invoice document
+   * @param {number} [amount=invoice.total] - Amount in the invoice currency
+   * @returns {number} Amount in the base currency
+   */
+  static toBaseAmount(invoice, amount = invoice.total) {
+    return Math.round(amount * (invoice.exchangeRate || 1) * 100) / 100;
+  }
+
   /**
    * @description Check if an invoice is overdue
    * @param {Object} invoice - Invoice document
    * @returns {boolean} True if invoice is overdue
    */
   static isOverdue(invoice) {
-    const today = new Date();
-    const dueDate = new Date(invoice.dueDate);
-    return dueDate < today && invoice.status !== 'paid';
+    return InvoiceStatusService.isPastDue(invoice);
   }
 
   /**
@@ -333,8 +363,8 @@ module.exports = class AnalyticsService {
     
     // Get items the client has already purchased
     clientInvoices.forEach(invoice => {
-      invoice.items.forEach(item => {
-        clientItems.add(item._id.toString());
+      invoice.items.forEach(line => {
+        clientItems.add(line.item.toString());
       });
     });
 
@@ -343,8 +373,8 @@ module.exports = class AnalyticsService {
     
     invoices.forEach(invoice => {
       if (invoice.client._id.toString() !== clientId) {
-        const commonItems = invoice.items.filter(item => 
-          clientItems.has(item._id.toString())
+        const commonItems = invoice.items.filter(line => 
+          clientItems.has(line.item.toString())
         );
         
         if (commonItems.length > 0) {
@@ -360,8 +390,8 @@ module.exports = class AnalyticsService {
             });
           }
           
-          invoice.items.forEach(item => {
-            similarClients.get(clientId).items.add(item._id.toString());
+          invoice.items.forEach(line => {
+            similarClients.get(clientId).items.add(line.item.toString());
           });
         }
       }
@@ -453,11 +483,11 @@ module.exports = class AnalyticsService {
       
       if (isRecent) {
         group.recent.invoices.push(invoice);
-        group.recent.total += invoice.total;
+        group.recent.total += this.toBaseAmount(invoice);
         invoice.items.forEach(item => group.recent.items.add(item.name));
       } else {
         group.older.invoices.push(invoice);
-        group.older.total += invoice.total;
+        group.older.total += this.toBaseAmount(invoice);
         invoice.items.forEach(item => group.older.items.add(item.name));
       }
     });
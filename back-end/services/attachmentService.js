@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const path = require('path');
+const Invoice = require('../models/invoice');
+const StorageService = require('./storageService');
+const storage = require('../config/storage');
+
+const MAX_FILE_NAME_LENGTH = 200;
+
+// Media types attachments are kept and served as; anything else, e.g. HTML or SVG that a browser
+// could run as a page, is treated as an opaque download
+const SAFE_CONTENT_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/zip'
+];
+const FALLBACK_CONTENT_TYPE = 'application/octet-stream';
+
+module.exports = class AttachmentService {
+  /**
+   * @description Cleans up the name an uploaded file is kept and downloaded under.
+   * @param {string} fileName - The name sent by the browser.
+   * @returns {string} - The name without any directory part or control characters, or '' when nothing is left.
+   */
+  static cleanFileName(fileName) {
+    return path.basename(String(fileName || '').replace(/\\/g, '/'))
+      .replace(/[\u0000-\u001f\u007f"]/g, '')
+      .trim()
+      .slice(0, MAX_FILE_NAME_LENGTH);
+  }
+
+  /**
+   * @description Picks the media type a file is kept and served as.
+   * @param {string} [contentType] - The media type sent by the uploader or stored on the attachment.
+   * @returns {string} - The media type without parameters when it is on the safe list, 'application/octet-stream' otherwise.
+   */
+  static safeContentType(contentType) {
+    const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+    return SAFE_CONTENT_TYPES.includes(type) ? type : FALLBACK_CONTENT_TYPE;
+  }
+
+  /**
+   * @description Attaches a file to an invoice.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {Object} file - The uploaded file.
+   * @param {string} file.fileName - The file's name.
+   * @param {string} [file.contentType] - The file's media type.
+   * @param {Buffer} file.content - The file content.
+   * @param {string} uploadedBy - The MongoDB ID of the staff member uploading it.
+   * @returns {Object} - Response object with { success, data: attachment, message } indicating success or failure.
+   * @how - Stores the file under a random key first, then adds it to the invoice with an update that only matches while the invoice is below the attachment limit; the stored file is removed again if the invoice does not take it.
+   */
+  static async addAttachment(invoiceId, { fileName, contentType, content }, uploadedBy) {
+    try {
+      const name = this.cleanFileName(fileName);
+      if (!name) {
+        return { success: false, message: 'A file name is required' };
+      }
+      if (!Buffer.isBuffer(content) || content.length === 0) {
+        return { success: false, message: 'The file is empty' };
+      }
+      if (content.length > storage.maxFileBytes) {
+        return { success: false, message: 'The file is too large' };
+      }
+      if (!await Invoice.exists({ _id: invoiceId })) {
+        return { success: false, message: 'Invoice not found' };
+      }
+
+      const attachment = {
+        key: `invoices/${invoiceId}/${crypto.randomBytes(16).toString('hex')}`,
+        fileName: name,
+        contentType: this.safeContentType(contentType),
+        size: content.length,
+        uploadedAt: new Date(),
+        uploadedBy
+      };
+      await StorageService.put(attachment.key, content, { contentType: attachment.contentType });
+
+      const invoice = await Invoice.findOneAndUpdate(
+        { _id: invoiceId, [`attachments.${storage.maxFilesPerInvoice - 1}`]: { $exists: false } },
+        { $push: { attachments: attachment } },
+        { new: true }
+      );
+      if (!invoice) {
+        await StorageService.remove(attachment.key);
+        return {
+          success: false,
+          message: await Invoice.exists({ _id: invoiceId })
+            ? `An invoice can have at most ${storage.maxFilesPerInvoice} attachments`
+            : 'Invoice not found'
+        };
+      }
+
+      return { success: true, data: invoice.attachments[invoice.attachments.length - 1] };
+    } catch (error) {
+      console.error('Error adding attachment:', error);
+      return { success: false, message: 'Could not save attachment' };
+    }
+  }
+
+  /**
+   * @description Reads a file attached to an invoice.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {string} attachmentId - The ID of the attachment on the invoice.
+   * @returns {Object} - Response object with { success, data: { attachment, content }, message }.
+   */
+  static async getAttachment(invoiceId, attachmentId) {
+    try {
+      const invoice = await Invoice.findOne({ _id: invoiceId, 'attachments._id': attachmentId }, { 'attachments.$': 1 });
+      if (!invoice) {
+        return { success: false, message: 'Attachment not found' };
+      }
+
+      const attachment = invoice.attachments[0];
+      const content = await StorageService.get(attachment.key);
+      return { success: true, data: { attachment, content } };
+    } catch (error) {
+      console.error('Error reading attachment:', error);
+      return { success: false, message: 'Could not read attachment' };
+    }
+  }
+
+  /**
+   * @description Removes a file attached to an invoice.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {string} attachmentId - The ID of the attachment on the invoice.
+   * @returns {Object} - Response object with { success, data: attachments, message } indicating success or failure.
+   * @how - Takes the attachment off the invoice before deleting the stored file, so a file that cannot be deleted is only left orphaned in storage and never listed without its content.
+   */
+  static async removeAttachment(invoiceId, attachmentId) {
+    try {
+      const previous = await Invoice.findOneAndUpdate(
+        { _id: invoiceId, 'attachments._id': attachmentId },
+        { $pull: { attachments: { _id: attachmentId } } }
+      );
+      if (!previous) {
+        return { success: false, message: 'Attachment not found' };
+      }
+
+      const attachment = previous.attachments.find(entry => entry._id.toString() === String(attachmentId));
+      try {
+        await StorageService.remove(attachment.key);
+      } catch (error) {
+        console.error(`Error deleting stored attachment ${attachment.key}:`, error);
+      }
+
+      return {
+        success: true,
+        data: previous.attachments.filter(entry => entry !== attachment),
+        message: 'Attachment removed successfully'
+      };
+    } catch (error) {
+      console.error('Error removing attachment:', error);
+      return { success: false, message: 'Could not remove attachment' };
+    }
+  }
+};
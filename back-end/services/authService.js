@@ -1,5 +1,13 @@
+const crypto = require('crypto');
 const Staff = require('../models/staff');
+const Client = require('../models/client');
 const { generateToken } = require('../middleware/auth');
+const app = require('../config/app');
+const company = require('../config/company');
+const portal = require('../config/portal');
+const MailService = require('./mailService');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 module.exports = class AuthService {
   /**
@@ -95,4 +103,228 @@ module.exports = class AuthService {
       return { success: false, message: 'Login failed' };
     }
   }
-}; 
\ No newline at end of file
+
+  /**
+   * @description Builds the token and user data returned when a client signs in to the portal
+   * @param {Object} client - The client document
+   * @returns {Object} - { token, user }
+   */
+  static clientSession(client) {
+    const userData = client.toPublicJSON();
+    userData.type = 'client';
+
+    return {
+      token: generateToken({ id: client._id, type: 'client', ver: client.portal.tokenVersion || 0 }),
+      user: userData
+    };
+  }
+
+  /**
+   * @description Invites a client to the portal by emailing them a link to set their password
+   * @param {string} clientId - The MongoDB ID of the client
+   * @param {string} [invitedBy] - The MongoDB ID of the staff member sending the invitation
+   * @returns {Object} - Response object with { client, inviteUrl, emailed }; the url can be passed on by hand if the email failed
+   * @how - Stores only a hash of the single-use token. Inviting again replaces the previous invitation and signs the client out everywhere, see authenticateToken.
+   */
+  static async inviteClient(clientId, invitedBy) {
+    try {
+      const token = crypto.randomBytes(32).toString('hex');
+      const now = new Date();
+      const client = await Client.findOneAndUpdate(
+        { _id: clientId, status: 'active' },
+        {
+          $set: {
+            'portal.invitedAt': now,
+            'portal.invitedBy': invitedBy,
+            inviteToken: { hash: hashToken(token), expiresAt: new Date(now.getTime() + portal.inviteExpiryDays * 24 * 60 * 60 * 1000) }
+          },
+          $inc: { 'portal.tokenVersion': 1 }
+        },
+        { new: true }
+      );
+      if (!client) {
+        return { success: false, message: 'Client not found or inactive' };
+      }
+
+      const inviteUrl = `${app.url}/portal/accept-invite?token=${token}`;
+      const email = await MailService.send({
+        to: client.email,
+        subject: `Your ${company.name} client portal`,
+        text: `Hello ${client.name},\n\n${company.name} has invited you to its client portal, where you can see your invoices, balances and statements.\n\nSet your password to get started: ${inviteUrl}\n\nThis link expires in ${portal.inviteExpiryDays} days.\n\n${company.name}`
+      });
+
+      return {
+        success: true,
+        data: { client: client.toPublicJSON(), inviteUrl, emailed: email.success },
+        message: email.success ? undefined : email.message
+      };
+    } catch (error) {
+      console.error('Error inviting client:', error);
+      return { success: false, message: 'Could not invite client' };
+    }
+  }
+
+  /**
+   * @description Accepts a portal invitation, setting the client's password and signing them in
+   * @param {Object} params - Invitation parameters
+   * @param {string} params.token - The token from the invitation link
+   * @param {string} params.password - The password chosen by the client
+   * @returns {Object} - Response object with token and client data
+   */
+  static async acceptClientInvite({ token, password }) {
+    try {
+      if (!token || !password) {
+        return { success: false, message: 'Token and password are required' };
+      }
+
+      if (password.length < 6) {
+        return { success: false, message: 'Password must be at least 6 characters' };
+      }
+
+      // Claim the invitation first so it can only be used once
+      const client = await Client.findOneAndUpdate(
+        { 'inviteToken.hash': hashToken(token), 'inviteToken.expiresAt': { $gt: new Date() }, status: 'active' },
+        { $unset: { inviteToken: 1 } },
+        { new: true }
+      );
+      if (!client) {
+        return { success: false, message: 'This invitation is not valid or has expired' };
+      }
+
+      const now = new Date();
+      client.password = password;
+      client.portal.enabled = true;
+      client.portal.activatedAt = now;
+      client.portal.lastLoginAt = now;
+      await client.save();
+
+      return { success: true, data: this.clientSession(client) };
+    } catch (error) {
+      console.error('Error accepting client invite:', error);
+      return { success: false, message: 'Could not accept invitation' };
+    }
+  }
+
+  /**
+   * @description Authenticates a client signing in to the portal with their password
+   * @param {string} email - Client email
+   * @param {string} password - Client password
+   * @returns {Object} - Response object with token and client data
+   */
+  static async loginClient(email, password) {
+    try {
+      if (!email || !password) {
+        return { success: false, message: 'Email and password are required' };
+      }
+
+      const client = await Client.findOne({ email: String(email).toLowerCase().trim() }).select('+password');
+      if (!client || !client.portal.enabled) {
+        return { success: false, message: 'Invalid credentials' };
+      }
+
+      if (client.status !== 'active') {
+        return { success: false, message: 'Account is inactive' };
+      }
+
+      const isPasswordValid = await client.comparePassword(password);
+      if (!isPasswordValid) {
+        return { success: false, message: 'Invalid credentials' };
+      }
+
+      await Client.updateOne({ _id: client._id }, { $set: { 'portal.lastLoginAt': new Date() } });
+
+      return { success: true, data: this.clientSession(client) };
+    } catch (error) {
+      console.error('Error logging in client:', error);
+      return { success: false, message: 'Login failed' };
+    }
+  }
+
+  /**
+   * @description Emails a client a single-use link that signs them in to the portal
+   * @param {string} email - Client email
+   * @returns {Object} - Response object that succeeds whether or not the email belongs to a portal account, so accounts cannot be discovered
+   */
+  static async requestClientLoginLink(email) {
+    try {
+      if (!email) {
+        return { success: false, message: 'Email is required' };
+      }
+
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + portal.loginLinkExpiryMinutes * 60 * 1000);
+      const client = await Client.findOneAndUpdate(
+        { email: String(email).toLowerCase().trim(), status: 'active', 'portal.enabled': true },
+        { $set: { loginToken: { hash: hashToken(token), expiresAt } } },
+        { new: true }
+      );
+
+      if (client) {
+        await MailService.send({
+          to: client.email,
+          subject: `Sign in to the ${company.name} client portal`,
+          text: `Hello ${client.name},\n\nUse this link to sign in to the client portal: ${app.url}/portal/login?token=${token}\n\nThe link expires in ${portal.loginLinkExpiryMinutes} minutes and can be used once. If you did not ask to sign in, you can ignore this email.\n\n${company.name}`
+        });
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error sending client login link:', error);
+      return { success: false, message: 'Could not send sign-in link' };
+    }
+  }
+
+  /**
+   * @description Signs a client in with the token from an emailed sign-in link
+   * @param {string} token - The token from the link
+   * @returns {Object} - Response object with token and client data
+   */
+  static async loginClientWithLink(token) {
+    try {
+      if (!token) {
+        return { success: false, message: 'Token is required' };
+      }
+
+      const client = await Client.findOneAndUpdate(
+        { 'loginToken.hash': hashToken(token), 'loginToken.expiresAt': { $gt: new Date() }, status: 'active', 'portal.enabled': true },
+        { $unset: { loginToken: 1 }, $set: { 'portal.lastLoginAt': new Date() } },
+        { new: true }
+      );
+      if (!client) {
+        return { success: false, message: 'This sign-in link is not valid or has expired' };
+      }
+
+      return { success: true, data: this.clientSession(client) };
+    } catch (error) {
+      console.error('Error logging in client with link:', error);
+      return { success: false, message: 'Login failed' };
+    }
+  }
+
+  /**
+   * @description Removes a client's portal access, signing them out and discarding their password and any pending links
+   * @param {string} clientId - The MongoDB ID of the client
+   * @returns {Object} - Response object with the updated client
+   */
+  static async revokeClientAccess(clientId) {
+    try {
+      const client = await Client.findByIdAndUpdate(
+        clientId,
+        {
+          $set: { 'portal.enabled': false },
+          $unset: { password: 1, inviteToken: 1, loginToken: 1, 'portal.invitedAt': 1, 'portal.invitedBy': 1 },
+          $inc: { 'portal.tokenVersion': 1 }
+        },
+        { new: true }
+      );
+      if (!client) {
+        return { success: false, message: 'Client not found' };
+      }
+
+      return { success: true, data: client.toPublicJSON() };
+    } catch (error) {
+      console.error('Error revoking client access:', error);
+      return { success: false, message: 'Could not revoke portal access' };
+    }
+  }
+};
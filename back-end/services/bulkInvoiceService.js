@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const InvoiceService = require('./invoiceService');
+const PaymentService = require('./paymentService');
+const ReminderService = require('./reminderService');
+const ExportService = require('./exportService');
+
+// Most invoices one bulk action may touch, so a careless filter cannot run over the whole ledger
+const MAX_BULK_INVOICES = 500;
+
+module.exports = class BulkInvoiceService {
+  /**
+   * @description Works out which invoices a bulk action applies to.
+   * @param {Object} selection - Either the invoices picked by hand or a list filter; not both.
+   * @param {Array<string>} [selection.ids] - MongoDB IDs of the invoices.
+   * @param {Object} [selection.filter] - Invoice list filters, as accepted by InvoiceService.buildListFilter.
+   * @returns {Object} - Response object with { success, data: ids, message } indicating success or failure.
+   * @how - IDs are de-duplicated and kept in the order given. A filter is resolved to the matching invoices in the list's default order, and is refused when it matches more than MAX_BULK_INVOICES.
+   */
+  static async resolveSelection({ ids, filter } = {}) {
+    if (ids !== undefined && filter !== undefined) {
+      return { success: false, message: 'Send either invoice IDs or a filter, not both' };
+    }
+
+    if (ids !== undefined) {
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return { success: false, message: 'Select at least one invoice' };
+      }
+      const unique = [...new Set(ids.map(String))];
+      if (unique.some(id => !mongoose.isValidObjectId(id))) {
+        return { success: false, message: 'Invalid invoice ID' };
+      }
+      if (unique.length > MAX_BULK_INVOICES) {
+        return { success: false, message: `At most ${MAX_BULK_INVOICES} invoices can be changed at once` };
+      }
+      return { success: true, data: unique };
+    }
+
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return { success: false, message: 'Send a list of invoice IDs or a filter' };
+    }
+    const filterResult = InvoiceService.buildListFilter(InvoiceService.pickListFilters(filter));
+    if (!filterResult.success) {
+      return filterResult;
+    }
+
+    const count = await Invoice.countDocuments(filterResult.data);
+    if (count === 0) {
+      return { success: false, message: 'No invoices match the filter' };
+    }
+    if (count > MAX_BULK_INVOICES) {
+      return { success: false, message: `${count} invoices match the filter, narrow it down to at most ${MAX_BULK_INVOICES}` };
+    }
+
+    const invoices = await Invoice.find(filterResult.data)
+      .select('_id')
+      .sort(InvoiceService.buildListSort().data);
+    return { success: true, data: invoices.map(invoice => String(invoice._id)) };
+  }
+
+  /**
+   * @description Runs an action on each selected invoice and reports how each one went.
+   * @param {Object} selection - The invoices to act on, see resolveSelection.
+   * @param {Function} action - Called with each invoice ID; resolves to a { success, message } response.
+   * @returns {Object} - Response object with { success, data: { total, succeeded, failed, results }, message }; success only says the selection was valid, each result carries its own outcome.
+   * @how - Invoices are handled one after the other so stock, payments and the mail transport see the same load as single actions, and one invoice failing does not stop the rest.
+   */
+  static async run(selection, action) {
+    try {
+      const selected = await this.resolveSelection(selection);
+      if (!selected.success) {
+        return selected;
+      }
+
+      const numbers = new Map(
+        (await Invoice.find({ _id: { $in: selected.data } }).select('invoiceNumber'))
+          .map(invoice => [String(invoice._id), invoice.invoiceNumber])
+      );
+
+      const results = [];
+      for (const id of selected.data) {
+        let response;
+        if (!numbers.has(id)) {
+          response = { success: false, message: 'Invoice not found' };
+        } else {
+          try {
+            response = await action(id);
+          } catch (error) {
+            console.error(`Error in bulk action for invoice ${id}:`, error);
+            response = { success: false, message: 'An unexpected error occurred' };
+          }
+        }
+
+        results.push({
+          invoiceId: id,
+          invoiceNumber: numbers.get(id) || null,
+          success: response.success,
+          ...(!response.success && { message: response.message })
+        });
+      }
+
+      const succeeded = results.filter(result => result.success).length;
+      return {
+        success: true,
+        data: { total: results.length, succeeded, failed: results.length - succeeded, results }
+      };
+    } catch (error) {
+      console.error('Error running bulk invoice action:', error);
+      return { success: false, message: 'Could not run bulk action' };
+    }
+  }
+
+  /**
+   * @description Marks the selected invoices as paid, recording a payment for each remaining balance.
+   * @param {Object} selection - The invoices, see resolveSelection.
+   * @param {string} [by] - The MongoDB ID of the staff member.
+   * @returns {Object} - Per-invoice results, see run.
+   */
+  static async markPaid(selection, by) {
+    return this.run(selection, id => PaymentService.settleInvoice(id, by));
+  }
+
+  /**
+   * @description Emails a payment reminder for each selected invoice now.
+   * @param {Object} selection - The invoices, see resolveSelection.
+   * @param {string} [by] - The MongoDB ID of the staff member.
+   * @returns {Object} - Per-invoice results, see run.
+   */
+  static async sendReminders(selection, by) {
+    return this.run(selection, id => ReminderService.sendManualReminder(id, { by }));
+  }
+
+  /**
+   * @description Voids the selected invoices with one reason.
+   * @param {Object} selection - The invoices, see resolveSelection.
+   * @param {string} reason - Why the invoices are being voided.
+   * @param {string} [by] - The MongoDB ID of the staff member.
+   * @returns {Object} - Per-invoice results, see run.
+   */
+  static async voidInvoices(selection, reason, by) {
+    if (!reason || !String(reason).trim()) {
+      return { success: false, message: 'A reason is required' };
+    }
+    return this.run(selection, id => InvoiceService.voidInvoice(id, reason, by));
+  }
+
+  /**
+   * @description Prepares the export of the selected invoices.
+   * @param {Object} selection - The invoices, see resolveSelection.
+   * @returns {Object} - Response object with { success, data: { name, columns, rows }, message }, to stream with ExportService.stream.
+   */
+  static async exportInvoices(selection) {
+    try {
+      const selected = await this.resolveSelection(selection);
+      if (!selected.success) {
+        return selected;
+      }
+      return ExportService.selectedInvoiceExport(selected.data);
+    } catch (error) {
+      console.error('Error exporting invoices:', error);
+      return { success: false, message: 'Could not export invoices' };
+    }
+  }
+};
@@ -1,4 +1,5 @@
 const Client = require('../models/client');
+const CurrencyService = require('./currencyService');
 
 module.exports = class ClientService {
     /**
@@ -9,17 +10,21 @@ module.exports = class ClientService {
    * @param {string} [params.email] - The client's email (unique).
    * @param {string} [params.address] - The client's address.
    * @param {string} [params.billingAddress] - The client's billing address.
+   * @param {string} [params.currency] - Currency the client is invoiced in; the base currency when omitted.
    * @returns {Object} - Response object with { success, data: client, message } indicating success or failure.
    * @throws {Error} - If validation fails or database operations encounter issues.
    * @how - Validates the name, checks for duplicate phone/email, and saves the client with default 'active' status.
    */
-  static async createClient({ name, phone_number, email, address, billingAddress }) {
+  static async createClient({ name, phone_number, email, address, billingAddress, currency }) {
     try {
       if (!name) {
         return { success: false, message: 'Name is required' };
       }
+      if (currency && !CurrencyService.isValidCurrency(String(currency).toUpperCase())) {
+        return { success: false, message: 'Currency must be a three-letter code, e.g. EUR' };
+      }
 
-      const client = new Client({ name, phone_number, email, address, billingAddress, status: 'active' });
+      const client = new Client({ name, phone_number, email, address, billingAddress, currency, status: 'active' });
       await client.save();
 
       return { success: true, data: client };
@@ -35,20 +40,25 @@ module.exports = class ClientService {
   /**
    * @description Updates an existing client's details.
    * @param {string} clientId - The MongoDB ID of the client to update.
-   * @param {Object} params - Update parameters (name, phone_number, email, address, billingAddress, status).
+   * @param {Object} params - Update parameters (name, phone_number, email, address, billingAddress, currency, status).
    * @param {string} [params.name] - The updated name.
    * @param {string} [params.phone_number] - The updated phone number.
    * @param {string} [params.email] - The updated email.
    * @param {string} [params.address] - The updated address.
    * @param {string} [params.billingAddress] - The updated billing address.
+   * @param {string} [params.currency] - The updated invoicing currency; an empty string falls back to the base currency.
    * @param {string} [params.status] - The updated status ('active' or 'inactive').
    * @returns {Object} - Response object with { success, data: updatedClient, message } indicating success or failure.
    * @throws {Error} - If the client is not found or validation fails.
    * @how - Validates and applies updates, ensuring status is within enum if provided, and returns the updated client.
    */
-  static async updateClient(clientId, { name, phone_number, email, address, billingAddress, status }) {
+  static async updateClient(clientId, { name, phone_number, email, address, billingAddress, currency, status }) {
     try {
-      const updateData = { name, phone_number, email, address, billingAddress };
+      if (currency && !CurrencyService.isValidCurrency(String(currency).toUpperCase())) {
+        return { success: false, message: 'Currency must be a three-letter code, e.g. EUR' };
+      }
+
+      const updateData = { name, phone_number, email, address, billingAddress, currency };
       if (status && ['active', 'inactive'].includes(status)) updateData.status = status;
 
       const client = await Client.findByIdAndUpdate(clientId, updateData, { new: true, runValidators: true });
@@ -108,6 +118,28 @@ module.exports = class ClientService {
     }
   }
 
+  /**
+   * @description Builds the MongoDB filter for the active client list, shared with the client export.
+   * @param {Object} [params={}] - Filter parameters.
+   * @param {string} [params.search] - Search term matched against the name, phone number, email and addresses.
+   * @returns {Object} - The filter.
+   */
+  static buildListFilter({ search } = {}) {
+    const searchRegex = search ? new RegExp(search, 'i') : null;
+    return {
+      status: 'active',
+      ...(searchRegex ? {
+        $or: [
+          { name: searchRegex },
+          { phone_number: searchRegex },
+          { email: searchRegex },
+          { address: searchRegex },
+          { billingAddress: searchRegex },
+        ],
+      } : {}),
+    };
+  }
+
   /**
    * @description Retrieves a paginated list of active clients with optional search.
    * @param {Object} [params={}] - Pagination and search parameters.
@@ -120,38 +152,15 @@ module.exports = class ClientService {
    */
   static async getActiveClients({ page = 1, limit = 10, search } = {}) {
     try {
-      const queryFilter = { status: 'active' };
-      const searchRegex = search ? new RegExp(search, 'i') : null;
+      const queryFilter = this.buildListFilter({ search });
 
       const skip = (page - 1) * limit;
-      const clients = await Client.find({
-        ...queryFilter,
-        ...(searchRegex ? {
-          $or: [
-            { name: searchRegex },
-            { phone_number: searchRegex },
-            { email: searchRegex },
-            { address: searchRegex },
-            { billingAddress: searchRegex },
-          ],
-        } : {}),
-      })
+      const clients = await Client.find(queryFilter)
         .skip(skip)
         .limit(limit)
         .sort({ createdAt: -1 });
 
-      const totalClients = await Client.countDocuments({
-        ...queryFilter,
-        ...(searchRegex ? {
-          $or: [
-            { name: searchRegex },
-            { phone_number: searchRegex },
-            { email: searchRegex },
-            { address: searchRegex },
-            { billingAddress: searchRegex },
-          ],
-        } : {}),
-      });
+      const totalClients = await Client.countDocuments(queryFilter);
 
       const totalPages = Math.ceil(totalClients / limit);
 
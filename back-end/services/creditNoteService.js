@@ -0,0 +1,260 @@
+const CreditNote = require('../models/creditNote');
+const Invoice = require('../models/invoice');
+const Payment = require('../models/payment');
+const InvoiceService = require('./invoiceService');
+const SequenceService = require('./sequenceService');
+const CurrencyService = require('./currencyService');
+
+const CREDIT_NOTE_PATTERN = 'CN-{YYYY}-{seq:5}';
+const CREDIT_NOTE_COUNTER = 'credit-note';
+const REFUND_METHODS = Payment.schema.path('method').enumValues;
+
+module.exports = class CreditNoteService {
+  /**
+   * @description Works out what each line of an invoice was actually charged, so it can be credited back.
+   * @param {Object} invoice - The invoice document.
+   * @returns {Array<Object>} - Per line { line, amount, taxAmount }, where amount includes tax and is after the line and invoice-wide discounts.
+   * @how - Re-splits the invoice-wide discount across lines with the same pro-rata allocation used when the invoice was created.
+   */
+  static chargedLineAmounts(invoice) {
+    const discountedAmounts = invoice.items.map(line => InvoiceService.roundMoney(line.lineTotal - (line.discountAmount || 0)));
+    const discountShares = InvoiceService.allocateDiscount(invoice.discountAmount || 0, discountedAmounts);
+
+    return invoice.items.map((line, index) => {
+      const net = InvoiceService.roundMoney(discountedAmounts[index] - discountShares[index]);
+      const taxAmount = line.taxAmount || 0;
+      return {
+        line,
+        amount: invoice.taxInclusive ? net : InvoiceService.roundMoney(net + taxAmount),
+        taxAmount
+      };
+    });
+  }
+
+  /**
+   * @description Builds the credited lines of a credit note, refusing quantities that were already credited.
+   * @param {Object} invoice - The invoice being credited.
+   * @param {Array<Object>} requestedLines - Lines with { lineId, quantity }.
+   * @returns {Object} - { lines, lineCredits } or { error } describing the first invalid line; lineCredits sums the lines per invoice line for InvoiceService.applyCredit.
+   * @how - What was credited before is read from the invoice lines, which applyCredit only changes while they still hold the values read here.
+   */
+  static buildCreditLines(invoice, requestedLines) {
+    const credited = new Map(invoice.items.map(line => [String(line._id), {
+      quantity: line.creditedQuantity || 0,
+      amount: line.creditedAmount || 0,
+      taxAmount: line.creditedTaxAmount || 0
+    }]));
+    const lineCredits = new Map();
+    const addCredited = (line) => {
+      const key = String(line.lineItem);
+      const totals = credited.get(key);
+      credited.set(key, {
+        quantity: totals.quantity + line.quantity,
+        amount: totals.amount + line.amount,
+        taxAmount: totals.taxAmount + line.taxAmount
+      });
+
+      const claim = lineCredits.get(key) || { lineItem: line.lineItem, quantity: 0, amount: 0, taxAmount: 0 };
+      lineCredits.set(key, {
+        ...claim,
+        quantity: claim.quantity + line.quantity,
+        amount: InvoiceService.roundMoney(claim.amount + line.amount),
+        taxAmount: InvoiceService.roundMoney(claim.taxAmount + line.taxAmount)
+      });
+    };
+
+    const charged = new Map(this.chargedLineAmounts(invoice).map(entry => [String(entry.line._id), entry]));
+    const lines = [];
+    for (const requested of requestedLines) {
+      const entry = charged.get(String(requested.lineId));
+      if (!entry) {
+        return { error: 'Credited lines must belong to the invoice' };
+      }
+
+      const { line, amount, taxAmount } = entry;
+      const quantity = Number(requested.quantity);
+      const previous = credited.get(String(line._id));
+      const remaining = line.quantity - previous.quantity;
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining) {
+        return { error: `Quantity to credit for "${line.name}" must be a whole number between 1 and ${remaining}` };
+      }
+
+      // Crediting the rest of a line gives back exactly what is left of it, so rounding never leaves cents behind
+      const creditLine = {
+        lineItem: line._id,
+        item: line.item,
+        name: line.name,
+        quantity,
+        amount: InvoiceService.roundMoney(quantity === remaining ? amount - previous.amount : amount * quantity / line.quantity),
+        taxAmount: InvoiceService.roundMoney(quantity === remaining ? taxAmount - previous.taxAmount : taxAmount * quantity / line.quantity)
+      };
+      addCredited(creditLine);
+      lines.push(creditLine);
+    }
+
+    return {
+      lines,
+      lineCredits: [...lineCredits.values()].map(claim => ({
+        ...claim,
+        creditedQuantity: invoice.items.id(claim.lineItem).creditedQuantity || 0
+      }))
+    };
+  }
+
+  /**
+   * @description Issues a credit note against an invoice, crediting whole or partial lines and/or a free amount.
+   * @param {string} invoiceId - The MongoDB ID of the invoice being credited.
+   * @param {Object} params - Credit note parameters.
+   * @param {Array<Object>} [params.lines=[]] - Lines to credit as { lineId, quantity }, lineId being the invoice line's _id.
+   * @param {number} [params.amount=0] - Amount credited on top of the lines, in the invoice currency.
+   * @param {string} params.reason - Why the invoice is being credited.
+   * @param {boolean} [params.restock=false] - Put the credited line quantities back into stock.
+   * @param {Object} [params.refund] - { method, reference } of the refund, required when the invoice was paid beyond its new total.
+   * @param {string} [createdBy] - The MongoDB ID of the staff member issuing the credit note.
+   * @returns {Object} - Response object with { success, data: { creditNote, invoice }, message } indicating success or failure.
+   * @how - Prices the credited lines at what they were charged, applies the credit to the invoice balance and its lines (refunding any excess payment) in one update that fails if another credit note took from the same lines in the meantime, then numbers and saves the credit note from its own gap-free sequence. The invoice and number are rolled back if the save fails; stock is only returned once the credit note exists.
+   */
+  static async createCreditNote(invoiceId, { lines = [], amount = 0, reason, restock = false, refund = {} }, createdBy) {
+    try {
+      if (!reason || !String(reason).trim()) {
+        return { success: false, message: 'A reason is required' };
+      }
+      if (!Array.isArray(lines)) {
+        return { success: false, message: 'Credited lines must be provided as an array' };
+      }
+      const additionalAmount = InvoiceService.roundMoney(Number(amount || 0));
+      if (!Number.isFinite(additionalAmount) || additionalAmount < 0) {
+        return { success: false, message: 'Amount must be a positive number' };
+      }
+      if (refund.method !== undefined && !REFUND_METHODS.includes(refund.method)) {
+        return { success: false, message: `Refund method must be one of ${REFUND_METHODS.join(', ')}` };
+      }
+
+      const invoice = await Invoice.findById(invoiceId);
+      if (!invoice) {
+        return { success: false, message: 'Invoice not found' };
+      }
+      if (invoice.status === 'draft') {
+        return { success: false, message: 'Draft invoices cannot be credited, edit or delete the draft instead' };
+      }
+      if (invoice.status === 'void') {
+        return { success: false, message: 'Void invoices cannot be credited' };
+      }
+      if (invoice.status === 'written_off') {
+        return { success: false, message: 'Written off invoices cannot be credited' };
+      }
+
+      const built = this.buildCreditLines(invoice, lines);
+      if (built.error) {
+        return { success: false, message: built.error };
+      }
+
+      const total = InvoiceService.roundMoney(built.lines.reduce((sum, line) => sum + line.amount, 0) + additionalAmount);
+      if (total <= 0) {
+        return { success: false, message: 'Select lines or enter an amount to credit' };
+      }
+      const creditable = InvoiceService.roundMoney(invoice.total - (invoice.creditedAmount || 0));
+      if (total > creditable) {
+        return { success: false, message: `Credit exceeds the uncredited amount of ${CurrencyService.formatMoney(creditable, invoice.currency)}` };
+      }
+      if (total > invoice.balanceDue && !refund.method) {
+        const refundAmount = InvoiceService.roundMoney(total - invoice.balanceDue);
+        return { success: false, message: `Choose a refund method, ${CurrencyService.formatMoney(refundAmount, invoice.currency)} has already been paid and must be refunded` };
+      }
+
+      const applied = await InvoiceService.applyCredit(invoiceId, total, built.lineCredits);
+      if (applied.error) {
+        return { success: false, message: applied.error };
+      }
+
+      let counterSeq;
+      try {
+        const issueDate = new Date();
+        counterSeq = await SequenceService.next(CREDIT_NOTE_COUNTER);
+        const creditNote = await CreditNote.create({
+          creditNoteNumber: SequenceService.format(CREDIT_NOTE_PATTERN, counterSeq, issueDate),
+          invoice: invoiceId,
+          client: invoice.client,
+          currency: invoice.currency,
+          exchangeRate: invoice.exchangeRate,
+          issueDate,
+          reason,
+          lines: built.lines,
+          additionalAmount,
+          total,
+          restocked: Boolean(restock) && built.lines.length > 0,
+          refund: applied.refundAmount > 0
+            ? { amount: applied.refundAmount, method: refund.method || 'other', reference: refund.reference }
+            : { amount: 0 },
+          createdBy
+        });
+
+        if (creditNote.restocked) {
+          await InvoiceService.releaseItems(built.lines);
+        }
+
+        return { success: true, data: { creditNote, invoice: applied.invoice } };
+      } catch (error) {
+        await InvoiceService.reverseCredit(invoiceId, { amount: total, lineCredits: built.lineCredits, ...applied });
+        if (counterSeq !== undefined) {
+          await SequenceService.release(CREDIT_NOTE_COUNTER, counterSeq);
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error creating credit note:', error);
+      return { success: false, message: 'Could not create credit note' };
+    }
+  }
+
+  /**
+   * @description Retrieves credit notes, newest first, optionally for one invoice or client.
+   * @param {Object} [params={}] - Filter parameters.
+   * @param {string} [params.invoiceId] - Only credit notes against this invoice.
+   * @param {string} [params.clientId] - Only credit notes for this client.
+   * @returns {Object} - Response object with { success, data: creditNotes, message }.
+   */
+  static async getCreditNotes({ invoiceId, clientId } = {}) {
+    try {
+      const queryFilter = {};
+      if (invoiceId) {
+        queryFilter.invoice = invoiceId;
+      }
+      if (clientId) {
+        queryFilter.client = clientId;
+      }
+
+      const creditNotes = await CreditNote.find(queryFilter)
+        .populate('invoice', 'invoiceNumber')
+        .populate('createdBy', 'name')
+        .sort({ issueDate: -1, createdAt: -1 });
+
+      return { success: true, data: creditNotes };
+    } catch (error) {
+      console.error('Error fetching credit notes:', error);
+      return { success: false, message: 'Could not fetch credit notes' };
+    }
+  }
+
+  /**
+   * @description Retrieves a single credit note with its invoice and client.
+   * @param {string} creditNoteId - The MongoDB ID of the credit note.
+   * @returns {Object} - Response object with { success, data: creditNote, message }.
+   */
+  static async getCreditNote(creditNoteId) {
+    try {
+      const creditNote = await CreditNote.findById(creditNoteId)
+        .populate('invoice', 'invoiceNumber total')
+        .populate('client', 'name email')
+        .populate('createdBy', 'name');
+      if (!creditNote) {
+        return { success: false, message: 'Credit note not found' };
+      }
+
+      return { success: true, data: creditNote };
+    } catch (error) {
+      console.error('Error fetching credit note:', error);
+      return { success: false, message: 'Could not fetch credit note' };
+    }
+  }
+};
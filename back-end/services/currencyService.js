@@ -0,0 +1,156 @@
+const ExchangeRate = require('../models/exchangeRate');
+const Invoice = require('../models/invoice');
+const SettingsService = require('./settingsService');
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+module.exports = class CurrencyService {
+  /**
+   * @description Checks that a value is an ISO 4217 style currency code.
+   * @param {string} currency - The currency code, e.g. 'EUR'.
+   * @returns {boolean} - True if the code is three upper-case letters.
+   */
+  static isValidCurrency(currency) {
+    return typeof currency === 'string' && CURRENCY_CODE.test(currency);
+  }
+
+  /**
+   * @description Retrieves the currency analytics are reported in.
+   * @returns {Promise<string>} - The base currency code.
+   */
+  static async getBaseCurrency() {
+    const settings = await SettingsService.getSettings();
+    return settings.baseCurrency;
+  }
+
+  /**
+   * @description Retrieves the base currency and the locally maintained exchange rate table.
+   * @returns {Object} - Response object with { success, data: { baseCurrency, rates }, message }.
+   */
+  static async getCurrencies() {
+    try {
+      const [baseCurrency, rates] = await Promise.all([
+        this.getBaseCurrency(),
+        ExchangeRate.find().sort({ currency: 1 })
+      ]);
+
+      return { success: true, data: { baseCurrency, rates } };
+    } catch (error) {
+      console.error('Error fetching currencies:', error);
+      return { success: false, message: 'Could not fetch currencies' };
+    }
+  }
+
+  /**
+   * @description Changes the base currency.
+   * @param {string} baseCurrency - The new base currency code.
+   * @returns {Object} - Response object with { success, data: { baseCurrency, rates }, message } indicating success or failure.
+   * @how - Refuses once invoices exist, because their stored exchange rates are relative to the current base currency.
+   */
+  static async updateBaseCurrency(baseCurrency) {
+    try {
+      const currency = String(baseCurrency || '').toUpperCase();
+      if (!this.isValidCurrency(currency)) {
+        return { success: false, message: 'Currency must be a three-letter code, e.g. USD' };
+      }
+
+      const settings = await SettingsService.getSettings();
+      if (settings.baseCurrency !== currency && await Invoice.exists({})) {
+        return { success: false, message: 'The base currency cannot be changed once invoices exist' };
+      }
+
+      settings.baseCurrency = currency;
+      await settings.save();
+
+      return this.getCurrencies();
+    } catch (error) {
+      console.error('Error updating base currency:', error);
+      return { success: false, message: 'Could not update base currency' };
+    }
+  }
+
+  /**
+   * @description Creates or updates the exchange rate of a currency. Issued invoices keep the rate they were created with.
+   * @param {string} currency - The currency code.
+   * @param {number} rate - Value of one unit of the currency in the base currency.
+   * @returns {Object} - Response object with { success, data: exchangeRate, message } indicating success or failure.
+   */
+  static async setExchangeRate(currency, rate) {
+    try {
+      const code = String(currency || '').toUpperCase();
+      if (!this.isValidCurrency(code)) {
+        return { success: false, message: 'Currency must be a three-letter code, e.g. EUR' };
+      }
+      if (code === await this.getBaseCurrency()) {
+        return { success: false, message: 'The base currency always has a rate of 1' };
+      }
+      if (!Number.isFinite(rate) || rate <= 0) {
+        return { success: false, message: 'Rate must be a positive number' };
+      }
+
+      const exchangeRate = await ExchangeRate.findOneAndUpdate(
+        { currency: code },
+        { rate },
+        { new: true, upsert: true, runValidators: true }
+      );
+
+      return { success: true, data: exchangeRate };
+    } catch (error) {
+      console.error('Error setting exchange rate:', error);
+      return { success: false, message: 'Could not set exchange rate' };
+    }
+  }
+
+  /**
+   * @description Removes a currency from the exchange rate table so no new invoices can be issued in it.
+   * @param {string} currency - The currency code.
+   * @returns {Object} - Response object with { success, message } indicating success or failure.
+   */
+  static async deleteExchangeRate(currency) {
+    try {
+      const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: String(currency || '').toUpperCase() });
+      if (!exchangeRate) {
+        return { success: false, message: 'Exchange rate not found' };
+      }
+
+      return { success: true, message: 'Exchange rate deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+      return { success: false, message: 'Could not delete exchange rate' };
+    }
+  }
+
+  /**
+   * @description Looks up the current rate from a currency to the base currency.
+   * @param {string} currency - The currency code.
+   * @returns {Object} - Response object with { success, data: { currency, baseCurrency, rate }, message }; fails if no rate is maintained for the currency.
+   */
+  static async getRateToBase(currency) {
+    try {
+      const baseCurrency = await this.getBaseCurrency();
+      if (currency === baseCurrency) {
+        return { success: true, data: { currency, baseCurrency, rate: 1 } };
+      }
+
+      const exchangeRate = await ExchangeRate.findOne({ currency });
+      if (!exchangeRate) {
+        return { success: false, message: `No exchange rate for ${currency}, add one before invoicing in it` };
+      }
+
+      return { success: true, data: { currency, baseCurrency, rate: exchangeRate.rate } };
+    } catch (error) {
+      console.error('Error fetching exchange rate:', error);
+      return { success: false, message: 'Could not fetch exchange rate' };
+    }
+  }
+
+  /**
+   * @description Formats an amount of money in a currency for display.
+   * @param {number} amount - The amount to format.
+   * @param {string} [currency='USD'] - The currency code.
+   * @returns {string} - The formatted amount, e.g. '€1,234.50'.
+   */
+  static formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount || 0));
+  }
+};
@@ -0,0 +1,48 @@
+const company = require('../config/company');
+const CurrencyService = require('./currencyService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = class EmailTemplateService {
+  /**
+   * @description Fills the {{placeholders}} of an email template.
+   * @param {string} template - Template text, e.g. 'Invoice {{invoiceNumber}} is overdue'.
+   * @param {Object} values - Placeholder values by name.
+   * @returns {string} - The text with every known placeholder replaced; unknown ones are left as they are.
+   */
+  static render(template, values) {
+    return String(template).replace(/{{\s*(\w+)\s*}}/g, (match, name) => (
+      values[name] !== undefined ? String(values[name]) : match
+    ));
+  }
+
+  /**
+   * @description Formats a date the way client emails show it.
+   * @param {Date|string} date - The date.
+   * @returns {string} - e.g. 'March 05, 2026'.
+   */
+  static formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: '2-digit' });
+  }
+
+  /**
+   * @description Builds the placeholder values available to emails about an invoice.
+   * @param {Object} invoice - Invoice with its client populated.
+   * @param {Date} [now=new Date()] - The time the email is sent.
+   * @returns {Object} - { clientName, invoiceNumber, amountDue, total, issueDate, dueDate, daysOverdue, daysUntilDue, companyName }.
+   */
+  static invoiceValues(invoice, now = new Date()) {
+    const dueDate = new Date(invoice.dueDate);
+    return {
+      clientName: invoice.client ? invoice.client.name : '',
+      invoiceNumber: invoice.invoiceNumber,
+      amountDue: CurrencyService.formatMoney(invoice.balanceDue, invoice.currency),
+      total: CurrencyService.formatMoney(invoice.total, invoice.currency),
+      issueDate: this.formatDate(invoice.issueDate),
+      dueDate: this.formatDate(dueDate),
+      daysOverdue: Math.max(0, Math.floor((now - dueDate) / DAY_MS)),
+      daysUntilDue: Math.max(0, Math.ceil((dueDate - now) / DAY_MS)),
+      companyName: company.name
+    };
+  }
+};
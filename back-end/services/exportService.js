@@ -0,0 +1,210 @@
+const ExcelJS = require('exceljs');
+const Invoice = require('../models/invoice');
+const Client = require('../models/client');
+const Item = require('../models/item');
+const InvoiceService = require('./invoiceService');
+const ClientService = require('./clientService');
+const ItemService = require('./itemService');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Spreadsheet number formats of the typed columns; other columns are written as they are
+const NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd',
+  money: '#,##0.00'
+};
+
+// Columns of each export: the header, how each row's value is read and its type
+const INVOICE_COLUMNS = [
+  { header: 'Invoice Number', value: invoice => invoice.invoiceNumber || 'Draft' },
+  { header: 'Client', value: invoice => (invoice.client && invoice.client.name) || '' },
+  { header: 'Status', value: invoice => invoice.status },
+  { header: 'Issue Date', value: invoice => invoice.issueDate, type: 'date' },
+  { header: 'Due Date', value: invoice => invoice.dueDate, type: 'date' },
+  { header: 'Currency', value: invoice => invoice.currency },
+  { header: 'Subtotal', value: invoice => invoice.subtotal, type: 'money' },
+  { header: 'Tax', value: invoice => invoice.taxTotal, type: 'money' },
+  { header: 'Total', value: invoice => invoice.total, type: 'money' },
+  { header: 'Amount Paid', value: invoice => invoice.amountPaid, type: 'money' },
+  { header: 'Balance Due', value: invoice => invoice.balanceDue, type: 'money' }
+];
+
+const CLIENT_COLUMNS = [
+  { header: 'Name', value: client => client.name },
+  { header: 'Email', value: client => client.email },
+  { header: 'Phone', value: client => client.phone_number },
+  { header: 'Address', value: client => client.address },
+  { header: 'Billing Address', value: client => client.billingAddress },
+  { header: 'Currency', value: client => client.currency },
+  { header: 'Status', value: client => client.status },
+  { header: 'Created', value: client => client.createdAt, type: 'date' }
+];
+
+const ITEM_COLUMNS = [
+  { header: 'Name', value: item => item.name },
+  { header: 'Unit Price', value: item => item.unitPrice, type: 'money' },
+  { header: 'Quantity', value: item => item.quantity },
+  { header: 'Status', value: item => item.status },
+  { header: 'Created', value: item => item.createdAt, type: 'date' }
+];
+
+// Resolves once the response can take more data, or the client has gone away
+const drained = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+module.exports = class ExportService {
+  /**
+   * @description Checks the file format an export was asked for.
+   * @param {string} [format='csv'] - 'csv' or 'xlsx'.
+   * @returns {Object} - Response object with { success, data: format, message }.
+   */
+  static resolveFormat(format = 'csv') {
+    const name = String(format).toLowerCase();
+    if (!FORMATS[name]) {
+      return { success: false, message: `Exports can be downloaded as ${Object.keys(FORMATS).join(' or ')}` };
+    }
+    return { success: true, data: name };
+  }
+
+  /**
+   * @description Formats one value as a CSV field.
+   * @param {*} value - The value to write.
+   * @returns {string} - Dates as 'YYYY-MM-DD', text quoted when needed.
+   * @how - Text starting with =, +, -, @, a tab or a carriage return is prefixed with an apostrophe so spreadsheets do not run it as a formula.
+   */
+  static csvField(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    if (value instanceof Date) {
+      return value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'number') {
+      return String(value);
+    }
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * @description Formats one row as a CSV line.
+   * @param {Array} values - The row's values.
+   * @returns {string} - The line, ending in CRLF.
+   */
+  static csvLine(values) {
+    return `${values.map(value => this.csvField(value)).join(',')}\r\n`;
+  }
+
+  /**
+   * @description Prepares the invoice export, with the same filters and order as the invoice list.
+   * @param {Object} [params={}] - sortBy, sortOrder and the list filters, see InvoiceService.getInvoices.
+   * @returns {Object} - Response object with { success, data: { name, columns, rows }, message }; rows is a cursor over the invoices.
+   */
+  static invoiceExport({ sortBy, sortOrder, ...filters } = {}) {
+    const filterResult = InvoiceService.buildListFilter(InvoiceService.pickListFilters(filters));
+    if (!filterResult.success) {
+      return filterResult;
+    }
+    const sortResult = InvoiceService.buildListSort({ sortBy, sortOrder });
+    if (!sortResult.success) {
+      return sortResult;
+    }
+
+    const rows = Invoice.find(filterResult.data).populate('client', 'name').sort(sortResult.data).cursor();
+    return { success: true, data: { name: 'invoices', columns: INVOICE_COLUMNS, rows } };
+  }
+
+  /**
+   * @description Prepares the export of invoices picked by ID, in the invoice list's default order.
+   * @param {Array<string>} ids - MongoDB IDs of the invoices.
+   * @returns {Object} - Response object with { success, data: { name, columns, rows } }.
+   */
+  static selectedInvoiceExport(ids) {
+    const rows = Invoice.find({ _id: { $in: ids } }).populate('client', 'name').sort(InvoiceService.buildListSort().data).cursor();
+    return { success: true, data: { name: 'invoices', columns: INVOICE_COLUMNS, rows } };
+  }
+
+  /**
+   * @description Prepares the client export, with the same filter and order as the active client list.
+   * @param {Object} [params={}] - The list's search parameter.
+   * @returns {Object} - Response object with { success, data: { name, columns, rows } }.
+   */
+  static clientExport({ search } = {}) {
+    const rows = Client.find(ClientService.buildListFilter({ search }))
+      .select('name email phone_number address billingAddress currency status createdAt')
+      .sort({ createdAt: -1 })
+      .cursor();
+    return { success: true, data: { name: 'clients', columns: CLIENT_COLUMNS, rows } };
+  }
+
+  /**
+   * @description Prepares the item export, with the same filter and order as the item list.
+   * @param {Object} [params={}] - The list's search parameter.
+   * @returns {Object} - Response object with { success, data: { name, columns, rows } }.
+   */
+  static itemExport({ search } = {}) {
+    const rows = Item.find(ItemService.buildListFilter({ search })).sort({ createdAt: -1 }).cursor();
+    return { success: true, data: { name: 'items', columns: ITEM_COLUMNS, rows } };
+  }
+
+  /**
+   * @description Streams an export to the response as a CSV or XLSX download.
+   * @param {Object} res - Express response object.
+   * @param {string} format - 'csv' or 'xlsx', see resolveFormat.
+   * @param {Object} exportData - { name, columns, rows } from one of the export builders.
+   * @returns {Promise<void>} - Resolves once the whole file is written.
+   * @how - Rows are read from the database cursor and written one at a time, waiting for the client to catch up when the response buffer is full, so large exports never sit in memory. XLSX goes through ExcelJS's streaming writer with dates and amounts kept as typed cells.
+   */
+  static async stream(res, format, { name, columns, rows }) {
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.${format}"`
+    });
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const sheet = workbook.addWorksheet(name.charAt(0).toUpperCase() + name.slice(1));
+      sheet.columns = columns.map(column => ({
+        header: column.header,
+        width: Math.max(column.header.length + 2, 14),
+        ...(NUMBER_FORMATS[column.type] && { style: { numFmt: NUMBER_FORMATS[column.type] } })
+      }));
+      sheet.getRow(1).font = { bold: true };
+
+      for await (const row of rows) {
+        sheet.addRow(columns.map(column => {
+          const value = column.value(row);
+          return value === undefined ? null : value;
+        })).commit();
+      }
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    res.write(this.csvLine(columns.map(column => column.header)));
+    for await (const row of rows) {
+      if (res.destroyed) {
+        break; // Leaving the loop closes the cursor
+      }
+      if (!res.write(this.csvLine(columns.map(column => column.value(row))))) {
+        await drained(res);
+      }
+    }
+    res.end();
+  }
+};
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const InvoiceService = require('./invoiceService');
+const InvoiceStatusService = require('./invoiceStatusService');
+const SettingsService = require('./settingsService');
+const PdfService = require('./pdfService');
+const MailService = require('./mailService');
+const EmailTemplateService = require('./emailTemplateService');
+
+module.exports = class InvoiceDeliveryService {
+  /**
+   * @description Emails an invoice to its client with the PDF attached, issuing it first if it is a draft.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {Object} [options={}] - Delivery options.
+   * @param {string} [options.by] - The MongoDB ID of the staff member sending it.
+   * @returns {Object} - Response object with { success, data: invoice, message }; data is set whenever the invoice changed, even if the email then failed.
+   * @how - Drafts are issued through InvoiceService so they are numbered before the client sees them, and the invoice moves to 'sent' once the email is accepted. The attempt is logged on the invoice before the transport is called and updated with its result, so failures stay visible.
+   */
+  static async sendInvoice(invoiceId, { by } = {}) {
+    try {
+      let invoice = await Invoice.findById(invoiceId).populate('client', 'name email');
+      if (!invoice) {
+        return { success: false, message: 'Invoice not found' };
+      }
+      if (invoice.status === 'void') {
+        return { success: false, message: 'Void invoices cannot be sent' };
+      }
+      if (!invoice.client || !invoice.client.email) {
+        return { success: false, message: 'The client has no email address' };
+      }
+
+      let issued = false;
+      if (invoice.status === 'draft') {
+        const issue = await InvoiceService.issueInvoice(invoice._id, by);
+        if (!issue.success) {
+          return issue;
+        }
+        issued = true;
+      }
+
+      const response = await InvoiceService.getSingleInvoice(invoice._id);
+      if (!response.success) {
+        return response;
+      }
+      invoice = response.data;
+
+      const delivery = await this.deliver(invoice, { by });
+      const updated = await InvoiceService.getSingleInvoice(invoice._id);
+      if (!delivery.success) {
+        return {
+          success: false,
+          data: issued ? updated.data : undefined,
+          message: issued ? `The invoice was issued but could not be emailed. ${delivery.message}` : delivery.message
+        };
+      }
+
+      return { success: true, data: updated.data };
+    } catch (error) {
+      console.error('Error sending invoice:', error);
+      return { success: false, message: 'Could not send invoice' };
+    }
+  }
+
+  /**
+   * @description Renders the invoice email and PDF, sends them and logs the attempt on the invoice.
+   * @param {Object} invoice - Issued invoice with its client populated.
+   * @param {Object} [options={}] - { by } recorded with the delivery.
+   * @returns {Promise<Object>} - The transport's response, { success, data: { messageId }, message }.
+   * @how - A successful send moves an issued invoice to 'sent' through InvoiceStatusService.markSent.
+   */
+  static async deliver(invoice, { by } = {}) {
+    const template = await SettingsService.getInvoiceEmail();
+    if (!template.success) {
+      return template;
+    }
+
+    const now = new Date();
+    const values = EmailTemplateService.invoiceValues(invoice, now);
+    const entryId = new mongoose.Types.ObjectId();
+    const to = invoice.client.email;
+    const subject = EmailTemplateService.render(template.data.subject, values);
+
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $push: { deliveries: { _id: entryId, to, subject, status: 'sending', sentAt: now, sentBy: by } } }
+    );
+
+    let result;
+    try {
+      const pdf = await PdfService.renderInvoice(invoice);
+      result = await MailService.send({
+        to,
+        subject,
+        text: EmailTemplateService.render(template.data.body, values),
+        attachments: [{ filename: `${invoice.invoiceNumber}.pdf`, content: pdf, contentType: 'application/pdf' }]
+      });
+    } catch (error) {
+      console.error('Error rendering invoice email:', error);
+      result = { success: false, message: 'Could not render the invoice PDF' };
+    }
+
+    await Invoice.updateOne(
+      { _id: invoice._id, 'deliveries._id': entryId },
+      result.success
+        ? { $set: { 'deliveries.$.status': 'sent', 'deliveries.$.messageId': result.data.messageId } }
+        : { $set: { 'deliveries.$.status': 'failed', 'deliveries.$.error': result.message } }
+    );
+    if (result.success) {
+      await InvoiceStatusService.markSent(invoice._id, { by });
+    }
+    return result;
+  }
+};
@@ -1,156 +1,975 @@
+const mongoose = require('mongoose');
 const Invoice = require('../models/invoice');
 const Client = require('../models/client');
 const Item = require('../models/item')
+const Payment = require('../models/payment');
+const SequenceService = require('./sequenceService');
+const SettingsService = require('./settingsService');
+const TaxRateService = require('./taxRateService');
+const CurrencyService = require('./currencyService');
+const InvoiceStatusService = require('./invoiceStatusService');
+const StorageService = require('./storageService');
+
+const INVOICE_TEXT_FIELDS = ['notes', 'terms', 'footer'];
+const LIST_FILTER_FIELDS = [
+    'status', 'clientId', 'issueDateFrom', 'issueDateTo', 'dueDateFrom', 'dueDateTo', 'minAmount', 'maxAmount', 'overdue', 'number'
+];
+const SORTABLE_FIELDS = ['issueDate', 'dueDate', 'total', 'balanceDue', 'invoiceNumber', 'status', 'createdAt'];
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+// Statuses staff can move an invoice to by hand, see updateInvoiceStatus
+const MANUAL_STATUSES = ['sent', 'viewed', 'written_off'];
 
 module.exports = class InvoiceService {
     /**
-   * @description Validates and links items to an invoice by checking stock and reducing quantities.
+   * @description Validates and links items to an invoice by atomically reserving stock for each requested quantity.
    * @param {Array<string>} itemIds - Array of MongoDB IDs of items to validate.
    * @param {Array<number>} quantities - Array of quantities corresponding to each item ID.
    * @returns {Object} - Response object with { success, data: validatedItems, message } indicating success or failure.
    * @throws {Error} - If database operations or validation fail.
-   * @how - Verifies items exist and are in stock, reduces quantities in the Item model, and updates status to 'out-of-stock' if quantity reaches zero.
+   * @how - Decrements each item with a conditional `$inc` that only matches while it is in stock with enough quantity, flags items that reach zero as 'out-of-stock', and releases every reservation already taken if any item cannot be reserved.
    */
     static async validateAndLinkItems(itemIds, quantities) {
+        const reserved = [];
         try {
             if (!Array.isArray(itemIds) || !Array.isArray(quantities) || itemIds.length !== quantities.length) {
                 return { success: false, message: 'Invalid item IDs or quantities array' };
             }
-            //step 1: Fetch ALL items (including out-of-stock) to get their names for error messages
-            const allItems = await Item.find({ _id: { $in: itemIds } });
-            const inStockItems = allItems.filter(item => item.status === 'in-stock');
-            // Create map for fast lookup
-            const itemMap = new Map(inStockItems.map(item => [item._id.toString(), item]));
-            const nameMap = new Map(allItems.map(item => [item._id.toString(), item.name]));
-            //Step 2: Validate each requested item
-            for (let i = 0; i < itemIds.length; i++) {
-                const itemId = itemIds[i];
-                const requestedQty = quantities[i];
-                const itemName = nameMap.get(itemId) || 'Unknown Item';
-                // Check if item exists and is in stock
-                const item = itemMap.get(itemId);
+            // Repeated lines for the same item must be reserved together or they could oversell it
+            const requested = new Map();
+            itemIds.forEach((itemId, index) => {
+                const key = String(itemId);
+                requested.set(key, (requested.get(key) || 0) + quantities[index]);
+            });
+
+            const reservedItems = new Map();
+            for (const [itemId, requestedQty] of requested) {
+                const item = await Item.findOneAndUpdate(
+                    { _id: itemId, status: 'in-stock', quantity: { $gte: requestedQty } },
+                    { $inc: { quantity: -requestedQty } },
+                    { new: true }
+                );
+
                 if (!item) {
-                    // Item doesn't exist OR is out of stock
-                    const status = nameMap.has(itemId) ? 'out of stock' : 'not found';
-                    return {
-                        success: false,
-                        message: `Item "${itemName}" is ${status}`
-                    };
-                }
-                if (item.quantity < requestedQty) {
-                    return {
-                        success: false,
-                        message: `Insufficient stock for "${itemName}". Available: ${item.quantity}, Requested: ${requestedQty}`
-                    };
+                    await this.releaseItems(reserved);
+                    return { success: false, message: await this.describeUnavailableItem(itemId, requestedQty) };
                 }
-            }
-            //tep 3: Deduct quantities (only for in-stock items, which we've already validated)
-            for (let i = 0; i < itemIds.length; i++) {
-                const itemId = itemIds[i];
-                const requestedQty = quantities[i];
-    
-                await Item.findByIdAndUpdate(itemId, { $inc: { quantity: -requestedQty } });
-    
-                const item = itemMap.get(itemId);
-                if (item.quantity - requestedQty <= 0) {
-                    await Item.findByIdAndUpdate(itemId, { status: 'out-of-stock' });
+
+                reserved.push({ item: item._id, quantity: requestedQty });
+                reservedItems.set(itemId, item);
+
+                if (item.quantity <= 0) {
+                    // Guarded so a concurrent release that restocked the item is not overwritten
+                    await Item.updateOne({ _id: item._id, quantity: { $lte: 0 } }, { status: 'out-of-stock' });
                 }
             }
+
             //return items in input order
-            const orderedItems = itemIds
-                .map(id => itemMap.get(id))
-                .filter(Boolean);
-    
+            const orderedItems = itemIds.map(id => reservedItems.get(String(id)));
+
             return { success: true, data: orderedItems };
         } catch (error) {
             console.error('Error validating and linking items:', error);
+            await this.releaseItems(reserved);
             return { success: false, message: 'Could not validate and link items' };
         }
     }
 
+    /**
+     * @description Builds the error message for an item whose stock could not be reserved.
+     * @param {string} itemId - The MongoDB ID of the item.
+     * @param {number} requestedQty - The quantity that was requested.
+     * @returns {string} - Message explaining whether the item is missing, out of stock or short on quantity.
+     */
+    static async describeUnavailableItem(itemId, requestedQty) {
+        const item = await Item.findById(itemId);
+        if (!item) {
+            return 'Item "Unknown Item" is not found';
+        }
+        if (item.status !== 'in-stock') {
+            return `Item "${item.name}" is out of stock`;
+        }
+        return `Insufficient stock for "${item.name}". Available: ${item.quantity}, Requested: ${requestedQty}`;
+    }
+
+    /**
+     * @description Returns reserved quantities to stock.
+     * @param {Array<Object>} lines - Lines with { item, quantity }, e.g. an invoice's line items.
+     * @returns {Promise<void>}
+     * @how - Increments each item's quantity and flips 'out-of-stock' items back to 'in-stock' once they have quantity again.
+     */
+    static async releaseItems(lines) {
+        for (const line of lines) {
+            try {
+                await Item.updateOne({ _id: line.item }, { $inc: { quantity: line.quantity } });
+                await Item.updateOne(
+                    { _id: line.item, status: 'out-of-stock', quantity: { $gt: 0 } },
+                    { status: 'in-stock' }
+                );
+            } catch (error) {
+                console.error(`Error releasing stock for item ${line.item}:`, error);
+            }
+        }
+    }
+
+    /**
+     * @description Builds invoice line item snapshots from validated catalog items.
+     * @param {Array<Object>} items - Item documents in the same order as the requested lines.
+     * @param {Array<Object>} requestedLines - Requested lines with quantity, optional description, discount and taxRateIds, or with keepPrices the taxes already agreed on the line.
+     * @param {Object} [options={}] - Tax and currency options.
+     * @param {Map<string, Object>} [options.taxRates] - Tax rate documents by ID.
+     * @param {Array<string>} [options.defaultTaxRateIds=[]] - Tax rates applied to lines that do not specify their own.
+     * @param {number} [options.exchangeRate=1] - Value of one unit of the invoice currency in the base currency.
+     * @param {boolean} [options.keepPrices=false] - Use the unitPrice and tax snapshots of each requested line instead of the catalog price and current rates, e.g. for a quote agreed with the client.
+     * @returns {Array<Object>} - Line items with { item, name, description, quantity, unitPrice, lineTotal, discount, taxes }.
+     * @how - Copies the current name, unit price and tax rates of each item so the invoice is unaffected by later catalog or tax edits. Catalog prices are in the base currency and are converted into the invoice currency.
+     */
+    static buildLineItems(items, requestedLines, { taxRates = new Map(), defaultTaxRateIds = [], exchangeRate = 1, keepPrices = false } = {}) {
+        return items.map((item, index) => {
+            const requested = requestedLines[index];
+            const quantity = Number(requested.quantity);
+            const unitPrice = this.roundMoney(keepPrices ? Number(requested.unitPrice) : item.unitPrice / exchangeRate);
+            const lineTaxRateIds = Array.isArray(requested.taxRateIds) ? requested.taxRateIds : defaultTaxRateIds;
+            const taxes = this.hasTaxSnapshots(requested, keepPrices)
+                ? requested.taxes.map(tax => ({
+                    taxRate: tax.taxRate,
+                    name: tax.name,
+                    percentage: tax.percentage,
+                    compound: tax.compound
+                }))
+                : [...new Set(lineTaxRateIds.map(String))]
+                    .map(taxRateId => taxRates.get(taxRateId))
+                    .map(taxRate => ({
+                        taxRate: taxRate._id,
+                        name: taxRate.name,
+                        percentage: taxRate.percentage,
+                        compound: taxRate.compound
+                    }));
+
+            return {
+                item: item._id,
+                name: item.name,
+                description: requested.description || undefined,
+                quantity,
+                unitPrice,
+                lineTotal: this.roundMoney(quantity * unitPrice),
+                discount: this.normalizeDiscount(requested.discount),
+                taxes
+            };
+        });
+    }
+
+    /**
+     * @description Tells whether a requested line brings its own tax snapshots, as quote lines do, rather than tax rate IDs to look up.
+     * @param {Object} requested - A requested line.
+     * @param {boolean} keepPrices - Whether the lines are priced as agreed, the only case where snapshots are accepted.
+     * @returns {boolean} - True if the line's taxes should be taken as given.
+     */
+    static hasTaxSnapshots(requested, keepPrices) {
+        return keepPrices && Array.isArray(requested.taxes);
+    }
+
+    /**
+     * @description Checks the shape of a requested discount.
+     * @param {Object} [discount] - Discount with { type: 'percentage' | 'fixed', value }.
+     * @param {string} label - What the discount applies to, used in the error message.
+     * @returns {string|null} - An error message, or null if the discount is valid or absent.
+     */
+    static validateDiscount(discount, label) {
+        if (discount === undefined || discount === null) {
+            return null;
+        }
+        if (!DISCOUNT_TYPES.includes(discount.type)) {
+            return `${label} discount type must be 'percentage' or 'fixed'`;
+        }
+        const value = Number(discount.value);
+        if (!Number.isFinite(value) || value < 0) {
+            return `${label} discount must be a positive number`;
+        }
+        if (discount.type === 'percentage' && value > 100) {
+            return `${label} discount cannot exceed 100%`;
+        }
+        return null;
+    }
+
+    /**
+     * @description Reduces a validated discount to what is stored on the invoice.
+     * @param {Object} [discount] - Discount with { type, value }.
+     * @returns {Object|undefined} - { type, value }, or undefined when there is nothing to discount.
+     */
+    static normalizeDiscount(discount) {
+        if (!discount || !(Number(discount.value) > 0)) {
+            return undefined;
+        }
+        return { type: discount.type, value: Number(discount.value) };
+    }
+
+    /**
+     * @description Checks fixed discounts against the amounts they are taken off.
+     * @param {Array<Object>} lines - Line items built by buildLineItems.
+     * @param {Object} [discount] - The normalized invoice-wide discount.
+     * @returns {string|null} - An error message, or null if no discount exceeds its amount.
+     */
+    static validateDiscountAmounts(lines, discount) {
+        const oversized = lines.find(line => line.discount && line.discount.type === 'fixed' && line.discount.value > line.lineTotal);
+        if (oversized) {
+            return `Discount on "${oversized.name}" exceeds the line amount`;
+        }
+        const discountable = lines.reduce((sum, line) => sum + line.lineTotal - this.calculateDiscount(line.lineTotal, line.discount), 0);
+        if (discount && discount.type === 'fixed' && discount.value > this.roundMoney(discountable)) {
+            return 'Invoice discount exceeds the invoice amount after line discounts';
+        }
+        return null;
+    }
+
+    /**
+     * @description Calculates how much a discount takes off an amount.
+     * @param {number} amount - The amount being discounted.
+     * @param {Object} [discount] - Discount with { type, value }.
+     * @returns {number} - The discount amount, never more than the amount itself.
+     */
+    static calculateDiscount(amount, discount) {
+        if (!discount) {
+            return 0;
+        }
+        const discountAmount = discount.type === 'percentage' ? amount * discount.value / 100 : discount.value;
+        return this.roundMoney(Math.min(amount, discountAmount));
+    }
+
+    /**
+     * @description Splits an invoice-wide discount across lines in proportion to their amounts.
+     * @param {number} discountAmount - The invoice-wide discount amount.
+     * @param {Array<number>} amounts - Line amounts after line discounts.
+     * @returns {Array<number>} - Each line's share, in line order, summing exactly to discountAmount.
+     * @how - Rounds each share to cents and gives the rounding remainder to the largest line so no line goes negative.
+     */
+    static allocateDiscount(discountAmount, amounts) {
+        const base = amounts.reduce((sum, amount) => sum + amount, 0);
+        if (discountAmount <= 0 || base <= 0) {
+            return amounts.map(() => 0);
+        }
+
+        const shares = amounts.map(amount => this.roundMoney(discountAmount * amount / base));
+        const remainder = this.roundMoney(discountAmount - shares.reduce((sum, share) => sum + share, 0));
+        const largest = amounts.indexOf(Math.max(...amounts));
+        shares[largest] = this.roundMoney(shares[largest] + remainder);
+        return shares;
+    }
+
+    /**
+     * @description Rounds an amount of money to cents.
+     * @param {number} amount - The amount to round.
+     * @returns {number} - The rounded amount.
+     */
+    static roundMoney(amount) {
+        return Math.round((amount + Number.EPSILON) * 100) / 100;
+    }
+
+    /**
+     * @description Calculates the taxes charged on a single line amount.
+     * @param {number} amount - The line amount.
+     * @param {Array<Object>} taxes - Tax snapshots with { percentage, compound }.
+     * @param {boolean} taxInclusive - Whether the amount already includes the taxes.
+     * @returns {Object} - { taxes: snapshots with amounts, taxAmount, net } where net is the amount excluding tax.
+     * @how - Simple taxes are charged on the net amount; compound taxes are then charged in order on the net amount plus every tax before them. Tax-inclusive amounts are first divided by the combined multiplier to find the net amount.
+     */
+    static calculateLineTaxes(amount, taxes, taxInclusive) {
+        const simpleTaxes = taxes.filter(tax => !tax.compound);
+        const compoundTaxes = taxes.filter(tax => tax.compound);
+        const simpleRate = simpleTaxes.reduce((sum, tax) => sum + tax.percentage, 0) / 100;
+        const multiplier = compoundTaxes.reduce((product, tax) => product * (1 + tax.percentage / 100), 1 + simpleRate);
+        const base = taxInclusive ? amount / multiplier : amount;
+
+        const applied = simpleTaxes.map(tax => ({ ...tax, amount: this.roundMoney(base * tax.percentage / 100) }));
+        let runningAmount = base + applied.reduce((sum, tax) => sum + tax.amount, 0);
+        compoundTaxes.forEach(tax => {
+            const taxAmount = this.roundMoney(runningAmount * tax.percentage / 100);
+            applied.push({ ...tax, amount: taxAmount });
+            runningAmount += taxAmount;
+        });
+
+        const taxAmount = this.roundMoney(applied.reduce((sum, tax) => sum + tax.amount, 0));
+        const net = taxInclusive ? this.roundMoney(amount - taxAmount) : amount;
+
+        return { taxes: applied, taxAmount, net };
+    }
+
+    /**
+     * @description Calculates the discounts, subtotal, tax breakdown and total of a set of invoice lines.
+     * @param {Array<Object>} lines - Line items built by buildLineItems.
+     * @param {Object} [options={}] - Calculation options.
+     * @param {boolean} [options.taxInclusive=false] - Whether line amounts already include tax.
+     * @param {Object} [options.discount] - Invoice-wide discount with { type, value }.
+     * @returns {Object} - { items, discountAmount, discountTotal, subtotal, taxes, taxTotal, total } where items carry their discount and tax amounts and taxes sums each rate across lines.
+     * @how - Takes each line's own discount off first, then the invoice-wide discount off what remains, split across lines pro-rata, so tax is always charged on the discounted amount.
+     */
+    static calculateTotals(lines, { taxInclusive = false, discount } = {}) {
+        const taxSummary = new Map();
+        let subtotal = 0;
+        let taxTotal = 0;
+
+        const lineDiscounts = lines.map(line => this.calculateDiscount(line.lineTotal, line.discount));
+        const discountedAmounts = lines.map((line, index) => this.roundMoney(line.lineTotal - lineDiscounts[index]));
+        const discountAmount = this.calculateDiscount(
+            this.roundMoney(discountedAmounts.reduce((sum, amount) => sum + amount, 0)),
+            discount
+        );
+        const discountShares = this.allocateDiscount(discountAmount, discountedAmounts);
+
+        const items = lines.map((line, index) => {
+            const amount = this.roundMoney(discountedAmounts[index] - discountShares[index]);
+            const { taxes, taxAmount, net } = this.calculateLineTaxes(amount, line.taxes || [], taxInclusive);
+            subtotal += net;
+            taxTotal += taxAmount;
+
+            taxes.forEach(tax => {
+                const key = String(tax.taxRate);
+                const summary = taxSummary.get(key);
+                if (summary) {
+                    summary.amount += tax.amount;
+                } else {
+                    taxSummary.set(key, { ...tax });
+                }
+            });
+
+            return { ...line, discountAmount: lineDiscounts[index], taxes, taxAmount };
+        });
+
+        subtotal = this.roundMoney(subtotal);
+        taxTotal = this.roundMoney(taxTotal);
+
+        return {
+            items,
+            discountAmount,
+            discountTotal: this.roundMoney(lineDiscounts.reduce((sum, amount) => sum + amount, 0) + discountAmount),
+            subtotal,
+            taxes: Array.from(taxSummary.values()).map(tax => ({ ...tax, amount: this.roundMoney(tax.amount) })),
+            taxTotal,
+            total: this.roundMoney(subtotal + taxTotal)
+        };
+    }
+
+    /**
+     * @description Allocates the next invoice number from the configured numbering sequence.
+     * @param {Date|string} issueDate - The invoice issue date, used for date tokens and yearly resets.
+     * @returns {Promise<Object>} - { invoiceNumber, counterKey, seq }; pass counterKey and seq to SequenceService.release if the invoice is not saved.
+     * @throws {Error} - If the issue date is not a valid date; nothing is allocated then.
+     */
+    static async allocateInvoiceNumber(issueDate) {
+        const date = new Date(issueDate);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Cannot number an invoice with an invalid issue date: ${issueDate}`);
+        }
+        const settings = await SettingsService.getSettings();
+        const numbering = settings.invoiceNumbering;
+        const counterKey = SettingsService.invoiceCounterKey(numbering, date);
+        const seq = await SequenceService.next(counterKey);
+
+        return { invoiceNumber: SequenceService.format(numbering.pattern, seq, date), counterKey, seq };
+    }
+
+    /**
+     * @description Loads catalog items for a draft without reserving any stock.
+     * @param {Array<string>} itemIds - Array of MongoDB IDs of the requested items.
+     * @returns {Object} - Response object with { success, data: items in input order, message } indicating success or failure.
+     */
+    static async loadItems(itemIds) {
+        const found = await Item.find({ _id: { $in: itemIds } });
+        const itemsById = new Map(found.map(item => [String(item._id), item]));
+        if (itemIds.some(itemId => !itemsById.has(String(itemId)))) {
+            return { success: false, message: 'Item "Unknown Item" is not found' };
+        }
+
+        return { success: true, data: itemIds.map(itemId => itemsById.get(String(itemId))) };
+    }
+
+    /**
+     * @description Validates invoice details and calculates the invoice lines and totals, shared by new invoices and draft edits.
+     * @param {Object} params - Invoice parameters, as accepted by createInvoice.
+     * @param {Object} [options={}] - Preparation options.
+     * @param {boolean} [options.reserveStock=true] - Reserve item stock for the lines; drafts only check the items exist.
+     * @param {boolean} [options.keepPrices=false] - Price the lines at their requested unitPrice rather than the catalog price, and tax lines that carry taxes at those snapshots rather than the current rates.
+     * @returns {Object} - Response object with { success, data: invoice fields, message } indicating success or failure.
+     * @how - Validates client, discounts and tax rates, snapshots the exchange rate of the invoice currency, reserves item stock when asked to, snapshots each line's price, quantity, discount and taxes and calculates the discount and tax breakdown. Any stock reserved is released again if a later check fails.
+     */
+    static async prepareInvoice({ issueDate, dueDate, clientId, items, taxRateIds = [], taxInclusive = false, discount, currency }, { reserveStock = true, keepPrices = false } = {}) {
+        if (!issueDate || !dueDate || !clientId || !items || !Array.isArray(items) || items.length === 0) {
+            return { success: false, message: 'Missing or invalid required fields' };
+        }
+
+        if (Number.isNaN(new Date(issueDate).getTime()) || Number.isNaN(new Date(dueDate).getTime())) {
+            return { success: false, message: 'Issue and due dates must be valid dates' };
+        }
+
+        if (!Array.isArray(taxRateIds) || items.some(item => item.taxRateIds !== undefined && !Array.isArray(item.taxRateIds))) {
+            return { success: false, message: 'Tax rates must be provided as an array of IDs' };
+        }
+
+        if (items.some(item => !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1)) {
+            return { success: false, message: 'Each item quantity must be a positive whole number' };
+        }
+
+        if (keepPrices && items.some(item => !Number.isFinite(Number(item.unitPrice)) || Number(item.unitPrice) < 0)) {
+            return { success: false, message: 'Each line needs a unit price of zero or more' };
+        }
+
+        if (items.some(item => this.hasTaxSnapshots(item, keepPrices) && item.taxes.some(tax => !tax.taxRate || !Number.isFinite(Number(tax.percentage)) || Number(tax.percentage) < 0))) {
+            return { success: false, message: 'Each line tax needs a tax rate and a percentage of zero or more' };
+        }
+
+        const discountError = this.validateDiscount(discount, 'Invoice')
+            || items.map(item => this.validateDiscount(item.discount, 'Line')).find(Boolean);
+        if (discountError) {
+            return { success: false, message: discountError };
+        }
+
+        const client = await Client.findById(clientId);
+        if (!client) {
+            return { success: false, message: 'Client not found' };
+        }
+
+        const invoiceCurrency = String(currency || client.currency || await CurrencyService.getBaseCurrency()).toUpperCase();
+        if (!CurrencyService.isValidCurrency(invoiceCurrency)) {
+            return { success: false, message: 'Currency must be a three-letter code, e.g. EUR' };
+        }
+        const rateResult = await CurrencyService.getRateToBase(invoiceCurrency);
+        if (!rateResult.success) {
+            return rateResult;
+        }
+        const exchangeRate = rateResult.data.rate;
+
+        let taxRates = new Map();
+        // Lines that bring their tax snapshots keep them even if the rate has since changed or been deactivated
+        const lookedUpLines = items.filter(item => !this.hasTaxSnapshots(item, keepPrices));
+        const allTaxRateIds = lookedUpLines.length > 0 ? [...taxRateIds, ...lookedUpLines.flatMap(item => item.taxRateIds || [])] : [];
+        if (allTaxRateIds.length > 0) {
+            const taxRateResult = await TaxRateService.getActiveTaxRatesById(allTaxRateIds);
+            if (!taxRateResult.success) {
+                return taxRateResult;
+            }
+            taxRates = taxRateResult.data;
+        }
+
+        const itemIds = items.map(item => item._id);
+        const quantities = items.map(item => Number(item.quantity));
+        const validationResult = reserveStock
+            ? await this.validateAndLinkItems(itemIds, quantities)
+            : await this.loadItems(itemIds);
+        if (!validationResult.success) {
+            return validationResult;
+        }
+
+        const lineItems = this.buildLineItems(validationResult.data, items, { taxRates, defaultTaxRateIds: taxRateIds, exchangeRate, keepPrices });
+        // Only stock that was actually reserved is handed back
+        const fail = async (message) => {
+            if (reserveStock) {
+                await this.releaseItems(lineItems);
+            }
+            return { success: false, message };
+        };
+
+        const invoiceDiscount = this.normalizeDiscount(discount);
+        const discountAmountError = this.validateDiscountAmounts(lineItems, invoiceDiscount);
+        if (discountAmountError) {
+            return fail(discountAmountError);
+        }
+
+        const totals = this.calculateTotals(lineItems, { taxInclusive: Boolean(taxInclusive), discount: invoiceDiscount });
+
+        if (isNaN(totals.total) || totals.total < 0) {
+            return fail('Invalid total calculation');
+        }
+
+        return {
+            success: true,
+            data: {
+                issueDate,
+                dueDate,
+                client: clientId,
+                currency: invoiceCurrency,
+                exchangeRate,
+                items: totals.items,
+                taxRateIds: [...new Set(taxRateIds.map(String))],
+                taxInclusive: Boolean(taxInclusive),
+                discount: invoiceDiscount,
+                discountAmount: totals.discountAmount,
+                discountTotal: totals.discountTotal,
+                subtotal: totals.subtotal,
+                taxes: totals.taxes,
+                taxTotal: totals.taxTotal,
+                total: totals.total
+            }
+        };
+    }
+
+    /**
+     * @description Validates the notes, payment terms and footer of an invoice, filling in the defaults from settings.
+     * @param {Object} fields - Any of { notes, terms, footer }; an empty string leaves the invoice without that text.
+     * @returns {Promise<Object>} - Response object with { success, data: { notes, terms, footer }, message }.
+     */
+    static async resolveInvoiceText(fields) {
+        const textError = SettingsService.validateInvoiceText(fields);
+        if (textError) {
+            return { success: false, message: textError };
+        }
+
+        const missing = INVOICE_TEXT_FIELDS.filter(field => fields[field] === undefined || fields[field] === null);
+        const defaults = missing.length > 0 ? (await SettingsService.getSettings()).invoiceDefaults : {};
+        return {
+            success: true,
+            data: Object.fromEntries(INVOICE_TEXT_FIELDS.map(field => [field, fields[field] ?? defaults[field] ?? '']))
+        };
+    }
+
+    /**
+     * @description Hands back the stock and invoice number taken for an invoice whose save failed.
+     * @param {Error} error - The error raised by the save.
+     * @param {Object} [allocation] - The number allocated by allocateInvoiceNumber, if it got that far.
+     * @param {Array<Object>} lines - The line items whose stock was reserved.
+     * @returns {Promise<Object>} - A failure response when the number collided with an existing invoice.
+     * @throws {Error} - The original error otherwise, once everything was released.
+     */
+    static async rollbackIssue(error, allocation, lines) {
+        // A number that collided with an existing invoice is already in use, so it is not handed back.
+        const duplicateNumber = error.code === 11000 && error.keyPattern && error.keyPattern.invoiceNumber;
+        await this.releaseItems(lines);
+        if (allocation && !duplicateNumber) {
+            await SequenceService.release(allocation.counterKey, allocation.seq);
+        }
+        if (duplicateNumber) {
+            console.error('Error issuing invoice:', error);
+            return { success: false, message: `Invoice number ${allocation.invoiceNumber} already exists, adjust the numbering sequence in settings` };
+        }
+        throw error;
+    }
+
     /**
      * @description Creates a new invoice with the provided details, including client association and item validation.
      * @param {Object} params - Invoice creation parameters.
      * @param {Date} params.issueDate - The date the invoice is issued.
      * @param {Date} params.dueDate - The due date for the invoice payment.
      * @param {string} params.clientId - The MongoDB ID of the associated client.
-     * @param {Array<Object>} params.items - Array of items with _id and quantity (e.g., [{ _id: 'itemId', quantity: 2 }]).
+     * @param {Array<Object>} params.items - Array of items with _id, quantity, optional description, discount and taxRateIds (e.g., [{ _id: 'itemId', quantity: 2, discount: { type: 'percentage', value: 10 } }]).
+     * @param {Array<string>} [params.taxRateIds=[]] - Tax rates applied to every line that does not list its own taxRateIds.
+     * @param {boolean} [params.taxInclusive=false] - Whether item prices already include tax.
+     * @param {Object} [params.discount] - Invoice-wide discount with { type: 'percentage' | 'fixed', value }, fixed amounts in the invoice currency.
+     * @param {string} [params.currency] - Currency to invoice in; defaults to the client's currency, then the base currency.
+     * @param {string} [params.notes] - Notes printed on the invoice; the default notes from settings when unset.
+     * @param {string} [params.terms] - Payment terms printed on the invoice; the default terms from settings when unset.
+     * @param {string} [params.footer] - Footer printed on the invoice; the default footer from settings when unset.
+     * @param {string} [params.recurringInvoice] - The MongoDB ID of the recurring schedule generating the invoice, if any.
+     * @param {string} [params.quote] - The MongoDB ID of the quote converted into the invoice, if any; its lines carry the quoted unitPrice and taxes, which are kept instead of the catalog price and current tax rates.
+     * @param {boolean} [params.draft=false] - Save as an editable draft, without a number or reserved stock, to be issued later.
      * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
      * @throws {Error} - If validation fails or database operations encounter issues.
-     * @how - Validates client existence, checks item availability, calculates total using item unit prices, generates a unique invoice number, and saves the invoice.
+     * @how - Prepares the lines and totals (reserving stock unless it is a draft), allocates the next number from the numbering sequence, and saves the invoice as 'issued', releasing the reserved stock and number if the save fails; sending it to the client moves it to 'sent'. Drafts are saved as they are.
      */
-    static async createInvoice({ issueDate, dueDate, clientId, items }) {
+    static async createInvoice({ recurringInvoice, quote, draft = false, notes, terms, footer, ...params }) {
         try {
-        if (!issueDate || !dueDate || !clientId || !items || !Array.isArray(items)) {
-            return { success: false, message: 'Missing or invalid required fields' };
+        // Checked before anything is reserved
+        const text = await this.resolveInvoiceText({ notes, terms, footer });
+        if (!text.success) {
+            return text;
         }
 
-        const client = await Client.findById(clientId);
-        if (!client) {
-            return { success: false, message: 'Client not found' };
+        const prepared = await this.prepareInvoice(params, { reserveStock: !draft, keepPrices: Boolean(quote) });
+        if (!prepared.success) {
+            return prepared;
         }
 
-        const itemIds = items.map(item => item._id);
-        const quantities = items.map(item => item.quantity);
-        const validationResult = await this.validateAndLinkItems(itemIds, quantities);
+        if (draft) {
+            const invoice = await Invoice.create({
+                ...prepared.data,
+                ...text.data,
+                status: 'draft',
+                statusHistory: [InvoiceStatusService.historyEntry('draft')],
+                recurringInvoice,
+                quote
+            });
+            return { success: true, data: invoice };
+        }
+
+        let allocation;
+        try {
+            allocation = await this.allocateInvoiceNumber(prepared.data.issueDate);
+            const invoice = new Invoice({
+                ...prepared.data,
+                ...text.data,
+                invoiceNumber: allocation.invoiceNumber,
+                balanceDue: prepared.data.total,
+                status: 'issued',
+                statusHistory: [InvoiceStatusService.historyEntry('issued')],
+                recurringInvoice,
+                quote
+            });
+            await invoice.save();
+            return { success: true, data: invoice };
+        } catch (error) {
+            // Stock and the invoice number were already taken for this invoice, hand both back before reporting the failure.
+            return await this.rollbackIssue(error, allocation, prepared.data.items);
+        }
+        } catch (error) {
+        console.error('Error creating invoice:', error);
+        return { success: false, message: 'Could not create invoice' };
+        }
+    }
+
+    /**
+     * @description Replaces the lines, dates, client, pricing options and text of a draft invoice.
+     * @param {string} invoiceId - The MongoDB ID of the draft.
+     * @param {Object} params - Invoice parameters, as accepted by createInvoice; notes, terms or footer left unset are kept as they are.
+     * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
+     * @how - Recalculates the draft from the current catalog, tax rates and exchange rate like a new invoice, without reserving stock, and only writes it while the invoice is still a draft.
+     */
+    static async updateDraft(invoiceId, params) {
+        try {
+        const textError = SettingsService.validateInvoiceText(params);
+        if (textError) {
+            return { success: false, message: textError };
+        }
+
+        const prepared = await this.prepareInvoice(params, { reserveStock: false });
+        if (!prepared.success) {
+            return prepared;
+        }
+
+        const { discount, ...fields } = prepared.data;
+        INVOICE_TEXT_FIELDS
+            .filter(field => params[field] !== undefined && params[field] !== null)
+            .forEach(field => {
+                fields[field] = params[field];
+            });
+        const invoice = await Invoice.findOneAndUpdate(
+            { _id: invoiceId, status: 'draft' },
+            discount ? { $set: { ...fields, discount } } : { $set: fields, $unset: { discount: 1 } },
+            { new: true, runValidators: true }
+        );
+        if (!invoice) {
+            return { success: false, message: await Invoice.exists({ _id: invoiceId }) ? 'Only draft invoices can be edited' : 'Invoice not found' };
+        }
+
+        return { success: true, data: invoice };
+        } catch (error) {
+        console.error('Error updating draft invoice:', error);
+        return { success: false, message: 'Could not update invoice' };
+        }
+    }
+
+    /**
+     * @description Issues a draft invoice: its stock is committed and it gets the next invoice number.
+     * @param {string} invoiceId - The MongoDB ID of the draft.
+     * @param {string} [issuedBy] - The MongoDB ID of the staff member issuing it.
+     * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
+     * @how - Takes the current exchange rate of the invoice currency, since the rate is snapshotted at issue time and the draft may have been priced days earlier; the line amounts stay in the invoice currency and their base-currency value follows the new rate. Then reserves stock for the draft's lines, allocates a number dated by its issue date, and moves it to 'issued' with a transition guarded on the draft being unchanged since it was read, so an edit made in the meantime is never issued with the wrong stock. The stock and number are released if that write fails.
+     */
+    static async issueInvoice(invoiceId, issuedBy) {
+        try {
+        const draft = await Invoice.findById(invoiceId);
+        if (!draft) {
+            return { success: false, message: 'Invoice not found' };
+        }
+        if (draft.status !== 'draft') {
+            return { success: false, message: 'Invoice has already been issued' };
+        }
+
+        const rateResult = await CurrencyService.getRateToBase(draft.currency);
+        if (!rateResult.success) {
+            return rateResult;
+        }
+
+        const validationResult = await this.validateAndLinkItems(
+            draft.items.map(line => line.item),
+            draft.items.map(line => line.quantity)
+        );
         if (!validationResult.success) {
             return validationResult;
         }
 
-        // Fetch items to get unitPrice for total calculation
-        const dbItems = await Item.find({ _id: { $in: itemIds } }).sort({ _id: 1 });
-        const total = dbItems.reduce((sum, item, index) => {
-            const qty = quantities[index];
-            return sum + (qty * item.unitPrice);
-        }, 0);
+        let allocation;
+        try {
+            allocation = await this.allocateInvoiceNumber(draft.issueDate);
+            const invoice = await InvoiceStatusService.transition(invoiceId, 'issued', {
+                by: issuedBy,
+                filter: { status: 'draft', updatedAt: draft.updatedAt },
+                set: { invoiceNumber: allocation.invoiceNumber, exchangeRate: rateResult.data.rate, amountPaid: 0, balanceDue: draft.total }
+            });
+            if (!invoice) {
+                await this.releaseItems(draft.items);
+                await SequenceService.release(allocation.counterKey, allocation.seq);
+                return { success: false, message: 'The draft changed while it was being issued, please try again' };
+            }
+
+            return { success: true, data: invoice };
+        } catch (error) {
+            return await this.rollbackIssue(error, allocation, draft.items);
+        }
+        } catch (error) {
+        console.error('Error issuing invoice:', error);
+        return { success: false, message: 'Could not issue invoice' };
+        }
+    }
+
+    /**
+     * @description Deletes a draft invoice. Issued invoices are never deleted.
+     * Files attached to the draft are removed from storage with it.
+     * @param {string} invoiceId - The MongoDB ID of the draft.
+     * @returns {Object} - Response object with { success, message } indicating success or failure.
+     */
+    static async deleteDraft(invoiceId) {
+        try {
+        const invoice = await Invoice.findOneAndDelete({ _id: invoiceId, status: 'draft' });
+        if (!invoice) {
+            return { success: false, message: await Invoice.exists({ _id: invoiceId }) ? 'Only draft invoices can be deleted' : 'Invoice not found' };
+        }
+
+        for (const attachment of invoice.attachments) {
+            await StorageService.remove(attachment.key).catch(error => {
+                console.error(`Error deleting stored attachment ${attachment.key}:`, error);
+            });
+        }
+
+        return { success: true };
+        } catch (error) {
+        console.error('Error deleting draft invoice:', error);
+        return { success: false, message: 'Could not delete invoice' };
+        }
+    }
+
+    /**
+     * @description Voids an issued invoice that was raised by mistake, returning its stock. The invoice is kept for audit.
+     * @param {string} invoiceId - The MongoDB ID of the invoice.
+     * @param {string} reason - Why the invoice is being voided.
+     * @param {string} [voidedBy] - The MongoDB ID of the staff member voiding it.
+     * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
+     * @how - Only open invoices without payments or credits can be voided; money already received or credited has to be handled with a credit note. The transition is guarded on the invoice still having neither, so a payment or credit recorded at the same time wins, and the stock is only returned once the invoice is void.
+     */
+    static async voidInvoice(invoiceId, reason, voidedBy) {
+        try {
+        if (!reason || !String(reason).trim()) {
+            return { success: false, message: 'A reason is required' };
+        }
 
-        if (isNaN(total) || total < 0) {
-            return { success: false, message: 'Invalid total calculation' };
+        const current = await Invoice.findById(invoiceId);
+        if (!current) {
+            return { success: false, message: 'Invoice not found' };
+        }
+        if (current.status === 'draft') {
+            return { success: false, message: 'Drafts are deleted rather than voided' };
+        }
+        if (current.status === 'void') {
+            return { success: false, message: 'Invoice is already void' };
+        }
+        if (current.amountPaid > 0 || current.creditedAmount > 0) {
+            return { success: false, message: 'Invoices with payments or credit notes cannot be voided, issue a credit note instead' };
+        }
+        if (!InvoiceStatusService.canTransition(current.status, 'void')) {
+            return { success: false, message: InvoiceStatusService.transitionError(current.status, 'void') };
         }
 
-        const invoiceNumber = `INV-${Date.now()}`;
-        const invoice = new Invoice({ invoiceNumber, issueDate, dueDate, client: clientId, items: itemIds, total });
-        await invoice.save();
+        const invoice = await InvoiceStatusService.transition(invoiceId, 'void', {
+            by: voidedBy,
+            note: reason,
+            filter: { amountPaid: { $not: { $gt: 0 } }, creditedAmount: { $not: { $gt: 0 } } },
+            set: { balanceDue: 0, voidReason: String(reason).trim(), voidedAt: new Date(), voidedBy }
+        });
+        if (!invoice) {
+            return { success: false, message: 'Invoice was paid or credited while it was being voided' };
+        }
 
+        await this.releaseItems(invoice.items);
         return { success: true, data: invoice };
         } catch (error) {
-        console.error('Error creating invoice:', error);
-        return { success: false, message: 'Could not create invoice' };
+        console.error('Error voiding invoice:', error);
+        return { success: false, message: 'Could not void invoice' };
         }
     }
 
     /**
-   * @description Retrieves a paginated list of invoices with optional status filtering.
-   * @param {Object} [params={}] - Pagination and filter parameters.
-   * @param {number} [params.page=1] - The page number for pagination.
-   * @param {number} [params.limit=10] - The number of items per page.
-   * @param {string} [params.status] - Filter by invoice status (e.g., 'paid', 'unpaid').
-   * @returns {Object} - Response object with { success, data: { invoices, links }, message } including pagination links.
-   * @throws {Error} - If database query fails.
-   * @how - Queries invoices with population of client names, applies pagination and sorting by due date, and generates pagination links.
-   */
-    static async getInvoices({ page = 1, limit = 10, status } = {}) {
+     * @description Picks the invoice list filters out of request parameters, so the list, bulk actions and exports read them the same way.
+     * @param {Object} source - Request query or body.
+     * @returns {Object} - The filter parameters present in source, as accepted by buildListFilter.
+     */
+    static pickListFilters(source = {}) {
+        return Object.fromEntries(
+            LIST_FILTER_FIELDS.filter(field => source[field] !== undefined && source[field] !== '').map(field => [field, source[field]])
+        );
+    }
+
+    /**
+     * @description Parses a 'YYYY-MM-DD' date bound of a list filter.
+     * @param {string} value - The date sent by the caller.
+     * @param {boolean} [endOfDay=false] - Return the start of the next day, for inclusive upper bounds.
+     * @returns {Date|null} - The bound in UTC, or null when the value is not a date.
+     */
+    static parseDateBound(value, endOfDay = false) {
+        const date = new Date(`${String(value).slice(0, 10)}T00:00:00.000Z`);
+        if (isNaN(date.getTime())) {
+            return null;
+        }
+        if (endOfDay) {
+            date.setUTCDate(date.getUTCDate() + 1);
+        }
+        return date;
+    }
+
+    /**
+     * @description Builds the MongoDB filter for the invoice list from its filter parameters.
+     * @param {Object} params - Filter parameters; all are optional.
+     * @param {string} [params.status] - One status, or several separated by commas.
+     * @param {string} [params.clientId] - Only invoices of this client.
+     * @param {string} [params.issueDateFrom] - Issued on or after this day ('YYYY-MM-DD').
+     * @param {string} [params.issueDateTo] - Issued on or before this day.
+     * @param {string} [params.dueDateFrom] - Due on or after this day.
+     * @param {string} [params.dueDateTo] - Due on or before this day.
+     * @param {number|string} [params.minAmount] - Total of at least this amount, in the invoice currency.
+     * @param {number|string} [params.maxAmount] - Total of at most this amount.
+     * @param {boolean|string} [params.overdue] - Only open invoices past their due date, whether or not the overdue job has marked them yet.
+     * @param {string} [params.number] - Invoice numbers starting with this text, ignoring case.
+     * @param {Date} [now=new Date()] - The time overdue is judged against.
+     * @returns {Object} - Response object with { success, data: filter, message } indicating success or failure.
+     */
+    static buildListFilter({ status, clientId, issueDateFrom, issueDateTo, dueDateFrom, dueDateTo, minAmount, maxAmount, overdue, number } = {}, now = new Date()) {
+        const filter = {};
+
+        if (status) {
+            const statuses = String(status).split(',').map(value => value.trim()).filter(Boolean);
+            const known = Invoice.schema.path('status').enumValues;
+            const unknown = statuses.find(value => !known.includes(value));
+            if (unknown) {
+                return { success: false, message: `Unknown status "${unknown}"` };
+            }
+            filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+        }
+
+        if (clientId) {
+            if (!mongoose.isValidObjectId(clientId)) {
+                return { success: false, message: 'Invalid client ID' };
+            }
+            filter.client = clientId;
+        }
+
+        const dateRanges = [
+            ['issueDate', issueDateFrom, issueDateTo, 'issue'],
+            ['dueDate', dueDateFrom, dueDateTo, 'due']
+        ];
+        for (const [field, from, to, label] of dateRanges) {
+            if (!from && !to) {
+                continue;
+            }
+            const range = {};
+            if (from) {
+                range.$gte = this.parseDateBound(from);
+            }
+            if (to) {
+                range.$lt = this.parseDateBound(to, true);
+            }
+            if (Object.values(range).some(bound => !bound)) {
+                return { success: false, message: `Invalid ${label} date, use YYYY-MM-DD` };
+            }
+            if (range.$gte && range.$lt && range.$gte >= range.$lt) {
+                return { success: false, message: `The ${label} date range ends before it starts` };
+            }
+            filter[field] = range;
+        }
+
+        if (minAmount !== undefined || maxAmount !== undefined) {
+            const range = {};
+            if (minAmount !== undefined) {
+                range.$gte = Number(minAmount);
+            }
+            if (maxAmount !== undefined) {
+                range.$lte = Number(maxAmount);
+            }
+            if (Object.values(range).some(bound => !Number.isFinite(bound))) {
+                return { success: false, message: 'Amounts must be numbers' };
+            }
+            if (range.$gte > range.$lte) {
+                return { success: false, message: 'The minimum amount is larger than the maximum' };
+            }
+            filter.total = range;
+        }
+
+        if (overdue === true || overdue === 'true') {
+            // Same test as isOverdue, so invoices the overdue job has not reached yet are included
+            const openStatuses = InvoiceStatusService.openStatuses();
+            if (filter.status) {
+                const requested = filter.status.$in || [filter.status];
+                filter.status = { $in: requested.filter(value => openStatuses.includes(value)) };
+            } else {
+                filter.status = { $in: openStatuses };
+            }
+            filter.dueDate = { ...filter.dueDate, $lt: filter.dueDate && filter.dueDate.$lt < now ? filter.dueDate.$lt : now };
+        }
+
+        if (number) {
+            const prefix = String(number).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            filter.invoiceNumber = { $regex: `^${prefix}`, $options: 'i' };
+        }
+
+        return { success: true, data: filter };
+    }
+
+    /**
+     * @description Builds the sort order of the invoice list.
+     * @param {Object} params - Sort parameters.
+     * @param {string} [params.sortBy='dueDate'] - One of the sortable fields: issueDate, dueDate, total, balanceDue, invoiceNumber, status or createdAt.
+     * @param {string} [params.sortOrder='asc'] - 'asc' or 'desc'.
+     * @returns {Object} - Response object with { success, data: sort, message }; ties are broken by _id so pages never overlap.
+     */
+    static buildListSort({ sortBy = 'dueDate', sortOrder = 'asc' } = {}) {
+        if (!SORTABLE_FIELDS.includes(sortBy)) {
+            return { success: false, message: `Invoices can be sorted by ${SORTABLE_FIELDS.join(', ')}` };
+        }
+        if (!['asc', 'desc'].includes(sortOrder)) {
+            return { success: false, message: "Sort order must be 'asc' or 'desc'" };
+        }
+        const direction = sortOrder === 'asc' ? 1 : -1;
+        return { success: true, data: { [sortBy]: direction, _id: direction } };
+    }
+
+    /**
+     * @description Retrieves a page of invoices matching the list filters, in the requested order.
+     * @param {Object} params - Page, filter and sort parameters.
+     * @param {number} [params.page=1] - The page number.
+     * @param {number} [params.limit=10] - Invoices per page.
+     * @param {string} [params.sortBy] - Field to sort by, see buildListSort.
+     * @param {string} [params.sortOrder] - 'asc' or 'desc'.
+     * @returns {Object} - Response object with { success, data: { invoices, links }, message }; the filters are also accepted, see buildListFilter.
+     * @how - Builds the filter and sort from the parameters, and repeats the filters in the pagination links so following them keeps the same list.
+     */
+    static async getInvoices({ page = 1, limit = 10, sortBy, sortOrder, ...filters } = {}) {
         try {
-          const queryFilter = {};
-          if (status) {
-            queryFilter.status = status;
+          const filterResult = this.buildListFilter(filters);
+          if (!filterResult.success) {
+            return filterResult;
           }
-    
+          const sortResult = this.buildListSort({ sortBy, sortOrder });
+          if (!sortResult.success) {
+            return sortResult;
+          }
+          const queryFilter = filterResult.data;
+
           const skip = (page - 1) * limit;
           const invoices = await Invoice.find(queryFilter)
             .populate('client', 'name')
             .skip(skip)
             .limit(limit)
-            .sort({ dueDate: 1 });
-    
+            .sort(sortResult.data);
+
           const totalInvoices = await Invoice.countDocuments(queryFilter);
           const totalPages = Math.ceil(totalInvoices / limit);
-    
+
+          const query = new URLSearchParams({
+            ...this.pickListFilters(filters),
+            ...(sortBy && { sortBy }),
+            ...(sortOrder && { sortOrder })
+          }).toString();
+          const pageLink = (pageNumber) => `/invoices/list?page=${pageNumber}&limit=${limit}${query ? `&${query}` : ''}`;
           const paginationLinks = {
-            first: `/invoices/list?page=1&limit=${limit}${status ? `&status=${status}` : ''}`,
-            prev: page > 1 ? `/invoices/list?page=${page - 1}&limit=${limit}${status ? `&status=${status}` : ''}` : null,
-            next: page < totalPages ? `/invoices/list?page=${page + 1}&limit=${limit}${status ? `&status=${status}` : ''}` : null,
-            last: `/invoices/list?page=${totalPages}&limit=${limit}${status ? `&status=${status}` : ''}`,
+            first: pageLink(1),
+            prev: page > 1 ? pageLink(page - 1) : null,
+            next: page < totalPages ? pageLink(page + 1) : null,
+            last: pageLink(totalPages),
           };
     
           return {
@@ -176,24 +995,41 @@ module.exports = class InvoiceService {
     }
 
     /**
-   * @description Updates the status of an existing invoice to 'paid' or 'unpaid'.
+   * @description Moves an invoice to one of the statuses staff set by hand: reopening a paid invoice ('sent'), recording that the client has seen it ('viewed') or writing it off as uncollectable ('written_off'). Invoices become 'paid' by recording payments, see PaymentService.settleInvoice; every other status follows from issuing, voiding, payments, credits and the overdue job.
    * @param {string} invoiceId - The MongoDB ID of the invoice to update.
-   * @param {string} status - The new status ('paid' or 'unpaid').
+   * @param {string} status - 'sent', 'viewed' or 'written_off'.
+   * @param {Object} [options={}] - Who made the change and why.
+   * @param {string} [options.by] - The MongoDB ID of the staff member making the change.
+   * @param {string} [options.note] - Why the status changed, required when writing an invoice off.
    * @returns {Object} - Response object with { success, data: updatedInvoice, message } indicating success or failure.
    * @throws {Error} - If the invoice is not found or status is invalid.
-   * @how - Validates the status, finds and updates the invoice in the database, and returns the updated document.
+   * @how - Checks the move against the lifecycle in InvoiceStatusService before making it, so every status change follows the same transition rules.
    */
-    static async updateInvoiceStatus(invoiceId, status) {
+    static async updateInvoiceStatus(invoiceId, status, { by, note } = {}) {
         try {
-          if (!['paid', 'unpaid'].includes(status)) {
+          if (!MANUAL_STATUSES.includes(status)) {
             return { success: false, message: 'Invalid status' };
           }
-    
-          const invoice = await Invoice.findByIdAndUpdate(invoiceId, { status }, { new: true });
-          if (!invoice) {
+
+          const current = await Invoice.findById(invoiceId);
+          if (!current) {
             return { success: false, message: 'Invoice not found' };
           }
-    
+          if (current.status === 'draft') {
+            return { success: false, message: 'Draft invoices must be issued first' };
+          }
+          if (!InvoiceStatusService.canTransition(current.status, status)) {
+            return { success: false, message: InvoiceStatusService.transitionError(current.status, status) };
+          }
+
+          if (status === 'sent') {
+            return await this.reopenInvoice(current, { by, note });
+          }
+          if (status === 'written_off') {
+            return await this.writeOffInvoice(current, { by, note });
+          }
+
+          const invoice = await InvoiceStatusService.markViewed(invoiceId, { by, note });
           return { success: true, data: invoice };
         } catch (error) {
           console.error('Error updating invoice status:', error);
@@ -201,12 +1037,198 @@ module.exports = class InvoiceService {
         }
     }
 
+    /**
+     * @description Reopens a paid invoice that has no recorded payments, e.g. one marked as paid before the payment ledger existed.
+     * @param {Object} current - The invoice document.
+     * @param {Object} [options={}] - { by, note } recorded with the status change.
+     * @returns {Promise<Object>} - Response object with { success, data: invoice, message }.
+     * @how - Restores the balance less any credits and lets refreshPaymentStatus work out which open status that is, e.g. 'overdue' once the due date has passed.
+     */
+    static async reopenInvoice(current, { by, note } = {}) {
+        if (current.status !== 'paid') {
+            return { success: false, message: 'Only paid invoices can be reopened' };
+        }
+        if (await Payment.exists({ invoice: current._id })) {
+            return { success: false, message: 'Invoice has recorded payments, delete them to reopen it' };
+        }
+
+        const invoice = await Invoice.findOneAndUpdate(
+            { _id: current._id, status: 'paid' },
+            [{ $set: { amountPaid: 0, balanceDue: { $subtract: ['$total', { $ifNull: ['$creditedAmount', 0] }] } } }],
+            { new: true }
+        );
+        if (!invoice) {
+            return { success: false, message: 'Invoice changed while it was being reopened, please try again' };
+        }
+
+        return { success: true, data: await this.refreshPaymentStatus(invoice, { by, note: note || 'Reopened' }) };
+    }
+
+    /**
+     * @description Writes off the outstanding balance of an open invoice the client is never going to pay.
+     * @param {Object} current - The invoice document.
+     * @param {Object} options - { by, note } recorded with the status change.
+     * @param {string} options.note - Why the invoice is written off.
+     * @returns {Promise<Object>} - Response object with { success, data: invoice, message }.
+     * @how - Moves the balance into writtenOffAmount, guarded on the balance being unchanged so a payment recorded at the same time is never written off. The goods were delivered, so no stock is returned.
+     */
+    static async writeOffInvoice(current, { by, note } = {}) {
+        if (!note || !String(note).trim()) {
+            return { success: false, message: 'A reason is required to write off an invoice' };
+        }
+
+        const invoice = await InvoiceStatusService.transition(current._id, 'written_off', {
+            by,
+            note,
+            filter: { balanceDue: current.balanceDue },
+            set: { writtenOffAmount: current.balanceDue, balanceDue: 0 }
+        });
+        if (!invoice) {
+            return { success: false, message: 'Invoice changed while it was being written off, please try again' };
+        }
+
+        return { success: true, data: invoice };
+    }
+
+    /**
+     * @description Rounds the running amounts of an invoice after an `$inc` and moves it to the status they imply.
+     * @param {Object} invoice - The invoice as returned by the `$inc` update.
+     * @param {Object} [options={}] - { by, note } recorded if the status changes.
+     * @returns {Promise<Object>} - The invoice with rounded amounts and its new status.
+     * @how - Guarded on the unrounded amounts, so a slower write cannot overwrite the status of a newer payment or credit. Drafts and void or written off invoices keep their status.
+     */
+    static async refreshPaymentStatus(invoice, { by, note } = {}) {
+        const amounts = {
+            amountPaid: this.roundMoney(invoice.amountPaid),
+            balanceDue: this.roundMoney(invoice.balanceDue),
+            creditedAmount: this.roundMoney(invoice.creditedAmount || 0),
+            refundedAmount: this.roundMoney(invoice.refundedAmount || 0)
+        };
+        const derived = InvoiceStatusService.deriveStatus({ total: invoice.total, dueDate: invoice.dueDate, sentAt: invoice.sentAt, viewedAt: invoice.viewedAt, ...amounts });
+        const moves = InvoiceStatusService.followsBalance(invoice.status) && InvoiceStatusService.canTransition(invoice.status, derived);
+        const status = moves ? derived : invoice.status;
+        const guard = { amountPaid: invoice.amountPaid, balanceDue: invoice.balanceDue };
+
+        if (moves) {
+            const updated = await InvoiceStatusService.transition(invoice._id, status, { by, note, filter: guard, set: amounts });
+            if (updated) {
+                return updated;
+            }
+        } else {
+            await Invoice.updateOne({ _id: invoice._id, ...guard }, { $set: amounts });
+        }
+
+        invoice.set({ ...amounts, status });
+        return invoice;
+    }
+
+    /**
+     * @description Applies a payment (or, with a negative amount, reverses one) to an invoice's running balance.
+     * @param {string} invoiceId - The MongoDB ID of the invoice.
+     * @param {number} amount - The amount in the invoice currency.
+     * @returns {Promise<Object|null>} - The updated invoice, or null if it does not exist or the amount exceeds the balance due.
+     * @how - Moves the amount with a conditional `$inc` that only matches while the balance covers it, so concurrent payments can never overpay.
+     */
+    static async applyPayment(invoiceId, amount) {
+        const invoice = await Invoice.findOneAndUpdate(
+            { _id: invoiceId, balanceDue: { $gte: amount } },
+            { $inc: { amountPaid: amount, balanceDue: -amount } },
+            { new: true }
+        );
+        if (!invoice) {
+            return null;
+        }
+
+        return this.refreshPaymentStatus(invoice);
+    }
+
+    /**
+     * @description Applies a credit to an invoice: the balance due is reduced first and whatever was already paid beyond the new total is refunded.
+     * @param {string} invoiceId - The MongoDB ID of the invoice.
+     * @param {number} amount - The amount credited, in the invoice currency.
+     * @param {Array<Object>} [lineCredits=[]] - Per credited line { lineItem, quantity, amount, taxAmount, creditedQuantity }, creditedQuantity being what the line had credited when the credit was worked out.
+     * @returns {Promise<Object>} - { invoice, balanceReduction, refundAmount }, or { error } if the invoice is missing, void, written off, credited beyond its total or its lines were credited in the meantime.
+     * @how - Reads the balance and applies the split with an `$inc` guarded on that same balance, retrying if a payment moved it in between. The credited total is capped and each credited line is only taken while it still has the credited quantity the caller saw, in the same update, so two credit notes can never credit the same units.
+     */
+    static async applyCredit(invoiceId, amount, lineCredits = []) {
+        const lineFilter = (credit) => ({ items: { $elemMatch: { _id: credit.lineItem, creditedQuantity: credit.creditedQuantity } } });
+
+        for (let attempt = 0; attempt < 3; attempt++) {
+            const current = await Invoice.findById(invoiceId);
+            if (!current) {
+                return { error: 'Invoice not found' };
+            }
+            if (current.status === 'void' || current.status === 'written_off') {
+                return { error: `${current.status === 'void' ? 'Void' : 'Written off'} invoices cannot be credited` };
+            }
+            if (this.roundMoney((current.creditedAmount || 0) + amount) > current.total) {
+                return { error: 'Credit exceeds the uncredited amount of the invoice' };
+            }
+            if (lineCredits.some(credit => {
+                const line = current.items.id(credit.lineItem);
+                return !line || (line.creditedQuantity || 0) !== credit.creditedQuantity;
+            })) {
+                return { error: 'The invoice was credited in the meantime, check what is left to credit and try again' };
+            }
+
+            const balanceReduction = Math.min(amount, current.balanceDue);
+            const refundAmount = this.roundMoney(amount - balanceReduction);
+            const lineIncrements = Object.assign({}, ...lineCredits.map((credit, index) => ({
+                [`items.$[line${index}].creditedQuantity`]: credit.quantity,
+                [`items.$[line${index}].creditedAmount`]: credit.amount,
+                [`items.$[line${index}].creditedTaxAmount`]: credit.taxAmount
+            })));
+            const invoice = await Invoice.findOneAndUpdate(
+                {
+                    _id: invoiceId,
+                    status: { $nin: ['void', 'written_off'] },
+                    balanceDue: current.balanceDue,
+                    $expr: { $lte: [{ $add: [{ $ifNull: ['$creditedAmount', 0] }, amount] }, { $add: ['$total', 0.001] }] },
+                    ...(lineCredits.length > 0 && { $and: lineCredits.map(lineFilter) })
+                },
+                { $inc: { creditedAmount: amount, balanceDue: -balanceReduction, refundedAmount: refundAmount, ...lineIncrements } },
+                {
+                    new: true,
+                    ...(lineCredits.length > 0 && { arrayFilters: lineCredits.map((credit, index) => ({ [`line${index}._id`]: credit.lineItem })) })
+                }
+            );
+            if (invoice) {
+                return { invoice: await this.refreshPaymentStatus(invoice), balanceReduction, refundAmount };
+            }
+        }
+
+        throw new Error(`Invoice ${invoiceId} kept changing while applying a credit`);
+    }
+
+    /**
+     * @description Reverses a credit applied by applyCredit, e.g. when its credit note could not be saved.
+     * @param {string} invoiceId - The MongoDB ID of the invoice.
+     * @param {Object} applied - { amount, balanceReduction, refundAmount, lineCredits } as applied.
+     * @returns {Promise<Object|null>} - The updated invoice.
+     */
+    static async reverseCredit(invoiceId, { amount, balanceReduction, refundAmount, lineCredits = [] }) {
+        const lineDecrements = Object.assign({}, ...lineCredits.map((credit, index) => ({
+            [`items.$[line${index}].creditedQuantity`]: -credit.quantity,
+            [`items.$[line${index}].creditedAmount`]: -credit.amount,
+            [`items.$[line${index}].creditedTaxAmount`]: -credit.taxAmount
+        })));
+        const invoice = await Invoice.findByIdAndUpdate(
+            invoiceId,
+            { $inc: { creditedAmount: -amount, balanceDue: balanceReduction, refundedAmount: -refundAmount, ...lineDecrements } },
+            {
+                new: true,
+                ...(lineCredits.length > 0 && { arrayFilters: lineCredits.map((credit, index) => ({ [`line${index}._id`]: credit.lineItem })) })
+            }
+        );
+        return invoice && this.refreshPaymentStatus(invoice);
+    }
+
         /**
-     * @description Retrieves a single invoice by ID with populated client and items details.
+     * @description Retrieves a single invoice by ID with populated client details.
      * @param {string} invoiceId - The MongoDB ID of the invoice to retrieve.
      * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
      * @throws {Error} - If database operations fail.
-     * @how - Finds the invoice by ID and populates client and items fields with their data.
+     * @how - Finds the invoice by ID and populates the client; line items are stored on the invoice itself.
      */
     static async getSingleInvoice(invoiceId) {
         try {
@@ -216,7 +1238,10 @@ module.exports = class InvoiceService {
     
         const invoice = await Invoice.findById(invoiceId)
             .populate('client', 'name phone_number email address billingAddress')
-            .populate('items', 'name unitPrice');
+            .populate('voidedBy', 'name')
+            .populate('quote', 'quoteNumber')
+            .populate('statusHistory.by', 'name')
+            .populate('deliveries.sentBy', 'name');
         if (!invoice) {
             return { success: false, message: 'Invoice not found' };
         }
@@ -234,9 +1259,27 @@ module.exports = class InvoiceService {
      * @returns {boolean} - True if invoice is overdue, false otherwise
      */
     static isOverdue(invoice) {
-        const today = new Date();
-        const dueDate = new Date(invoice.dueDate);
-        return dueDate < today && invoice.status !== 'paid';
+        return InvoiceStatusService.isPastDue(invoice);
+    }
+
+    /**
+     * @description Counts the whole days an invoice has been overdue
+     * @param {Object} invoice - The invoice object
+     * @param {Date} [now=new Date()] - The time to count to
+     * @returns {number} - Days past the due date, 0 if the invoice is not overdue
+     */
+    static overdueDays(invoice, now = new Date()) {
+        return InvoiceStatusService.isPastDue(invoice, now) ? this.daysPastDue(invoice.dueDate, now) : 0;
+    }
+
+    /**
+     * @description Counts the whole days from a due date to a point in time, whatever the invoice status
+     * @param {Date|string} dueDate - The due date
+     * @param {Date} [now=new Date()] - The time to count to
+     * @returns {number} - Whole days past the due date, 0 or less when it has not passed
+     */
+    static daysPastDue(dueDate, now = new Date()) {
+        return Math.floor((now - new Date(dueDate)) / (1000 * 60 * 60 * 24));
     }
 
     /**
@@ -250,9 +1293,7 @@ module.exports = class InvoiceService {
             return {
                 ...invoiceObj,
                 isOverdue: this.isOverdue(invoiceObj),
-                overdueDays: this.isOverdue(invoiceObj) 
-                    ? Math.floor((new Date() - new Date(invoiceObj.dueDate)) / (1000 * 60 * 60 * 24))
-                    : 0
+                overdueDays: this.overdueDays(invoiceObj)
             };
         });
     }
@@ -0,0 +1,220 @@
+const Invoice = require('../models/invoice');
+
+const STATUSES = Invoice.schema.path('status').enumValues;
+
+// Issued invoices that still expect money from the client
+const OPEN_STATUSES = ['issued', 'sent', 'viewed', 'partially_paid', 'overdue'];
+
+// Statuses worked out from the balance whenever a payment or credit is recorded; drafts, void and written off invoices are left alone
+const BALANCE_STATUSES = [...OPEN_STATUSES, 'paid', 'credited'];
+
+// Every status an invoice may move to from each status. Payments and credits can be recorded and
+// deleted in any order, so the balance statuses move between each other; void and written off are final.
+const TRANSITIONS = {
+  draft: ['issued'],
+  issued: ['sent', 'viewed', 'partially_paid', 'paid', 'overdue', 'credited', 'void', 'written_off'],
+  sent: ['viewed', 'partially_paid', 'paid', 'overdue', 'credited', 'void', 'written_off'],
+  viewed: ['partially_paid', 'paid', 'overdue', 'credited', 'void', 'written_off'],
+  partially_paid: ['issued', 'sent', 'viewed', 'paid', 'overdue', 'credited', 'written_off'],
+  overdue: ['paid', 'credited', 'void', 'written_off'],
+  paid: ['issued', 'sent', 'viewed', 'partially_paid', 'overdue', 'credited'],
+  // Only reached back out of when a credit note fails to save and its credit is reversed
+  credited: ['issued', 'sent', 'viewed', 'partially_paid', 'paid', 'overdue'],
+  void: [],
+  written_off: []
+};
+
+module.exports = class InvoiceStatusService {
+  /**
+   * @description Checks whether an invoice in a status still expects money from the client.
+   * @param {string} status - The invoice status.
+   * @returns {boolean} - True for issued, sent, viewed, partially paid and overdue invoices.
+   */
+  static isOpen(status) {
+    return OPEN_STATUSES.includes(status);
+  }
+
+  /**
+   * @description Lists the statuses of issued invoices that still expect money from the client, e.g. for queries.
+   * @returns {Array<string>} - 'issued', 'sent', 'viewed', 'partially_paid' and 'overdue'.
+   */
+  static openStatuses() {
+    return [...OPEN_STATUSES];
+  }
+
+  /**
+   * @description Checks whether an invoice's status follows its balance as payments and credits are recorded.
+   * @param {string} status - The invoice status.
+   * @returns {boolean} - False for drafts and for void or written off invoices.
+   */
+  static followsBalance(status) {
+    return BALANCE_STATUSES.includes(status);
+  }
+
+  /**
+   * @description Checks whether an invoice may move from one status to another.
+   * @param {string} from - The current status.
+   * @param {string} to - The requested status.
+   * @returns {boolean} - True if the lifecycle allows the move.
+   */
+  static canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * @description Lists the statuses an invoice may move to a given status from.
+   * @param {string} to - The requested status.
+   * @returns {Array<string>} - The statuses allowed to move to it.
+   */
+  static allowedFrom(to) {
+    return STATUSES.filter(from => this.canTransition(from, to));
+  }
+
+  /**
+   * @description Explains why an invoice cannot move to a status.
+   * @param {string} from - The current status.
+   * @param {string} to - The requested status.
+   * @returns {string} - The error message.
+   */
+  static transitionError(from, to) {
+    return `A ${this.label(from)} invoice cannot be marked as ${this.label(to)}`;
+  }
+
+  /**
+   * @description Formats a status for messages, e.g. 'partially_paid' as 'partially paid'.
+   * @param {string} status - The status.
+   * @returns {string} - The readable status.
+   */
+  static label(status) {
+    return String(status).replace(/_/g, ' ');
+  }
+
+  /**
+   * @description Builds the status history entry recorded for a transition.
+   * @param {string} status - The status moved to.
+   * @param {Object} [options={}] - Entry details.
+   * @param {string} [options.by] - The MongoDB ID of the staff member who made the change; omitted for automatic changes.
+   * @param {string} [options.note] - Why the status changed.
+   * @param {Date} [options.at] - When the status changed, defaults to now.
+   * @returns {Object} - { status, at, by, note }.
+   */
+  static historyEntry(status, { by, note, at = new Date() } = {}) {
+    return { status, at, by, note: note ? String(note).trim() : undefined };
+  }
+
+  /**
+   * @description Moves an invoice to a new status and records the transition in its history.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {string} to - The status to move to.
+   * @param {Object} [options={}] - Transition options.
+   * @param {string} [options.by] - The MongoDB ID of the staff member making the change.
+   * @param {string} [options.note] - Why the status changed.
+   * @param {Object} [options.set={}] - Other fields written with the status.
+   * @param {Object} [options.filter={}] - Extra conditions the invoice must meet; a `status` condition narrows the statuses allowed to move.
+   * @returns {Promise<Object|null>} - The updated invoice, or null if it does not exist, its status may not move to `to` or the filter did not match.
+   * @how - A single conditional update matching only the statuses allowed to move to `to`, so a concurrent change can never lead to a transition the lifecycle forbids.
+   */
+  static async transition(invoiceId, to, { by, note, set = {}, filter = {} } = {}) {
+    return Invoice.findOneAndUpdate(
+      { _id: invoiceId, status: { $in: this.allowedFrom(to) }, ...filter },
+      { $set: { ...set, status: to }, $push: { statusHistory: this.historyEntry(to, { by, note }) } },
+      { new: true }
+    );
+  }
+
+  /**
+   * @description Works out the status an issued invoice's balance implies.
+   * @param {Object} invoice - Invoice with total, amountPaid, balanceDue, creditedAmount, dueDate, sentAt and viewedAt.
+   * @param {Date} [now=new Date()] - The time to check the due date against.
+   * @returns {string} - 'credited', 'paid', 'overdue', 'partially_paid', 'viewed', 'sent' or 'issued'.
+   */
+  static deriveStatus({ total, amountPaid, balanceDue, creditedAmount = 0, dueDate, sentAt, viewedAt }, now = new Date()) {
+    if (creditedAmount >= total) {
+      return 'credited';
+    }
+    if (balanceDue <= 0) {
+      return 'paid';
+    }
+    if (new Date(dueDate) < now) {
+      return 'overdue';
+    }
+    if (amountPaid > 0) {
+      return 'partially_paid';
+    }
+    if (viewedAt) {
+      return 'viewed';
+    }
+    return sentAt ? 'sent' : 'issued';
+  }
+
+  /**
+   * @description Checks if an invoice is open past its due date, whether or not the overdue job has marked it yet.
+   * @param {Object} invoice - Invoice with status and dueDate.
+   * @param {Date} [now=new Date()] - The time to check the due date against.
+   * @returns {boolean} - True if the invoice is overdue.
+   */
+  static isPastDue(invoice, now = new Date()) {
+    return this.isOpen(invoice.status) && new Date(invoice.dueDate) < now;
+  }
+
+  /**
+   * @description Marks every open invoice past its due date as overdue.
+   * @param {Date} [now=new Date()] - The time to check due dates against.
+   * @returns {Promise<number>} - How many invoices were marked.
+   */
+  static async markOverdue(now = new Date()) {
+    const result = await Invoice.updateMany(
+      {
+        status: { $in: this.allowedFrom('overdue').filter(status => this.isOpen(status)) },
+        dueDate: { $lt: now },
+        balanceDue: { $gt: 0 }
+      },
+      { $set: { status: 'overdue' }, $push: { statusHistory: this.historyEntry('overdue', { note: 'Past due date', at: now }) } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * @description Records that an invoice was sent to the client, moving it from issued to sent.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {Object} [options={}] - { by } for the staff member who sent it.
+   * @returns {Promise<Object|null>} - The invoice, or null if it does not exist.
+   * @how - Only the first send is recorded. Invoices already further along, e.g. viewed in the portal or paid, keep their status and just get the send time.
+   */
+  static async markSent(invoiceId, options = {}) {
+    const sentAt = new Date();
+    const sent = await this.transition(invoiceId, 'sent', { ...options, filter: { status: 'issued' }, set: { sentAt } });
+    if (sent) {
+      return sent;
+    }
+
+    const invoice = await Invoice.findOneAndUpdate(
+      { _id: invoiceId, status: { $ne: 'draft' }, sentAt: null },
+      { $set: { sentAt } },
+      { new: true }
+    );
+    return invoice || Invoice.findById(invoiceId);
+  }
+
+  /**
+   * @description Records that the client has seen an invoice, moving it from issued or sent to viewed.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {Object} [options={}] - { by, note } when a staff member records the view.
+   * @returns {Promise<Object|null>} - The invoice, or null if it does not exist.
+   * @how - Only the first view is recorded. Invoices already further along keep their status and just get the view time.
+   */
+  static async markViewed(invoiceId, options = {}) {
+    const viewedAt = new Date();
+    const viewed = await this.transition(invoiceId, 'viewed', { ...options, filter: { status: { $in: ['issued', 'sent'] } }, set: { viewedAt } });
+    if (viewed) {
+      return viewed;
+    }
+
+    const invoice = await Invoice.findOneAndUpdate(
+      { _id: invoiceId, status: { $ne: 'draft' }, viewedAt: null },
+      { $set: { viewedAt } },
+      { new: true }
+    );
+    return invoice || Invoice.findById(invoiceId);
+  }
+};
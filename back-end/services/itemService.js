@@ -88,6 +88,16 @@ module.exports = class ItemService {
     }
   }
 
+  /**
+   * @description Builds the MongoDB filter for the item list, shared with the item export.
+   * @param {Object} [params={}] - Filter parameters.
+   * @param {string} [params.search] - Search term matched against item names.
+   * @returns {Object} - The filter.
+   */
+  static buildListFilter({ search } = {}) {
+    return search ? { name: new RegExp(search, 'i') } : {};
+  }
+
   /**
    * @description Retrieves a paginated list of all items with optional search.
    * @param {Object} [params={}] - Pagination and search parameters.
@@ -100,22 +110,15 @@ module.exports = class ItemService {
    */
   static async getAllItems({ page = 1, limit = 10, search } = {}) {
     try {
-      const queryFilter = {};
-      const searchRegex = search ? new RegExp(search, 'i') : null;
+      const queryFilter = this.buildListFilter({ search });
 
       const skip = (page - 1) * limit;
-      const items = await Item.find({
-        ...queryFilter,
-        ...(searchRegex ? { name: searchRegex } : {}),
-      })
+      const items = await Item.find(queryFilter)
         .skip(skip)
         .limit(limit)
         .sort({ createdAt: -1 }); // Assuming createdAt exists; add if missing
 
-      const totalItems = await Item.countDocuments({
-        ...queryFilter,
-        ...(searchRegex ? { name: searchRegex } : {}),
-      });
+      const totalItems = await Item.countDocuments(queryFilter);
 
       const totalPages = Math.ceil(totalItems / limit);
 
@@ -0,0 +1,158 @@
+const Invoice = require('../models/invoice');
+const SettingsService = require('./settingsService');
+const InvoiceService = require('./invoiceService');
+const InvoiceStatusService = require('./invoiceStatusService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = class LateFeeService {
+  /**
+   * @description Works out when a charge of the late fee policy falls due for an invoice.
+   * @param {Object} invoice - Invoice with dueDate.
+   * @param {Object} policy - The late fee policy.
+   * @param {number} period - The charge, 1 for the first.
+   * @returns {Date} - The end of the grace period for a single fee, or the end of the period for interest.
+   */
+  static chargeDate(invoice, policy, period) {
+    const days = policy.graceDays + (policy.type === 'interest' ? period * policy.periodDays : 0);
+    return new Date(new Date(invoice.dueDate).getTime() + days * DAY_MS);
+  }
+
+  /**
+   * @description Lists the charges an overdue invoice should have by now but does not.
+   * @param {Object} invoice - Invoice with status, dueDate and its late fees.
+   * @param {Object} policy - The late fee policy.
+   * @param {Date} [now=new Date()] - The time to check against.
+   * @returns {Array<number>} - The periods to charge, oldest first.
+   * @how - Counts the days overdue the same way invoice listings do: a single fee is due once the grace period has passed, interest for every full period after it. Charges that fell due before the policy was turned on are skipped.
+   */
+  static periodsDue(invoice, policy, now = new Date()) {
+    if (!InvoiceStatusService.isPastDue(invoice, now)) {
+      return [];
+    }
+
+    const daysLate = InvoiceService.overdueDays(invoice, now) - policy.graceDays;
+    if (daysLate < 0) {
+      return [];
+    }
+
+    const count = policy.type === 'interest' ? Math.floor(daysLate / policy.periodDays) : 1;
+    const charged = new Set((invoice.lateFees || []).map(fee => fee.period));
+    const periods = [];
+    for (let period = 1; period <= count; period++) {
+      if (!charged.has(period) && !(policy.enabledAt && this.chargeDate(invoice, policy, period) < new Date(policy.enabledAt))) {
+        periods.push(period);
+      }
+    }
+    return periods;
+  }
+
+  /**
+   * @description Calculates a late fee for an invoice in the invoice currency.
+   * @param {Object} invoice - Invoice with balanceDue, lateFeeTotal and exchangeRate.
+   * @param {Object} policy - The late fee policy.
+   * @returns {number} - The fee; percentages are charged on the balance excluding earlier late fees, so interest does not compound.
+   */
+  static feeAmount(invoice, policy) {
+    if (policy.type === 'flat') {
+      return InvoiceService.roundMoney(policy.flatAmount / (invoice.exchangeRate || 1));
+    }
+    const overdueBalance = Math.max(0, invoice.balanceDue - (invoice.lateFeeTotal || 0));
+    return InvoiceService.roundMoney(overdueBalance * policy.percentage / 100);
+  }
+
+  /**
+   * @description Describes a late fee for the fee line shown on the invoice.
+   * @param {Object} policy - The late fee policy.
+   * @param {number} period - The charge, 1 for the first.
+   * @returns {string} - e.g. 'Interest at 1.5% for days 31-60 overdue'.
+   */
+  static describeFee(policy, period) {
+    if (policy.type === 'flat') {
+      return 'Late fee';
+    }
+    if (policy.type === 'percentage') {
+      return `Late fee (${policy.percentage}% of the overdue balance)`;
+    }
+    const firstDay = policy.graceDays + (period - 1) * policy.periodDays + 1;
+    return `Interest at ${policy.percentage}% for days ${firstDay}-${firstDay + policy.periodDays - 1} overdue`;
+  }
+
+  /**
+   * @description Adds one late fee line to an invoice, raising its total and balance due.
+   * @param {Object} invoice - The invoice document.
+   * @param {Object} policy - The late fee policy.
+   * @param {number} period - The charge being added.
+   * @param {Date} [now=new Date()] - The time the fee is charged.
+   * @returns {Promise<Object|null>} - The updated invoice, or null if there was nothing to charge or the invoice changed in the meantime.
+   * @how - A conditional update guarded on the invoice still being open with the total and balance the fee was worked out from, and on the period not being charged yet, so concurrent runs or payments never lead to a wrong or duplicate fee.
+   */
+  static async chargeFee(invoice, policy, period, now = new Date()) {
+    const amount = this.feeAmount(invoice, policy);
+    if (!(amount > 0)) {
+      return null;
+    }
+
+    return Invoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        status: { $in: InvoiceStatusService.openStatuses() },
+        total: invoice.total,
+        balanceDue: invoice.balanceDue,
+        'lateFees.period': { $ne: period }
+      },
+      {
+        $set: {
+          total: InvoiceService.roundMoney(invoice.total + amount),
+          balanceDue: InvoiceService.roundMoney(invoice.balanceDue + amount),
+          lateFeeTotal: InvoiceService.roundMoney((invoice.lateFeeTotal || 0) + amount)
+        },
+        $push: { lateFees: { period, description: this.describeFee(policy, period), amount, chargedAt: now } }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * @description Charges every late fee that has come due, run by the late fees job.
+   * @param {Date} [now=new Date()] - The time to check against.
+   * @returns {Promise<Object>} - { charged, failed } counts; both 0 when late fees are turned off.
+   * @how - Walks open invoices with a balance that are overdue by at least the grace period (plus one interest period), charging each missing period in turn. Paid, void and written off invoices drop out of the query.
+   */
+  static async applyLateFees(now = new Date()) {
+    const counts = { charged: 0, failed: 0 };
+    const settings = await SettingsService.getLateFeePolicy();
+    if (!settings.success) {
+      throw new Error(settings.message);
+    }
+    const policy = settings.data;
+    if (!policy.enabled) {
+      return counts;
+    }
+
+    const firstChargeDays = policy.graceDays + (policy.type === 'interest' ? policy.periodDays : 0);
+    const invoices = Invoice.find({
+      status: { $in: InvoiceStatusService.openStatuses() },
+      balanceDue: { $gt: 0 },
+      dueDate: { $lte: new Date(now.getTime() - firstChargeDays * DAY_MS) }
+    }).cursor();
+
+    for await (const invoice of invoices) {
+      let current = invoice;
+      try {
+        for (const period of this.periodsDue(current, policy, now)) {
+          current = await this.chargeFee(current, policy, period, now);
+          if (!current) {
+            break;
+          }
+          counts.charged++;
+        }
+      } catch (error) {
+        console.error(`Error charging late fees on invoice ${invoice.invoiceNumber}:`, error);
+        counts.failed++;
+      }
+    }
+
+    return counts;
+  }
+};
@@ -0,0 +1,96 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const mail = require('../config/mail');
+
+// Factories for each delivery method. A transport has a single `send(message)` method that
+// delivers a nodemailer message ({ from, to, subject, text, attachments }) and resolves with its message ID.
+const transportFactories = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: mail.smtp.host,
+      port: mail.smtp.port,
+      secure: mail.smtp.secure,
+      auth: mail.smtp.user ? { user: mail.smtp.user, pass: mail.smtp.pass } : undefined
+    });
+    return {
+      send: async (message) => (await transporter.sendMail(message)).messageId
+    };
+  },
+  file: () => {
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.mkdir(mail.fileDir, { recursive: true });
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+        await fs.writeFile(path.join(mail.fileDir, fileName), info.message);
+        return info.messageId;
+      }
+    };
+  },
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        const attachments = (message.attachments || []).map(attachment => attachment.filename).join(', ');
+        console.log(`Email to ${message.to}: ${message.subject}${attachments ? ` [${attachments}]` : ''}\n${message.text}`);
+        return info.messageId;
+      }
+    };
+  }
+};
+
+let transport;
+
+module.exports = class MailService {
+  /**
+   * @description Adds a delivery method, e.g. for an email API, selectable with MAIL_TRANSPORT.
+   * @param {string} name - The transport name.
+   * @param {Function} factory - Returns a transport with `send(message)` resolving with the message ID.
+   */
+  static registerTransport(name, factory) {
+    transportFactories[name] = factory;
+    transport = undefined;
+  }
+
+  /**
+   * @description Returns the configured transport, creating it on first use.
+   * @returns {Object} - The transport.
+   * @throws {Error} - If MAIL_TRANSPORT names an unknown transport.
+   */
+  static getTransport() {
+    if (!transport) {
+      const factory = transportFactories[mail.transport];
+      if (!factory) {
+        throw new Error(`Unknown mail transport "${mail.transport}", expected one of ${Object.keys(transportFactories).join(', ')}`);
+      }
+      transport = factory();
+    }
+    return transport;
+  }
+
+  /**
+   * @description Sends an email through the configured transport.
+   * @param {Object} params - Message parameters.
+   * @param {string} params.to - Recipient address.
+   * @param {string} params.subject - Subject line.
+   * @param {string} params.text - Plain text body.
+   * @param {Array<Object>} [params.attachments] - nodemailer attachments, e.g. [{ filename, content }].
+   * @returns {Object} - Response object with { success, data: { messageId }, message }; the message carries the transport's error when delivery fails.
+   */
+  static async send({ to, subject, text, attachments }) {
+    try {
+      if (!to) {
+        return { success: false, message: 'A recipient address is required' };
+      }
+
+      const messageId = await this.getTransport().send({ from: mail.from, to, subject, text, attachments });
+      return { success: true, data: { messageId } };
+    } catch (error) {
+      console.error('Error sending email:', error);
+      return { success: false, message: `Could not send email: ${error.message}` };
+    }
+  }
+};
@@ -0,0 +1,159 @@
+const Payment = require('../models/payment');
+const Invoice = require('../models/invoice');
+const InvoiceService = require('./invoiceService');
+const CurrencyService = require('./currencyService');
+
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+module.exports = class PaymentService {
+  /**
+   * @description Records a payment against an invoice and updates its balance and status.
+   * @param {string} invoiceId - The MongoDB ID of the invoice being paid.
+   * @param {Object} params - Payment parameters.
+   * @param {number} params.amount - The amount received, in the invoice currency.
+   * @param {string} [params.date] - When the payment was received, defaults to now.
+   * @param {string} params.method - One of 'bank_transfer', 'card', 'cash', 'cheque' or 'other'.
+   * @param {string} [params.reference] - Bank reference, cheque number, etc.
+   * @param {string} [recordedBy] - The MongoDB ID of the staff member recording the payment.
+   * @returns {Object} - Response object with { success, data: { payment, invoice }, message } indicating success or failure.
+   * @how - Applies the amount to the invoice balance first, which rejects overpayments atomically, then writes the ledger entry and reverses the balance change if that write fails.
+   */
+  static async recordPayment(invoiceId, { amount, date, method, reference }, recordedBy) {
+    try {
+      const paymentAmount = InvoiceService.roundMoney(Number(amount));
+      if (!Number.isFinite(paymentAmount) || paymentAmount <= 0) {
+        return { success: false, message: 'Amount must be a positive number' };
+      }
+      if (!PAYMENT_METHODS.includes(method)) {
+        return { success: false, message: `Method must be one of ${PAYMENT_METHODS.join(', ')}` };
+      }
+      const paymentDate = date ? new Date(date) : new Date();
+      if (Number.isNaN(paymentDate.getTime())) {
+        return { success: false, message: 'Invalid payment date' };
+      }
+
+      const existing = await Invoice.findById(invoiceId);
+      if (!existing) {
+        return { success: false, message: 'Invoice not found' };
+      }
+      if (existing.status === 'draft') {
+        return { success: false, message: 'Draft invoices must be issued before payments can be recorded' };
+      }
+      if (existing.status === 'void') {
+        return { success: false, message: 'Void invoices cannot be paid' };
+      }
+      if (existing.status === 'written_off') {
+        return { success: false, message: 'Written off invoices cannot be paid' };
+      }
+
+      const invoice = await InvoiceService.applyPayment(invoiceId, paymentAmount);
+      if (!invoice) {
+        const balanceDue = existing.balanceDue != null ? existing.balanceDue : existing.total;
+        return {
+          success: false,
+          message: `Payment exceeds the balance due of ${CurrencyService.formatMoney(balanceDue, existing.currency)}`
+        };
+      }
+
+      try {
+        const payment = await Payment.create({
+          invoice: invoiceId,
+          amount: paymentAmount,
+          currency: invoice.currency,
+          date: paymentDate,
+          method,
+          reference,
+          recordedBy
+        });
+        return { success: true, data: { payment, invoice } };
+      } catch (error) {
+        await InvoiceService.applyPayment(invoiceId, -paymentAmount);
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      return { success: false, message: 'Could not record payment' };
+    }
+  }
+
+  /**
+   * @description Records a payment for the whole remaining balance of an invoice.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {string} [recordedBy] - The MongoDB ID of the staff member marking it as paid.
+   * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
+   */
+  static async settleInvoice(invoiceId, recordedBy) {
+    try {
+      const invoice = await Invoice.findById(invoiceId);
+      if (!invoice) {
+        return { success: false, message: 'Invoice not found' };
+      }
+      if (invoice.status === 'draft') {
+        return { success: false, message: 'Draft invoices must be issued before they can be paid' };
+      }
+      if (invoice.status === 'void') {
+        return { success: false, message: 'Void invoices cannot be paid' };
+      }
+      if (invoice.status === 'written_off') {
+        return { success: false, message: 'Written off invoices cannot be paid' };
+      }
+      if (!(invoice.balanceDue > 0)) {
+        return { success: false, message: 'Invoice is already paid' };
+      }
+
+      const response = await this.recordPayment(
+        invoiceId,
+        { amount: invoice.balanceDue, method: 'other', reference: 'Marked as paid' },
+        recordedBy
+      );
+      return response.success ? { success: true, data: response.data.invoice } : response;
+    } catch (error) {
+      console.error('Error settling invoice:', error);
+      return { success: false, message: 'Could not mark invoice as paid' };
+    }
+  }
+
+  /**
+   * @description Retrieves the payments recorded against an invoice, newest first.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @returns {Object} - Response object with { success, data: payments, message }.
+   */
+  static async getPayments(invoiceId) {
+    try {
+      const payments = await Payment.find({ invoice: invoiceId })
+        .populate('recordedBy', 'name')
+        .sort({ date: -1, createdAt: -1 });
+
+      return { success: true, data: payments };
+    } catch (error) {
+      console.error('Error fetching payments:', error);
+      return { success: false, message: 'Could not fetch payments' };
+    }
+  }
+
+  /**
+   * @description Deletes a payment recorded by mistake and restores the invoice balance.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {string} paymentId - The MongoDB ID of the payment.
+   * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
+   */
+  static async deletePayment(invoiceId, paymentId) {
+    try {
+      // The written off amount was worked out from the balance after these payments, so they stay put
+      if (await Invoice.exists({ _id: invoiceId, status: 'written_off' })) {
+        return { success: false, message: 'Payments of written off invoices cannot be deleted' };
+      }
+
+      const payment = await Payment.findOneAndDelete({ _id: paymentId, invoice: invoiceId });
+      if (!payment) {
+        return { success: false, message: 'Payment not found' };
+      }
+
+      const invoice = await InvoiceService.applyPayment(invoiceId, -payment.amount);
+      return { success: true, data: invoice };
+    } catch (error) {
+      console.error('Error deleting payment:', error);
+      return { success: false, message: 'Could not delete payment' };
+    }
+  }
+};
@@ -0,0 +1,279 @@
+const PDFDocument = require('pdfkit');
+const company = require('../config/company');
+const CurrencyService = require('./currencyService');
+
+const PAGE_MARGIN = 50;
+const TABLE_COLUMNS = [
+  { label: 'Item', x: 50, width: 240, align: 'left' },
+  { label: 'Qty', x: 290, width: 50, align: 'right' },
+  { label: 'Unit Price', x: 350, width: 90, align: 'right' },
+  { label: 'Amount', x: 450, width: 95, align: 'right' }
+];
+
+module.exports = class PdfService {
+  /**
+   * @description Renders an invoice into a PDF document.
+   * @param {Object} invoice - Invoice document with its client populated.
+   * @returns {Promise<Buffer>} - The rendered PDF.
+   * @how - Streams the company header, billing details, line items, totals, notes and terms through pdfkit, adds the footer to every page and collects the output into a buffer.
+   */
+  static renderInvoice(invoice) {
+    return new Promise((resolve, reject) => {
+      try {
+        // Pages are buffered so the footer can be added to each of them once the content is laid out
+        const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        this.drawHeader(doc, invoice);
+        this.drawBillingDetails(doc, invoice);
+        this.drawLineItems(doc, invoice);
+        this.drawTotals(doc, invoice);
+        this.drawNotes(doc, invoice);
+        this.drawFooter(doc, invoice);
+
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * @description Draws the company header and invoice metadata.
+   * @param {PDFDocument} doc - The pdfkit document.
+   * @param {Object} invoice - The invoice being rendered.
+   */
+  static drawHeader(doc, invoice) {
+    doc.font('Helvetica-Bold').fontSize(20).text(company.name, PAGE_MARGIN, PAGE_MARGIN);
+    doc.font('Helvetica').fontSize(9).fillColor('#555555');
+    [company.address, company.email, company.phone]
+      .filter(Boolean)
+      .forEach(line => doc.text(line));
+
+    const isDraft = invoice.status === 'draft';
+    const title = isDraft ? 'DRAFT INVOICE' : invoice.status === 'void' ? 'VOID INVOICE' : 'INVOICE';
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+      .text(title, 350, PAGE_MARGIN, { width: 195, align: 'right' });
+    doc.font('Helvetica').fontSize(10)
+      .text(isDraft ? 'Not yet issued' : `Invoice #: ${invoice.invoiceNumber}`, 350, doc.y + 5, { width: 195, align: 'right' })
+      .text(`Issue Date: ${this.formatDate(invoice.issueDate)}`, { width: 195, align: 'right' })
+      .text(`Due Date: ${this.formatDate(invoice.dueDate)}`, { width: 195, align: 'right' });
+    if (invoice.status === 'void') {
+      doc.fillColor('#b91c1c')
+        .text(`Voided ${this.formatDate(invoice.voidedAt)}: ${invoice.voidReason}`, { width: 195, align: 'right' })
+        .fillColor('#000000');
+    }
+
+    doc.moveDown(3);
+  }
+
+  /**
+   * @description Draws the client's billing details.
+   * @param {PDFDocument} doc - The pdfkit document.
+   * @param {Object} invoice - The invoice being rendered.
+   */
+  static drawBillingDetails(doc, invoice) {
+    const client = invoice.client || {};
+    const top = Math.max(doc.y, 150);
+
+    doc.font('Helvetica-Bold').fontSize(11).text('Bill To', PAGE_MARGIN, top);
+    doc.font('Helvetica').fontSize(10);
+    [client.name, client.billingAddress || client.address, client.email, client.phone_number]
+      .filter(Boolean)
+      .forEach(line => doc.text(line, { width: 250 }));
+
+    doc.moveDown(2);
+  }
+
+  /**
+   * @description Draws the line item table.
+   * @param {PDFDocument} doc - The pdfkit document.
+   * @param {Object} invoice - The invoice being rendered.
+   */
+  static drawLineItems(doc, invoice) {
+    this.drawTableRow(doc, TABLE_COLUMNS.map(column => column.label), { bold: true });
+    this.drawRule(doc);
+
+    (invoice.items || []).forEach(line => {
+      if (doc.y > doc.page.height - 150) {
+        doc.addPage();
+      }
+      const label = [line.name, line.description, this.describeDiscount(line, invoice.currency)].filter(Boolean).join('\n');
+      this.drawTableRow(doc, [
+        label,
+        String(line.quantity),
+        CurrencyService.formatMoney(line.unitPrice, invoice.currency),
+        CurrencyService.formatMoney(line.lineTotal, invoice.currency)
+      ]);
+    });
+
+    this.drawRule(doc);
+  }
+
+  /**
+   * @description Draws the invoice totals below the line items.
+   * @param {PDFDocument} doc - The pdfkit document.
+   * @param {Object} invoice - The invoice being rendered.
+   */
+  static drawTotals(doc, invoice) {
+    doc.moveDown(0.5);
+    const rows = [];
+    if (invoice.discountTotal > 0) {
+      const itemsTotal = (invoice.items || []).reduce((sum, line) => sum + line.lineTotal, 0);
+      rows.push(['Items', itemsTotal]);
+      if (invoice.discountAmount > 0) {
+        const lineDiscounts = invoice.discountTotal - invoice.discountAmount;
+        if (lineDiscounts > 0) {
+          rows.push(['Line discounts', -lineDiscounts]);
+        }
+        rows.push([`Invoice discount${invoice.discount.type === 'percentage' ? ` (${invoice.discount.value}%)` : ''}`, -invoice.discountAmount]);
+      } else {
+        rows.push(['Discounts', -invoice.discountTotal]);
+      }
+    }
+    rows.push([invoice.taxInclusive ? 'Subtotal (excl. tax)' : 'Subtotal', invoice.subtotal != null ? invoice.subtotal : invoice.total]);
+    (invoice.taxes || []).forEach(tax => {
+      rows.push([`${tax.name} (${tax.percentage}%${tax.compound ? ', compound' : ''})`, tax.amount]);
+    });
+    (invoice.lateFees || []).forEach(fee => {
+      rows.push([fee.description, fee.amount]);
+    });
+
+    doc.font('Helvetica').fontSize(10);
+    rows.forEach(([label, amount]) => this.drawTotalRow(doc, label, CurrencyService.formatMoney(amount, invoice.currency)));
+
+    doc.font('Helvetica-Bold').fontSize(12);
+    this.drawTotalRow(doc, `Total (${invoice.currency})`, CurrencyService.formatMoney(invoice.total, invoice.currency));
+
+    if (invoice.amountPaid > 0 || invoice.creditedAmount > 0) {
+      doc.font('Helvetica').fontSize(10);
+      if (invoice.creditedAmount > 0) {
+        this.drawTotalRow(doc, 'Credited', CurrencyService.formatMoney(-invoice.creditedAmount, invoice.currency));
+      }
+      if (invoice.amountPaid > 0) {
+        const netPaid = invoice.amountPaid - (invoice.refundedAmount || 0);
+        this.drawTotalRow(doc, 'Amount paid', CurrencyService.formatMoney(-netPaid, invoice.currency));
+      }
+      doc.font('Helvetica-Bold').fontSize(12);
+      this.drawTotalRow(doc, 'Balance due', CurrencyService.formatMoney(invoice.balanceDue, invoice.currency));
+    }
+
+    if (invoice.taxInclusive) {
+      doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text('Prices include tax', 300, doc.y, { width: 245, align: 'right' })
+        .fillColor('#000000');
+    }
+  }
+
+  /**
+   * @description Draws the invoice notes and payment terms below the totals.
+   * @param {PDFDocument} doc - The pdfkit document.
+   * @param {Object} invoice - The invoice being rendered.
+   */
+  static drawNotes(doc, invoice) {
+    [['Notes', invoice.notes], ['Terms', invoice.terms]]
+      .filter(([, text]) => text)
+      .forEach(([heading, text]) => {
+        doc.moveDown(1.5);
+        if (doc.y > doc.page.height - 120) {
+          doc.addPage();
+        }
+        doc.font('Helvetica-Bold').fontSize(11).text(heading, PAGE_MARGIN, doc.y);
+        doc.font('Helvetica').fontSize(9).fillColor('#333333')
+          .text(text, { width: 495 })
+          .fillColor('#000000');
+      });
+  }
+
+  /**
+   * @description Draws the invoice footer at the bottom of every page.
+   * @param {PDFDocument} doc - The pdfkit document.
+   * @param {Object} invoice - The invoice being rendered.
+   */
+  static drawFooter(doc, invoice) {
+    if (!invoice.footer) {
+      return;
+    }
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index++) {
+      doc.switchToPage(index);
+      // Lifted temporarily so writing inside the bottom margin does not start a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#555555')
+        .text(invoice.footer, PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 10, { width: 495, align: 'center', height: 30, ellipsis: true })
+        .fillColor('#000000');
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+
+  /**
+   * @description Describes the discount taken off a line, if any.
+   * @param {Object} line - The invoice line.
+   * @param {string} currency - The invoice currency.
+   * @returns {string|null} - e.g. 'Less 10% discount (-$5.00)', or null when the line is not discounted.
+   */
+  static describeDiscount(line, currency) {
+    if (!line.discount || !(line.discountAmount > 0)) {
+      return null;
+    }
+    const label = line.discount.type === 'percentage' ? `${line.discount.value}% discount` : 'discount';
+    return `Less ${label} (-${CurrencyService.formatMoney(line.discountAmount, currency)})`;
+  }
+
+  /**
+   * @description Draws one label/amount row of the totals block.
+   * @param {PDFDocument} doc - The pdfkit document.
+   * @param {string} label - The row label.
+   * @param {string} amount - The formatted amount.
+   */
+  static drawTotalRow(doc, label, amount) {
+    const y = doc.y;
+    doc.text(label, 250, y, { width: 190, align: 'right' });
+    const bottom = doc.y;
+    doc.text(amount, 450, y, { width: 95, align: 'right' });
+    doc.y = Math.max(bottom, doc.y) + 4;
+  }
+
+  /**
+   * @description Draws one table row and advances the cursor past its tallest cell.
+   * @param {PDFDocument} doc - The pdfkit document.
+   * @param {Array<string>} cells - Cell text in column order.
+   * @param {Object} [options] - Row options.
+   * @param {boolean} [options.bold=false] - Render the row in bold.
+   */
+  static drawTableRow(doc, cells, { bold = false } = {}) {
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+
+    let bottom = top;
+    TABLE_COLUMNS.forEach((column, index) => {
+      doc.text(cells[index], column.x, top, { width: column.width, align: column.align });
+      bottom = Math.max(bottom, doc.y);
+    });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = bottom + 6;
+  }
+
+  /**
+   * @description Draws a horizontal rule across the table width.
+   * @param {PDFDocument} doc - The pdfkit document.
+   */
+  static drawRule(doc) {
+    doc.moveTo(PAGE_MARGIN, doc.y).lineTo(545, doc.y).strokeColor('#cccccc').stroke();
+    doc.y += 6;
+  }
+
+  /**
+   * @description Formats a date for display.
+   * @param {Date|string} date - The date to format.
+   * @returns {string} - The formatted date.
+   */
+  static formatDate(date) {
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: '2-digit' });
+  }
+};
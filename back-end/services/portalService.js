@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const InvoiceService = require('./invoiceService');
+const InvoiceStatusService = require('./invoiceStatusService');
+
+// Drafts are still being prepared by staff and never shown to the client
+const HIDDEN_STATUSES = ['draft'];
+
+module.exports = class PortalService {
+  /**
+   * @description Sums what a client owes, per invoice currency.
+   * @param {string} clientId - The MongoDB ID of the signed-in client.
+   * @returns {Object} - Response object with { success, data: { balances }, message }; each balance has { currency, outstanding, overdue, openInvoices, overdueInvoices }.
+   */
+  static async getSummary(clientId) {
+    try {
+      const invoices = await Invoice.find(
+        { client: clientId, status: { $in: InvoiceStatusService.openStatuses() }, balanceDue: { $gt: 0 } },
+        'currency status dueDate balanceDue'
+      );
+
+      const balances = new Map();
+      for (const invoice of invoices) {
+        if (!balances.has(invoice.currency)) {
+          balances.set(invoice.currency, { currency: invoice.currency, outstanding: 0, overdue: 0, openInvoices: 0, overdueInvoices: 0 });
+        }
+        const balance = balances.get(invoice.currency);
+        balance.outstanding = InvoiceService.roundMoney(balance.outstanding + invoice.balanceDue);
+        balance.openInvoices++;
+        if (InvoiceService.isOverdue(invoice)) {
+          balance.overdue = InvoiceService.roundMoney(balance.overdue + invoice.balanceDue);
+          balance.overdueInvoices++;
+        }
+      }
+
+      return { success: true, data: { balances: [...balances.values()].sort((a, b) => a.currency.localeCompare(b.currency)) } };
+    } catch (error) {
+      console.error('Error fetching portal summary:', error);
+      return { success: false, message: 'Could not fetch account summary' };
+    }
+  }
+
+  /**
+   * @description Retrieves a page of a client's issued invoices, newest first.
+   * @param {string} clientId - The MongoDB ID of the signed-in client.
+   * @param {Object} [params={}] - Query parameters.
+   * @param {number} [params.page=1] - The page number for pagination.
+   * @param {number} [params.limit=10] - The number of invoices per page.
+   * @param {string} [params.status] - Filter by one invoice status; drafts are never returned and cannot be asked for.
+   * @returns {Object} - Response object with { success, data: { invoices, links }, message }.
+   */
+  static async getInvoices(clientId, { page = 1, limit = 10, status } = {}) {
+    try {
+      const queryFilter = { client: clientId, status: { $nin: HIDDEN_STATUSES } };
+      if (status !== undefined && status !== '') {
+        const visible = Invoice.schema.path('status').enumValues.filter(value => !HIDDEN_STATUSES.includes(value));
+        if (typeof status !== 'string' || !visible.includes(status)) {
+          return { success: false, message: `Status must be one of ${visible.join(', ')}` };
+        }
+        queryFilter.status.$eq = status;
+      }
+
+      const skip = (page - 1) * limit;
+      const invoices = await Invoice.find(queryFilter, 'invoiceNumber issueDate dueDate currency status total amountPaid balanceDue')
+        .skip(skip)
+        .limit(limit)
+        .sort({ issueDate: -1 });
+
+      const total = await Invoice.countDocuments(queryFilter);
+
+      return {
+        success: true,
+        data: {
+          invoices: InvoiceService.addOverdueInfo(invoices),
+          links: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalPerPage: limit,
+            total
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching portal invoices:', error);
+      return { success: false, message: 'Could not fetch invoices' };
+    }
+  }
+
+  /**
+   * @description Retrieves one of a client's issued invoices.
+   * @param {string} clientId - The MongoDB ID of the signed-in client.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {Object} [options={}] - { recordView } to move an issued or sent invoice to viewed.
+   * @returns {Object} - Response object with { success, data: invoice, message }; invoices of other clients are reported as not found.
+   */
+  static async getInvoice(clientId, invoiceId, { recordView = false } = {}) {
+    try {
+      if (!mongoose.isValidObjectId(invoiceId)) {
+        return { success: false, message: 'Invoice not found' };
+      }
+
+      const found = await Invoice.exists({ _id: invoiceId, client: clientId, status: { $nin: HIDDEN_STATUSES } });
+      if (!found) {
+        return { success: false, message: 'Invoice not found' };
+      }
+
+      if (recordView) {
+        await InvoiceStatusService.markViewed(invoiceId, { note: 'Opened in the client portal' });
+      }
+
+      return InvoiceService.getSingleInvoice(invoiceId);
+    } catch (error) {
+      console.error('Error fetching portal invoice:', error);
+      return { success: false, message: 'Could not fetch invoice' };
+    }
+  }
+};
@@ -0,0 +1,625 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Quote = require('../models/quote');
+const app = require('../config/app');
+const company = require('../config/company');
+const shareLinks = require('../config/shareLinks');
+const InvoiceService = require('./invoiceService');
+const InvoiceStatusService = require('./invoiceStatusService');
+const SequenceService = require('./sequenceService');
+const CurrencyService = require('./currencyService');
+const MailService = require('./mailService');
+const EmailTemplateService = require('./emailTemplateService');
+
+const QUOTE_PATTERN = 'QT-{YYYY}-{seq:5}';
+const QUOTE_COUNTER = 'quote';
+const STATUSES = Quote.schema.path('status').enumValues;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Distinguishes acceptance tokens from share link and login tokens signed with the same secret
+const TOKEN_TYPE = 'quote-acceptance';
+// A conversion claimed longer ago than this is assumed to have crashed and may be retried
+const CONVERSION_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Every status a quote may move to from each status. Revising a sent or expired quote takes it back to
+// draft so it is sent again with a fresh link; accepted and declined quotes are final.
+const TRANSITIONS = {
+  draft: ['sent'],
+  sent: ['draft', 'accepted', 'declined', 'expired'],
+  accepted: [],
+  declined: [],
+  expired: ['draft']
+};
+
+module.exports = class QuoteService {
+  /**
+   * @description Lists the statuses a quote may move to a given status from.
+   * @param {string} to - The requested status.
+   * @returns {Array<string>} - The statuses allowed to move to it.
+   */
+  static allowedFrom(to) {
+    return STATUSES.filter(from => (TRANSITIONS[from] || []).includes(to));
+  }
+
+  /**
+   * @description Moves a quote to a new status and records the transition in its history.
+   * @param {string} quoteId - The MongoDB ID of the quote.
+   * @param {string} to - The status to move to.
+   * @param {Object} [options={}] - { by, note, set, filter }, as for InvoiceStatusService.transition.
+   * @returns {Promise<Object|null>} - The updated quote, or null if its status may not move to `to` or the filter did not match.
+   */
+  static async transition(quoteId, to, { by, note, set = {}, filter = {} } = {}) {
+    return Quote.findOneAndUpdate(
+      { _id: quoteId, status: { $in: this.allowedFrom(to) }, ...filter },
+      { $set: { ...set, status: to }, $push: { statusHistory: InvoiceStatusService.historyEntry(to, { by, note }) } },
+      { new: true }
+    );
+  }
+
+  /**
+   * @description Works out when the client can no longer accept a quote.
+   * @param {Object} quote - Quote with validUntil.
+   * @returns {Date} - The end of the validUntil day.
+   */
+  static expiresAt(quote) {
+    return new Date(new Date(quote.validUntil).getTime() + DAY_MS);
+  }
+
+  /**
+   * @description Validates the dates and payment terms of a quote and prices its lines.
+   * @param {Object} params - Quote fields, as accepted by createQuote.
+   * @returns {Promise<Object>} - Response object with { success, data: quote fields, message }.
+   * @how - Lines are priced by InvoiceService exactly like a draft invoice, so the quote shows what the invoice will charge. No stock is reserved until the quote is converted.
+   */
+  static async prepareQuote({ issueDate, validUntil, paymentTermsDays, ...params }) {
+    const issued = new Date(issueDate);
+    const until = new Date(validUntil);
+    if (!issueDate || !validUntil || Number.isNaN(issued.getTime()) || Number.isNaN(until.getTime())) {
+      return { success: false, message: 'Valid issue and expiry dates are required' };
+    }
+    until.setUTCHours(0, 0, 0, 0);
+    if (until < new Date(issued.toISOString().slice(0, 10))) {
+      return { success: false, message: 'The quote must be valid until on or after its issue date' };
+    }
+    if (paymentTermsDays !== undefined && (!Number.isInteger(Number(paymentTermsDays)) || Number(paymentTermsDays) < 0)) {
+      return { success: false, message: 'Payment terms must be a whole number of days' };
+    }
+
+    const prepared = await InvoiceService.prepareInvoice({ ...params, issueDate: issued, dueDate: until }, { reserveStock: false });
+    if (!prepared.success) {
+      return prepared;
+    }
+
+    const { dueDate, ...fields } = prepared.data;
+    return {
+      success: true,
+      data: {
+        ...fields,
+        validUntil: until,
+        ...(paymentTermsDays !== undefined && { paymentTermsDays: Number(paymentTermsDays) })
+      }
+    };
+  }
+
+  /**
+   * @description Creates a draft quote with the next quote number.
+   * @param {Object} params - Quote parameters.
+   * @param {string} params.clientId - The MongoDB ID of the client quoted.
+   * @param {Date} params.issueDate - The date of the quote.
+   * @param {Date} params.validUntil - The last day the client can accept it.
+   * @param {Array<Object>} params.items - Lines as accepted by InvoiceService.createInvoice: { _id, quantity, description, discount, taxRateIds }.
+   * @param {Array<string>} [params.taxRateIds] - Tax rates applied to lines without their own.
+   * @param {boolean} [params.taxInclusive] - Whether item prices already include tax.
+   * @param {Object} [params.discount] - Quote-wide discount with { type, value }.
+   * @param {string} [params.currency] - Quote currency; defaults to the client's currency, then the base currency.
+   * @param {number} [params.paymentTermsDays=30] - Days between conversion and the due date of the invoice.
+   * @param {string} [createdBy] - The MongoDB ID of the staff member creating it.
+   * @returns {Object} - Response object with { success, data: quote, message } indicating success or failure.
+   */
+  static async createQuote(params, createdBy) {
+    try {
+      const prepared = await this.prepareQuote(params);
+      if (!prepared.success) {
+        return prepared;
+      }
+
+      let counterSeq;
+      try {
+        counterSeq = await SequenceService.next(QUOTE_COUNTER);
+        const quote = await Quote.create({
+          ...prepared.data,
+          quoteNumber: SequenceService.format(QUOTE_PATTERN, counterSeq, prepared.data.issueDate),
+          status: 'draft',
+          statusHistory: [InvoiceStatusService.historyEntry('draft', { by: createdBy })],
+          createdBy
+        });
+        return { success: true, data: quote };
+      } catch (error) {
+        if (counterSeq !== undefined) {
+          await SequenceService.release(QUOTE_COUNTER, counterSeq);
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error creating quote:', error);
+      return { success: false, message: 'Could not create quote' };
+    }
+  }
+
+  /**
+   * @description Replaces the lines, dates, client and pricing options of a quote the client has not answered yet.
+   * @param {string} quoteId - The MongoDB ID of the quote.
+   * @param {Object} params - Quote parameters, as accepted by createQuote.
+   * @param {string} [by] - The MongoDB ID of the staff member revising it.
+   * @returns {Object} - Response object with { success, data: quote, message } indicating success or failure.
+   * @how - Reprices the quote from the current catalog. Revising a sent or expired quote takes it back to draft, which retires the link the client was sent.
+   */
+  static async updateQuote(quoteId, params, by) {
+    try {
+      const current = await Quote.findById(quoteId, 'status updatedAt');
+      if (!current) {
+        return { success: false, message: 'Quote not found' };
+      }
+      if (!['draft', ...this.allowedFrom('draft')].includes(current.status)) {
+        return { success: false, message: `Quotes that are ${current.status} can no longer be edited` };
+      }
+
+      const prepared = await this.prepareQuote(params);
+      if (!prepared.success) {
+        return prepared;
+      }
+
+      const { discount, ...fields } = prepared.data;
+      const update = discount ? { $set: { ...fields, discount } } : { $set: fields, $unset: { discount: 1 } };
+      if (current.status !== 'draft') {
+        update.$set.status = 'draft';
+        update.$push = { statusHistory: InvoiceStatusService.historyEntry('draft', { by, note: 'Revised' }) };
+      }
+
+      const quote = await Quote.findOneAndUpdate(
+        { _id: quoteId, status: current.status, updatedAt: current.updatedAt },
+        update,
+        { new: true, runValidators: true }
+      );
+      if (!quote) {
+        return { success: false, message: 'The quote changed while it was being edited, please try again' };
+      }
+
+      return { success: true, data: quote };
+    } catch (error) {
+      console.error('Error updating quote:', error);
+      return { success: false, message: 'Could not update quote' };
+    }
+  }
+
+  /**
+   * @description Deletes a draft quote. Quotes the client has seen are kept for the record.
+   * @param {string} quoteId - The MongoDB ID of the quote.
+   * @returns {Object} - Response object with { success, message } indicating success or failure.
+   */
+  static async deleteQuote(quoteId) {
+    try {
+      const quote = await Quote.findOneAndDelete({ _id: quoteId, status: 'draft', sentAt: null });
+      if (!quote) {
+        return { success: false, message: await Quote.exists({ _id: quoteId }) ? 'Only quotes that were never sent can be deleted' : 'Quote not found' };
+      }
+
+      return { success: true, message: 'Quote deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting quote:', error);
+      return { success: false, message: 'Could not delete quote' };
+    }
+  }
+
+  /**
+   * @description Retrieves a page of quotes, newest first.
+   * @param {Object} [params={}] - Query parameters.
+   * @param {number} [params.page=1] - The page number for pagination.
+   * @param {number} [params.limit=10] - The number of quotes per page.
+   * @param {string} [params.status] - Filter by quote status.
+   * @param {string} [params.clientId] - Filter by client.
+   * @returns {Object} - Response object with { success, data: { quotes, links }, message }.
+   */
+  static async getQuotes({ page = 1, limit = 10, status, clientId } = {}) {
+    try {
+      const queryFilter = {};
+      if (status) {
+        queryFilter.status = status;
+      }
+      if (clientId) {
+        if (!mongoose.isValidObjectId(clientId)) {
+          return { success: false, message: 'Client not found' };
+        }
+        queryFilter.client = clientId;
+      }
+
+      const skip = (page - 1) * limit;
+      const quotes = await Quote.find(queryFilter, 'quoteNumber client issueDate validUntil currency total status invoice')
+        .populate('client', 'name')
+        .populate('invoice', 'invoiceNumber')
+        .skip(skip)
+        .limit(limit)
+        .sort({ createdAt: -1 });
+
+      const total = await Quote.countDocuments(queryFilter);
+
+      return {
+        success: true,
+        data: {
+          quotes,
+          links: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalPerPage: limit,
+            total
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching quotes:', error);
+      return { success: false, message: 'Could not fetch quotes' };
+    }
+  }
+
+  /**
+   * @description Retrieves a single quote for staff, with the acceptance link while the client can still answer it.
+   * @param {string} quoteId - The MongoDB ID of the quote.
+   * @returns {Object} - Response object with { success, data: quote, message }.
+   */
+  static async getQuote(quoteId) {
+    try {
+      const quote = await Quote.findById(quoteId)
+        .populate('client', 'name email phone_number address billingAddress')
+        .populate('invoice', 'invoiceNumber status total currency')
+        .populate('createdBy', 'name')
+        .populate('statusHistory.by', 'name');
+      if (!quote) {
+        return { success: false, message: 'Quote not found' };
+      }
+
+      return { success: true, data: this.describeQuote(quote) };
+    } catch (error) {
+      console.error('Error fetching quote:', error);
+      return { success: false, message: 'Could not fetch quote' };
+    }
+  }
+
+  /**
+   * @description Signs the acceptance link token of a sent quote.
+   * @param {Object} quote - Quote with _id, sentAt and validUntil.
+   * @returns {string} - The token.
+   * @how - Built only from stored fields like share link tokens, so it can be produced again for staff to copy. It is issued at the time the quote was sent, so sending a revised quote retires older links.
+   */
+  static signToken(quote) {
+    return jwt.sign(
+      {
+        type: TOKEN_TYPE,
+        quote: String(quote._id),
+        iat: Math.floor(new Date(quote.sentAt).getTime() / 1000),
+        exp: Math.floor(this.expiresAt(quote).getTime() / 1000)
+      },
+      shareLinks.secret
+    );
+  }
+
+  /**
+   * @description Adds the acceptance link to a quote while it waits for the client.
+   * @param {Object} quote - The quote.
+   * @returns {Object} - The quote as a plain object, with acceptUrl when it is sent and not yet expired.
+   */
+  static describeQuote(quote) {
+    const quoteObj = quote.toObject ? quote.toObject() : quote;
+    if (quoteObj.status !== 'sent' || !quoteObj.sentAt || this.expiresAt(quoteObj) <= new Date()) {
+      return quoteObj;
+    }
+
+    return { ...quoteObj, acceptUrl: `${app.url}/public/quotes/${this.signToken(quoteObj)}` };
+  }
+
+  /**
+   * @description Sends a quote to its client, emailing the acceptance link unless staff share it themselves.
+   * @param {string} quoteId - The MongoDB ID of the quote.
+   * @param {Object} [options={}] - Sending options.
+   * @param {string} [options.by] - The MongoDB ID of the staff member sending it.
+   * @param {boolean} [options.email=true] - Email the link to the client; otherwise the quote is only marked as sent.
+   * @returns {Object} - Response object with { success, data: quote, message }.
+   * @how - A draft only moves to sent once the email went out, guarded on it being unchanged since it was read. Sending a quote that was already sent emails the same link again.
+   */
+  static async sendQuote(quoteId, { by, email = true } = {}) {
+    try {
+      const quote = await Quote.findById(quoteId).populate('client', 'name email');
+      if (!quote) {
+        return { success: false, message: 'Quote not found' };
+      }
+      if (!['draft', 'sent'].includes(quote.status)) {
+        return { success: false, message: `Quotes that are ${quote.status} cannot be sent` };
+      }
+      if (this.expiresAt(quote) <= new Date()) {
+        return { success: false, message: 'The quote has passed its expiry date, extend it before sending' };
+      }
+      if (email && (!quote.client || !quote.client.email)) {
+        return { success: false, message: 'The client has no email address' };
+      }
+
+      // Whole seconds, so the sentAt stored matches the issue time of the link token
+      const sentAt = quote.status === 'sent' ? quote.sentAt : new Date(Math.floor(Date.now() / 1000) * 1000);
+      const acceptUrl = `${app.url}/public/quotes/${this.signToken({ _id: quote._id, sentAt, validUntil: quote.validUntil })}`;
+
+      if (email) {
+        const result = await MailService.send({
+          to: quote.client.email,
+          subject: `Quote ${quote.quoteNumber} from ${company.name}`,
+          text: [
+            `Hello ${quote.client.name},`,
+            '',
+            `Please find our quote ${quote.quoteNumber} for ${CurrencyService.formatMoney(quote.total, quote.currency)}, valid until ${EmailTemplateService.formatDate(quote.validUntil)}.`,
+            '',
+            `You can review it and accept or decline it here: ${acceptUrl}`,
+            '',
+            `Kind regards,`,
+            company.name
+          ].join('\n')
+        });
+        if (!result.success) {
+          return { success: false, message: `The quote could not be emailed. ${result.message}` };
+        }
+      }
+
+      if (quote.status === 'sent') {
+        return { success: true, data: this.describeQuote(quote) };
+      }
+
+      const sent = await this.transition(quoteId, 'sent', {
+        by,
+        note: email ? `Emailed to ${quote.client.email}` : undefined,
+        filter: { updatedAt: quote.updatedAt },
+        set: { sentAt }
+      });
+      if (!sent) {
+        return { success: false, message: 'The quote changed while it was being sent, please try again' };
+      }
+
+      return { success: true, data: this.describeQuote(sent) };
+    } catch (error) {
+      console.error('Error sending quote:', error);
+      return { success: false, message: 'Could not send quote' };
+    }
+  }
+
+  /**
+   * @description Records the client's answer to a sent quote on their behalf, e.g. when they replied by phone.
+   * @param {string} quoteId - The MongoDB ID of the quote.
+   * @param {string} status - 'accepted' or 'declined'.
+   * @param {Object} [options={}] - { by, note }; the note is kept as the decline reason.
+   * @returns {Object} - Response object with { success, data: quote, message }.
+   */
+  static async updateStatus(quoteId, status, { by, note } = {}) {
+    try {
+      if (!['accepted', 'declined'].includes(status)) {
+        return { success: false, message: 'A quote can only be marked as accepted or declined' };
+      }
+
+      const now = new Date();
+      const set = status === 'accepted'
+        ? { acceptedAt: now }
+        : { declinedAt: now, declineReason: note ? String(note).trim() : undefined };
+      const quote = await this.transition(quoteId, status, { by, note, set });
+      if (!quote) {
+        const current = await Quote.findById(quoteId, 'status');
+        return { success: false, message: current ? `Quotes that are ${current.status} cannot be marked as ${status}` : 'Quote not found' };
+      }
+
+      return { success: true, data: this.describeQuote(quote) };
+    } catch (error) {
+      console.error('Error updating quote status:', error);
+      return { success: false, message: 'Could not update quote status' };
+    }
+  }
+
+  /**
+   * @description Finds the quote an acceptance link token points to.
+   * @param {string} token - The token from the link.
+   * @param {Object} [options={}] - { recordView } to record when the client first opened it.
+   * @returns {Object} - Response object with { success, data: quote, message }; data has its client populated.
+   * @how - Checks the signature and expiry of the token, then that it belongs to the latest send of the quote. A quote the client already answered can still be opened, to see the answer.
+   */
+  static async resolveToken(token, { recordView = false } = {}) {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(token, shareLinks.secret);
+      } catch (error) {
+        return { success: false, message: error.name === 'TokenExpiredError' ? 'This quote has expired' : 'This quote link is not valid' };
+      }
+      if (payload.type !== TOKEN_TYPE || !mongoose.isValidObjectId(payload.quote)) {
+        return { success: false, message: 'This quote link is not valid' };
+      }
+
+      // A quote taken back to draft is being revised and will be sent again with a new link
+      const current = { _id: payload.quote, sentAt: new Date(payload.iat * 1000), status: { $ne: 'draft' } };
+      const quote = recordView
+        ? await Quote.findOneAndUpdate({ ...current, viewedAt: null }, { $set: { viewedAt: new Date() } }, { new: true }) || await Quote.findOne(current)
+        : await Quote.findOne(current);
+      if (!quote) {
+        return { success: false, message: 'This quote has been revised, please use the link in the latest email' };
+      }
+
+      await quote.populate('client', 'name email address billingAddress');
+      return { success: true, data: quote };
+    } catch (error) {
+      console.error('Error resolving quote link:', error);
+      return { success: false, message: 'Could not open quote' };
+    }
+  }
+
+  /**
+   * @description Records the client's answer given through the acceptance link.
+   * @param {string} token - The token from the link.
+   * @param {string} status - 'accepted' or 'declined'.
+   * @param {Object} [params={}] - { name } typed by the client to accept, { reason } given when declining.
+   * @returns {Object} - Response object with { success, data: quote, message }.
+   */
+  static async respond(token, status, { name, reason } = {}) {
+    try {
+      const resolved = await this.resolveToken(token);
+      if (!resolved.success) {
+        return resolved;
+      }
+      const quote = resolved.data;
+
+      if (status === 'accepted' && (!name || !String(name).trim())) {
+        return { success: false, message: 'Type your name to accept the quote' };
+      }
+
+      const now = new Date();
+      const set = status === 'accepted'
+        ? { acceptedAt: now, acceptedName: String(name).trim() }
+        : { declinedAt: now, declineReason: reason ? String(reason).trim() : undefined };
+      const answered = await this.transition(quote._id, status, {
+        note: status === 'accepted' ? `Accepted by ${set.acceptedName} through the quote link` : 'Declined through the quote link',
+        set,
+        filter: { sentAt: quote.sentAt, validUntil: { $gt: new Date(now.getTime() - DAY_MS) } }
+      });
+      if (!answered) {
+        return { success: false, message: quote.status === 'sent' ? 'This quote has expired' : `This quote has already been ${quote.status}` };
+      }
+
+      await answered.populate('client', 'name email address billingAddress');
+      return { success: true, data: answered };
+    } catch (error) {
+      console.error('Error responding to quote:', error);
+      return { success: false, message: 'Could not record your answer' };
+    }
+  }
+
+  /**
+   * @description Picks the parts of a quote a client may see through the acceptance link.
+   * @param {Object} quote - Quote with its client populated.
+   * @returns {Object} - The quote without internal history or links, plus the company details.
+   */
+  static publicView(quote) {
+    const quoteObj = quote.toObject ? quote.toObject() : quote;
+    const client = quoteObj.client || {};
+    return {
+      quoteNumber: quoteObj.quoteNumber,
+      issueDate: quoteObj.issueDate,
+      validUntil: quoteObj.validUntil,
+      currency: quoteObj.currency,
+      status: quoteObj.status,
+      client: { name: client.name, email: client.email, address: client.address, billingAddress: client.billingAddress },
+      items: (quoteObj.items || []).map(line => ({
+        _id: line._id,
+        name: line.name,
+        description: line.description,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        lineTotal: line.lineTotal,
+        discount: line.discount,
+        discountAmount: line.discountAmount
+      })),
+      taxInclusive: quoteObj.taxInclusive,
+      discount: quoteObj.discount,
+      discountAmount: quoteObj.discountAmount,
+      discountTotal: quoteObj.discountTotal,
+      subtotal: quoteObj.subtotal,
+      taxes: quoteObj.taxes,
+      total: quoteObj.total,
+      paymentTermsDays: quoteObj.paymentTermsDays,
+      acceptedAt: quoteObj.acceptedAt,
+      acceptedName: quoteObj.acceptedName,
+      declinedAt: quoteObj.declinedAt,
+      company
+    };
+  }
+
+  /**
+   * @description Marks every sent quote past its expiry date as expired.
+   * @param {Date} [now=new Date()] - The time to check expiry dates against.
+   * @returns {Promise<number>} - How many quotes were marked.
+   */
+  static async expireQuotes(now = new Date()) {
+    const result = await Quote.updateMany(
+      { status: 'sent', validUntil: { $lte: new Date(now.getTime() - DAY_MS) } },
+      { $set: { status: 'expired' }, $push: { statusHistory: InvoiceStatusService.historyEntry('expired', { note: 'Past its expiry date', at: now }) } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * @description Converts a quote into an issued invoice at the quoted prices and links the two.
+   * @param {string} quoteId - The MongoDB ID of the quote.
+   * @param {Object} [options={}] - { by } the staff member converting it.
+   * @returns {Object} - Response object with { success, data: invoice, message }.
+   * @how - The quote is claimed first so it can only be converted once, even from two tabs. The invoice is issued today through InvoiceService.createInvoice, reserving stock at the quoted prices and taxes, so later tax rate edits or deactivations do not change what was agreed, and due after the quote's payment terms. A sent quote converted by staff counts as accepted. The claim is released if the invoice cannot be created.
+   */
+  static async convertToInvoice(quoteId, { by } = {}) {
+    try {
+      const now = new Date();
+      const quote = await Quote.findOneAndUpdate(
+        {
+          _id: quoteId,
+          status: { $in: ['sent', 'accepted'] },
+          invoice: null,
+          $or: [{ convertingAt: null }, { convertingAt: { $lt: new Date(now.getTime() - CONVERSION_TIMEOUT_MS) } }]
+        },
+        { $set: { convertingAt: now } },
+        { new: true }
+      );
+      if (!quote) {
+        const current = await Quote.findById(quoteId, 'status invoice');
+        if (!current) {
+          return { success: false, message: 'Quote not found' };
+        }
+        if (current.invoice) {
+          return { success: false, message: 'The quote has already been converted into an invoice' };
+        }
+        return { success: false, message: current.status === 'sent' || current.status === 'accepted' ? 'The quote is already being converted' : `Quotes that are ${current.status} cannot be converted into an invoice` };
+      }
+
+      const release = () => Quote.updateOne({ _id: quoteId, convertingAt: now }, { $unset: { convertingAt: 1 } });
+      if (quote.status === 'sent' && this.expiresAt(quote) <= now) {
+        await release();
+        return { success: false, message: 'The quote has expired, revise and resend it first' };
+      }
+
+      const issueDate = new Date(now.toISOString().slice(0, 10));
+      let response;
+      try {
+        response = await InvoiceService.createInvoice({
+          issueDate,
+          dueDate: new Date(issueDate.getTime() + quote.paymentTermsDays * DAY_MS),
+          clientId: quote.client,
+          items: quote.items.map(line => ({
+            _id: line.item,
+            quantity: line.quantity,
+            unitPrice: line.unitPrice,
+            description: line.description,
+            discount: line.discount,
+            taxes: line.taxes
+          })),
+          taxInclusive: quote.taxInclusive,
+          discount: quote.discount,
+          currency: quote.currency,
+          quote: quote._id
+        });
+      } catch (error) {
+        await release();
+        throw error;
+      }
+      if (!response.success) {
+        await release();
+        return response;
+      }
+
+      const convertedAt = new Date();
+      await Quote.updateOne({ _id: quoteId }, { $set: { invoice: response.data._id, convertedAt }, $unset: { convertingAt: 1 } });
+      if (quote.status === 'sent') {
+        await this.transition(quoteId, 'accepted', { by, note: `Converted into invoice ${response.data.invoiceNumber}`, set: { acceptedAt: convertedAt } });
+      }
+
+      return response;
+    } catch (error) {
+      console.error('Error converting quote:', error);
+      return { success: false, message: 'Could not convert quote into an invoice' };
+    }
+  }
+};
@@ -0,0 +1,454 @@
+const RecurringInvoice = require('../models/recurringInvoice');
+const Client = require('../models/client');
+const InvoiceService = require('./invoiceService');
+const CurrencyService = require('./currencyService');
+
+const INTERVAL_UNITS = ['day', 'week', 'month', 'year'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on invoices generated per scheduler tick, so a long outage is caught up over a few ticks
+const MAX_RUNS_PER_TICK = 100;
+
+module.exports = class RecurringInvoiceService {
+  /**
+   * @description Calculates the date of the nth occurrence of a schedule.
+   * @param {Date|string} startDate - The first occurrence.
+   * @param {Object} interval - { unit: 'day' | 'week' | 'month' | 'year', every }.
+   * @param {number} n - Zero-based occurrence index.
+   * @returns {Date} - The occurrence date.
+   * @how - Counts from the start date rather than the previous run, and clamps to the end of shorter months, so a schedule starting on the 31st runs on the last day of every month.
+   */
+  static occurrenceDate(startDate, { unit, every = 1 }, n) {
+    const date = new Date(startDate);
+    const steps = every * n;
+    if (unit === 'day' || unit === 'week') {
+      date.setUTCDate(date.getUTCDate() + steps * (unit === 'week' ? 7 : 1));
+      return date;
+    }
+
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + (unit === 'year' ? steps * 12 : steps));
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+    return date;
+  }
+
+  /**
+   * @description Checks whether a schedule has reached its end condition after a number of occurrences.
+   * @param {Object} schedule - The recurring invoice.
+   * @param {number} occurrences - Occurrences reached so far, generated or skipped.
+   * @returns {boolean} - True if no further invoices should be generated.
+   */
+  static isFinished(schedule, occurrences) {
+    if (schedule.maxOccurrences && occurrences >= schedule.maxOccurrences) {
+      return true;
+    }
+    return Boolean(schedule.endDate)
+      && this.occurrenceDate(schedule.startDate, schedule.interval, occurrences) > new Date(schedule.endDate);
+  }
+
+  /**
+   * @description Validates and normalizes the fields of a recurring invoice.
+   * @param {Object} params - Recurring invoice fields, as accepted by createRecurringInvoice.
+   * @param {boolean} [partial=false] - Only validate the fields present, for updates.
+   * @returns {Promise<Object>} - { data } with the normalized fields, or { error }.
+   */
+  static async validateTemplate(params, partial = false) {
+    const data = {};
+    const has = field => !partial || params[field] !== undefined;
+
+    if (has('name')) {
+      if (!params.name || !String(params.name).trim()) {
+        return { error: 'Name is required' };
+      }
+      data.name = params.name;
+    }
+    if (has('clientId')) {
+      if (!params.clientId || !await Client.exists({ _id: params.clientId })) {
+        return { error: 'Client not found' };
+      }
+      data.client = params.clientId;
+    }
+    if (has('items')) {
+      const { items } = params;
+      if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'At least one line is required' };
+      }
+      if (items.some(item => !item._id || !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1)) {
+        return { error: 'Each line needs an item and a positive whole quantity' };
+      }
+      if (items.some(item => item.taxRateIds !== undefined && !Array.isArray(item.taxRateIds))) {
+        return { error: 'Tax rates must be provided as an array of IDs' };
+      }
+      const lineDiscountError = items.map(item => InvoiceService.validateDiscount(item.discount, 'Line')).find(Boolean);
+      if (lineDiscountError) {
+        return { error: lineDiscountError };
+      }
+      data.items = items.map(item => ({
+        item: item._id,
+        quantity: Number(item.quantity),
+        description: item.description,
+        discount: InvoiceService.normalizeDiscount(item.discount),
+        taxRateIds: item.taxRateIds
+      }));
+    }
+    if (params.taxRateIds !== undefined) {
+      if (!Array.isArray(params.taxRateIds)) {
+        return { error: 'Tax rates must be provided as an array of IDs' };
+      }
+      data.taxRateIds = params.taxRateIds;
+    }
+    if (params.taxInclusive !== undefined) {
+      data.taxInclusive = Boolean(params.taxInclusive);
+    }
+    if (params.discount !== undefined) {
+      const discountError = InvoiceService.validateDiscount(params.discount, 'Invoice');
+      if (discountError) {
+        return { error: discountError };
+      }
+      data.discount = InvoiceService.normalizeDiscount(params.discount);
+    }
+    if (params.currency !== undefined) {
+      const currency = params.currency ? String(params.currency).toUpperCase() : undefined;
+      if (currency && !CurrencyService.isValidCurrency(currency)) {
+        return { error: 'Currency must be a three-letter code, e.g. EUR' };
+      }
+      data.currency = currency;
+    }
+    if (has('interval')) {
+      const { unit, every = 1 } = params.interval || {};
+      if (!INTERVAL_UNITS.includes(unit) || !Number.isInteger(Number(every)) || Number(every) < 1) {
+        return { error: `Interval must be every n ${INTERVAL_UNITS.join(', ')}` };
+      }
+      data.interval = { unit, every: Number(every) };
+    }
+    if (params.paymentTermsDays !== undefined) {
+      if (!Number.isInteger(Number(params.paymentTermsDays)) || Number(params.paymentTermsDays) < 0) {
+        return { error: 'Payment terms must be a whole number of days' };
+      }
+      data.paymentTermsDays = Number(params.paymentTermsDays);
+    }
+    if (has('startDate')) {
+      const startDate = new Date(params.startDate);
+      if (!params.startDate || Number.isNaN(startDate.getTime())) {
+        return { error: 'A valid start date is required' };
+      }
+      data.startDate = startDate;
+    }
+    if (params.endDate !== undefined) {
+      const endDate = params.endDate ? new Date(params.endDate) : null;
+      if (endDate && Number.isNaN(endDate.getTime())) {
+        return { error: 'Invalid end date' };
+      }
+      data.endDate = endDate;
+    }
+    if (params.maxOccurrences !== undefined) {
+      const maxOccurrences = params.maxOccurrences ? Number(params.maxOccurrences) : null;
+      if (maxOccurrences !== null && (!Number.isInteger(maxOccurrences) || maxOccurrences < 1)) {
+        return { error: 'Number of occurrences must be a positive whole number' };
+      }
+      data.maxOccurrences = maxOccurrences;
+    }
+
+    return { data };
+  }
+
+  /**
+   * @description Creates a recurring invoice schedule.
+   * @param {Object} params - Recurring invoice parameters.
+   * @param {string} params.name - Label for the schedule, e.g. 'Monthly retainer'.
+   * @param {string} params.clientId - The MongoDB ID of the client invoiced.
+   * @param {Array<Object>} params.items - Lines as accepted by InvoiceService.createInvoice: { _id, quantity, description, discount, taxRateIds }.
+   * @param {Array<string>} [params.taxRateIds] - Tax rates applied to lines without their own.
+   * @param {boolean} [params.taxInclusive] - Whether item prices already include tax.
+   * @param {Object} [params.discount] - Invoice-wide discount with { type, value }.
+   * @param {string} [params.currency] - Invoice currency; defaults to the client's currency at generation time.
+   * @param {Object} params.interval - { unit: 'day' | 'week' | 'month' | 'year', every }.
+   * @param {number} [params.paymentTermsDays=30] - Days between issue and due date of each invoice.
+   * @param {string} params.startDate - Date of the first invoice.
+   * @param {string} [params.endDate] - No invoices are generated after this date.
+   * @param {number} [params.maxOccurrences] - Stop after this many occurrences.
+   * @param {string} [createdBy] - The MongoDB ID of the staff member creating the schedule.
+   * @returns {Object} - Response object with { success, data: recurringInvoice, message } indicating success or failure.
+   */
+  static async createRecurringInvoice(params, createdBy) {
+    try {
+      const { data, error } = await this.validateTemplate(params);
+      if (error) {
+        return { success: false, message: error };
+      }
+      if (data.endDate && data.endDate < data.startDate) {
+        return { success: false, message: 'End date must be after the start date' };
+      }
+
+      const recurringInvoice = await RecurringInvoice.create({
+        ...data,
+        nextRunDate: data.startDate,
+        createdBy
+      });
+
+      return { success: true, data: recurringInvoice };
+    } catch (error) {
+      console.error('Error creating recurring invoice:', error);
+      return { success: false, message: 'Could not create recurring invoice' };
+    }
+  }
+
+  /**
+   * @description Retrieves recurring invoice schedules, soonest first.
+   * @param {Object} [params={}] - Filter parameters.
+   * @param {string} [params.status] - Filter by 'active', 'paused' or 'completed'.
+   * @returns {Object} - Response object with { success, data: recurringInvoices, message }.
+   */
+  static async getRecurringInvoices({ status } = {}) {
+    try {
+      const queryFilter = {};
+      if (status) {
+        queryFilter.status = status;
+      }
+
+      const recurringInvoices = await RecurringInvoice.find(queryFilter, { runs: { $slice: -5 } })
+        .populate('client', 'name')
+        .populate('items.item', 'name unitPrice')
+        .populate('runs.invoice', 'invoiceNumber total currency status')
+        .sort({ status: 1, nextRunDate: 1 });
+
+      return { success: true, data: recurringInvoices };
+    } catch (error) {
+      console.error('Error fetching recurring invoices:', error);
+      return { success: false, message: 'Could not fetch recurring invoices' };
+    }
+  }
+
+  /**
+   * @description Retrieves a single recurring invoice with its full run history.
+   * @param {string} recurringInvoiceId - The MongoDB ID of the schedule.
+   * @returns {Object} - Response object with { success, data: recurringInvoice, message }.
+   */
+  static async getRecurringInvoice(recurringInvoiceId) {
+    try {
+      const recurringInvoice = await RecurringInvoice.findById(recurringInvoiceId)
+        .populate('client', 'name email currency')
+        .populate('items.item', 'name unitPrice')
+        .populate('runs.invoice', 'invoiceNumber total currency status');
+      if (!recurringInvoice) {
+        return { success: false, message: 'Recurring invoice not found' };
+      }
+
+      return { success: true, data: recurringInvoice };
+    } catch (error) {
+      console.error('Error fetching recurring invoice:', error);
+      return { success: false, message: 'Could not fetch recurring invoice' };
+    }
+  }
+
+  /**
+   * @description Updates a recurring invoice. Invoices already generated are not changed.
+   * @param {string} recurringInvoiceId - The MongoDB ID of the schedule.
+   * @param {Object} params - Any of the fields accepted by createRecurringInvoice.
+   * @returns {Object} - Response object with { success, data: recurringInvoice, message } indicating success or failure.
+   * @how - Recomputes the next run from the (possibly new) start date and interval, skipping the occurrences already generated, and reactivates or completes the schedule if the end condition changed.
+   */
+  static async updateRecurringInvoice(recurringInvoiceId, params) {
+    try {
+      const recurringInvoice = await RecurringInvoice.findById(recurringInvoiceId);
+      if (!recurringInvoice) {
+        return { success: false, message: 'Recurring invoice not found' };
+      }
+
+      const { data, error } = await this.validateTemplate(params, true);
+      if (error) {
+        return { success: false, message: error };
+      }
+      recurringInvoice.set(data);
+      if (recurringInvoice.endDate && recurringInvoice.endDate < recurringInvoice.startDate) {
+        return { success: false, message: 'End date must be after the start date' };
+      }
+
+      recurringInvoice.nextRunDate = this.occurrenceDate(recurringInvoice.startDate, recurringInvoice.interval, recurringInvoice.occurrences);
+      if (this.isFinished(recurringInvoice, recurringInvoice.occurrences)) {
+        recurringInvoice.status = 'completed';
+      } else if (recurringInvoice.status === 'completed') {
+        recurringInvoice.status = 'active';
+      }
+      await recurringInvoice.save();
+
+      return { success: true, data: recurringInvoice };
+    } catch (error) {
+      console.error('Error updating recurring invoice:', error);
+      return { success: false, message: 'Could not update recurring invoice' };
+    }
+  }
+
+  /**
+   * @description Pauses or resumes a recurring invoice.
+   * @param {string} recurringInvoiceId - The MongoDB ID of the schedule.
+   * @param {string} status - 'active' or 'paused'.
+   * @returns {Object} - Response object with { success, data: recurringInvoice, message } indicating success or failure.
+   * @how - Occurrences missed while paused are skipped on resume rather than generated in a burst; they still count towards maxOccurrences.
+   */
+  static async setStatus(recurringInvoiceId, status) {
+    try {
+      if (!['active', 'paused'].includes(status)) {
+        return { success: false, message: 'Invalid status' };
+      }
+
+      const recurringInvoice = await RecurringInvoice.findById(recurringInvoiceId);
+      if (!recurringInvoice) {
+        return { success: false, message: 'Recurring invoice not found' };
+      }
+      if (recurringInvoice.status === 'completed') {
+        return { success: false, message: 'Recurring invoice has completed, extend its end date or number of invoices to resume it' };
+      }
+
+      if (status === 'active' && recurringInvoice.status === 'paused') {
+        const today = new Date();
+        today.setUTCHours(0, 0, 0, 0);
+        let next = recurringInvoice.occurrences;
+        while (this.occurrenceDate(recurringInvoice.startDate, recurringInvoice.interval, next) < today) {
+          next++;
+        }
+        recurringInvoice.nextRunDate = this.occurrenceDate(recurringInvoice.startDate, recurringInvoice.interval, next);
+        recurringInvoice.occurrences = next;
+        if (this.isFinished(recurringInvoice, next)) {
+          recurringInvoice.status = 'completed';
+          await recurringInvoice.save();
+          return { success: true, data: recurringInvoice };
+        }
+      }
+
+      recurringInvoice.status = status;
+      await recurringInvoice.save();
+
+      return { success: true, data: recurringInvoice };
+    } catch (error) {
+      console.error('Error updating recurring invoice status:', error);
+      return { success: false, message: 'Could not update recurring invoice status' };
+    }
+  }
+
+  /**
+   * @description Deletes a recurring invoice. Invoices it generated are kept.
+   * @param {string} recurringInvoiceId - The MongoDB ID of the schedule.
+   * @returns {Object} - Response object with { success, message } indicating success or failure.
+   */
+  static async deleteRecurringInvoice(recurringInvoiceId) {
+    try {
+      const recurringInvoice = await RecurringInvoice.findByIdAndDelete(recurringInvoiceId);
+      if (!recurringInvoice) {
+        return { success: false, message: 'Recurring invoice not found' };
+      }
+
+      return { success: true, message: 'Recurring invoice deleted successfully' };
+    } catch (error) {
+      console.error('Error deleting recurring invoice:', error);
+      return { success: false, message: 'Could not delete recurring invoice' };
+    }
+  }
+
+  /**
+   * @description Generates one invoice from a schedule and records the run in its history.
+   * @param {Object} schedule - The recurring invoice.
+   * @param {Date} runDate - Issue date of the generated invoice.
+   * @param {boolean} [manual=false] - Whether the run was triggered by hand.
+   * @returns {Promise<Object>} - The InvoiceService.createInvoice response.
+   */
+  static async generateInvoice(schedule, runDate, manual = false) {
+    const response = await InvoiceService.createInvoice({
+      issueDate: runDate,
+      dueDate: new Date(runDate.getTime() + schedule.paymentTermsDays * DAY_MS),
+      clientId: schedule.client,
+      items: schedule.items.map(line => ({
+        _id: line.item,
+        quantity: line.quantity,
+        description: line.description,
+        discount: line.discount,
+        taxRateIds: line.taxRateIds && line.taxRateIds.length > 0 ? line.taxRateIds : undefined
+      })),
+      taxRateIds: schedule.taxRateIds,
+      taxInclusive: schedule.taxInclusive,
+      discount: schedule.discount,
+      currency: schedule.currency,
+      recurringInvoice: schedule._id
+    });
+
+    // A scheduled occurrence that failed is retried every tick, so its attempts share one history entry
+    const retried = !manual && await RecurringInvoice.updateOne(
+      { _id: schedule._id, runs: { $elemMatch: { runDate, manual: false, status: 'failed' } } },
+      response.success
+        ? { $set: { 'runs.$.status': 'created', 'runs.$.invoice': response.data._id }, $unset: { 'runs.$.error': 1 }, $inc: { 'runs.$.attempts': 1 } }
+        : { $set: { 'runs.$.error': response.message }, $inc: { 'runs.$.attempts': 1 } }
+    );
+    if (!retried || retried.matchedCount === 0) {
+      const run = response.success
+        ? { runDate, invoice: response.data._id, status: 'created', manual }
+        : { runDate, status: 'failed', error: response.message, manual };
+      await RecurringInvoice.updateOne({ _id: schedule._id }, { $push: { runs: run } });
+    }
+
+    return response;
+  }
+
+  /**
+   * @description Generates an invoice from a schedule immediately, e.g. to retry a failed run. The schedule itself is not moved.
+   * @param {string} recurringInvoiceId - The MongoDB ID of the schedule.
+   * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
+   */
+  static async runNow(recurringInvoiceId) {
+    try {
+      const schedule = await RecurringInvoice.findById(recurringInvoiceId);
+      if (!schedule) {
+        return { success: false, message: 'Recurring invoice not found' };
+      }
+
+      return this.generateInvoice(schedule, new Date(), true);
+    } catch (error) {
+      console.error('Error running recurring invoice:', error);
+      return { success: false, message: 'Could not generate invoice' };
+    }
+  }
+
+  /**
+   * @description Generates the invoices of every active schedule that is due. Called by the scheduler.
+   * @param {Date} [now=new Date()] - Generate occurrences up to this moment.
+   * @returns {Promise<Object>} - { created, failed } counts.
+   * @how - Claims each occurrence by moving `nextRunDate` on with a conditional update, so concurrent scheduler instances never generate the same occurrence twice, then generates the invoice. A failed occurrence is handed back, unless the schedule was changed in the meantime, so the next tick retries it instead of losing that period's invoice; within a tick a schedule is tried once.
+   */
+  static async runDueSchedules(now = new Date()) {
+    const result = { created: 0, failed: 0 };
+    const failedIds = [];
+
+    for (let run = 0; run < MAX_RUNS_PER_TICK; run++) {
+      const schedule = await RecurringInvoice.findOne({ _id: { $nin: failedIds }, status: 'active', nextRunDate: { $lte: now } }).sort({ nextRunDate: 1 });
+      if (!schedule) {
+        break;
+      }
+
+      const occurrences = schedule.occurrences + 1;
+      const nextRunDate = this.occurrenceDate(schedule.startDate, schedule.interval, occurrences);
+      const status = this.isFinished(schedule, occurrences) ? 'completed' : 'active';
+      const claimed = await RecurringInvoice.findOneAndUpdate(
+        { _id: schedule._id, status: 'active', nextRunDate: schedule.nextRunDate },
+        { $set: { nextRunDate, status }, $inc: { occurrences: 1 } }
+      );
+      if (!claimed) {
+        continue;
+      }
+
+      const response = await this.generateInvoice(schedule, schedule.nextRunDate);
+      if (response.success) {
+        result.created++;
+      } else {
+        result.failed++;
+        failedIds.push(schedule._id);
+        console.error(`Recurring invoice ${schedule._id} failed to generate an invoice, retrying next run: ${response.message}`);
+        await RecurringInvoice.updateOne(
+          { _id: schedule._id, status, nextRunDate, occurrences },
+          { $set: { nextRunDate: schedule.nextRunDate, status: 'active' }, $inc: { occurrences: -1 } }
+        );
+      }
+    }
+
+    return result;
+  }
+};
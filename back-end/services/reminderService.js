@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice');
+const SettingsService = require('./settingsService');
+const InvoiceStatusService = require('./invoiceStatusService');
+const MailService = require('./mailService');
+const EmailTemplateService = require('./emailTemplateService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Failed deliveries of a reminder are retried on later runs, up to this many attempts
+const MAX_ATTEMPTS = 3;
+// A reminder still 'sending' after this long was abandoned, e.g. the process stopped mid-send, and counts as failed
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+module.exports = class ReminderService {
+  /**
+   * @description Finds the latest step of the schedule that has come due for an invoice.
+   * @param {Object} invoice - Invoice with dueDate.
+   * @param {Array<Object>} steps - The schedule's steps, ordered by offsetDays.
+   * @param {Date} [now=new Date()] - The time to check against.
+   * @returns {Object|undefined} - The step, or undefined when even the first step is still ahead.
+   */
+  static latestStep(invoice, steps, now = new Date()) {
+    const dueDate = new Date(invoice.dueDate).getTime();
+    return [...steps].reverse().find(candidate => dueDate + candidate.offsetDays * DAY_MS <= now.getTime());
+  }
+
+  /**
+   * @description Checks whether a reminder entry is a send that never finished.
+   * @param {Object} reminder - An entry of the invoice's reminder log.
+   * @returns {boolean} - True if it was claimed more than the claim timeout ago and is still 'sending'.
+   */
+  static isAbandoned(reminder) {
+    return reminder.status === 'sending'
+      && !(reminder.claimedAt && reminder.claimedAt.getTime() > Date.now() - CLAIM_TIMEOUT_MS);
+  }
+
+  /**
+   * @description Picks the reminder an invoice should get now, if any.
+   * @param {Object} invoice - Invoice with dueDate and its reminder log.
+   * @param {Array<Object>} steps - The schedule's steps, ordered by offsetDays.
+   * @param {Date} [now=new Date()] - The time to check against.
+   * @returns {Object|null} - The step to send, or null when the latest step that has come due was already sent or gave up.
+   * @how - Only the latest step that has come due is considered, so an invoice that missed earlier steps (e.g. while reminders were off) gets one email rather than all of them at once. Abandoned sends count as failed attempts.
+   */
+  static dueStep(invoice, steps, now = new Date()) {
+    const step = this.latestStep(invoice, steps, now);
+    if (!step) {
+      return null;
+    }
+
+    const attempts = (invoice.reminders || []).filter(reminder => reminder.offsetDays === step.offsetDays);
+    if (attempts.some(reminder => reminder.status !== 'failed' && !this.isAbandoned(reminder)) || attempts.length >= MAX_ATTEMPTS) {
+      return null;
+    }
+    return step;
+  }
+
+  /**
+   * @description Emails one reminder for an invoice and records it in the invoice's reminder log.
+   * @param {Object} invoice - Invoice with its client populated.
+   * @param {Object} step - The schedule step being sent.
+   * @param {Date} [now=new Date()] - The time the reminder is sent.
+   * @param {Object} [options] - Reminder options.
+   * @param {string} [options.by] - The MongoDB ID of the staff member sending it by hand; hand-sent reminders may repeat a step already sent.
+   * @returns {Promise<Object>} - { outcome, error }: outcome is 'sent' or 'failed', or null if the invoice was paid or already reminded in the meantime.
+   * @how - First marks sends of the step abandoned past the claim timeout as failed, so a process that stopped mid-send does not block the step for good. Then claims the step with a conditional `$push` that only matches while the invoice is still open and has no delivery of that step under way, so two schedulers never send the same reminder. The entry is then updated with the transport's result.
+   */
+  static async sendReminder(invoice, step, now = new Date(), { by } = {}) {
+    const values = EmailTemplateService.invoiceValues(invoice, now);
+    const entryId = new mongoose.Types.ObjectId();
+    const to = invoice.client.email;
+    const subject = EmailTemplateService.render(step.subject, values);
+    const claimedAt = new Date();
+
+    await Invoice.updateOne(
+      { _id: invoice._id },
+      { $set: { 'reminders.$[abandoned].status': 'failed', 'reminders.$[abandoned].error': 'The send did not finish' } },
+      {
+        arrayFilters: [{
+          'abandoned.offsetDays': step.offsetDays,
+          'abandoned.status': 'sending',
+          'abandoned.claimedAt': { $not: { $gt: new Date(claimedAt.getTime() - CLAIM_TIMEOUT_MS) } }
+        }]
+      }
+    );
+
+    const claimed = await Invoice.findOneAndUpdate(
+      {
+        _id: invoice._id,
+        status: { $in: InvoiceStatusService.openStatuses() },
+        balanceDue: { $gt: 0 },
+        reminders: { $not: { $elemMatch: { offsetDays: step.offsetDays, status: { $in: by ? ['sending'] : ['sending', 'sent'] } } } }
+      },
+      { $push: { reminders: { _id: entryId, offsetDays: step.offsetDays, to, subject, status: 'sending', sentAt: now, claimedAt, sentBy: by } } }
+    );
+    if (!claimed) {
+      return { outcome: null };
+    }
+
+    const result = await MailService.send({ to, subject, text: EmailTemplateService.render(step.body, values) });
+    await Invoice.updateOne(
+      { _id: invoice._id, 'reminders._id': entryId },
+      result.success
+        ? { $set: { 'reminders.$.status': 'sent', 'reminders.$.messageId': result.data.messageId } }
+        : { $set: { 'reminders.$.status': 'failed', 'reminders.$.error': result.message } }
+    );
+    return result.success ? { outcome: 'sent' } : { outcome: 'failed', error: result.message };
+  }
+
+  /**
+   * @description Emails a payment reminder for an invoice now, outside the schedule.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {Object} [options] - Reminder options.
+   * @param {string} [options.by] - The MongoDB ID of the staff member sending it.
+   * @param {Date} [options.now=new Date()] - The time the reminder is sent.
+   * @returns {Object} - Response object with { success, data: invoice, message } indicating success or failure.
+   * @how - Uses the wording of the latest step of the schedule that has come due, or the first step for invoices not due yet, and logs it under that step so the schedule does not send the same step again. Works whether or not scheduled reminders are turned on.
+   */
+  static async sendManualReminder(invoiceId, { by, now = new Date() } = {}) {
+    try {
+      const invoice = await Invoice.findById(invoiceId).populate('client', 'name email');
+      if (!invoice) {
+        return { success: false, message: 'Invoice not found' };
+      }
+      if (!InvoiceStatusService.openStatuses().includes(invoice.status) || !(invoice.balanceDue > 0)) {
+        return { success: false, message: 'Only open invoices with a balance due can be reminded' };
+      }
+      if (!invoice.client || !invoice.client.email) {
+        return { success: false, message: 'Client has no email address' };
+      }
+
+      const settings = await SettingsService.getReminderSettings();
+      if (!settings.success) {
+        return settings;
+      }
+      const { steps } = settings.data;
+      if (steps.length === 0) {
+        return { success: false, message: 'No reminder emails are set up in settings' };
+      }
+
+      const step = this.latestStep(invoice, steps, now) || steps[0];
+      const { outcome, error } = await this.sendReminder(invoice, step, now, { by });
+      if (outcome === 'sent') {
+        return { success: true, data: invoice };
+      }
+      return {
+        success: false,
+        message: outcome === 'failed' ? `Reminder could not be sent: ${error}` : 'Invoice was paid or is being reminded already'
+      };
+    } catch (error) {
+      console.error('Error sending manual reminder:', error);
+      return { success: false, message: 'Could not send reminder' };
+    }
+  }
+
+  /**
+   * @description Sends every reminder that has come due, run by the payment reminders job.
+   * @param {Date} [now=new Date()] - The time to check the schedule against.
+   * @returns {Promise<Object>} - { sent, failed } counts; both 0 when reminders are turned off.
+   * @how - Walks open invoices with a balance whose due date is far enough back for the earliest step, skipping clients without an email address, and sends each one the step dueStep picks. Paid, void and written off invoices drop out of the query, which is what stops their reminders.
+   */
+  static async sendDueReminders(now = new Date()) {
+    const counts = { sent: 0, failed: 0 };
+    const settings = await SettingsService.getReminderSettings();
+    if (!settings.success) {
+      throw new Error(settings.message);
+    }
+    const { enabled, steps } = settings.data;
+    if (!enabled || steps.length === 0) {
+      return counts;
+    }
+
+    const invoices = Invoice.find({
+      status: { $in: InvoiceStatusService.openStatuses() },
+      balanceDue: { $gt: 0 },
+      dueDate: { $lte: new Date(now.getTime() - steps[0].offsetDays * DAY_MS) }
+    }).populate('client', 'name email').cursor();
+
+    for await (const invoice of invoices) {
+      const step = this.dueStep(invoice, steps, now);
+      if (!step || !invoice.client || !invoice.client.email) {
+        continue;
+      }
+
+      try {
+        const { outcome } = await this.sendReminder(invoice, step, now);
+        if (outcome) {
+          counts[outcome]++;
+        }
+      } catch (error) {
+        console.error(`Error sending reminder for invoice ${invoice.invoiceNumber}:`, error);
+        counts.failed++;
+      }
+    }
+
+    return counts;
+  }
+};
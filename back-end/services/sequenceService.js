@@ -0,0 +1,191 @@
+const Counter = require('../models/counter');
+
+const SEQ_TOKEN = /\{seq(?::(\d+))?\}/;
+
+module.exports = class SequenceService {
+  /**
+   * @description Allocates the next number of a named sequence.
+   * @param {string} key - The counter key, e.g. 'invoice-2026'.
+   * @returns {Promise<number>} - The allocated number.
+   * @throws {Error} - If the counter cannot be updated.
+   * @how - Reuses the lowest released number first, otherwise atomically increments the counter, creating it on first use.
+   */
+  static async next(key) {
+    const reused = await Counter.findOneAndUpdate(
+      { key, 'released.0': { $exists: true } },
+      { $pop: { released: -1 } }
+    );
+    if (reused) {
+      return reused.released[0];
+    }
+
+    try {
+      const counter = await Counter.findOneAndUpdate(
+        { key },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+      );
+      return counter.seq;
+    } catch (error) {
+      // Two first-time allocations can race to create the counter; the loser retries against the winner's document
+      if (error.code === 11000) {
+        const counter = await Counter.findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { new: true });
+        return counter.seq;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @description Hands an allocated number back so the next allocation reuses it.
+   * @param {string} key - The counter key the number was allocated from.
+   * @param {number} value - The number to release.
+   * @returns {Promise<void>}
+   */
+  static async release(key, value) {
+    try {
+      await Counter.updateOne(
+        { key },
+        { $push: { released: { $each: [value], $sort: 1 } } }
+      );
+    } catch (error) {
+      console.error(`Error releasing sequence number ${value} for ${key}:`, error);
+    }
+  }
+
+  /**
+   * @description Returns the number the next allocation would hand out, without allocating it.
+   * @param {string} key - The counter key.
+   * @returns {Promise<number>} - The upcoming number.
+   */
+  static async peek(key) {
+    const counter = await Counter.findOne({ key });
+    if (!counter) {
+      return 1;
+    }
+    return counter.released.length > 0 ? counter.released[0] : counter.seq + 1;
+  }
+
+  /**
+   * @description Returns the highest number of a sequence that is currently handed out.
+   * @param {Object} [counter] - The counter document, if the sequence has one.
+   * @returns {number} - The highest allocated number that was not released, or 0 when none is.
+   */
+  static highestIssued(counter) {
+    if (!counter) {
+      return 0;
+    }
+    const released = new Set(counter.released);
+    let highest = counter.seq;
+    while (highest > 0 && released.has(highest)) {
+      highest -= 1;
+    }
+    return highest;
+  }
+
+  /**
+   * @description Moves a sequence so that its next allocation returns the given number.
+   * @param {string} key - The counter key.
+   * @param {number} nextValue - The number the next allocation should return.
+   * @returns {Promise<Object>} - Response object with { success, message } indicating success or failure.
+   * @how - Refuses numbers at or below the highest one still handed out, since the next allocation would repeat it. Released numbers from the new start upwards are kept so they are still reused; the ones below it are skipped on purpose. The write is guarded on the counter being unchanged since it was read, so an allocation made in the meantime is never repeated.
+   */
+  static async restart(key, nextValue) {
+    if (!Number.isInteger(nextValue) || nextValue < 1) {
+      return { success: false, message: 'Next sequence must be a positive whole number' };
+    }
+
+    const counter = await Counter.findOne({ key });
+    const highest = this.highestIssued(counter);
+    if (nextValue <= highest) {
+      return { success: false, message: `Next sequence must be above ${highest}, the highest number already issued` };
+    }
+
+    if (!counter) {
+      try {
+        await Counter.create({ key, seq: nextValue - 1 });
+        return { success: true };
+      } catch (error) {
+        if (error.code === 11000) {
+          return { success: false, message: 'The sequence changed while it was being restarted, please try again' };
+        }
+        throw error;
+      }
+    }
+
+    const restarted = await Counter.findOneAndUpdate(
+      { key, seq: counter.seq, released: [...counter.released] },
+      {
+        seq: Math.max(counter.seq, nextValue - 1),
+        released: counter.released.filter(value => value >= nextValue)
+      }
+    );
+    if (!restarted) {
+      return { success: false, message: 'The sequence changed while it was being restarted, please try again' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * @description Switches numbering to another counter without repeating a number the previous counter handed out.
+   * @param {string} fromKey - The counter numbers were drawn from so far.
+   * @param {string} toKey - The counter numbers are drawn from next.
+   * @param {number} [nextValue] - The number the new counter should continue from; must be above every number the previous counter handed out.
+   * @returns {Promise<Object>} - Response object with { success, message } indicating success or failure.
+   * @how - Restarts the new counter after the highest number either counter handed out, or at nextValue when given. Both counters format into the same numbers, so starting the new one lower would reissue numbers already in use.
+   */
+  static async continueFrom(fromKey, toKey, nextValue) {
+    const [from, to] = await Promise.all([Counter.findOne({ key: fromKey }), Counter.findOne({ key: toKey })]);
+    const highest = this.highestIssued(from);
+
+    if (nextValue === undefined) {
+      if (highest === 0) {
+        return { success: true };
+      }
+      return this.restart(toKey, Math.max(highest, this.highestIssued(to)) + 1);
+    }
+    if (nextValue <= highest) {
+      return { success: false, message: `Next sequence must be above ${highest}, the highest number issued before the numbering changed` };
+    }
+    return this.restart(toKey, nextValue);
+  }
+
+  /**
+   * @description Checks that a numbering pattern can produce numbers.
+   * @param {string} pattern - The pattern, e.g. 'INV-{YYYY}-{seq:5}'.
+   * @returns {boolean} - True if the pattern contains a {seq} token.
+   */
+  static isValidPattern(pattern) {
+    return typeof pattern === 'string' && SEQ_TOKEN.test(pattern);
+  }
+
+  /**
+   * @description Checks whether a pattern includes the year.
+   * @param {string} pattern - The numbering pattern.
+   * @returns {boolean} - True if the pattern contains {YYYY} or {YY}.
+   */
+  static hasYearToken(pattern) {
+    return /\{YYYY\}|\{YY\}/.test(pattern);
+  }
+
+  /**
+   * @description Formats a sequence number with a numbering pattern.
+   * @param {string} pattern - Pattern with {YYYY}, {YY}, {MM}, {DD} and {seq} or {seq:width} tokens.
+   * @param {number} seq - The sequence number.
+   * @param {Date} [date=new Date()] - The date used for the date tokens, read in UTC like the dates stored on documents.
+   * @returns {string} - The formatted number, e.g. 'INV-2026-00042'.
+   * @throws {Error} - If the date is not a valid date.
+   */
+  static format(pattern, seq, date = new Date()) {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+      throw new Error(`Cannot format sequence number ${seq} with an invalid date`);
+    }
+    const year = String(date.getUTCFullYear());
+    return pattern
+      .replace(/\{YYYY\}/g, year)
+      .replace(/\{YY\}/g, year.slice(-2))
+      .replace(/\{MM\}/g, String(date.getUTCMonth() + 1).padStart(2, '0'))
+      .replace(/\{DD\}/g, String(date.getUTCDate()).padStart(2, '0'))
+      .replace(new RegExp(SEQ_TOKEN, 'g'), (match, width) => String(seq).padStart(Number(width) || 0, '0'));
+  }
+};
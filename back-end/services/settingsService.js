@@ -0,0 +1,378 @@
+const Settings = require('../models/settings');
+const SequenceService = require('./sequenceService');
+
+const MAX_REMINDER_STEPS = 10;
+const INVOICE_TEXT_FIELDS = ['notes', 'terms', 'footer'];
+const MAX_INVOICE_TEXT_LENGTH = 5000;
+
+module.exports = class SettingsService {
+  /**
+   * @description Retrieves the application settings, creating them with defaults on first use.
+   * @returns {Promise<Object>} - The settings document.
+   */
+  static async getSettings() {
+    return Settings.findOneAndUpdate(
+      { key: 'global' },
+      { $setOnInsert: { key: 'global' } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * @description Builds the counter key invoice numbers are drawn from.
+   * @param {Object} numbering - The invoiceNumbering settings.
+   * @param {Date} date - The invoice issue date; its year is read in UTC, like the stored date.
+   * @returns {string} - 'invoice' or, when numbering resets yearly, 'invoice-YYYY'.
+   */
+  static invoiceCounterKey(numbering, date) {
+    return numbering.resetYearly ? `invoice-${date.getUTCFullYear()}` : 'invoice';
+  }
+
+  /**
+   * @description Retrieves the invoice numbering settings with a preview of the next number.
+   * @returns {Object} - Response object with { success, data: { pattern, resetYearly, nextNumber }, message }.
+   */
+  static async getInvoiceNumbering() {
+    try {
+      const settings = await this.getSettings();
+      const { pattern, resetYearly } = settings.invoiceNumbering;
+      const now = new Date();
+      const nextSeq = await SequenceService.peek(this.invoiceCounterKey(settings.invoiceNumbering, now));
+
+      return {
+        success: true,
+        data: { pattern, resetYearly, nextNumber: SequenceService.format(pattern, nextSeq, now) }
+      };
+    } catch (error) {
+      console.error('Error fetching invoice numbering settings:', error);
+      return { success: false, message: 'Could not fetch invoice numbering settings' };
+    }
+  }
+
+  /**
+   * @description Updates how invoice numbers are generated.
+   * @param {Object} params - Numbering parameters.
+   * @param {string} [params.pattern] - Pattern with {YYYY}, {YY}, {MM}, {DD} and {seq}/{seq:width} tokens.
+   * @param {boolean} [params.resetYearly] - Restart the sequence at 1 every calendar year.
+   * @param {number} [params.nextSequence] - Restart the current sequence so it continues from this number.
+   * @returns {Object} - Response object with { success, data: numbering, message } indicating success or failure.
+   * @how - Validates the pattern, rejects yearly resets on patterns without a year (they would repeat numbers), and saves the settings once the counter change was accepted. Toggling the yearly reset moves numbering to another counter, which continues after the numbers the previous one issued; otherwise nextSequence restarts the current counter.
+   */
+  static async updateInvoiceNumbering({ pattern, resetYearly, nextSequence }) {
+    try {
+      const settings = await this.getSettings();
+      const numbering = settings.invoiceNumbering;
+      const now = new Date();
+      const previousKey = this.invoiceCounterKey(numbering, now);
+
+      if (pattern !== undefined) {
+        if (!SequenceService.isValidPattern(pattern)) {
+          return { success: false, message: 'Pattern must contain a {seq} or {seq:width} token' };
+        }
+        numbering.pattern = pattern;
+      }
+      if (resetYearly !== undefined) {
+        numbering.resetYearly = Boolean(resetYearly);
+      }
+      if (numbering.resetYearly && !SequenceService.hasYearToken(numbering.pattern)) {
+        return { success: false, message: 'Patterns that reset yearly must contain {YYYY} or {YY}, otherwise numbers would repeat' };
+      }
+      if (nextSequence !== undefined && (!Number.isInteger(nextSequence) || nextSequence < 1)) {
+        return { success: false, message: 'Next sequence must be a positive whole number' };
+      }
+
+      const counterKey = this.invoiceCounterKey(numbering, now);
+      if (counterKey !== previousKey) {
+        const continued = await SequenceService.continueFrom(previousKey, counterKey, nextSequence);
+        if (!continued.success) {
+          return continued;
+        }
+      } else if (nextSequence !== undefined) {
+        const restarted = await SequenceService.restart(counterKey, nextSequence);
+        if (!restarted.success) {
+          return restarted;
+        }
+      }
+
+      await settings.save();
+
+      return this.getInvoiceNumbering();
+    } catch (error) {
+      console.error('Error updating invoice numbering settings:', error);
+      return { success: false, message: 'Could not update invoice numbering settings' };
+    }
+  }
+
+  /**
+   * @description Retrieves the late fee policy.
+   * @returns {Object} - Response object with { success, data: { enabled, type, flatAmount, percentage, graceDays, periodDays, enabledAt }, message }.
+   */
+  static async getLateFeePolicy() {
+    try {
+      const settings = await this.getSettings();
+      const { enabled, type, flatAmount, percentage, graceDays, periodDays, enabledAt } = settings.lateFees;
+
+      return {
+        success: true,
+        data: { enabled, type, flatAmount, percentage, graceDays, periodDays, enabledAt }
+      };
+    } catch (error) {
+      console.error('Error fetching late fee policy:', error);
+      return { success: false, message: 'Could not fetch late fee policy' };
+    }
+  }
+
+  /**
+   * @description Updates the late fee policy charged on overdue invoices.
+   * @param {Object} params - Policy parameters.
+   * @param {boolean} [params.enabled] - Turn late fees on or off.
+   * @param {string} [params.type] - 'flat' or 'percentage' for a single fee, 'interest' for a percentage charged every period.
+   * @param {number} [params.flatAmount] - The flat fee in the base currency.
+   * @param {number} [params.percentage] - The percentage of the overdue balance charged.
+   * @param {number} [params.graceDays] - Days past the due date before any fee is charged.
+   * @param {number} [params.periodDays] - Length of an interest period in days.
+   * @returns {Object} - Response object with { success, data: policy, message } indicating success or failure.
+   * @how - Records when fees are turned on, so the job never charges fees that fell due while they were off.
+   */
+  static async updateLateFeePolicy({ enabled, type, flatAmount, percentage, graceDays, periodDays }) {
+    try {
+      const settings = await this.getSettings();
+      const policy = settings.lateFees;
+
+      if (type !== undefined) {
+        const types = Settings.schema.path('lateFees.type').enumValues;
+        if (!types.includes(type)) {
+          return { success: false, message: `Type must be one of ${types.join(', ')}` };
+        }
+        policy.type = type;
+      }
+      if (flatAmount !== undefined) {
+        const amount = Number(flatAmount);
+        if (!Number.isFinite(amount) || amount < 0) {
+          return { success: false, message: 'Flat amount must be a positive number' };
+        }
+        policy.flatAmount = amount;
+      }
+      if (percentage !== undefined) {
+        const rate = Number(percentage);
+        if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+          return { success: false, message: 'Percentage must be between 0 and 100' };
+        }
+        policy.percentage = rate;
+      }
+      if (graceDays !== undefined) {
+        const days = Number(graceDays);
+        if (!Number.isInteger(days) || days < 0 || days > 365) {
+          return { success: false, message: 'Grace period must be a whole number of days, at most 365' };
+        }
+        policy.graceDays = days;
+      }
+      if (periodDays !== undefined) {
+        const days = Number(periodDays);
+        if (!Number.isInteger(days) || days < 1 || days > 365) {
+          return { success: false, message: 'Interest period must be between 1 and 365 days' };
+        }
+        policy.periodDays = days;
+      }
+      if (enabled !== undefined) {
+        if (enabled && !policy.enabled) {
+          policy.enabledAt = new Date();
+        }
+        policy.enabled = Boolean(enabled);
+      }
+      if (policy.enabled && !((policy.type === 'flat' ? policy.flatAmount : policy.percentage) > 0)) {
+        return { success: false, message: policy.type === 'flat' ? 'Enter the flat fee to charge' : 'Enter the percentage to charge' };
+      }
+
+      await settings.save();
+
+      return this.getLateFeePolicy();
+    } catch (error) {
+      console.error('Error updating late fee policy:', error);
+      return { success: false, message: 'Could not update late fee policy' };
+    }
+  }
+
+  /**
+   * @description Checks notes, terms and footer text before it is saved on an invoice or as a default.
+   * @param {Object} fields - Any of { notes, terms, footer }; unset fields are skipped.
+   * @returns {string|null} - The first problem found, or null when the text is valid.
+   */
+  static validateInvoiceText(fields) {
+    for (const field of INVOICE_TEXT_FIELDS) {
+      const value = fields[field];
+      if (value === undefined || value === null) {
+        continue;
+      }
+      if (typeof value !== 'string') {
+        return `The ${field} must be text`;
+      }
+      if (value.length > MAX_INVOICE_TEXT_LENGTH) {
+        return `The ${field} can be at most ${MAX_INVOICE_TEXT_LENGTH} characters`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @description Retrieves the notes, payment terms and footer new invoices start with.
+   * @returns {Object} - Response object with { success, data: { notes, terms, footer }, message }.
+   */
+  static async getInvoiceDefaults() {
+    try {
+      const settings = await this.getSettings();
+      const { notes, terms, footer } = settings.invoiceDefaults;
+
+      return { success: true, data: { notes, terms, footer } };
+    } catch (error) {
+      console.error('Error fetching invoice defaults:', error);
+      return { success: false, message: 'Could not fetch invoice defaults' };
+    }
+  }
+
+  /**
+   * @description Updates the notes, payment terms and footer new invoices start with.
+   * @param {Object} params - Any of { notes, terms, footer }; an empty string clears the default.
+   * @returns {Object} - Response object with { success, data: { notes, terms, footer }, message } indicating success or failure.
+   * @how - Invoices copy the defaults when they are created, so changing them never alters invoices already made.
+   */
+  static async updateInvoiceDefaults(params) {
+    try {
+      const textError = this.validateInvoiceText(params);
+      if (textError) {
+        return { success: false, message: textError };
+      }
+
+      const settings = await this.getSettings();
+      INVOICE_TEXT_FIELDS
+        .filter(field => params[field] !== undefined && params[field] !== null)
+        .forEach(field => {
+          settings.invoiceDefaults[field] = params[field];
+        });
+
+      await settings.save();
+
+      return this.getInvoiceDefaults();
+    } catch (error) {
+      console.error('Error updating invoice defaults:', error);
+      return { success: false, message: 'Could not update invoice defaults' };
+    }
+  }
+
+  /**
+   * @description Retrieves the message invoices are emailed with.
+   * @returns {Object} - Response object with { success, data: { subject, body }, message }.
+   */
+  static async getInvoiceEmail() {
+    try {
+      const settings = await this.getSettings();
+      const { subject, body } = settings.invoiceEmail;
+
+      return { success: true, data: { subject, body } };
+    } catch (error) {
+      console.error('Error fetching invoice email settings:', error);
+      return { success: false, message: 'Could not fetch invoice email settings' };
+    }
+  }
+
+  /**
+   * @description Updates the message invoices are emailed with.
+   * @param {Object} params - Template parameters.
+   * @param {string} [params.subject] - Subject line template.
+   * @param {string} [params.body] - Message template.
+   * @returns {Object} - Response object with { success, data: { subject, body }, message } indicating success or failure.
+   */
+  static async updateInvoiceEmail({ subject, body }) {
+    try {
+      const settings = await this.getSettings();
+
+      if (subject !== undefined) {
+        if (!String(subject).trim()) {
+          return { success: false, message: 'Subject is required' };
+        }
+        settings.invoiceEmail.subject = String(subject).trim();
+      }
+      if (body !== undefined) {
+        if (!String(body).trim()) {
+          return { success: false, message: 'Message is required' };
+        }
+        settings.invoiceEmail.body = String(body);
+      }
+
+      await settings.save();
+
+      return this.getInvoiceEmail();
+    } catch (error) {
+      console.error('Error updating invoice email settings:', error);
+      return { success: false, message: 'Could not update invoice email settings' };
+    }
+  }
+
+  /**
+   * @description Retrieves the payment reminder schedule.
+   * @returns {Object} - Response object with { success, data: { enabled, steps }, message }, steps ordered by their offset from the due date.
+   */
+  static async getReminderSettings() {
+    try {
+      const settings = await this.getSettings();
+      const { enabled, steps } = settings.reminders;
+
+      return {
+        success: true,
+        data: { enabled, steps: [...steps].sort((a, b) => a.offsetDays - b.offsetDays) }
+      };
+    } catch (error) {
+      console.error('Error fetching reminder settings:', error);
+      return { success: false, message: 'Could not fetch reminder settings' };
+    }
+  }
+
+  /**
+   * @description Updates the payment reminder schedule.
+   * @param {Object} params - Reminder parameters.
+   * @param {boolean} [params.enabled] - Turn reminders on or off.
+   * @param {Array<Object>} [params.steps] - Replaces the schedule; each step has { offsetDays, subject, body }, offsetDays being the days after the due date (negative for before it).
+   * @returns {Object} - Response object with { success, data: reminders, message } indicating success or failure.
+   * @how - Each step is identified by its offset, so offsets must be unique; invoices remember which offsets they were reminded for, and changing a step's wording never resends it.
+   */
+  static async updateReminderSettings({ enabled, steps }) {
+    try {
+      const settings = await this.getSettings();
+
+      if (steps !== undefined) {
+        if (!Array.isArray(steps) || steps.length > MAX_REMINDER_STEPS) {
+          return { success: false, message: `Steps must be an array of at most ${MAX_REMINDER_STEPS} reminders` };
+        }
+        const offsets = new Set();
+        for (const step of steps) {
+          const offsetDays = Number(step.offsetDays);
+          if (!Number.isInteger(offsetDays) || Math.abs(offsetDays) > 365) {
+            return { success: false, message: 'Each reminder must be sent a whole number of days, at most 365, from the due date' };
+          }
+          if (offsets.has(offsetDays)) {
+            return { success: false, message: `Two reminders cannot be sent ${offsetDays} days from the due date` };
+          }
+          if (!step.subject || !String(step.subject).trim() || !step.body || !String(step.body).trim()) {
+            return { success: false, message: 'Each reminder needs a subject and a message' };
+          }
+          offsets.add(offsetDays);
+        }
+        settings.reminders.steps = steps.map(step => ({
+          offsetDays: Number(step.offsetDays),
+          subject: String(step.subject).trim(),
+          body: String(step.body)
+        }));
+      }
+      if (enabled !== undefined) {
+        settings.reminders.enabled = Boolean(enabled);
+      }
+
+      await settings.save();
+
+      return this.getReminderSettings();
+    } catch (error) {
+      console.error('Error updating reminder settings:', error);
+      return { success: false, message: 'Could not update reminder settings' };
+    }
+  }
+};
@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const Invoice = require('../models/invoice');
+const app = require('../config/app');
+const company = require('../config/company');
+const shareLinks = require('../config/shareLinks');
+const InvoiceService = require('./invoiceService');
+const InvoiceStatusService = require('./invoiceStatusService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_EXPIRY_DAYS = 365;
+// Distinguishes share link tokens from login tokens signed with the same secret
+const TOKEN_TYPE = 'invoice-share';
+
+module.exports = class ShareLinkService {
+  /**
+   * @description Signs the token of a share link.
+   * @param {string} invoiceId - The MongoDB ID of the invoice shared.
+   * @param {Object} link - The share link with _id, createdAt and expiresAt.
+   * @returns {string} - The token.
+   * @how - The token is a JWT built only from stored fields, so the same token can be produced again for staff to copy without ever being stored.
+   */
+  static signToken(invoiceId, link) {
+    return jwt.sign(
+      {
+        type: TOKEN_TYPE,
+        invoice: String(invoiceId),
+        jti: String(link._id),
+        iat: Math.floor(new Date(link.createdAt).getTime() / 1000),
+        exp: Math.floor(new Date(link.expiresAt).getTime() / 1000)
+      },
+      shareLinks.secret
+    );
+  }
+
+  /**
+   * @description Describes a share link for staff.
+   * @param {string} invoiceId - The MongoDB ID of the invoice shared.
+   * @param {Object} link - The stored share link.
+   * @param {Date} [now=new Date()] - The time to check expiry against.
+   * @returns {Object} - The link with its state ('active', 'expired' or 'revoked'), and its token and url while active.
+   */
+  static describeLink(invoiceId, link, now = new Date()) {
+    const linkObj = link.toObject ? link.toObject() : link;
+    const state = linkObj.revokedAt ? 'revoked' : new Date(linkObj.expiresAt) <= now ? 'expired' : 'active';
+    if (state !== 'active') {
+      return { ...linkObj, state };
+    }
+
+    const token = this.signToken(invoiceId, linkObj);
+    return { ...linkObj, state, token, url: `${app.url}/public/invoices/${token}` };
+  }
+
+  /**
+   * @description Creates a share link for an issued invoice.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {Object} [options={}] - Link options.
+   * @param {string} [options.by] - The MongoDB ID of the staff member creating it.
+   * @param {number} [options.expiresInDays] - Days until the link stops working, defaults to SHARE_LINK_EXPIRY_DAYS.
+   * @returns {Object} - Response object with { success, data: link, message }, the link carrying its url.
+   */
+  static async createLink(invoiceId, { by, expiresInDays = shareLinks.defaultExpiryDays } = {}) {
+    try {
+      const days = Number(expiresInDays);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+        return { success: false, message: `Links must expire within 1 to ${MAX_EXPIRY_DAYS} days` };
+      }
+
+      const createdAt = new Date();
+      const link = {
+        _id: new mongoose.Types.ObjectId(),
+        createdAt,
+        createdBy: by,
+        expiresAt: new Date(createdAt.getTime() + days * DAY_MS)
+      };
+      const invoice = await Invoice.findOneAndUpdate(
+        { _id: invoiceId, status: { $ne: 'draft' } },
+        { $push: { shareLinks: link } }
+      );
+      if (!invoice) {
+        return { success: false, message: 'Only issued invoices can be shared' };
+      }
+
+      return { success: true, data: this.describeLink(invoiceId, link) };
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      return { success: false, message: 'Could not create share link' };
+    }
+  }
+
+  /**
+   * @description Lists the share links of an invoice, newest first.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @returns {Object} - Response object with { success, data: links, message }.
+   */
+  static async getLinks(invoiceId) {
+    try {
+      const invoice = await Invoice.findById(invoiceId, 'shareLinks')
+        .populate('shareLinks.createdBy', 'name')
+        .populate('shareLinks.revokedBy', 'name');
+      if (!invoice) {
+        return { success: false, message: 'Invoice not found' };
+      }
+
+      const now = new Date();
+      const links = invoice.shareLinks
+        .map(link => this.describeLink(invoiceId, link, now))
+        .sort((a, b) => b.createdAt - a.createdAt);
+      return { success: true, data: links };
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+      return { success: false, message: 'Could not fetch share links' };
+    }
+  }
+
+  /**
+   * @description Revokes a share link so it stops working straight away.
+   * @param {string} invoiceId - The MongoDB ID of the invoice.
+   * @param {string} linkId - The MongoDB ID of the link.
+   * @param {string} [revokedBy] - The MongoDB ID of the staff member revoking it.
+   * @returns {Object} - Response object with { success, data: link, message }.
+   */
+  static async revokeLink(invoiceId, linkId, revokedBy) {
+    try {
+      const invoice = await Invoice.findOneAndUpdate(
+        { _id: invoiceId, shareLinks: { $elemMatch: { _id: linkId, revokedAt: null } } },
+        { $set: { 'shareLinks.$.revokedAt': new Date(), 'shareLinks.$.revokedBy': revokedBy } },
+        { new: true }
+      );
+      if (!invoice) {
+        return { success: false, message: 'Share link not found or already revoked' };
+      }
+
+      return { success: true, data: this.describeLink(invoiceId, invoice.shareLinks.id(linkId)) };
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      return { success: false, message: 'Could not revoke share link' };
+    }
+  }
+
+  /**
+   * @description Finds the invoice a share link token points to.
+   * @param {string} token - The token from the link.
+   * @param {Object} [options={}] - { recordView } to count the visit and mark the invoice as viewed.
+   * @returns {Object} - Response object with { success, data: invoice, message }; data is the invoice with its client populated.
+   * @how - Checks the signature and expiry of the token, then that the link is still stored on the invoice unrevoked and unexpired. Recording a view counts it on the link and moves an issued or sent invoice to viewed.
+   */
+  static async resolveToken(token, { recordView = false } = {}) {
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(token, shareLinks.secret);
+      } catch (error) {
+        return { success: false, message: error.name === 'TokenExpiredError' ? 'This invoice link has expired' : 'This invoice link is not valid' };
+      }
+      if (payload.type !== TOKEN_TYPE || !mongoose.isValidObjectId(payload.invoice) || !mongoose.isValidObjectId(payload.jti)) {
+        return { success: false, message: 'This invoice link is not valid' };
+      }
+
+      const now = new Date();
+      const activeLink = { shareLinks: { $elemMatch: { _id: payload.jti, revokedAt: null, expiresAt: { $gt: now } } } };
+      const found = recordView
+        ? await Invoice.findOneAndUpdate(
+          { _id: payload.invoice, ...activeLink },
+          { $inc: { 'shareLinks.$.viewCount': 1 }, $set: { 'shareLinks.$.lastViewedAt': now } }
+        )
+        : await Invoice.exists({ _id: payload.invoice, ...activeLink });
+      if (!found) {
+        return { success: false, message: 'This invoice link has been revoked or has expired' };
+      }
+
+      if (recordView) {
+        await InvoiceStatusService.markViewed(payload.invoice, { note: 'Opened through a share link' });
+      }
+
+      return InvoiceService.getSingleInvoice(payload.invoice);
+    } catch (error) {
+      console.error('Error resolving share link:', error);
+      return { success: false, message: 'Could not open invoice link' };
+    }
+  }
+
+  /**
+   * @description Picks the parts of an invoice a client may see through a share link.
+   * @param {Object} invoice - Invoice with its client populated.
+   * @returns {Object} - The invoice without internal history, logs or links, plus the company details.
+   */
+  static publicView(invoice) {
+    const invoiceObj = invoice.toObject ? invoice.toObject() : invoice;
+    const client = invoiceObj.client || {};
+    return {
+      invoiceNumber: invoiceObj.invoiceNumber,
+      issueDate: invoiceObj.issueDate,
+      dueDate: invoiceObj.dueDate,
+      currency: invoiceObj.currency,
+      status: invoiceObj.status,
+      isOverdue: InvoiceService.isOverdue(invoiceObj),
+      client: { name: client.name, email: client.email, address: client.address, billingAddress: client.billingAddress },
+      items: (invoiceObj.items || []).map(line => ({
+        _id: line._id,
+        name: line.name,
+        description: line.description,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        lineTotal: line.lineTotal,
+        discount: line.discount,
+        discountAmount: line.discountAmount
+      })),
+      taxInclusive: invoiceObj.taxInclusive,
+      discount: invoiceObj.discount,
+      discountAmount: invoiceObj.discountAmount,
+      discountTotal: invoiceObj.discountTotal,
+      subtotal: invoiceObj.subtotal,
+      taxes: invoiceObj.taxes,
+      lateFees: (invoiceObj.lateFees || []).map(({ _id, description, amount, chargedAt }) => ({ _id, description, amount, chargedAt })),
+      total: invoiceObj.total,
+      amountPaid: invoiceObj.amountPaid,
+      refundedAmount: invoiceObj.refundedAmount,
+      creditedAmount: invoiceObj.creditedAmount,
+      balanceDue: invoiceObj.balanceDue,
+      notes: invoiceObj.notes,
+      terms: invoiceObj.terms,
+      footer: invoiceObj.footer,
+      company
+    };
+  }
+};
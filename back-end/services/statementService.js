@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+const Client = require('../models/client');
+const Invoice = require('../models/invoice');
+const Payment = require('../models/payment');
+const CreditNote = require('../models/creditNote');
+const company = require('../config/company');
+const InvoiceService = require('./invoiceService');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAYMENT_METHODS = {
+  bank_transfer: 'bank transfer',
+  card: 'card',
+  cash: 'cash',
+  cheque: 'cheque',
+  other: 'other'
+};
+
+module.exports = class StatementService {
+  /**
+   * @description Parses the date range of a statement.
+   * @param {Object} params - { from, to } as ISO dates; a date without a time covers that whole day.
+   * @returns {Object} - { from, to, end } where end is the exclusive upper bound, or { error } when a date is not valid.
+   */
+  static parseRange({ from, to } = {}) {
+    const start = from ? new Date(from) : null;
+    const until = to ? new Date(to) : new Date();
+    if ((start && Number.isNaN(start.getTime())) || Number.isNaN(until.getTime())) {
+      return { error: 'Dates must be valid, e.g. 2024-01-31' };
+    }
+    if (start && start > until) {
+      return { error: 'The start date must be before the end date' };
+    }
+
+    const end = to && DATE_ONLY.test(to) ? new Date(until.getTime() + DAY_MS) : new Date(until.getTime() + 1);
+    return { from: start, to: until, end };
+  }
+
+  /**
+   * @description Lists everything that changed what a client owes on their issued invoices.
+   * @param {Array<Object>} invoices - The client's issued, non-void invoices.
+   * @param {Array<Object>} payments - Payments against those invoices.
+   * @param {Array<Object>} creditNotes - Credit notes against those invoices.
+   * @returns {Array<Object>} - Entries { date, type, reference, description, currency, debit, credit, invoice }, oldest first.
+   * @how - An invoice is charged at its total before late fees, each late fee on the day it was charged. Payments, credit notes and write-offs are credited, and refunds of a credit note charged back, so the entries of an invoice add up to its balance due.
+   */
+  static buildEntries(invoices, payments, creditNotes) {
+    const entries = [];
+    const invoicesById = new Map(invoices.map(invoice => [String(invoice._id), invoice]));
+    const entry = (invoice, fields) => ({
+      debit: 0,
+      credit: 0,
+      currency: invoice.currency,
+      invoice: { _id: invoice._id, invoiceNumber: invoice.invoiceNumber },
+      ...fields
+    });
+
+    for (const invoice of invoices) {
+      entries.push(entry(invoice, {
+        date: invoice.issueDate,
+        type: 'invoice',
+        reference: invoice.invoiceNumber,
+        description: `Invoice, due ${invoice.dueDate.toISOString().slice(0, 10)}`,
+        debit: InvoiceService.roundMoney(invoice.total - (invoice.lateFeeTotal || 0))
+      }));
+
+      for (const fee of invoice.lateFees || []) {
+        entries.push(entry(invoice, {
+          date: fee.chargedAt,
+          type: 'late_fee',
+          reference: invoice.invoiceNumber,
+          description: fee.description,
+          debit: fee.amount
+        }));
+      }
+
+      if (invoice.writtenOffAmount > 0) {
+        const writeOff = [...(invoice.statusHistory || [])].reverse().find(change => change.status === 'written_off');
+        entries.push(entry(invoice, {
+          date: writeOff ? writeOff.at : invoice.updatedAt,
+          type: 'write_off',
+          reference: invoice.invoiceNumber,
+          description: 'Written off',
+          credit: invoice.writtenOffAmount
+        }));
+      }
+    }
+
+    for (const payment of payments) {
+      const invoice = invoicesById.get(String(payment.invoice));
+      if (!invoice) continue;
+      entries.push(entry(invoice, {
+        date: payment.date,
+        type: 'payment',
+        reference: payment.reference || invoice.invoiceNumber,
+        description: `Payment by ${PAYMENT_METHODS[payment.method] || payment.method} for ${invoice.invoiceNumber}`,
+        credit: payment.amount
+      }));
+    }
+
+    for (const creditNote of creditNotes) {
+      const invoice = invoicesById.get(String(creditNote.invoice));
+      if (!invoice) continue;
+      entries.push(entry(invoice, {
+        date: creditNote.issueDate,
+        type: 'credit_note',
+        reference: creditNote.creditNoteNumber,
+        description: `Credit note for ${invoice.invoiceNumber}: ${creditNote.reason}`,
+        credit: creditNote.total
+      }));
+      if (creditNote.refund && creditNote.refund.amount > 0) {
+        entries.push(entry(invoice, {
+          date: creditNote.issueDate,
+          type: 'refund',
+          reference: creditNote.creditNoteNumber,
+          description: `Refund of credit note ${creditNote.creditNoteNumber}`,
+          debit: creditNote.refund.amount
+        }));
+      }
+    }
+
+    return entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+  }
+
+  /**
+   * @description Builds a client's statement of account with a running balance, one ledger per invoice currency.
+   * @param {string} clientId - The MongoDB ID of the client.
+   * @param {Object} [params={}] - Statement period.
+   * @param {string} [params.from] - Start date; everything before it is carried into the opening balance. From the first invoice when omitted.
+   * @param {string} [params.to] - End date, today when omitted.
+   * @returns {Object} - Response object with { success, data: { client, company, from, to, statements }, message }; each statement has { currency, openingBalance, entries, totalDebits, totalCredits, closingBalance }.
+   * @how - Drafts and void invoices owe nothing and are left out. Entries before the period only move the opening balance; each entry in the period carries the balance after it.
+   */
+  static async getStatement(clientId, { from, to } = {}) {
+    try {
+      const range = this.parseRange({ from, to });
+      if (range.error) {
+        return { success: false, message: range.error };
+      }
+      if (!mongoose.isValidObjectId(clientId)) {
+        return { success: false, message: 'Invalid client ID' };
+      }
+
+      const client = await Client.findById(clientId, 'name email address billingAddress currency');
+      if (!client) {
+        return { success: false, message: 'Client not found' };
+      }
+
+      const invoices = await Invoice.find(
+        { client: clientId, status: { $nin: ['draft', 'void'] }, issueDate: { $lt: range.end } },
+        'invoiceNumber issueDate dueDate currency total lateFees lateFeeTotal writtenOffAmount statusHistory updatedAt'
+      );
+      const invoiceIds = invoices.map(invoice => invoice._id);
+      const [payments, creditNotes] = await Promise.all([
+        Payment.find({ invoice: { $in: invoiceIds }, date: { $lt: range.end } }),
+        CreditNote.find({ invoice: { $in: invoiceIds }, issueDate: { $lt: range.end } })
+      ]);
+
+      const ledgers = new Map();
+      for (const entry of this.buildEntries(invoices, payments, creditNotes)) {
+        if (new Date(entry.date) >= range.end) continue;
+        if (!ledgers.has(entry.currency)) {
+          ledgers.set(entry.currency, { currency: entry.currency, openingBalance: 0, entries: [], totalDebits: 0, totalCredits: 0, closingBalance: 0 });
+        }
+        const ledger = ledgers.get(entry.currency);
+        ledger.closingBalance = InvoiceService.roundMoney(ledger.closingBalance + entry.debit - entry.credit);
+
+        if (range.from && new Date(entry.date) < range.from) {
+          ledger.openingBalance = ledger.closingBalance;
+          continue;
+        }
+        ledger.totalDebits = InvoiceService.roundMoney(ledger.totalDebits + entry.debit);
+        ledger.totalCredits = InvoiceService.roundMoney(ledger.totalCredits + entry.credit);
+        ledger.entries.push({ ...entry, balance: ledger.closingBalance });
+      }
+
+      return {
+        success: true,
+        data: {
+          client,
+          company,
+          from: range.from,
+          to: range.to,
+          statements: [...ledgers.values()].sort((a, b) => a.currency.localeCompare(b.currency))
+        }
+      };
+    } catch (error) {
+      console.error('Error building statement:', error);
+      return { success: false, message: 'Could not build statement' };
+    }
+  }
+};
@@ -0,0 +1,88 @@
+const fs = require('fs/promises');
+const path = require('path');
+const storage = require('../config/storage');
+
+// Factories for each storage backend. An adapter stores files by key with three methods:
+// `put(key, content, { contentType })`, `get(key)` resolving with a Buffer, and `remove(key)`.
+const adapterFactories = {
+  local: () => {
+    const root = path.resolve(storage.localDir);
+    // Keys are generated by the application, but a key never reaches outside the storage directory
+    const resolve = (key) => {
+      const filePath = path.resolve(root, key);
+      if (!filePath.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key "${key}"`);
+      }
+      return filePath;
+    };
+    return {
+      put: async (key, content) => {
+        const filePath = resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, content);
+      },
+      get: async (key) => fs.readFile(resolve(key)),
+      remove: async (key) => {
+        await fs.rm(resolve(key), { force: true });
+      }
+    };
+  }
+};
+
+let adapter;
+
+module.exports = class StorageService {
+  /**
+   * @description Adds a storage backend, e.g. for an object store, selectable with STORAGE_DRIVER.
+   * @param {string} name - The adapter name.
+   * @param {Function} factory - Returns an adapter with `put`, `get` and `remove` methods.
+   */
+  static registerAdapter(name, factory) {
+    adapterFactories[name] = factory;
+    adapter = undefined;
+  }
+
+  /**
+   * @description Returns the configured adapter, creating it on first use.
+   * @returns {Object} - The adapter.
+   * @throws {Error} - If STORAGE_DRIVER names an unknown adapter.
+   */
+  static getAdapter() {
+    if (!adapter) {
+      const factory = adapterFactories[storage.driver];
+      if (!factory) {
+        throw new Error(`Unknown storage driver "${storage.driver}", expected one of ${Object.keys(adapterFactories).join(', ')}`);
+      }
+      adapter = factory();
+    }
+    return adapter;
+  }
+
+  /**
+   * @description Stores a file.
+   * @param {string} key - Where to store it, e.g. 'invoices/<id>/<random>'.
+   * @param {Buffer} content - The file content.
+   * @param {Object} [options] - Storage options.
+   * @param {string} [options.contentType] - The file's media type, for adapters that keep it.
+   */
+  static async put(key, content, { contentType } = {}) {
+    await this.getAdapter().put(key, content, { contentType });
+  }
+
+  /**
+   * @description Reads a stored file.
+   * @param {string} key - The key the file was stored under.
+   * @returns {Promise<Buffer>} - The file content.
+   */
+  static async get(key) {
+    return this.getAdapter().get(key);
+  }
+
+  /**
+   * @description Deletes a stored file; deleting a file that is already gone is not an error.
+   * @param {string} key - The key the file was stored under.
+   */
+  static async remove(key) {
+    await this.getAdapter().remove(key);
+  }
+};
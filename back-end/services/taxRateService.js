@@ -0,0 +1,114 @@
+const TaxRate = require('../models/taxRate');
+
+module.exports = class TaxRateService {
+  /**
+   * @description Creates a new tax rate.
+   * @param {Object} params - Tax rate parameters.
+   * @param {string} params.name - Display name, e.g. 'VAT'.
+   * @param {number} params.percentage - Rate between 0 and 100.
+   * @param {boolean} [params.compound=false] - Charge the tax on top of previously applied taxes.
+   * @returns {Object} - Response object with { success, data: taxRate, message } indicating success or failure.
+   */
+  static async createTaxRate({ name, percentage, compound = false }) {
+    try {
+      if (!name || percentage == null) {
+        return { success: false, message: 'Name and percentage are required' };
+      }
+      if (isNaN(percentage) || percentage < 0 || percentage > 100) {
+        return { success: false, message: 'Percentage must be between 0 and 100' };
+      }
+
+      const taxRate = new TaxRate({ name, percentage, compound: Boolean(compound) });
+      await taxRate.save();
+
+      return { success: true, data: taxRate };
+    } catch (error) {
+      console.error('Error creating tax rate:', error);
+      return { success: false, message: 'Could not create tax rate' };
+    }
+  }
+
+  /**
+   * @description Retrieves tax rates.
+   * @param {Object} [params={}] - Filter parameters.
+   * @param {boolean} [params.includeInactive=false] - Also return deactivated tax rates.
+   * @returns {Object} - Response object with { success, data: taxRates, message }.
+   */
+  static async getTaxRates({ includeInactive = false } = {}) {
+    try {
+      const queryFilter = includeInactive ? {} : { status: 'active' };
+      const taxRates = await TaxRate.find(queryFilter).sort({ name: 1 });
+
+      return { success: true, data: taxRates };
+    } catch (error) {
+      console.error('Error fetching tax rates:', error);
+      return { success: false, message: 'Could not fetch tax rates' };
+    }
+  }
+
+  /**
+   * @description Updates an existing tax rate. Issued invoices keep the rate they were created with.
+   * @param {string} taxRateId - The MongoDB ID of the tax rate.
+   * @param {Object} params - Update parameters (name, percentage, compound, status).
+   * @returns {Object} - Response object with { success, data: taxRate, message } indicating success or failure.
+   */
+  static async updateTaxRate(taxRateId, { name, percentage, compound, status }) {
+    try {
+      if (percentage != null && (isNaN(percentage) || percentage < 0 || percentage > 100)) {
+        return { success: false, message: 'Percentage must be between 0 and 100' };
+      }
+
+      const updateData = { name, percentage, compound };
+      if (status && ['active', 'inactive'].includes(status)) updateData.status = status;
+
+      const taxRate = await TaxRate.findByIdAndUpdate(taxRateId, updateData, { new: true, runValidators: true });
+      if (!taxRate) {
+        return { success: false, message: 'Tax rate not found' };
+      }
+
+      return { success: true, data: taxRate };
+    } catch (error) {
+      console.error('Error updating tax rate:', error);
+      return { success: false, message: 'Could not update tax rate' };
+    }
+  }
+
+  /**
+   * @description Marks a tax rate as inactive so it can no longer be applied to new invoices.
+   * @param {string} taxRateId - The MongoDB ID of the tax rate.
+   * @returns {Object} - Response object with { success, message }.
+   */
+  static async deleteTaxRate(taxRateId) {
+    try {
+      const taxRate = await TaxRate.findByIdAndUpdate(taxRateId, { status: 'inactive' }, { new: true });
+      if (!taxRate) {
+        return { success: false, message: 'Tax rate not found' };
+      }
+
+      return { success: true, message: 'Tax rate marked as inactive' };
+    } catch (error) {
+      console.error('Error marking tax rate as inactive:', error);
+      return { success: false, message: 'Could not update tax rate status' };
+    }
+  }
+
+  /**
+   * @description Loads active tax rates by ID.
+   * @param {Array<string>} taxRateIds - IDs of the tax rates to load.
+   * @returns {Object} - Response object with { success, data: Map<id, taxRate>, message }; fails if any rate is missing or inactive.
+   */
+  static async getActiveTaxRatesById(taxRateIds) {
+    try {
+      const uniqueIds = [...new Set(taxRateIds.map(String))];
+      const taxRates = await TaxRate.find({ _id: { $in: uniqueIds }, status: 'active' });
+      if (taxRates.length !== uniqueIds.length) {
+        return { success: false, message: 'One or more tax rates were not found or are inactive' };
+      }
+
+      return { success: true, data: new Map(taxRates.map(taxRate => [taxRate._id.toString(), taxRate])) };
+    } catch (error) {
+      console.error('Error loading tax rates:', error);
+      return { success: false, message: 'Could not load tax rates' };
+    }
+  }
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { clearDatabase, closeDatabase } = require('../config/db');
+const Client = require('../models/client');
+const Item = require('../models/item');
+const InvoiceService = require('../services/invoiceService');
+const SettingsService = require('../services/settingsService');
+
+let mongoServer;
+let client;
+let item;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  client = await Client.create({ name: 'Acme Ltd', email: 'billing@acme.test', phone_number: '555-0100' });
+  item = await Item.create({ name: 'Widget', quantity: 100, unitPrice: 10, status: 'in-stock' });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  // Nothing to close when the in-memory server could not be started
+  if (mongoServer) {
+    await closeDatabase();
+    await mongoServer.stop();
+  }
+});
+
+// Issued today, so the invoices draw from the same counter the settings change moves
+const createInvoice = async () => {
+  const issueDate = new Date();
+  const result = await InvoiceService.createInvoice({
+    issueDate,
+    dueDate: new Date(issueDate.getTime() + 30 * 24 * 60 * 60 * 1000),
+    clientId: client._id,
+    items: [{ _id: item._id, quantity: 1 }]
+  });
+  expect(result.success).toBe(true);
+  return result.data.invoiceNumber;
+};
+
+const year = () => new Date().getUTCFullYear();
+
+describe('SettingsService.updateInvoiceNumbering yearly reset toggle', () => {
+  test('continues after the issued numbers when the yearly reset is turned off and on again', async () => {
+    await createInvoice();
+    await createInvoice();
+
+    const off = await SettingsService.updateInvoiceNumbering({ resetYearly: false });
+    expect(off.success).toBe(true);
+    expect(off.data.nextNumber).toBe(`INV-${year()}-00003`);
+    expect(await createInvoice()).toBe(`INV-${year()}-00003`);
+
+    const on = await SettingsService.updateInvoiceNumbering({ resetYearly: true });
+    expect(on.success).toBe(true);
+    expect(await createInvoice()).toBe(`INV-${year()}-00004`);
+  });
+
+  test('skips past a stale counter left from an earlier switch', async () => {
+    await SettingsService.updateInvoiceNumbering({ resetYearly: false });
+    for (let i = 0; i < 3; i++) {
+      await createInvoice();
+    }
+    await SettingsService.updateInvoiceNumbering({ resetYearly: true });
+    await createInvoice();
+    await createInvoice();
+
+    // The 'invoice' counter is still at 3 while the yearly counter reached 5
+    const off = await SettingsService.updateInvoiceNumbering({ resetYearly: false });
+    expect(off.success).toBe(true);
+    expect(await createInvoice()).toBe(`INV-${year()}-00006`);
+  });
+
+  test('refuses a toggle that would restart at or below an issued number', async () => {
+    await createInvoice();
+    await createInvoice();
+
+    const result = await SettingsService.updateInvoiceNumbering({ resetYearly: false, nextSequence: 2 });
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/above 2/);
+    expect((await SettingsService.getSettings()).invoiceNumbering.resetYearly).toBe(true);
+    expect(await createInvoice()).toBe(`INV-${year()}-00003`);
+  });
+
+  test('continues from nextSequence when the toggle gives one above the issued numbers', async () => {
+    await createInvoice();
+
+    const result = await SettingsService.updateInvoiceNumbering({ resetYearly: false, nextSequence: 50 });
+
+    expect(result.success).toBe(true);
+    expect(await createInvoice()).toBe(`INV-${year()}-00050`);
+  });
+});
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { clearDatabase, closeDatabase } = require('../config/db');
+const Client = require('../models/client');
+const Item = require('../models/item');
+const Invoice = require('../models/invoice');
+const InvoiceService = require('../services/invoiceService');
+const InvoiceDeliveryService = require('../services/invoiceDeliveryService');
+const MailService = require('../services/mailService');
+const PdfService = require('../services/pdfService');
+
+let mongoServer;
+let client;
+let item;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(PdfService, 'renderInvoice').mockResolvedValue(Buffer.from('%PDF'));
+  client = await Client.create({ name: 'Acme Ltd', email: 'billing@acme.test', phone_number: '555-0100' });
+  item = await Item.create({ name: 'Widget', quantity: 10, unitPrice: 10, status: 'in-stock' });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  // Nothing to close when the in-memory server could not be started
+  if (mongoServer) {
+    await closeDatabase();
+    await mongoServer.stop();
+  }
+});
+
+const createInvoice = (params = {}) => InvoiceService.createInvoice({
+  issueDate: new Date('2026-03-02'),
+  dueDate: new Date('2099-04-01'),
+  clientId: client._id,
+  items: [{ _id: item._id, quantity: 1 }],
+  ...params
+});
+
+const history = invoice => invoice.statusHistory.map(entry => entry.status);
+
+describe('invoice issue and send statuses', () => {
+  test('issues a new invoice without marking it as sent', async () => {
+    const created = await createInvoice();
+
+    expect(created.success).toBe(true);
+    const invoice = await Invoice.findById(created.data._id);
+    expect(invoice.status).toBe('issued');
+    expect(history(invoice)).toEqual(['issued']);
+    expect(invoice.sentAt).toBeUndefined();
+  });
+
+  test('moves an issued invoice to sent once it is emailed', async () => {
+    jest.spyOn(MailService, 'send').mockResolvedValue({ success: true, data: { messageId: 'message-1' } });
+    const created = await createInvoice();
+
+    const sent = await InvoiceDeliveryService.sendInvoice(created.data._id);
+
+    expect(sent.success).toBe(true);
+    const invoice = await Invoice.findById(created.data._id);
+    expect(invoice.status).toBe('sent');
+    expect(history(invoice)).toEqual(['issued', 'sent']);
+    expect(invoice.sentAt).toBeInstanceOf(Date);
+  });
+
+  test('issues a draft and sends it as two separate steps', async () => {
+    jest.spyOn(MailService, 'send').mockResolvedValue({ success: true, data: { messageId: 'message-1' } });
+    const draft = await createInvoice({ draft: true });
+
+    await InvoiceDeliveryService.sendInvoice(draft.data._id);
+
+    const invoice = await Invoice.findById(draft.data._id);
+    expect(history(invoice)).toEqual(['draft', 'issued', 'sent']);
+  });
+
+  test('keeps an invoice issued when the email fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(MailService, 'send').mockResolvedValue({ success: false, message: 'Could not send email: refused' });
+    const created = await createInvoice();
+
+    const sent = await InvoiceDeliveryService.sendInvoice(created.data._id);
+
+    expect(sent.success).toBe(false);
+    const invoice = await Invoice.findById(created.data._id);
+    expect(invoice.status).toBe('issued');
+    expect(invoice.deliveries[0].status).toBe('failed');
+  });
+});
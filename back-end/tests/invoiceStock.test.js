@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { clearDatabase, closeDatabase } = require('../config/db');
+const Client = require('../models/client');
+const Item = require('../models/item');
+const Invoice = require('../models/invoice');
+const Counter = require('../models/counter');
+const InvoiceService = require('../services/invoiceService');
+
+let mongoServer;
+let client;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  client = await Client.create({ name: 'Acme Ltd', email: 'billing@acme.test', phone_number: '555-0100' });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  // Nothing to close when the in-memory server could not be started
+  if (mongoServer) {
+    await closeDatabase();
+    await mongoServer.stop();
+  }
+});
+
+const createInvoice = (lines) => InvoiceService.createInvoice({
+  issueDate: new Date('2026-03-02'),
+  dueDate: new Date('2026-04-01'),
+  clientId: client._id,
+  items: lines.map(({ item, quantity }) => ({ _id: item._id, quantity }))
+});
+
+const expectStock = async (item, quantity, status) => {
+  const stored = await Item.findById(item._id);
+  expect(stored.quantity).toBe(quantity);
+  expect(stored.status).toBe(status);
+};
+
+describe('InvoiceService.createInvoice stock reservation', () => {
+  test('only the in-stock number of concurrent invoices succeed', async () => {
+    const item = await Item.create({ name: 'Widget', quantity: 3, unitPrice: 10, status: 'in-stock' });
+
+    const results = await Promise.all(Array.from({ length: 8 }, () => createInvoice([{ item, quantity: 1 }])));
+
+    const succeeded = results.filter(result => result.success);
+    expect(succeeded).toHaveLength(3);
+    expect(new Set(succeeded.map(result => result.data.invoiceNumber)).size).toBe(3);
+    results.filter(result => !result.success).forEach(result => {
+      expect(result.message).toMatch(/out of stock|Insufficient stock/);
+    });
+    await expectStock(item, 0, 'out-of-stock');
+    expect(await Invoice.countDocuments()).toBe(3);
+  });
+
+  test('leaves the remainder in stock when concurrent invoices ask for more than one unit', async () => {
+    const item = await Item.create({ name: 'Gadget', quantity: 5, unitPrice: 25, status: 'in-stock' });
+
+    const results = await Promise.all(Array.from({ length: 6 }, () => createInvoice([{ item, quantity: 2 }])));
+
+    expect(results.filter(result => result.success)).toHaveLength(2);
+    await expectStock(item, 1, 'in-stock');
+    expect(await Invoice.countDocuments()).toBe(2);
+  });
+
+  test('hands back every reserved line and the invoice number when the invoice cannot be saved', async () => {
+    const widget = await Item.create({ name: 'Widget', quantity: 2, unitPrice: 10, status: 'in-stock' });
+    const gadget = await Item.create({ name: 'Gadget', quantity: 5, unitPrice: 25, status: 'in-stock' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Invoice.prototype, 'save').mockRejectedValueOnce(new Error('write failed'));
+
+    const result = await createInvoice([{ item: widget, quantity: 2 }, { item: gadget, quantity: 3 }]);
+
+    expect(result.success).toBe(false);
+    expect(await Invoice.countDocuments()).toBe(0);
+    await expectStock(widget, 2, 'in-stock');
+    await expectStock(gadget, 5, 'in-stock');
+
+    const [counter] = await Counter.find();
+    expect(counter.released).toEqual([counter.seq]);
+
+    // The released number is reused by the next invoice
+    const retried = await createInvoice([{ item: widget, quantity: 2 }]);
+    expect(retried.success).toBe(true);
+    expect((await Counter.findById(counter._id)).released).toHaveLength(0);
+  });
+
+  test('releases lines already reserved when a later line is short on stock', async () => {
+    const widget = await Item.create({ name: 'Widget', quantity: 4, unitPrice: 10, status: 'in-stock' });
+    const gadget = await Item.create({ name: 'Gadget', quantity: 1, unitPrice: 25, status: 'in-stock' });
+
+    const result = await createInvoice([{ item: widget, quantity: 4 }, { item: gadget, quantity: 2 }]);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/Insufficient stock for "Gadget"/);
+    await expectStock(widget, 4, 'in-stock');
+    await expectStock(gadget, 1, 'in-stock');
+    expect(await Invoice.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { clearDatabase, closeDatabase } = require('../config/db');
+const Client = require('../models/client');
+const Item = require('../models/item');
+const Invoice = require('../models/invoice');
+const QuoteService = require('../services/quoteService');
+const TaxRateService = require('../services/taxRateService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongoServer;
+let quote;
+let taxRate;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  const client = await Client.create({ name: 'Acme Ltd', email: 'billing@acme.test', phone_number: '555-0100' });
+  const item = await Item.create({ name: 'Widget', quantity: 10, unitPrice: 100, status: 'in-stock' });
+  taxRate = (await TaxRateService.createTaxRate({ name: 'VAT', percentage: 20 })).data;
+
+  const created = await QuoteService.createQuote({
+    clientId: client._id,
+    issueDate: new Date(),
+    validUntil: new Date(Date.now() + 30 * DAY_MS),
+    items: [{ _id: item._id, quantity: 2 }],
+    taxRateIds: [taxRate._id]
+  });
+  quote = (await QuoteService.sendQuote(created.data._id, { email: false })).data;
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  // Nothing to close when the in-memory server could not be started
+  if (mongoServer) {
+    await closeDatabase();
+    await mongoServer.stop();
+  }
+});
+
+const expectQuotedTaxes = async (converted) => {
+  expect(converted.success).toBe(true);
+  const invoice = await Invoice.findById(converted.data._id);
+  expect(invoice.items[0].taxes.map(tax => [tax.name, tax.percentage, tax.amount])).toEqual([['VAT', 20, 40]]);
+  expect(invoice.taxTotal).toBe(quote.taxTotal);
+  expect(invoice.total).toBe(quote.total);
+};
+
+describe('QuoteService.convertToInvoice', () => {
+  test('keeps the quoted tax after the rate has changed', async () => {
+    await TaxRateService.updateTaxRate(taxRate._id, { percentage: 25 });
+
+    await expectQuotedTaxes(await QuoteService.convertToInvoice(quote._id));
+  });
+
+  test('converts a quote whose tax rate has since been deactivated', async () => {
+    await TaxRateService.deleteTaxRate(taxRate._id);
+
+    await expectQuotedTaxes(await QuoteService.convertToInvoice(quote._id));
+  });
+});
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { clearDatabase, closeDatabase } = require('../config/db');
+const Client = require('../models/client');
+const Item = require('../models/item');
+const Invoice = require('../models/invoice');
+const RecurringInvoice = require('../models/recurringInvoice');
+const RecurringInvoiceService = require('../services/recurringInvoiceService');
+
+let mongoServer;
+let client;
+let item;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  client = await Client.create({ name: 'Acme Ltd', email: 'billing@acme.test', phone_number: '555-0100' });
+  item = await Item.create({ name: 'Widget', quantity: 1, unitPrice: 10, status: 'in-stock' });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  // Nothing to close when the in-memory server could not be started
+  if (mongoServer) {
+    await closeDatabase();
+    await mongoServer.stop();
+  }
+});
+
+describe('RecurringInvoiceService.runDueSchedules', () => {
+  test('keeps a failed occurrence due and generates it on a later run', async () => {
+    const startDate = new Date('2026-03-01T00:00:00Z');
+    const schedule = await RecurringInvoice.create({
+      name: 'Monthly widget',
+      client: client._id,
+      items: [{ item: item._id, quantity: 2 }],
+      interval: { unit: 'month', every: 1 },
+      startDate,
+      nextRunDate: startDate
+    });
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    const failed = await RecurringInvoiceService.runDueSchedules(now);
+
+    expect(failed).toEqual({ created: 0, failed: 1 });
+    let stored = await RecurringInvoice.findById(schedule._id);
+    expect(stored.nextRunDate).toEqual(startDate);
+    expect(stored.occurrences).toBe(0);
+    expect(stored.status).toBe('active');
+
+    await RecurringInvoiceService.runDueSchedules(now);
+    stored = await RecurringInvoice.findById(schedule._id);
+    expect(stored.runs).toHaveLength(1);
+    expect(stored.runs[0].attempts).toBe(2);
+
+    await Item.updateOne({ _id: item._id }, { quantity: 5 });
+    const retried = await RecurringInvoiceService.runDueSchedules(now);
+
+    expect(retried).toEqual({ created: 1, failed: 0 });
+    stored = await RecurringInvoice.findById(schedule._id);
+    expect(stored.nextRunDate).toEqual(new Date('2026-04-01T00:00:00Z'));
+    expect(stored.occurrences).toBe(1);
+    expect(stored.runs).toHaveLength(1);
+    expect(stored.runs[0].status).toBe('created');
+    expect(stored.runs[0].error).toBeUndefined();
+
+    const invoice = await Invoice.findById(stored.runs[0].invoice);
+    expect(invoice.issueDate).toEqual(startDate);
+  });
+});
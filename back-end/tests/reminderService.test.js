@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { clearDatabase, closeDatabase } = require('../config/db');
+const Client = require('../models/client');
+const Item = require('../models/item');
+const Invoice = require('../models/invoice');
+const InvoiceService = require('../services/invoiceService');
+const SettingsService = require('../services/settingsService');
+const ReminderService = require('../services/reminderService');
+const MailService = require('../services/mailService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongoServer;
+let invoice;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+beforeEach(async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(MailService, 'send').mockResolvedValue({ success: true, data: { messageId: 'message-1' } });
+
+  const client = await Client.create({ name: 'Acme Ltd', email: 'billing@acme.test', phone_number: '555-0100' });
+  const item = await Item.create({ name: 'Widget', quantity: 10, unitPrice: 10, status: 'in-stock' });
+  // Due yesterday, so the reminder sent on the due date is the latest step that has come due
+  const created = await InvoiceService.createInvoice({
+    issueDate: new Date(Date.now() - 10 * DAY_MS),
+    dueDate: new Date(Date.now() - DAY_MS),
+    clientId: client._id,
+    items: [{ _id: item._id, quantity: 1 }]
+  });
+  invoice = created.data;
+  await SettingsService.updateReminderSettings({ enabled: true });
+});
+
+afterEach(async () => {
+  await clearDatabase();
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  // Nothing to close when the in-memory server could not be started
+  if (mongoServer) {
+    await closeDatabase();
+    await mongoServer.stop();
+  }
+});
+
+const leaveSending = claimedAt => Invoice.updateOne(
+  { _id: invoice._id },
+  { $push: { reminders: { offsetDays: 0, to: 'billing@acme.test', subject: 'Invoice is due today', status: 'sending', sentAt: claimedAt, claimedAt } } }
+);
+
+describe('ReminderService.sendDueReminders with a send left in progress', () => {
+  test('marks a send abandoned past the claim timeout as failed and sends the step again', async () => {
+    await leaveSending(new Date(Date.now() - 60 * 60 * 1000));
+
+    const counts = await ReminderService.sendDueReminders();
+
+    expect(counts).toEqual({ sent: 1, failed: 0 });
+    expect(MailService.send).toHaveBeenCalledTimes(1);
+    const { reminders } = await Invoice.findById(invoice._id);
+    expect(reminders.map(reminder => reminder.status)).toEqual(['failed', 'sent']);
+    expect(reminders[0].error).toBe('The send did not finish');
+    expect(reminders[1].claimedAt).toBeInstanceOf(Date);
+  });
+
+  test('leaves a send that is still within the claim timeout alone', async () => {
+    await leaveSending(new Date());
+
+    const counts = await ReminderService.sendDueReminders();
+
+    expect(counts).toEqual({ sent: 0, failed: 0 });
+    expect(MailService.send).not.toHaveBeenCalled();
+    const { reminders } = await Invoice.findById(invoice._id);
+    expect(reminders.map(reminder => reminder.status)).toEqual(['sending']);
+  });
+});
@@ -19,9 +19,29 @@ import CreateItem from './pages/CreateItem';
 import UpdateItem from './pages/UpdateItem';
 import SingleItem from './pages/SingleItem';
 import AIQuery from './pages/AIQuery';
+import TaxRates from './pages/TaxRates';
+import Currencies from './pages/Currencies';
+import RecurringInvoices from './pages/RecurringInvoices';
+import ClientEmails from './pages/ClientEmails';
+import LateFees from './pages/LateFees';
+import InvoiceDefaults from './pages/InvoiceDefaults';
+import AgingReport from './pages/AgingReport';
+import PublicInvoice from './pages/PublicInvoice';
+import Quotes from './pages/Quotes';
+import SingleQuote from './pages/SingleQuote';
+import PublicQuote from './pages/PublicQuote';
+import PortalLayout from './components/PortalLayout';
+import PortalLogin from './pages/PortalLogin';
+import PortalAcceptInvite from './pages/PortalAcceptInvite';
+import PortalInvoices from './pages/PortalInvoices';
+import PortalInvoice from './pages/PortalInvoice';
+import PortalStatement from './pages/PortalStatement';
 
-// Protected Route Component
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
+// Where each kind of user lands after logging in
+const homePath = (user) => (user?.type === 'client' ? '/portal' : '/');
+
+// Protected Route Component; routes are for staff unless they allow clients
+const ProtectedRoute = ({ children, allowedRoles = ['staff'] }) => {
   const { isAuthenticated, loading, user } = useAuth();
 
   if (loading) {
@@ -33,11 +53,11 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
   }
 
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />;
+    return <Navigate to={allowedRoles.includes('client') ? '/portal/login' : '/login'} replace />;
   }
 
-  if (allowedRoles.length > 0 && !allowedRoles.includes(user?.type)) {
-    return <Navigate to="/" replace />;
+  if (!allowedRoles.includes(user?.type)) {
+    return <Navigate to={homePath(user)} replace />;
   }
 
   return children;
@@ -45,7 +65,7 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
 
 // Public Route Component (redirects to dashboard if already authenticated)
 const PublicRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, loading, user } = useAuth();
 
   if (loading) {
     return (
@@ -56,7 +76,7 @@ const PublicRoute = ({ children }) => {
   }
 
   if (isAuthenticated) {
-    return <Navigate to="/" replace />;
+    return <Navigate to={homePath(user)} replace />;
   }
 
   return children;
@@ -80,6 +100,42 @@ function App() {
                   <Register />
                 </PublicRoute>
               } />
+              {/* Opened by clients through a share link, whether or not anyone is logged in */}
+              <Route path="/public/invoices/:token" element={<PublicInvoice />} />
+              <Route path="/public/quotes/:token" element={<PublicQuote />} />
+
+              {/* Client portal */}
+              <Route path="/portal/login" element={
+                <PublicRoute>
+                  <PortalLogin />
+                </PublicRoute>
+              } />
+              <Route path="/portal/accept-invite" element={
+                <PublicRoute>
+                  <PortalAcceptInvite />
+                </PublicRoute>
+              } />
+              <Route path="/portal" element={
+                <ProtectedRoute allowedRoles={['client']}>
+                  <PortalLayout>
+                    <PortalInvoices />
+                  </PortalLayout>
+                </ProtectedRoute>
+              } />
+              <Route path="/portal/invoices/:id" element={
+                <ProtectedRoute allowedRoles={['client']}>
+                  <PortalLayout>
+                    <PortalInvoice />
+                  </PortalLayout>
+                </ProtectedRoute>
+              } />
+              <Route path="/portal/statement" element={
+                <ProtectedRoute allowedRoles={['client']}>
+                  <PortalLayout>
+                    <PortalStatement />
+                  </PortalLayout>
+                </ProtectedRoute>
+              } />
 
               {/* Protected routes */}
               <Route path="/" element={
@@ -106,6 +162,30 @@ function App() {
                 </ProtectedRoute>
               } />
               
+              <Route path="/recurring-invoices" element={
+                <ProtectedRoute allowedRoles={['staff']}>
+                  <Layout>
+                    <RecurringInvoices />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/reports/aging" element={
+                <ProtectedRoute allowedRoles={['staff']}>
+                  <Layout>
+                    <AgingReport />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/invoices/:id/edit" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <CreateInvoice />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
               <Route path="/invoices/:id" element={
                 <ProtectedRoute>
                   <Layout>
@@ -114,6 +194,38 @@ function App() {
                 </ProtectedRoute>
               } />
               
+              <Route path="/quotes" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <Quotes />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/quotes/create" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <CreateInvoice isQuote />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/quotes/:id/edit" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <CreateInvoice isQuote />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/quotes/:id" element={
+                <ProtectedRoute>
+                  <Layout>
+                    <SingleQuote />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
               <Route path="/clients" element={
                 <ProtectedRoute allowedRoles={['staff']}>
                   <Layout>
@@ -178,6 +290,46 @@ function App() {
                 </ProtectedRoute>
               } />
               
+              <Route path="/tax-rates" element={
+                <ProtectedRoute allowedRoles={['staff']}>
+                  <Layout>
+                    <TaxRates />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/currencies" element={
+                <ProtectedRoute allowedRoles={['staff']}>
+                  <Layout>
+                    <Currencies />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/emails" element={
+                <ProtectedRoute allowedRoles={['staff']}>
+                  <Layout>
+                    <ClientEmails />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/late-fees" element={
+                <ProtectedRoute allowedRoles={['staff']}>
+                  <Layout>
+                    <LateFees />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
+              <Route path="/invoice-defaults" element={
+                <ProtectedRoute allowedRoles={['staff']}>
+                  <Layout>
+                    <InvoiceDefaults />
+                  </Layout>
+                </ProtectedRoute>
+              } />
+              
               <Route path="/ai" element={
                 <ProtectedRoute>
                   <Layout>
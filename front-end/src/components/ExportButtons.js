@@ -0,0 +1,24 @@
+import React from 'react';
+import { Download } from 'lucide-react';
+
+// One download button per export format
+const ExportButtons = ({ onExport, disabled = false, className = '' }) => (
+  <div className={`inline-flex rounded-md shadow-sm ${className}`}>
+    {[['csv', 'Export CSV'], ['xlsx', 'Export XLSX']].map(([fileFormat, label], index) => (
+      <button
+        key={fileFormat}
+        type="button"
+        onClick={() => onExport(fileFormat)}
+        disabled={disabled}
+        className={`inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 ${
+          index === 0 ? 'rounded-l-md' : '-ml-px rounded-r-md'
+        }`}
+      >
+        <Download className="h-4 w-4 mr-2" />
+        {label}
+      </button>
+    ))}
+  </div>
+);
+
+export default ExportButtons;
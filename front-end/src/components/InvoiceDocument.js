@@ -0,0 +1,135 @@
+import React from 'react';
+import { formatCurrency } from '../utils/currency';
+import { statusLabel, statusStyle } from '../utils/invoiceStatus';
+import { format } from 'date-fns';
+
+// The invoice as a client sees it, from a share link or the client portal, laid out to print on a single page.
+// Expects the client view of an invoice from the API, with the company details attached.
+const InvoiceDocument = ({ invoice }) => {
+  const { company, client } = invoice;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-8 space-y-8 print:shadow-none print:p-0">
+      {/* Header */}
+      <div className="flex justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{company.name}</h1>
+          {[company.address, company.email, company.phone].filter(Boolean).map(line => (
+            <p key={line} className="text-sm text-gray-600">{line}</p>
+          ))}
+        </div>
+        <div className="text-right">
+          <h2 className="text-xl font-bold text-gray-900">{invoice.status === 'void' ? 'VOID INVOICE' : 'INVOICE'}</h2>
+          <p className="text-sm text-gray-700">Invoice #: {invoice.invoiceNumber}</p>
+          <p className="text-sm text-gray-700">Issue Date: {format(new Date(invoice.issueDate), 'MMMM dd, yyyy')}</p>
+          <p className="text-sm text-gray-700">Due Date: {format(new Date(invoice.dueDate), 'MMMM dd, yyyy')}</p>
+          <span className={`inline-flex mt-2 px-2 py-1 text-xs font-semibold rounded-full ${statusStyle(invoice)}`}>
+            {statusLabel(invoice)}
+          </span>
+        </div>
+      </div>
+
+      {/* Bill To */}
+      <div>
+        <p className="text-xs font-medium text-gray-500 uppercase">Bill To</p>
+        <p className="text-sm font-medium text-gray-900">{client.name}</p>
+        {(client.billingAddress || client.address) && (
+          <p className="text-sm text-gray-600">{client.billingAddress || client.address}</p>
+        )}
+        {client.email && <p className="text-sm text-gray-600">{client.email}</p>}
+      </div>
+
+      {/* Items */}
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead>
+          <tr>
+            <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+            <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+            <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+            <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {invoice.items.map(line => (
+            <tr key={line._id}>
+              <td className="py-2 text-sm text-gray-900">
+                {line.name}
+                {line.description && <p className="text-xs text-gray-500">{line.description}</p>}
+                {line.discountAmount > 0 && (
+                  <p className="text-xs text-green-700">
+                    Less {line.discount?.type === 'percentage' ? `${line.discount.value}% ` : ''}discount (-{formatCurrency(line.discountAmount, invoice.currency)})
+                  </p>
+                )}
+              </td>
+              <td className="py-2 text-sm text-gray-900 text-right">{line.quantity}</td>
+              <td className="py-2 text-sm text-gray-900 text-right">{formatCurrency(line.unitPrice, invoice.currency)}</td>
+              <td className="py-2 text-sm text-gray-900 text-right">{formatCurrency(line.lineTotal, invoice.currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Totals */}
+      <div className="ml-auto w-full md:w-1/2 space-y-2">
+        {invoice.discountTotal > 0 && (
+          <div className="flex justify-between text-sm text-green-700">
+            <span>Discounts</span>
+            <span>-{formatCurrency(invoice.discountTotal, invoice.currency)}</span>
+          </div>
+        )}
+        <div className="flex justify-between text-sm text-gray-700">
+          <span>Subtotal{invoice.taxInclusive && ' (excl. tax)'}</span>
+          <span>{formatCurrency(invoice.subtotal ?? invoice.total, invoice.currency)}</span>
+        </div>
+        {(invoice.taxes || []).map(tax => (
+          <div key={tax.taxRate} className="flex justify-between text-sm text-gray-700">
+            <span>{tax.name} ({tax.percentage}%{tax.compound ? ', compound' : ''})</span>
+            <span>{formatCurrency(tax.amount, invoice.currency)}</span>
+          </div>
+        ))}
+        {invoice.lateFees.map(fee => (
+          <div key={fee._id} className="flex justify-between text-sm text-gray-700">
+            <span>{fee.description}</span>
+            <span>{formatCurrency(fee.amount, invoice.currency)}</span>
+          </div>
+        ))}
+        <div className="flex justify-between pt-2 border-t border-gray-200 text-base font-bold text-gray-900">
+          <span>Total ({invoice.currency})</span>
+          <span>{formatCurrency(invoice.total, invoice.currency)}</span>
+        </div>
+        {invoice.creditedAmount > 0 && (
+          <div className="flex justify-between text-sm text-gray-700">
+            <span>Credited</span>
+            <span>-{formatCurrency(invoice.creditedAmount, invoice.currency)}</span>
+          </div>
+        )}
+        {invoice.amountPaid > 0 && (
+          <div className="flex justify-between text-sm text-gray-700">
+            <span>Amount paid</span>
+            <span>-{formatCurrency(invoice.amountPaid - (invoice.refundedAmount || 0), invoice.currency)}</span>
+          </div>
+        )}
+        <div className="flex justify-between text-base font-bold text-gray-900">
+          <span>Balance due</span>
+          <span>{formatCurrency(invoice.balanceDue, invoice.currency)}</span>
+        </div>
+        {invoice.taxInclusive && (
+          <p className="text-xs text-gray-500 text-right">Prices include tax</p>
+        )}
+      </div>
+
+      {/* Notes & Terms */}
+      {[['Notes', invoice.notes], ['Terms', invoice.terms]].filter(([, text]) => text).map(([heading, text]) => (
+        <div key={heading}>
+          <p className="text-xs font-medium text-gray-500 uppercase">{heading}</p>
+          <p className="text-sm text-gray-700 whitespace-pre-line">{text}</p>
+        </div>
+      ))}
+      {invoice.footer && (
+        <p className="pt-4 border-t border-gray-200 text-xs text-gray-500 text-center whitespace-pre-line">{invoice.footer}</p>
+      )}
+    </div>
+  );
+};
+
+export default InvoiceDocument;
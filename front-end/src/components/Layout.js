@@ -11,7 +11,15 @@ import {
   BarChart3,
   LogOut,
   User,
-  Brain
+  Brain,
+  Percent,
+  Banknote,
+  Repeat,
+  Mail,
+  Clock,
+  FileSignature,
+  StickyNote,
+  Hourglass
 } from 'lucide-react';
 import { useAppContext } from '../context/AppContext';
 import { useAuth } from '../context/AuthContext';
@@ -25,8 +33,16 @@ const Layout = ({ children }) => {
   const navigation = [
     { name: 'Dashboard', href: '/', icon: Home, show: true },
     { name: 'Invoices', href: '/invoices', icon: FileText, show: true },
+    { name: 'Quotes', href: '/quotes', icon: FileSignature, show: user?.type === 'staff' },
+    { name: 'Recurring', href: '/recurring-invoices', icon: Repeat, show: user?.type === 'staff' },
+    { name: 'Aging Report', href: '/reports/aging', icon: Hourglass, show: user?.type === 'staff' },
     { name: 'Clients', href: '/clients', icon: Users, show: true },
     { name: 'Items', href: '/items', icon: Package, show: true },
+    { name: 'Tax Rates', href: '/tax-rates', icon: Percent, show: user?.type === 'staff' },
+    { name: 'Currencies', href: '/currencies', icon: Banknote, show: user?.type === 'staff' },
+    { name: 'Client Emails', href: '/emails', icon: Mail, show: user?.type === 'staff' && user?.role === 'admin' },
+    { name: 'Notes & Terms', href: '/invoice-defaults', icon: StickyNote, show: user?.type === 'staff' && user?.role === 'admin' },
+    { name: 'Late Fees', href: '/late-fees', icon: Clock, show: user?.type === 'staff' && user?.role === 'admin' },
     { name: 'AI Insights', href: '/ai', icon: Brain, show: true },
   ].filter(item => item.show);
 
@@ -43,9 +59,9 @@ const Layout = ({ children }) => {
   };
 
   return (
-    <div className="min-h-screen bg-gray-50">
+    <div className="min-h-screen bg-gray-50 print:bg-white">
       {/* Sidebar */}
-      <div className={`fixed inset-y-0 left-0 z-50 w-64 bg-white shadow-lg transform transition-transform duration-300 ease-in-out ${
+      <div className={`fixed inset-y-0 left-0 z-50 w-64 bg-white shadow-lg transform transition-transform duration-300 ease-in-out print:hidden ${
         sidebarOpen ? 'translate-x-0' : '-translate-x-full'
       } lg:translate-x-0`}>
         <div className="flex items-center justify-between h-16 px-6 border-b border-gray-200">
@@ -110,9 +126,9 @@ const Layout = ({ children }) => {
       </div>
 
       {/* Main content */}
-      <div className="lg:pl-64">
+      <div className="lg:pl-64 print:pl-0">
         {/* Top navigation */}
-        <div className="sticky top-0 z-40 bg-white shadow-sm border-b border-gray-200">
+        <div className="sticky top-0 z-40 bg-white shadow-sm border-b border-gray-200 print:hidden">
           <div className="flex items-center justify-between h-16 px-4 sm:px-6 lg:px-8">
             <div className="flex items-center">
               <button
@@ -160,7 +176,7 @@ const Layout = ({ children }) => {
         </div>
 
         {/* Page content */}
-        <main className="p-4 sm:p-6 lg:p-8">
+        <main className="p-4 sm:p-6 lg:p-8 print:p-0">
           {children}
         </main>
       </div>
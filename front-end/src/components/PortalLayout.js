@@ -0,0 +1,79 @@
+import React from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { FileText, ScrollText, LogOut, User } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+// Frame of the client portal; clients see their own invoices and statement only
+const PortalLayout = ({ children }) => {
+  const { user, logout } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const navigation = [
+    { name: 'Invoices', href: '/portal', icon: FileText },
+    { name: 'Statement', href: '/portal/statement', icon: ScrollText },
+  ];
+
+  const isActive = (path) => {
+    if (path === '/portal') {
+      return location.pathname === '/portal' || location.pathname.startsWith('/portal/invoices');
+    }
+    return location.pathname.startsWith(path);
+  };
+
+  const handleLogout = () => {
+    logout();
+    navigate('/portal/login');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 print:bg-white">
+      <header className="bg-white shadow-sm border-b border-gray-200 print:hidden">
+        <div className="max-w-5xl mx-auto flex items-center justify-between h-16 px-4">
+          <div className="flex items-center space-x-8">
+            <h1 className="text-xl font-bold text-primary-600">Client Portal</h1>
+            <nav className="flex space-x-1">
+              {navigation.map((item) => {
+                const Icon = item.icon;
+                return (
+                  <Link
+                    key={item.name}
+                    to={item.href}
+                    className={`flex items-center px-3 py-2 text-sm font-medium rounded-md transition-colors ${
+                      isActive(item.href)
+                        ? 'bg-primary-50 text-primary-700'
+                        : 'text-gray-600 hover:bg-gray-50 hover:text-gray-900'
+                    }`}
+                  >
+                    <Icon className="mr-2 h-4 w-4" />
+                    {item.name}
+                  </Link>
+                );
+              })}
+            </nav>
+          </div>
+
+          <div className="flex items-center space-x-4">
+            <div className="hidden sm:flex items-center text-sm text-gray-700">
+              <User className="h-5 w-5 text-gray-400 mr-2" />
+              {user?.name}
+            </div>
+            <button
+              onClick={handleLogout}
+              className="flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:bg-gray-50 hover:text-gray-900 rounded-md transition-colors"
+            >
+              <LogOut className="mr-2 h-4 w-4 text-gray-400" />
+              Logout
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="max-w-5xl mx-auto p-4 sm:p-6 print:p-0">
+        {children}
+      </main>
+    </div>
+  );
+};
+
+export default PortalLayout;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { formatCurrency } from '../utils/currency';
+import { quoteStatusLabel, quoteStatusStyle } from '../utils/quoteStatus';
+import { format } from 'date-fns';
+
+// The quote as a client sees it through the acceptance link, laid out to print on a single page.
+// Expects the client view of a quote from the API, with the company details attached.
+const QuoteDocument = ({ quote }) => {
+  const { company, client } = quote;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-8 space-y-8 print:shadow-none print:p-0">
+      {/* Header */}
+      <div className="flex justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{company.name}</h1>
+          {[company.address, company.email, company.phone].filter(Boolean).map(line => (
+            <p key={line} className="text-sm text-gray-600">{line}</p>
+          ))}
+        </div>
+        <div className="text-right">
+          <h2 className="text-xl font-bold text-gray-900">QUOTE</h2>
+          <p className="text-sm text-gray-700">Quote #: {quote.quoteNumber}</p>
+          <p className="text-sm text-gray-700">Date: {format(new Date(quote.issueDate), 'MMMM dd, yyyy')}</p>
+          <p className="text-sm text-gray-700">Valid Until: {format(new Date(quote.validUntil), 'MMMM dd, yyyy')}</p>
+          <span className={`inline-flex mt-2 px-2 py-1 text-xs font-semibold rounded-full ${quoteStatusStyle(quote)}`}>
+            {quoteStatusLabel(quote)}
+          </span>
+        </div>
+      </div>
+
+      {/* Prepared For */}
+      <div>
+        <p className="text-xs font-medium text-gray-500 uppercase">Prepared For</p>
+        <p className="text-sm font-medium text-gray-900">{client.name}</p>
+        {(client.billingAddress || client.address) && (
+          <p className="text-sm text-gray-600">{client.billingAddress || client.address}</p>
+        )}
+        {client.email && <p className="text-sm text-gray-600">{client.email}</p>}
+      </div>
+
+      {/* Items */}
+      <table className="min-w-full divide-y divide-gray-200">
+        <thead>
+          <tr>
+            <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Item</th>
+            <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Qty</th>
+            <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+            <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Amount</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {quote.items.map(line => (
+            <tr key={line._id}>
+              <td className="py-2 text-sm text-gray-900">
+                {line.name}
+                {line.description && <p className="text-xs text-gray-500">{line.description}</p>}
+                {line.discountAmount > 0 && (
+                  <p className="text-xs text-green-700">
+                    Less {line.discount?.type === 'percentage' ? `${line.discount.value}% ` : ''}discount (-{formatCurrency(line.discountAmount, quote.currency)})
+                  </p>
+                )}
+              </td>
+              <td className="py-2 text-sm text-gray-900 text-right">{line.quantity}</td>
+              <td className="py-2 text-sm text-gray-900 text-right">{formatCurrency(line.unitPrice, quote.currency)}</td>
+              <td className="py-2 text-sm text-gray-900 text-right">{formatCurrency(line.lineTotal, quote.currency)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Totals */}
+      <div className="ml-auto w-full md:w-1/2 space-y-2">
+        {quote.discountTotal > 0 && (
+          <div className="flex justify-between text-sm text-green-700">
+            <span>Discounts</span>
+            <span>-{formatCurrency(quote.discountTotal, quote.currency)}</span>
+          </div>
+        )}
+        <div className="flex justify-between text-sm text-gray-700">
+          <span>Subtotal{quote.taxInclusive && ' (excl. tax)'}</span>
+          <span>{formatCurrency(quote.subtotal ?? quote.total, quote.currency)}</span>
+        </div>
+        {(quote.taxes || []).map(tax => (
+          <div key={tax.taxRate} className="flex justify-between text-sm text-gray-700">
+            <span>{tax.name} ({tax.percentage}%{tax.compound ? ', compound' : ''})</span>
+            <span>{formatCurrency(tax.amount, quote.currency)}</span>
+          </div>
+        ))}
+        <div className="flex justify-between pt-2 border-t border-gray-200 text-base font-bold text-gray-900">
+          <span>Total ({quote.currency})</span>
+          <span>{formatCurrency(quote.total, quote.currency)}</span>
+        </div>
+        {quote.taxInclusive && (
+          <p className="text-xs text-gray-500 text-right">Prices include tax</p>
+        )}
+        <p className="text-xs text-gray-500 text-right">
+          Invoiced on acceptance, payable within {quote.paymentTermsDays} days
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default QuoteDocument;
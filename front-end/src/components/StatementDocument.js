@@ -0,0 +1,103 @@
+import React from 'react';
+import { formatCurrency } from '../utils/currency';
+import { format } from 'date-fns';
+
+const ENTRY_LABELS = {
+  invoice: 'Invoice',
+  late_fee: 'Late fee',
+  payment: 'Payment',
+  credit_note: 'Credit note',
+  refund: 'Refund',
+  write_off: 'Write-off'
+};
+
+// A client's statement of account, one ledger per invoice currency, laid out to print.
+// Expects the statement from the API, with the client and company details attached.
+const StatementDocument = ({ statement }) => {
+  const { company, client, statements } = statement;
+
+  return (
+    <div className="bg-white rounded-lg shadow p-8 space-y-8 print:shadow-none print:p-0">
+      {/* Header */}
+      <div className="flex justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">{company.name}</h1>
+          {[company.address, company.email, company.phone].filter(Boolean).map(line => (
+            <p key={line} className="text-sm text-gray-600">{line}</p>
+          ))}
+        </div>
+        <div className="text-right">
+          <h2 className="text-xl font-bold text-gray-900">STATEMENT</h2>
+          <p className="text-sm text-gray-700">
+            {statement.from
+              ? `${format(new Date(statement.from), 'MMMM dd, yyyy')} to ${format(new Date(statement.to), 'MMMM dd, yyyy')}`
+              : `Up to ${format(new Date(statement.to), 'MMMM dd, yyyy')}`}
+          </p>
+        </div>
+      </div>
+
+      <div>
+        <p className="text-xs font-medium text-gray-500 uppercase">Account</p>
+        <p className="text-sm font-medium text-gray-900">{client.name}</p>
+        {(client.billingAddress || client.address) && (
+          <p className="text-sm text-gray-600">{client.billingAddress || client.address}</p>
+        )}
+        {client.email && <p className="text-sm text-gray-600">{client.email}</p>}
+      </div>
+
+      {statements.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">No invoices or payments up to this date</p>
+      ) : statements.map(ledger => (
+        <div key={ledger.currency} className="space-y-2 break-inside-avoid">
+          {statements.length > 1 && (
+            <h3 className="text-sm font-medium text-gray-900">Amounts in {ledger.currency}</h3>
+          )}
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead>
+              <tr>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Reference</th>
+                <th className="py-2 text-left text-xs font-medium text-gray-500 uppercase">Details</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Charges</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Credits</th>
+                <th className="py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {statement.from && (
+                <tr>
+                  <td className="py-2 text-sm text-gray-700">{format(new Date(statement.from), 'MMM dd, yyyy')}</td>
+                  <td className="py-2 text-sm text-gray-700" colSpan={4}>Opening balance</td>
+                  <td className="py-2 text-sm text-gray-900 text-right">{formatCurrency(ledger.openingBalance, ledger.currency)}</td>
+                </tr>
+              )}
+              {ledger.entries.map((entry, index) => (
+                <tr key={`${entry.type}-${entry.reference}-${index}`}>
+                  <td className="py-2 text-sm text-gray-700 whitespace-nowrap">{format(new Date(entry.date), 'MMM dd, yyyy')}</td>
+                  <td className="py-2 text-sm text-gray-900 whitespace-nowrap">
+                    {entry.reference}
+                    <p className="text-xs text-gray-500">{ENTRY_LABELS[entry.type] || entry.type}</p>
+                  </td>
+                  <td className="py-2 text-sm text-gray-700">{entry.description}</td>
+                  <td className="py-2 text-sm text-gray-900 text-right">{entry.debit > 0 ? formatCurrency(entry.debit, ledger.currency) : ''}</td>
+                  <td className="py-2 text-sm text-gray-900 text-right">{entry.credit > 0 ? formatCurrency(entry.credit, ledger.currency) : ''}</td>
+                  <td className="py-2 text-sm text-gray-900 text-right">{formatCurrency(entry.balance, ledger.currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t border-gray-300">
+                <td className="py-2 text-sm font-bold text-gray-900" colSpan={3}>Balance due</td>
+                <td className="py-2 text-sm text-gray-700 text-right">{formatCurrency(ledger.totalDebits, ledger.currency)}</td>
+                <td className="py-2 text-sm text-gray-700 text-right">{formatCurrency(ledger.totalCredits, ledger.currency)}</td>
+                <td className="py-2 text-base font-bold text-gray-900 text-right">{formatCurrency(ledger.closingBalance, ledger.currency)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default StatementDocument;
@@ -1,4 +1,6 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { currencyAPI } from '../services/api';
+import { useAuth } from './AuthContext';
 
 const AppContext = createContext();
 
@@ -11,14 +13,35 @@ export const useAppContext = () => {
 };
 
 export const AppProvider = ({ children }) => {
+  const { isAuthenticated, user } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [loading, setLoading] = useState(false);
+  // Catalog prices and reports are in the base currency
+  const [baseCurrency, setBaseCurrency] = useState('USD');
+
+  const refreshBaseCurrency = useCallback(async () => {
+    try {
+      const response = await currencyAPI.get();
+      setBaseCurrency(response.data.data.baseCurrency);
+    } catch (error) {
+      console.error('Error fetching base currency:', error);
+    }
+  }, []);
+
+  // Clients in the portal only see amounts in their invoice currencies
+  useEffect(() => {
+    if (isAuthenticated && user?.type === 'staff') {
+      refreshBaseCurrency();
+    }
+  }, [isAuthenticated, user, refreshBaseCurrency]);
 
   const value = {
     sidebarOpen,
     setSidebarOpen,
     loading,
     setLoading,
+    baseCurrency,
+    refreshBaseCurrency,
   };
 
   return (
@@ -26,4 +49,4 @@ export const AppProvider = ({ children }) => {
       {children}
     </AppContext.Provider>
   );
-}; 
\ No newline at end of file
+}; 
@@ -36,17 +36,20 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
+  // Stores the session returned by any of the login endpoints
+  const startSession = ({ token, user }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('user', JSON.stringify(user));
+
+    setUser(user);
+    setIsAuthenticated(true);
+  };
+
   // Login function
   const loginStaff = async (email, password) => {
     try {
       const response = await authAPI.loginStaff({ email, password });
-      const { token, user } = response.data.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      
-      setUser(user);
-      setIsAuthenticated(true);
+      startSession(response.data.data);
       
       toast.success('Staff logged in successfully!');
       return { success: true };
@@ -60,13 +63,7 @@ export const AuthProvider = ({ children }) => {
   const registerStaff = async (userData) => {
     try {
       const response = await authAPI.registerStaff(userData);
-      const { token, user } = response.data.data;
-      
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      
-      setUser(user);
-      setIsAuthenticated(true);
+      startSession(response.data.data);
       
       toast.success('Staff registered successfully!');
       return { success: true };
@@ -76,6 +73,48 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Client portal login with a password
+  const loginClient = async (email, password) => {
+    try {
+      const response = await authAPI.loginClient({ email, password });
+      startSession(response.data.data);
+
+      toast.success('Logged in successfully!');
+      return { success: true };
+    } catch (error) {
+      handleApiError(error, toast, 'Login failed');
+      return { success: false };
+    }
+  };
+
+  // Client portal login with the token from an emailed sign-in link
+  const loginClientWithLink = async (token) => {
+    try {
+      const response = await authAPI.loginClientWithLink(token);
+      startSession(response.data.data);
+
+      toast.success('Logged in successfully!');
+      return { success: true };
+    } catch (error) {
+      handleApiError(error, toast, 'This sign-in link is not valid or has expired');
+      return { success: false };
+    }
+  };
+
+  // Sets the client's password from a portal invitation and logs them in
+  const acceptClientInvite = async (token, password) => {
+    try {
+      const response = await authAPI.acceptClientInvite({ token, password });
+      startSession(response.data.data);
+
+      toast.success('Welcome to the client portal!');
+      return { success: true };
+    } catch (error) {
+      handleApiError(error, toast, 'Could not accept invitation');
+      return { success: false };
+    }
+  };
+
   // Logout function
   const logout = () => {
     localStorage.removeItem('token');
@@ -90,6 +129,11 @@ export const AuthProvider = ({ children }) => {
     return user && user.type === 'staff';
   };
 
+  // Check if user is a client signed in to the portal
+  const isClient = () => {
+    return user && user.type === 'client';
+  };
+
   // Check if user is admin
   const isAdmin = () => {
     return user && user.type === 'staff' && user.role === 'admin';
@@ -101,8 +145,12 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     loginStaff,
     registerStaff,
+    loginClient,
+    loginClientWithLink,
+    acceptClientInvite,
     logout,
     isStaff,
+    isClient,
     isAdmin,
   };
 
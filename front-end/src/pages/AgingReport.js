@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Hourglass, X } from 'lucide-react';
+import { reportAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/currency';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+
+const AgingReport = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  // The cell opened for drill-down: a client (null for all clients) and a bucket (null for all buckets)
+  const [drillDown, setDrillDown] = useState(null);
+
+  const asOf = searchParams.get('asOf') || format(new Date(), 'yyyy-MM-dd');
+
+  useEffect(() => {
+    fetchReport();
+  }, [asOf]);
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      setDrillDown(null);
+      const response = await reportAPI.getAging({ asOf });
+      setReport(response.data.data);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load aging report');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAsOfChange = (value) => {
+    setSearchParams(value ? { asOf: value } : {}, { replace: true });
+  };
+
+  const rowKey = (row) => row.client?._id || 'unknown';
+
+  const drillDownInvoices = () => {
+    if (!report || !drillDown) return [];
+    return report.clients
+      .filter(row => drillDown.clientKey === null || rowKey(row) === drillDown.clientKey)
+      .flatMap(row => row.invoices
+        .filter(invoice => drillDown.bucket === null || invoice.bucket === drillDown.bucket)
+        .map(invoice => ({ ...invoice, client: row.client })));
+  };
+
+  const drillDownTitle = () => {
+    const bucket = report.buckets.find(candidate => candidate.key === drillDown.bucket);
+    const row = report.clients.find(candidate => rowKey(candidate) === drillDown.clientKey);
+    const client = drillDown.clientKey === null ? 'All clients' : row?.client?.name || 'Unknown Client';
+    return bucket ? `${client}, ${bucket.label}` : client;
+  };
+
+  // An amount that opens the invoices behind it when clicked
+  const AmountCell = ({ amount, clientKey, bucket, className = '' }) => (
+    <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${className}`}>
+      {amount > 0 ? (
+        <button
+          type="button"
+          onClick={() => setDrillDown({ clientKey, bucket })}
+          className={`hover:text-primary-600 hover:underline ${
+            drillDown?.clientKey === clientKey && drillDown?.bucket === bucket ? 'text-primary-600 font-semibold' : ''
+          }`}
+        >
+          {formatCurrency(amount, report.baseCurrency)}
+        </button>
+      ) : (
+        <span className="text-gray-400">—</span>
+      )}
+    </td>
+  );
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Aging Report</h1>
+          <p className="text-gray-600">
+            Outstanding balances per client by how long they are past due
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            As of
+          </label>
+          <input
+            type="date"
+            value={asOf}
+            max={format(new Date(), 'yyyy-MM-dd')}
+            onChange={(e) => handleAsOfChange(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : report && (
+        <>
+          {/* Bucket Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            {report.buckets.map(bucket => (
+              <div key={bucket.key} className="bg-white rounded-lg shadow p-4">
+                <p className="text-sm text-gray-500">{bucket.label}</p>
+                <p className={`text-lg font-semibold ${
+                  bucket.key !== 'current' && report.totals[bucket.key] > 0 ? 'text-red-600' : 'text-gray-900'
+                }`}>
+                  {formatCurrency(report.totals[bucket.key], report.baseCurrency)}
+                </p>
+              </div>
+            ))}
+            <div className="bg-white rounded-lg shadow p-4">
+              <p className="text-sm text-gray-500">Total outstanding</p>
+              <p className="text-lg font-semibold text-gray-900">
+                {formatCurrency(report.totals.total, report.baseCurrency)}
+              </p>
+            </div>
+          </div>
+
+          {/* Clients Table */}
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900">
+                By Client ({report.clients.length} clients)
+              </h3>
+              <p className="text-sm text-gray-500">
+                As of {format(new Date(`${asOf}T00:00:00`), 'MMMM dd, yyyy')}, in {report.baseCurrency}. Click an amount to see the invoices behind it.
+              </p>
+            </div>
+
+            {report.clients.length === 0 ? (
+              <div className="p-6 text-center text-gray-500">
+                <Hourglass className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+                <p className="text-lg font-medium">Nothing outstanding</p>
+                <p className="text-sm">No client owed anything on this date</p>
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Client
+                      </th>
+                      {report.buckets.map(bucket => (
+                        <th key={bucket.key} className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {bucket.label}
+                        </th>
+                      ))}
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Total
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {report.clients.map(row => (
+                      <tr key={rowKey(row)} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {row.client ? (
+                            <Link to={`/clients/${row.client._id}`} className="hover:text-primary-600">
+                              {row.client.name}
+                            </Link>
+                          ) : 'Unknown Client'}
+                        </td>
+                        {report.buckets.map(bucket => (
+                          <AmountCell
+                            key={bucket.key}
+                            amount={row[bucket.key]}
+                            clientKey={rowKey(row)}
+                            bucket={bucket.key}
+                            className={bucket.key === 'over90' ? 'text-red-600' : 'text-gray-900'}
+                          />
+                        ))}
+                        <AmountCell amount={row.total} clientKey={rowKey(row)} bucket={null} className="font-medium text-gray-900" />
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot className="bg-gray-50">
+                    <tr>
+                      <td className="px-6 py-4 text-sm font-semibold text-gray-900">Total</td>
+                      {report.buckets.map(bucket => (
+                        <AmountCell
+                          key={bucket.key}
+                          amount={report.totals[bucket.key]}
+                          clientKey={null}
+                          bucket={bucket.key}
+                          className="font-semibold text-gray-900"
+                        />
+                      ))}
+                      <AmountCell amount={report.totals.total} clientKey={null} bucket={null} className="font-semibold text-gray-900" />
+                    </tr>
+                  </tfoot>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Drill-down */}
+          {drillDown && (
+            <div className="bg-white rounded-lg shadow overflow-hidden">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+                <h3 className="text-lg font-medium text-gray-900">
+                  {drillDownTitle()}
+                </h3>
+                <button
+                  onClick={() => setDrillDown(null)}
+                  className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Invoice
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Client
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Issue Date
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Due Date
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Days Past Due
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Balance
+                      </th>
+                      <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        In {report.baseCurrency}
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {drillDownInvoices().map(invoice => (
+                      <tr key={invoice._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <Link to={`/invoices/${invoice._id}`} className="text-primary-600 hover:text-primary-900">
+                            {invoice.invoiceNumber}
+                          </Link>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {invoice.client?.name || 'Unknown Client'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {format(new Date(invoice.issueDate), 'MMM dd, yyyy')}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {format(new Date(invoice.dueDate), 'MMM dd, yyyy')}
+                        </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm text-right ${
+                          invoice.daysPastDue > 0 ? 'text-red-600' : 'text-gray-900'
+                        }`}>
+                          {invoice.daysPastDue > 0 ? invoice.daysPastDue : 'Not due'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-gray-900">
+                          {formatCurrency(invoice.balance, invoice.currency)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-right font-medium text-gray-900">
+                          {formatCurrency(invoice.baseBalance, report.baseCurrency)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AgingReport;
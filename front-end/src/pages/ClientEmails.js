@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Bell,
+  Plus,
+  Save,
+  Trash2
+} from 'lucide-react';
+import { settingsAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import toast from 'react-hot-toast';
+
+const PLACEHOLDERS = ['clientName', 'invoiceNumber', 'amountDue', 'total', 'issueDate', 'dueDate', 'daysOverdue', 'daysUntilDue', 'companyName'];
+
+const emptyStep = () => ({
+  offsetDays: '',
+  subject: '',
+  body: ''
+});
+
+const describeOffset = (offsetDays) => {
+  const days = Number(offsetDays);
+  if (offsetDays === '' || Number.isNaN(days)) return '';
+  if (days === 0) return 'On the due date';
+  const unit = Math.abs(days) === 1 ? 'day' : 'days';
+  return days < 0 ? `${-days} ${unit} before the due date` : `${days} ${unit} after the due date`;
+};
+
+const ClientEmails = () => {
+  const [invoiceEmail, setInvoiceEmail] = useState({ subject: '', body: '' });
+  const [savingInvoiceEmail, setSavingInvoiceEmail] = useState(false);
+  const [enabled, setEnabled] = useState(false);
+  const [steps, setSteps] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      setLoading(true);
+      const [invoiceEmailResponse, remindersResponse] = await Promise.all([
+        settingsAPI.getInvoiceEmail(),
+        settingsAPI.getReminders()
+      ]);
+      setInvoiceEmail(invoiceEmailResponse.data.data);
+      setEnabled(remindersResponse.data.data.enabled);
+      setSteps(remindersResponse.data.data.steps || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load email settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvoiceEmailSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSavingInvoiceEmail(true);
+      const response = await settingsAPI.updateInvoiceEmail(invoiceEmail);
+      setInvoiceEmail(response.data.data);
+      toast.success('Invoice email saved successfully!');
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to save invoice email');
+    } finally {
+      setSavingInvoiceEmail(false);
+    }
+  };
+
+  const handleStepChange = (index, field, value) => {
+    setSteps(prev => prev.map((step, i) => (i === index ? { ...step, [field]: value } : step)));
+  };
+
+  const removeStep = (index) => {
+    setSteps(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (steps.some(step => step.offsetDays === '' || !step.subject.trim() || !step.body.trim())) {
+      toast.error('Each reminder needs a day, a subject and a message');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await settingsAPI.updateReminders({
+        enabled,
+        steps: steps.map(step => ({ ...step, offsetDays: parseInt(step.offsetDays, 10) }))
+      });
+      toast.success('Reminder settings saved successfully!');
+      fetchSettings();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to save reminder settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Client Emails</h1>
+        <p className="text-gray-600">
+          Messages sent to clients about their invoices. Templates can use {PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}.
+        </p>
+      </div>
+
+      {/* Invoice Email */}
+      <form onSubmit={handleInvoiceEmailSubmit} className="bg-white rounded-lg shadow p-6 space-y-4">
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Invoice Email</h3>
+            <p className="text-sm text-gray-500">Sent with the invoice PDF attached when an invoice is emailed to the client</p>
+          </div>
+          <button
+            type="submit"
+            disabled={savingInvoiceEmail}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            Save
+          </button>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Subject *
+          </label>
+          <input
+            type="text"
+            required
+            value={invoiceEmail.subject}
+            onChange={(e) => setInvoiceEmail(prev => ({ ...prev, subject: e.target.value }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Message *
+          </label>
+          <textarea
+            required
+            rows={5}
+            value={invoiceEmail.body}
+            onChange={(e) => setInvoiceEmail(prev => ({ ...prev, body: e.target.value }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+      </form>
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Payment Reminders */}
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Payment Reminders</h2>
+            <p className="text-gray-600">
+              Clients with open invoices are emailed at each step below until the invoice is paid
+            </p>
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            <Save className="h-4 w-4 mr-2" />
+            Save
+          </button>
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm font-medium text-gray-900">Send payment reminders</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-2">
+            Only the latest step an invoice has reached is sent, so invoices that are already late get one email rather than every step they missed.
+          </p>
+        </div>
+
+        {steps.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+            <Bell className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+            <p className="text-lg font-medium">No reminders scheduled</p>
+            <p className="text-sm">Add a step to start reminding clients</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {steps.map((step, index) => (
+              <div key={index} className="bg-white rounded-lg shadow p-6 space-y-4">
+                <div className="flex items-end gap-4">
+                  <div className="w-40">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Days from due date *
+                    </label>
+                    <input
+                      type="number"
+                      required
+                      step="1"
+                      min="-365"
+                      max="365"
+                      value={step.offsetDays}
+                      onChange={(e) => handleStepChange(index, 'offsetDays', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                    />
+                  </div>
+                  <p className="flex-1 text-sm text-gray-500 pb-2">{describeOffset(step.offsetDays)}</p>
+                  <button
+                    type="button"
+                    onClick={() => removeStep(index)}
+                    title="Remove"
+                    className="p-2 text-red-400 hover:text-red-600"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Subject *
+                  </label>
+                  <input
+                    type="text"
+                    required
+                    value={step.subject}
+                    onChange={(e) => handleStepChange(index, 'subject', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Message *
+                  </label>
+                  <textarea
+                    required
+                    rows={5}
+                    value={step.body}
+                    onChange={(e) => handleStepChange(index, 'body', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <button
+          type="button"
+          onClick={() => setSteps(prev => [...prev, emptyStep()])}
+          className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          Add Reminder
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default ClientEmails;
@@ -12,6 +12,8 @@ import {
 } from 'lucide-react';
 import { clientAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
+import { downloadExport } from '../utils/download';
+import ExportButtons from '../components/ExportButtons';
 import toast from 'react-hot-toast';
 
 const Clients = () => {
@@ -20,6 +22,7 @@ const Clients = () => {
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     fetchClients();
@@ -63,6 +66,22 @@ const Clients = () => {
     setCurrentPage(1);
   };
 
+  // Exports every client matching the search, not just this page
+  const handleExport = async (fileFormat) => {
+    try {
+      setExporting(true);
+      const response = await clientAPI.export({
+        format: fileFormat,
+        ...(searchTerm && { search: searchTerm })
+      });
+      downloadExport(response.data, 'clients', fileFormat);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to export clients');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -79,13 +98,16 @@ const Clients = () => {
           <h1 className="text-2xl font-bold text-gray-900">Clients</h1>
           <p className="text-gray-600">Manage your client information</p>
         </div>
-        <Link
-          to="/clients/create"
-          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
-        >
-          <Plus className="h-4 w-4 mr-2" />
-          Add Client
-        </Link>
+        <div className="flex items-center gap-3">
+          <ExportButtons onExport={handleExport} disabled={exporting} />
+          <Link
+            to="/clients/create"
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Client
+          </Link>
+        </div>
       </div>
 
       {/* Search */}
@@ -1,11 +1,11 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   Users, 
   Save,
   ArrowLeft
 } from 'lucide-react';
-import { clientAPI } from '../services/api';
+import { clientAPI, currencyAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
 import toast from 'react-hot-toast';
 
@@ -17,8 +17,23 @@ const CreateClient = () => {
     email: '',
     phone_number: '',
     address: '',
-    billingAddress: ''
+    billingAddress: '',
+    currency: ''
   });
+  const [currencies, setCurrencies] = useState({ baseCurrency: '', rates: [] });
+
+  useEffect(() => {
+    fetchCurrencies();
+  }, []);
+
+  const fetchCurrencies = async () => {
+    try {
+      const response = await currencyAPI.get();
+      setCurrencies(response.data.data);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load currencies');
+    }
+  };
 
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
@@ -27,6 +42,8 @@ const CreateClient = () => {
     }));
   };
 
+  const currencyOptions = currencies.rates.map(rate => rate.currency);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -138,6 +155,22 @@ const CreateClient = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Invoice Currency
+              </label>
+              <select
+                value={formData.currency}
+                onChange={(e) => handleInputChange('currency', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value="">Base currency{currencies.baseCurrency && ` (${currencies.baseCurrency})`}</option>
+                {currencyOptions.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
 
@@ -1,31 +1,127 @@
-import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
 import { 
   FileText, 
   Plus, 
   Trash2, 
   Save,
-  ArrowLeft
+  ArrowLeft,
+  Repeat
 } from 'lucide-react';
-import { invoiceAPI, clientAPI, itemAPI } from '../services/api';
+import { invoiceAPI, clientAPI, itemAPI, taxRateAPI, currencyAPI, recurringInvoiceAPI, quoteAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
+import { calculateInvoiceTotals } from '../utils/invoiceTotals';
+import { formatCurrency } from '../utils/currency';
+import { useAuth } from '../context/AuthContext';
 import toast from 'react-hot-toast';
 
-const CreateInvoice = () => {
+// Also used for quotes, which are priced the same way but are valid until a date instead of due on one
+const CreateInvoice = ({ isQuote = false }) => {
   const navigate = useNavigate();
+  const { id } = useParams();
+  const isEditing = Boolean(id);
+  const listPath = isQuote ? '/quotes' : '/invoices';
+  const viewPath = isEditing ? `${listPath}/${id}` : listPath;
+  const { isStaff } = useAuth();
+  // Which submit button was pressed; read by handleSubmit
+  const submitMode = useRef('issue');
   const [loading, setLoading] = useState(false);
   const [clients, setClients] = useState([]);
   const [items, setItems] = useState([]);
+  const [taxRates, setTaxRates] = useState([]);
+  const [currencies, setCurrencies] = useState({ baseCurrency: 'USD', rates: [] });
   const [formData, setFormData] = useState({
     issueDate: '',
     dueDate: '',
+    paymentTermsDays: 30,
     clientId: '',
-    items: [{ itemId: '', quantity: 1 }]
+    currency: '',
+    taxRateIds: [],
+    taxInclusive: false,
+    discountType: 'percentage',
+    discountValue: '',
+    notes: '',
+    terms: '',
+    footer: '',
+    items: [{ itemId: '', quantity: 1, description: '', taxRateId: '', discountType: 'percentage', discountValue: '' }]
+  });
+  const [recurring, setRecurring] = useState({
+    enabled: false,
+    name: '',
+    every: 1,
+    unit: 'month',
+    paymentTermsDays: 30,
+    endDate: '',
+    maxOccurrences: ''
   });
 
   useEffect(() => {
     fetchClientsAndItems();
-  }, []);
+    if (isEditing) {
+      fetchDraft();
+    } else if (!isQuote) {
+      fetchInvoiceDefaults();
+    }
+  }, [id]);
+
+  // New invoices start with the notes, terms and footer from settings
+  const fetchInvoiceDefaults = async () => {
+    try {
+      const response = await invoiceAPI.getDefaults();
+      const { notes, terms, footer } = response.data.data;
+      setFormData(prev => ({ ...prev, notes, terms, footer }));
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load invoice defaults');
+    }
+  };
+
+  // Loads a draft back into the form the way it was entered
+  const fetchDraft = async () => {
+    try {
+      const response = isQuote ? await quoteAPI.getById(id) : await invoiceAPI.getById(id);
+      const invoice = response.data.data;
+      const editableStatuses = isQuote ? ['draft', 'sent', 'expired'] : ['draft'];
+      if (!editableStatuses.includes(invoice.status)) {
+        toast.error(isQuote ? 'Only quotes the client has not answered can be edited' : 'Only draft invoices can be edited');
+        navigate(viewPath);
+        return;
+      }
+
+      const taxRateIds = invoice.taxRateIds || [];
+      const getLineTaxRateId = (line) => {
+        const lineTaxRateIds = (line.taxes || []).map(tax => tax.taxRate);
+        if (lineTaxRateIds.length === taxRateIds.length && lineTaxRateIds.every(taxRateId => taxRateIds.includes(taxRateId))) return '';
+        if (lineTaxRateIds.length === 0) return 'none';
+        return lineTaxRateIds[0];
+      };
+
+      setFormData({
+        issueDate: invoice.issueDate.slice(0, 10),
+        dueDate: (isQuote ? invoice.validUntil : invoice.dueDate).slice(0, 10),
+        paymentTermsDays: invoice.paymentTermsDays ?? 30,
+        clientId: invoice.client?._id || '',
+        currency: invoice.currency,
+        taxRateIds,
+        taxInclusive: invoice.taxInclusive,
+        discountType: invoice.discount?.type || 'percentage',
+        discountValue: invoice.discount ? String(invoice.discount.value) : '',
+        notes: invoice.notes || '',
+        terms: invoice.terms || '',
+        footer: invoice.footer || '',
+        items: invoice.items.map(line => ({
+          itemId: line.item,
+          quantity: line.quantity,
+          description: line.description || '',
+          taxRateId: getLineTaxRateId(line),
+          discountType: line.discount?.type || 'percentage',
+          discountValue: line.discount ? String(line.discount.value) : ''
+        }))
+      });
+    } catch (error) {
+      handleApiError(error, toast, isQuote ? 'Failed to load quote' : 'Failed to load invoice');
+      navigate(listPath);
+    }
+  };
 
   const fetchClientsAndItems = async () => {
     try {
@@ -38,6 +134,12 @@ const CreateInvoice = () => {
       const clientsData = clientsResponse.data.data.clients || [];
       console.log('Clients fetched:', clientsData.length);
       setClients(clientsData);
+
+      const taxRatesResponse = await taxRateAPI.getAll();
+      setTaxRates(taxRatesResponse.data.data || []);
+
+      const currenciesResponse = await currencyAPI.get();
+      setCurrencies(currenciesResponse.data.data);
     } catch (error) {
       console.error('Error fetching data:', error);
       handleApiError(error, toast, 'Failed to load clients and items');
@@ -51,6 +153,35 @@ const CreateInvoice = () => {
     }));
   };
 
+  const handleRecurringChange = (field, value) => {
+    setRecurring(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  // New invoices default to the client's currency
+  const handleClientChange = (clientId) => {
+    const client = clients.find(c => c._id === clientId);
+    setFormData(prev => ({
+      ...prev,
+      clientId,
+      currency: client?.currency || ''
+    }));
+  };
+
+  const invoiceCurrency = formData.currency || currencies.baseCurrency;
+  const exchangeRate = invoiceCurrency === currencies.baseCurrency
+    ? 1
+    : currencies.rates.find(rate => rate.currency === invoiceCurrency)?.rate;
+
+  // Catalog prices are in the base currency; the server converts them the same way
+  const getUnitPrice = (itemId) => {
+    const selectedItem = items.find(i => i._id === itemId);
+    if (!selectedItem || !exchangeRate) return 0;
+    return Math.round((selectedItem.unitPrice / exchangeRate) * 100) / 100;
+  };
+
   const handleItemChange = (index, field, value) => {
     const newItems = [...formData.items];
     newItems[index] = {
@@ -66,7 +197,7 @@ const CreateInvoice = () => {
   const addItem = () => {
     setFormData(prev => ({
       ...prev,
-      items: [...prev.items, { itemId: '', quantity: 1 }]
+      items: [...prev.items, { itemId: '', quantity: 1, description: '', taxRateId: '', discountType: 'percentage', discountValue: '' }]
     }));
   };
 
@@ -80,21 +211,54 @@ const CreateInvoice = () => {
     }
   };
 
-  const calculateTotal = () => {
-    return formData.items.reduce((total, item) => {
-      const selectedItem = items.find(i => i._id === item.itemId);
-      if (selectedItem && item.quantity) {
-        return total + (selectedItem.unitPrice * item.quantity);
-      }
-      return total;
-    }, 0);
+  const toggleInvoiceTaxRate = (taxRateId) => {
+    setFormData(prev => ({
+      ...prev,
+      taxRateIds: prev.taxRateIds.includes(taxRateId)
+        ? prev.taxRateIds.filter(id => id !== taxRateId)
+        : [...prev.taxRateIds, taxRateId]
+    }));
+  };
+
+  // A line's tax select is '' for the invoice taxes, 'none' for untaxed, or a single tax rate ID
+  const getLineTaxRateIds = (line) => {
+    if (line.taxRateId === 'none') return [];
+    if (line.taxRateId) return [line.taxRateId];
+    return formData.taxRateIds;
+  };
+
+  // Discounts are only sent when a value was entered
+  const getDiscount = (type, value) => {
+    if (value === '' || value === undefined) return undefined;
+    return { type, value: parseFloat(value) };
+  };
+
+  const calculateTotals = () => {
+    const lines = formData.items
+      .map(line => {
+        const selectedItem = items.find(i => i._id === line.itemId);
+        if (!selectedItem || !line.quantity) return null;
+        return {
+          amount: Math.round(getUnitPrice(line.itemId) * line.quantity * 100) / 100,
+          discount: getDiscount(line.discountType, line.discountValue),
+          taxRates: getLineTaxRateIds(line)
+            .map(id => taxRates.find(taxRate => taxRate._id === id))
+            .filter(Boolean)
+        };
+      })
+      .filter(Boolean);
+
+    return calculateInvoiceTotals(lines, {
+      taxInclusive: formData.taxInclusive,
+      discount: getDiscount(formData.discountType, formData.discountValue)
+    });
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     
     // Validation
-    if (!formData.issueDate || !formData.dueDate || !formData.clientId) {
+    if (!formData.issueDate || (!recurring.enabled && !formData.dueDate) || !formData.clientId) {
       toast.error('Please fill in all required fields');
       return;
     }
@@ -104,6 +268,29 @@ const CreateInvoice = () => {
       return;
     }
 
+    if (recurring.enabled && (!recurring.name.trim() || !(parseInt(recurring.every) >= 1))) {
+      toast.error('Please name the schedule and choose how often it repeats');
+      return;
+    }
+
+    if (!exchangeRate) {
+      toast.error(`No exchange rate for ${invoiceCurrency}, add one under Currencies`);
+      return;
+    }
+
+    const discounts = [formData, ...formData.items]
+      .map(entry => getDiscount(entry.discountType, entry.discountValue))
+      .filter(Boolean);
+    if (discounts.some(discount => isNaN(discount.value) || discount.value < 0 || (discount.type === 'percentage' && discount.value > 100))) {
+      toast.error('Discounts must be positive, and percentages cannot exceed 100%');
+      return;
+    }
+
+    if (isQuote && !(parseInt(formData.paymentTermsDays) >= 0)) {
+      toast.error('Payment terms must be a whole number of days');
+      return;
+    }
+
     try {
       setLoading(true);
       
@@ -111,23 +298,69 @@ const CreateInvoice = () => {
         issueDate: formData.issueDate,
         dueDate: formData.dueDate,
         clientId: formData.clientId,
+        currency: invoiceCurrency,
+        taxRateIds: formData.taxRateIds,
+        taxInclusive: formData.taxInclusive,
+        discount: getDiscount(formData.discountType, formData.discountValue),
         items: formData.items.map(item => ({
           _id: item.itemId,
-          quantity: parseInt(item.quantity)
+          quantity: parseInt(item.quantity),
+          ...(item.description.trim() && { description: item.description.trim() }),
+          discount: getDiscount(item.discountType, item.discountValue),
+          ...(item.taxRateId && { taxRateIds: getLineTaxRateIds(item) })
         }))
       };
 
-      await invoiceAPI.create(invoiceData);
-      toast.success('Invoice created successfully!');
-      navigate('/invoices');
+      if (isQuote) {
+        const { dueDate, ...quote } = invoiceData;
+        const quoteData = { ...quote, validUntil: dueDate, paymentTermsDays: parseInt(formData.paymentTermsDays) };
+        const response = isEditing ? await quoteAPI.update(id, quoteData) : await quoteAPI.create(quoteData);
+        toast.success(isEditing ? 'Quote saved successfully!' : 'Quote created successfully!');
+        navigate(`/quotes/${response.data.data._id}`);
+        return;
+      }
+
+      if (recurring.enabled) {
+        const { issueDate, dueDate, ...template } = invoiceData;
+        await recurringInvoiceAPI.create({
+          ...template,
+          name: recurring.name.trim(),
+          interval: { unit: recurring.unit, every: parseInt(recurring.every) },
+          paymentTermsDays: parseInt(recurring.paymentTermsDays) || 0,
+          startDate: issueDate,
+          ...(recurring.endDate && { endDate: recurring.endDate }),
+          ...(recurring.maxOccurrences && { maxOccurrences: parseInt(recurring.maxOccurrences) })
+        });
+        toast.success('Recurring invoice scheduled successfully!');
+        navigate('/recurring-invoices');
+        return;
+      }
+
+      const asDraft = submitMode.current === 'draft';
+      const { notes, terms, footer } = formData;
+      if (isEditing) {
+        await invoiceAPI.update(id, { ...invoiceData, notes, terms, footer });
+        if (!asDraft) {
+          await invoiceAPI.issue(id);
+        }
+        toast.success(asDraft ? 'Draft saved successfully!' : 'Invoice issued successfully!');
+        navigate(`/invoices/${id}`);
+        return;
+      }
+
+      const response = await invoiceAPI.create({ ...invoiceData, notes, terms, footer, ...(asDraft && { draft: true }) });
+      toast.success(asDraft ? 'Draft saved successfully!' : 'Invoice created successfully!');
+      navigate(asDraft ? `/invoices/${response.data.data._id}` : '/invoices');
     } catch (error) {
-      handleApiError(error, toast, 'Failed to create invoice');
+      handleApiError(error, toast, isQuote
+        ? (isEditing ? 'Failed to save quote' : 'Failed to create quote')
+        : (isEditing ? 'Failed to save invoice' : 'Failed to create invoice'));
     } finally {
       setLoading(false);
     }
   };
 
-  const total = calculateTotal();
+  const totals = calculateTotals();
 
   return (
     <div className="space-y-6">
@@ -135,16 +368,31 @@ const CreateInvoice = () => {
       <div className="flex items-center justify-between">
         <div className="flex items-center space-x-4">
           <button
-            onClick={() => navigate('/invoices')}
+            onClick={() => navigate(viewPath)}
             className="p-2 text-gray-400 hover:text-gray-600"
           >
             <ArrowLeft className="h-5 w-5" />
           </button>
           <div>
-            <h1 className="text-2xl font-bold text-gray-900">Create Invoice</h1>
-            <p className="text-gray-600">
-              Generate a new invoice for your client
-            </p>
+            {isQuote ? (
+              <>
+                <h1 className="text-2xl font-bold text-gray-900">{isEditing ? 'Edit Quote' : 'Create Quote'}</h1>
+                <p className="text-gray-600">
+                  {isEditing
+                    ? 'Saving a quote that was already sent takes it back to draft, to be sent again with a new link'
+                    : 'Price up work for your client to accept before you invoice it'}
+                </p>
+              </>
+            ) : (
+              <>
+                <h1 className="text-2xl font-bold text-gray-900">{isEditing ? 'Edit Draft Invoice' : 'Create Invoice'}</h1>
+                <p className="text-gray-600">
+                  {isEditing
+                    ? 'Drafts can be changed freely until they are issued'
+                    : 'Generate a new invoice for your client'}
+                </p>
+              </>
+            )}
           </div>
         </div>
       </div>
@@ -152,12 +400,12 @@ const CreateInvoice = () => {
       {/* Form */}
       <form onSubmit={handleSubmit} className="space-y-6">
         <div className="bg-white rounded-lg shadow p-6">
-          <h3 className="text-lg font-medium text-gray-900 mb-4">Invoice Details</h3>
+          <h3 className="text-lg font-medium text-gray-900 mb-4">{isQuote ? 'Quote Details' : 'Invoice Details'}</h3>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
-                Issue Date *
+                {recurring.enabled ? 'First Issue Date' : 'Issue Date'} *
               </label>
               <input
                 type="date"
@@ -168,18 +416,53 @@ const CreateInvoice = () => {
               />
             </div>
             
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Due Date *
-              </label>
-              <input
-                type="date"
-                required
-                value={formData.dueDate}
-                onChange={(e) => handleInputChange('dueDate', e.target.value)}
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
-              />
-            </div>
+            {recurring.enabled ? (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Payment Terms (days) *
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  value={recurring.paymentTermsDays}
+                  onChange={(e) => handleRecurringChange('paymentTermsDays', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">Each invoice is due this many days after it is issued</p>
+              </div>
+            ) : (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {isQuote ? 'Valid Until' : 'Due Date'} *
+                </label>
+                <input
+                  type="date"
+                  required
+                  value={formData.dueDate}
+                  onChange={(e) => handleInputChange('dueDate', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                />
+                {isQuote && <p className="text-xs text-gray-500 mt-1">The client can accept the quote until the end of this day</p>}
+              </div>
+            )}
+
+            {isQuote && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Payment Terms (days) *
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  value={formData.paymentTermsDays}
+                  onChange={(e) => handleInputChange('paymentTermsDays', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">The invoice is due this many days after the quote is converted</p>
+              </div>
+            )}
             
             <div className="md:col-span-2">
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -188,7 +471,7 @@ const CreateInvoice = () => {
               <select
                 required
                 value={formData.clientId}
-                onChange={(e) => handleInputChange('clientId', e.target.value)}
+                onChange={(e) => handleClientChange(e.target.value)}
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
               >
                 <option value="">Select a client</option>
@@ -204,13 +487,185 @@ const CreateInvoice = () => {
                 </p>
               )}
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Currency
+              </label>
+              <select
+                value={invoiceCurrency}
+                onChange={(e) => handleInputChange('currency', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value={currencies.baseCurrency}>{currencies.baseCurrency}</option>
+                {currencies.rates.map(rate => (
+                  <option key={rate.currency} value={rate.currency}>{rate.currency}</option>
+                ))}
+                {!exchangeRate && <option value={invoiceCurrency}>{invoiceCurrency} (no rate)</option>}
+              </select>
+              {exchangeRate && exchangeRate !== 1 && (
+                <p className="text-xs text-gray-500 mt-1">
+                  1 {invoiceCurrency} = {exchangeRate} {currencies.baseCurrency}; item prices are converted at this rate
+                </p>
+              )}
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Taxes
+              </label>
+              {taxRates.length === 0 ? (
+                <p className="text-sm text-gray-500">No tax rates configured.</p>
+              ) : (
+                <div className="flex flex-wrap gap-4">
+                  {taxRates.map(taxRate => (
+                    <label key={taxRate._id} className="inline-flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={formData.taxRateIds.includes(taxRate._id)}
+                        onChange={() => toggleInvoiceTaxRate(taxRate._id)}
+                        className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      {taxRate.name} ({taxRate.percentage}%{taxRate.compound ? ', compound' : ''})
+                    </label>
+                  ))}
+                </div>
+              )}
+              <label className="inline-flex items-center mt-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.taxInclusive}
+                  onChange={(e) => handleInputChange('taxInclusive', e.target.checked)}
+                  className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                />
+                Item prices include tax
+              </label>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {isQuote ? 'Quote Discount' : 'Invoice Discount'}
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  max={formData.discountType === 'percentage' ? 100 : undefined}
+                  placeholder="0"
+                  value={formData.discountValue}
+                  onChange={(e) => handleInputChange('discountValue', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                />
+                <select
+                  value={formData.discountType}
+                  onChange={(e) => handleInputChange('discountType', e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                >
+                  <option value="percentage">%</option>
+                  <option value="fixed">{invoiceCurrency}</option>
+                </select>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">Applied after line discounts, before tax</p>
+            </div>
           </div>
         </div>
 
+        {/* Recurring Schedule */}
+        {isStaff() && !isEditing && !isQuote && (
+          <div className="bg-white rounded-lg shadow p-6">
+            <label className="inline-flex items-center text-lg font-medium text-gray-900">
+              <input
+                type="checkbox"
+                checked={recurring.enabled}
+                onChange={(e) => handleRecurringChange('enabled', e.target.checked)}
+                className="mr-3 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <Repeat className="h-5 w-5 mr-2 text-gray-500" />
+              Repeat this invoice
+            </label>
+            <p className="text-sm text-gray-500 mt-1">
+              Save as a schedule that issues a new invoice automatically instead of creating one now
+            </p>
+
+            {recurring.enabled && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Schedule Name *
+                  </label>
+                  <input
+                    type="text"
+                    required
+                    placeholder="e.g. Monthly retainer"
+                    value={recurring.name}
+                    onChange={(e) => handleRecurringChange('name', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Repeat Every *
+                  </label>
+                  <div className="flex space-x-2">
+                    <input
+                      type="number"
+                      required
+                      min="1"
+                      value={recurring.every}
+                      onChange={(e) => handleRecurringChange('every', e.target.value)}
+                      className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                    />
+                    <select
+                      value={recurring.unit}
+                      onChange={(e) => handleRecurringChange('unit', e.target.value)}
+                      className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                    >
+                      <option value="day">Day(s)</option>
+                      <option value="week">Week(s)</option>
+                      <option value="month">Month(s)</option>
+                      <option value="year">Year(s)</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      End Date
+                    </label>
+                    <input
+                      type="date"
+                      value={recurring.endDate}
+                      onChange={(e) => handleRecurringChange('endDate', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Or After
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Invoices"
+                      value={recurring.maxOccurrences}
+                      onChange={(e) => handleRecurringChange('maxOccurrences', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                    />
+                  </div>
+                  <p className="col-span-2 text-xs text-gray-500">Leave both empty to repeat until paused</p>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Items Section */}
         <div className="bg-white rounded-lg shadow p-6">
           <div className="flex items-center justify-between mb-4">
-            <h3 className="text-lg font-medium text-gray-900">Invoice Items</h3>
+            <h3 className="text-lg font-medium text-gray-900">{isQuote ? 'Quote Items' : 'Invoice Items'}</h3>
             <button
               type="button"
               onClick={addItem}
@@ -236,14 +691,27 @@ const CreateInvoice = () => {
                   >
                     <option value="">Select an item</option>
                     {items
-                      .filter(item => item.status === 'in-stock')
+                      .filter(option => option.status === 'in-stock' || option._id === item.itemId)
                       .map(item => (
                         <option key={item._id} value={item._id}>
-                          {item.name} - ${item.unitPrice} (Stock: {item.quantity})
+                          {item.name} - {formatCurrency(item.unitPrice, currencies.baseCurrency)} (Stock: {item.quantity})
                         </option>
                       ))}
                   </select>
                 </div>
+
+                <div className="flex-1">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Description
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="Optional line description"
+                    value={item.description}
+                    onChange={(e) => handleItemChange(index, 'description', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
                 
                 <div className="w-32">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -264,7 +732,7 @@ const CreateInvoice = () => {
                     Price
                   </label>
                   <div className="px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm">
-                    ${items.find(i => i._id === item.itemId)?.unitPrice || 0}
+                    {formatCurrency(getUnitPrice(item.itemId), invoiceCurrency)}
                   </div>
                 </div>
                 
@@ -273,9 +741,54 @@ const CreateInvoice = () => {
                     Subtotal
                   </label>
                   <div className="px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm font-medium">
-                    ${(items.find(i => i._id === item.itemId)?.unitPrice || 0) * item.quantity}
+                    {formatCurrency(getUnitPrice(item.itemId) * item.quantity, invoiceCurrency)}
                   </div>
                 </div>
+
+                <div className="w-40">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Discount
+                  </label>
+                  <div className="flex space-x-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      max={item.discountType === 'percentage' ? 100 : undefined}
+                      placeholder="0"
+                      value={item.discountValue}
+                      onChange={(e) => handleItemChange(index, 'discountValue', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                    />
+                    <select
+                      value={item.discountType}
+                      onChange={(e) => handleItemChange(index, 'discountType', e.target.value)}
+                      className="px-2 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                    >
+                      <option value="percentage">%</option>
+                      <option value="fixed">{invoiceCurrency}</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div className="w-40">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Tax
+                  </label>
+                  <select
+                    value={item.taxRateId}
+                    onChange={(e) => handleItemChange(index, 'taxRateId', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  >
+                    <option value="">{isQuote ? 'Quote taxes' : 'Invoice taxes'}</option>
+                    <option value="none">No tax</option>
+                    {taxRates.map(taxRate => (
+                      <option key={taxRate._id} value={taxRate._id}>
+                        {taxRate.name} ({taxRate.percentage}%)
+                      </option>
+                    ))}
+                  </select>
+                </div>
                 
                 {formData.items.length > 1 && (
                   <button
@@ -291,28 +804,98 @@ const CreateInvoice = () => {
           </div>
         </div>
 
-        {/* Total */}
-        <div className="bg-white rounded-lg shadow p-6">
-          <div className="flex justify-between items-center">
+        {/* Discount & Tax Summary, Total */}
+        <div className="bg-white rounded-lg shadow p-6 space-y-2">
+          {totals.discountTotal > 0 && (
+            <>
+              <div className="flex justify-between text-sm text-gray-700">
+                <span>Items</span>
+                <span>{formatCurrency(totals.itemsTotal, invoiceCurrency)}</span>
+              </div>
+              {totals.lineDiscountTotal > 0 && (
+                <div className="flex justify-between text-sm text-green-700">
+                  <span>Line discounts</span>
+                  <span>-{formatCurrency(totals.lineDiscountTotal, invoiceCurrency)}</span>
+                </div>
+              )}
+              {totals.discountAmount > 0 && (
+                <div className="flex justify-between text-sm text-green-700">
+                  <span>{isQuote ? 'Quote discount' : 'Invoice discount'}</span>
+                  <span>-{formatCurrency(totals.discountAmount, invoiceCurrency)}</span>
+                </div>
+              )}
+            </>
+          )}
+          <div className="flex justify-between text-sm text-gray-700">
+            <span>Subtotal{formData.taxInclusive && ' (excl. tax)'}</span>
+            <span>{formatCurrency(totals.subtotal, invoiceCurrency)}</span>
+          </div>
+          {totals.taxes.map(tax => (
+            <div key={tax._id} className="flex justify-between text-sm text-gray-700">
+              <span>{tax.name} ({tax.percentage}%{tax.compound ? ', compound' : ''})</span>
+              <span>{formatCurrency(tax.amount, invoiceCurrency)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between items-center pt-2 border-t border-gray-200">
             <h3 className="text-lg font-medium text-gray-900">Total</h3>
             <div className="text-2xl font-bold text-primary-600">
-              ${total.toLocaleString()}
+              {formatCurrency(totals.total, invoiceCurrency)}
             </div>
           </div>
         </div>
 
+        {/* Notes & Terms; recurring invoices and quotes use the defaults from settings */}
+        {!isQuote && !recurring.enabled && (
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Notes & Terms</h3>
+            <div className="space-y-4">
+              {[
+                { field: 'notes', label: 'Notes', placeholder: 'e.g. Thank you for your business', rows: 3 },
+                { field: 'terms', label: 'Payment Terms', placeholder: 'e.g. Payment is due within 30 days by bank transfer', rows: 3 },
+                { field: 'footer', label: 'Footer', placeholder: 'e.g. Company registration and VAT numbers', rows: 2 }
+              ].map(({ field, label, placeholder, rows }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {label}
+                  </label>
+                  <textarea
+                    rows={rows}
+                    maxLength={5000}
+                    placeholder={placeholder}
+                    value={formData[field]}
+                    onChange={(e) => handleInputChange(field, e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </div>
+              ))}
+              <p className="text-xs text-gray-500">Printed on the invoice and its PDF. New invoices start with the defaults from settings.</p>
+            </div>
+          </div>
+        )}
+
         {/* Actions */}
         <div className="flex items-center justify-end space-x-4">
           <button
             type="button"
-            onClick={() => navigate('/invoices')}
+            onClick={() => navigate(viewPath)}
             className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
           >
             Cancel
           </button>
+          {!recurring.enabled && !isQuote && (
+            <button
+              type="submit"
+              disabled={loading}
+              onClick={() => { submitMode.current = 'draft'; }}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              {isEditing ? 'Save Draft' : 'Save as Draft'}
+            </button>
+          )}
           <button
             type="submit"
             disabled={loading}
+            onClick={() => { submitMode.current = 'issue'; }}
             className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
           >
             {loading ? (
@@ -320,7 +903,9 @@ const CreateInvoice = () => {
             ) : (
               <Save className="h-4 w-4 mr-2" />
             )}
-            Create Invoice
+            {isQuote
+              ? (isEditing ? 'Save Quote' : 'Create Quote')
+              : recurring.enabled ? 'Create Schedule' : isEditing ? 'Save & Issue' : 'Create Invoice'}
           </button>
         </div>
       </form>
@@ -7,9 +7,12 @@ import {
 } from 'lucide-react';
 import { itemAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
+import { useAppContext } from '../context/AppContext';
+import { formatCurrency } from '../utils/currency';
 import toast from 'react-hot-toast';
 
 const CreateItem = () => {
+  const { baseCurrency } = useAppContext();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [formData, setFormData] = useState({
@@ -123,7 +126,7 @@ const CreateItem = () => {
                 Unit Price *
               </label>
               <div className="relative">
-                <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500">$</span>
+                <span className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-500">{baseCurrency}</span>
                 <input
                   type="number"
                   required
@@ -132,7 +135,7 @@ const CreateItem = () => {
                   value={formData.unitPrice}
                   onChange={(e) => handleInputChange('unitPrice', e.target.value)}
                   placeholder="0.00"
-                  className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  className="w-full pl-14 pr-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
                 />
               </div>
             </div>
@@ -171,14 +174,14 @@ const CreateItem = () => {
             <div className="flex justify-between">
               <span className="text-sm font-medium text-gray-700">Unit Price:</span>
               <span className="text-sm text-gray-900">
-                ${formData.unitPrice ? parseFloat(formData.unitPrice).toFixed(2) : '0.00'}
+                {formatCurrency(formData.unitPrice ? parseFloat(formData.unitPrice) : 0, baseCurrency)}
               </span>
             </div>
             
             <div className="flex justify-between">
               <span className="text-sm font-medium text-gray-700">Total Value:</span>
               <span className="text-sm font-bold text-gray-900">
-                ${(formData.quantity * (formData.unitPrice || 0)).toFixed(2)}
+                {formatCurrency(formData.quantity * (formData.unitPrice || 0), baseCurrency)}
               </span>
             </div>
             
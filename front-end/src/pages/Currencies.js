@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Banknote,
+  Save,
+  Trash2
+} from 'lucide-react';
+import { currencyAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import { useAuth } from '../context/AuthContext';
+import { useAppContext } from '../context/AppContext';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+const Currencies = () => {
+  const { isAdmin } = useAuth();
+  const { refreshBaseCurrency } = useAppContext();
+  const [baseCurrency, setBaseCurrency] = useState('');
+  const [baseCurrencyInput, setBaseCurrencyInput] = useState('');
+  const [rates, setRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState({
+    currency: '',
+    rate: ''
+  });
+
+  useEffect(() => {
+    fetchCurrencies();
+  }, []);
+
+  const fetchCurrencies = async () => {
+    try {
+      setLoading(true);
+      const response = await currencyAPI.get();
+      const data = response.data.data;
+      setBaseCurrency(data.baseCurrency);
+      setBaseCurrencyInput(data.baseCurrency);
+      setRates(data.rates || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load currencies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBaseCurrencySubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await currencyAPI.updateBase(baseCurrencyInput.trim().toUpperCase());
+      toast.success('Base currency updated successfully!');
+      fetchCurrencies();
+      refreshBaseCurrency();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to update base currency');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRateSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.currency.trim() || !formData.rate) {
+      toast.error('Please enter a currency and rate');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await currencyAPI.setRate(formData.currency.trim().toUpperCase(), parseFloat(formData.rate));
+      toast.success('Exchange rate saved successfully!');
+      setFormData({ currency: '', rate: '' });
+      fetchCurrencies();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to save exchange rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (currency) => {
+    if (window.confirm(`Remove ${currency}? Existing invoices keep the rate they were issued with.`)) {
+      try {
+        await currencyAPI.deleteRate(currency);
+        toast.success('Exchange rate removed');
+        fetchCurrencies();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to remove exchange rate');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Currencies</h1>
+        <p className="text-gray-600">
+          Reports are in {baseCurrency}; invoices in other currencies store the rate below when issued
+        </p>
+      </div>
+
+      {isAdmin() && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {/* Base Currency */}
+          <form onSubmit={handleBaseCurrencySubmit} className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Base Currency</h3>
+            <div className="flex items-end gap-4">
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Currency code
+                </label>
+                <input
+                  type="text"
+                  required
+                  maxLength={3}
+                  value={baseCurrencyInput}
+                  onChange={(e) => setBaseCurrencyInput(e.target.value.toUpperCase())}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={saving || baseCurrencyInput === baseCurrency}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                <Save className="h-4 w-4 mr-2" />
+                Save
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">Can only be changed before the first invoice is created</p>
+          </form>
+
+          {/* Exchange Rate Form */}
+          <form onSubmit={handleRateSubmit} className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Set Exchange Rate</h3>
+            <div className="flex items-end gap-4">
+              <div className="w-28">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Currency *
+                </label>
+                <input
+                  type="text"
+                  required
+                  maxLength={3}
+                  placeholder="EUR"
+                  value={formData.currency}
+                  onChange={(e) => setFormData(prev => ({ ...prev, currency: e.target.value.toUpperCase() }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value in {baseCurrency} *
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  step="any"
+                  value={formData.rate}
+                  onChange={(e) => setFormData(prev => ({ ...prev, rate: e.target.value }))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >
+                <Save className="h-4 w-4 mr-2" />
+                Save
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Exchange Rate List */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">
+            Exchange Rates ({rates.length})
+          </h3>
+        </div>
+
+        {rates.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <Banknote className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+            <p className="text-lg font-medium">No exchange rates found</p>
+            <p className="text-sm">Invoices can only be issued in {baseCurrency} until a rate is added</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {rates.map(rate => (
+              <li key={rate.currency} className="flex items-center justify-between px-6 py-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    1 {rate.currency} = {rate.rate} {baseCurrency}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Updated {format(new Date(rate.updatedAt), 'MMM dd, yyyy HH:mm')}
+                  </p>
+                </div>
+                {isAdmin() && (
+                  <button
+                    onClick={() => handleDelete(rate.currency)}
+                    className="p-2 text-red-400 hover:text-red-600"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Currencies;
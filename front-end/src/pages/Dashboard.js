@@ -14,10 +14,14 @@ import {
 import { invoiceAPI, clientAPI, itemAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
 import { useAuth } from '../context/AuthContext';
+import { useAppContext } from '../context/AppContext';
+import { formatCurrency, toBaseAmount } from '../utils/currency';
+import { isOpenStatus, statusLabel, statusStyle } from '../utils/invoiceStatus';
 import toast from 'react-hot-toast';
 
 const Dashboard = () => {
   const { user } = useAuth();
+  const { baseCurrency } = useAppContext();
   const [stats, setStats] = useState({
     totalInvoices: 0,
     paidInvoices: 0,
@@ -45,15 +49,16 @@ const Dashboard = () => {
         itemAPI.getAll({ limit: 100 })
       ]);
       
-      const invoices = invoicesResponse.data.data.invoices || [];
+      // Drafts have not been issued yet and void invoices were cancelled, neither counts towards any figure
+      const invoices = (invoicesResponse.data.data.invoices || []).filter(inv => !['draft', 'void'].includes(inv.status));
       const clients = clientsResponse.data.data.clients || [];
       const items = itemsResponse.data.data.items || [];
       
       // Calculate stats
-      const paidInvoices = invoices.filter(inv => inv.status === 'paid');
-      const unpaidInvoices = invoices.filter(inv => inv.status === 'unpaid');
+      const paidInvoices = invoices.filter(inv => ['paid', 'credited'].includes(inv.status));
+      const unpaidInvoices = invoices.filter(inv => isOpenStatus(inv.status));
       const overdueInvoices = invoices.filter(inv => inv.isOverdue);
-      const totalRevenue = paidInvoices.reduce((sum, inv) => sum + inv.total, 0);
+      const totalRevenue = invoices.reduce((sum, inv) => sum + toBaseAmount(inv, (inv.amountPaid || 0) - (inv.refundedAmount || 0)), 0);
 
       setStats({
         totalInvoices: invoices.length,
@@ -144,7 +149,7 @@ const Dashboard = () => {
         />
         <StatCard
           title="Total Revenue"
-          value={`$${stats.totalRevenue.toLocaleString()}`}
+          value={formatCurrency(stats.totalRevenue, baseCurrency)}
           icon={DollarSign}
           color="bg-yellow-500"
         />
@@ -247,17 +252,11 @@ const Dashboard = () => {
                       </div>
                     </div>
                     <div className="flex items-center space-x-4">
-                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                        invoice.status === 'paid' 
-                          ? 'bg-green-100 text-green-800' 
-                          : invoice.isOverdue
-                          ? 'bg-red-100 text-red-800'
-                          : 'bg-yellow-100 text-yellow-800'
-                      }`}>
-                        {invoice.isOverdue ? 'Overdue' : invoice.status}
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusStyle(invoice)}`}>
+                        {statusLabel(invoice)}
                       </span>
                       <span className="text-sm font-medium text-gray-900">
-                        ${invoice.total}
+                        {formatCurrency(invoice.total, invoice.currency)}
                       </span>
                       <Link
                         to={`/invoices/${invoice._id}`}
@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import { Save } from 'lucide-react';
+import { settingsAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import toast from 'react-hot-toast';
+
+const FIELDS = [
+  {
+    field: 'notes',
+    label: 'Notes',
+    placeholder: 'e.g. Thank you for your business',
+    rows: 4
+  },
+  {
+    field: 'terms',
+    label: 'Payment Terms',
+    placeholder: 'e.g. Payment is due within 30 days by bank transfer to account 12345678',
+    rows: 4
+  },
+  {
+    field: 'footer',
+    label: 'Footer',
+    placeholder: 'e.g. Company registration and VAT numbers',
+    rows: 2,
+    help: 'Printed at the bottom of every page of the PDF'
+  }
+];
+
+const InvoiceDefaults = () => {
+  const [defaults, setDefaults] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchDefaults();
+  }, []);
+
+  const fetchDefaults = async () => {
+    try {
+      setLoading(true);
+      const response = await settingsAPI.getInvoiceDefaults();
+      setDefaults(response.data.data);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load invoice defaults');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (field, value) => {
+    setDefaults(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await settingsAPI.updateInvoiceDefaults(defaults);
+      setDefaults(response.data.data);
+      toast.success('Invoice defaults saved successfully!');
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to save invoice defaults');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !defaults) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Notes & Terms</h1>
+          <p className="text-gray-600">
+            Text new invoices start with; changing it does not alter invoices already created
+          </p>
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4 mr-2" />
+          Save
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 space-y-6">
+        {FIELDS.map(({ field, label, placeholder, rows, help }) => (
+          <div key={field}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {label}
+            </label>
+            <textarea
+              rows={rows}
+              maxLength={5000}
+              placeholder={placeholder}
+              value={defaults[field]}
+              onChange={(e) => handleChange(field, e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+            {help && <p className="text-xs text-gray-500 mt-1">{help}</p>}
+          </div>
+        ))}
+      </div>
+    </form>
+  );
+};
+
+export default InvoiceDefaults;
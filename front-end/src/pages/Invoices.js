@@ -1,41 +1,82 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { 
   FileText, 
   Eye, 
   Edit, 
   Search,
-  Filter,
   ChevronLeft,
   ChevronRight,
-  AlertTriangle
+  AlertTriangle,
+  ArrowUp,
+  ArrowDown,
+  FilterX,
+  CheckCircle,
+  Bell,
+  Ban,
+  X
 } from 'lucide-react';
-import { invoiceAPI } from '../services/api';
+import { invoiceAPI, clientAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
+import { downloadExport } from '../utils/download';
+import { formatCurrency } from '../utils/currency';
+import { INVOICE_STATUSES, STATUS_LABELS, isOpenStatus, statusLabel, statusStyle } from '../utils/invoiceStatus';
+import ExportButtons from '../components/ExportButtons';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
 
+// Filters the server understands, kept in the URL so a filtered list can be reloaded, bookmarked and shared
+const FILTER_KEYS = ['number', 'status', 'clientId', 'overdue', 'issueDateFrom', 'issueDateTo', 'dueDateFrom', 'dueDateTo', 'minAmount', 'maxAmount'];
+
+const DEFAULT_SORT = { sortBy: 'dueDate', sortOrder: 'asc' };
+
 const Invoices = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [invoices, setInvoices] = useState([]);
+  const [clients, setClients] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
-  const [filters, setFilters] = useState({
-    status: '',
-    search: ''
-  });
+  const [total, setTotal] = useState(0);
+  // Invoices ticked on this page, or every invoice matching the filters when allMatching is set
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkRunning, setBulkRunning] = useState(false);
+  const [showVoidForm, setShowVoidForm] = useState(false);
+  const [voidReason, setVoidReason] = useState('');
+  const [bulkFailures, setBulkFailures] = useState([]);
+  const [exporting, setExporting] = useState(false);
 
-  useEffect(() => {
-    fetchInvoices();
-  }, [currentPage, filters]);
+  const searchString = searchParams.toString();
+  // Rebuilt only when the URL changes, so the list is not fetched again on every render
+  const filters = useMemo(() => {
+    const params = new URLSearchParams(searchString);
+    return Object.fromEntries(FILTER_KEYS.map(key => [key, params.get(key) || '']));
+  }, [searchString]);
+  const sortBy = searchParams.get('sortBy') || DEFAULT_SORT.sortBy;
+  const sortOrder = searchParams.get('sortOrder') || DEFAULT_SORT.sortOrder;
+  const currentPage = parseInt(searchParams.get('page')) || 1;
+  const hasFilters = FILTER_KEYS.some(key => filters[key]);
+  // Typed into freely and only applied once typing pauses
+  const [numberSearch, setNumberSearch] = useState(filters.number);
 
-  const fetchInvoices = async () => {
+  const fetchClients = async () => {
+    try {
+      const response = await clientAPI.getAll({ limit: 100 });
+      setClients(response.data.data.clients || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load clients');
+    }
+  };
+
+  const fetchInvoices = useCallback(async () => {
     try {
       setLoading(true);
       const params = {
         page: currentPage,
         limit: 10,
-        ...(filters.status && { status: filters.status })
+        sortBy,
+        sortOrder,
+        ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
       };
 
       const response = await invoiceAPI.getAll(params);
@@ -43,37 +84,196 @@ const Invoices = () => {
       
       setInvoices(data.invoices || []);
       setTotalPages(data.links?.totalPages || 1);
+      setTotal(data.links?.total || 0);
     } catch (error) {
       handleApiError(error, toast, 'Failed to load invoices');
     } finally {
       setLoading(false);
     }
-  };
+  }, [currentPage, sortBy, sortOrder, filters]);
+
+  const clearSelection = useCallback(() => {
+    setSelectedIds([]);
+    setAllMatching(false);
+    setShowVoidForm(false);
+  }, []);
+
+  // Changes the URL parameters; any change other than the page goes back to the first page
+  const updateParams = useCallback((changes) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value === '' || value === null || value === undefined) {
+        next.delete(key);
+      } else {
+        next.set(key, value);
+      }
+    });
+    if (!('page' in changes)) {
+      next.delete('page');
+    }
+    setSearchParams(next, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const handleFilterChange = useCallback((key, value) => {
+    updateParams({ [key]: value });
+  }, [updateParams]);
+
+  useEffect(() => {
+    fetchClients();
+  }, []);
+
+  // A new query loads its invoices and drops the selection made on the previous one
+  useEffect(() => {
+    fetchInvoices();
+    clearSelection();
+  }, [fetchInvoices, clearSelection]);
+
+  useEffect(() => {
+    setNumberSearch(filters.number);
+  }, [filters.number]);
+
+  useEffect(() => {
+    if (numberSearch.trim() === filters.number) return;
+    const timer = setTimeout(() => handleFilterChange('number', numberSearch.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [numberSearch, filters.number, handleFilterChange]);
 
   const handleStatusUpdate = async (invoiceId, newStatus) => {
     try {
       await invoiceAPI.updateStatus(invoiceId, newStatus);
-      toast.success(`Invoice marked as ${newStatus}`);
+      toast.success(newStatus === 'sent' ? 'Invoice reopened' : `Invoice marked as ${STATUS_LABELS[newStatus].toLowerCase()}`);
       fetchInvoices(); // Refresh the list
     } catch (error) {
       handleApiError(error, toast, 'Failed to update invoice status');
     }
   };
 
-  const handleFilterChange = (key, value) => {
-    setFilters(prev => ({ ...prev, [key]: value }));
-    setCurrentPage(1); // Reset to first page when filtering
+  const toggleSelected = (invoiceId) => {
+    setAllMatching(false);
+    setSelectedIds(prev => prev.includes(invoiceId)
+      ? prev.filter(id => id !== invoiceId)
+      : [...prev, invoiceId]);
+  };
+
+  const allOnPageSelected = invoices.length > 0 && invoices.every(invoice => selectedIds.includes(invoice._id));
+
+  const toggleSelectPage = () => {
+    setAllMatching(false);
+    setSelectedIds(allOnPageSelected ? [] : invoices.map(invoice => invoice._id));
+  };
+
+  const selectedCount = allMatching ? total : selectedIds.length;
+
+  const bulkSelection = () => (allMatching
+    ? { filter: Object.fromEntries(Object.entries(filters).filter(([, value]) => value)) }
+    : { ids: selectedIds });
+
+  // Runs a bulk action, then lists the invoices it could not be applied to
+  const runBulkAction = async (request, failureMessage) => {
+    try {
+      setBulkRunning(true);
+      const response = await request(bulkSelection());
+      const { failed, results } = response.data.data;
+      if (failed > 0) {
+        toast.error(`${response.data.message}, ${failed} failed`);
+      } else {
+        toast.success(response.data.message);
+      }
+      setBulkFailures(results.filter(result => !result.success));
+      clearSelection();
+      fetchInvoices();
+    } catch (error) {
+      handleApiError(error, toast, failureMessage);
+    } finally {
+      setBulkRunning(false);
+    }
+  };
+
+  const handleBulkMarkPaid = () => {
+    if (!window.confirm(`Record a payment for the remaining balance of ${selectedCount} invoices?`)) return;
+    runBulkAction(invoiceAPI.bulkMarkPaid, 'Failed to mark invoices as paid');
+  };
+
+  const handleBulkSendReminders = () => {
+    if (!window.confirm(`Email a payment reminder for ${selectedCount} invoices?`)) return;
+    runBulkAction(invoiceAPI.bulkSendReminders, 'Failed to send reminders');
+  };
+
+  const handleBulkVoid = (e) => {
+    e.preventDefault();
+
+    if (!voidReason.trim()) {
+      toast.error('Enter a reason for voiding');
+      return;
+    }
+
+    runBulkAction((selection) => invoiceAPI.bulkVoid(selection, voidReason.trim()), 'Failed to void invoices');
+    setVoidReason('');
+  };
+
+  const handleBulkExport = async (fileFormat) => {
+    try {
+      setBulkRunning(true);
+      const response = await invoiceAPI.bulkExport(bulkSelection(), fileFormat);
+      downloadExport(response.data, 'invoices', fileFormat);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to export invoices');
+    } finally {
+      setBulkRunning(false);
+    }
+  };
+
+  // Exports every invoice matching the current filters, in the current order
+  const handleExport = async (fileFormat) => {
+    try {
+      setExporting(true);
+      const response = await invoiceAPI.export({
+        format: fileFormat,
+        sortBy,
+        sortOrder,
+        ...Object.fromEntries(Object.entries(filters).filter(([, value]) => value))
+      });
+      downloadExport(response.data, 'invoices', fileFormat);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to export invoices');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const setCurrentPage = (page) => {
+    updateParams({ page: page > 1 ? page : '' });
   };
 
-  const StatusBadge = ({ status, isOverdue }) => (
-    <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-      status === 'paid' 
-        ? 'bg-green-100 text-green-800' 
-        : isOverdue
-        ? 'bg-red-100 text-red-800'
-        : 'bg-yellow-100 text-yellow-800'
-    }`}>
-      {isOverdue ? 'Overdue' : status}
+  const clearFilters = () => {
+    setNumberSearch('');
+    updateParams(Object.fromEntries(FILTER_KEYS.map(key => [key, ''])));
+  };
+
+  // Clicking the sorted column flips its direction; another column starts ascending
+  const handleSort = (field) => {
+    const order = field === sortBy && sortOrder === 'asc' ? 'desc' : 'asc';
+    updateParams({ sortBy: field, sortOrder: order });
+  };
+
+  const SortableHeader = ({ field, children }) => (
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+      <button
+        type="button"
+        onClick={() => handleSort(field)}
+        className="inline-flex items-center uppercase tracking-wider hover:text-gray-700"
+      >
+        {children}
+        {sortBy === field && (sortOrder === 'asc'
+          ? <ArrowUp className="h-3 w-3 ml-1" />
+          : <ArrowDown className="h-3 w-3 ml-1" />)}
+      </button>
+    </th>
+  );
+
+  const StatusBadge = ({ invoice }) => (
+    <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusStyle(invoice)}`}>
+      {statusLabel(invoice)}
     </span>
   );
 
@@ -86,14 +286,6 @@ const Invoices = () => {
     </button>
   );
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
-      </div>
-    );
-  }
-
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -104,17 +296,20 @@ const Invoices = () => {
             Manage your invoices and track payments
           </p>
         </div>
-        <Link
-          to="/invoices/create"
-          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
-        >
-          <FileText className="h-4 w-4 mr-2" />
-          Create Invoice
-        </Link>
+        <div className="flex items-center gap-3">
+          <ExportButtons onExport={handleExport} disabled={exporting} />
+          <Link
+            to="/invoices/create"
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <FileText className="h-4 w-4 mr-2" />
+            Create Invoice
+          </Link>
+        </div>
       </div>
 
       {/* Filters */}
-      <div className="bg-white rounded-lg shadow p-6">
+      <div className="bg-white rounded-lg shadow p-6 space-y-4">
         <div className="flex flex-col sm:flex-row gap-4">
           <div className="flex-1">
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -124,9 +319,9 @@ const Invoices = () => {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
               <input
                 type="text"
-                placeholder="Search invoices..."
-                value={filters.search}
-                onChange={(e) => handleFilterChange('search', e.target.value)}
+                placeholder="Invoice number, e.g. INV-2024"
+                value={numberSearch}
+                onChange={(e) => setNumberSearch(e.target.value)}
                 className="pl-10 pr-4 py-2 w-full border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
               />
             </div>
@@ -141,50 +336,222 @@ const Invoices = () => {
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
             >
               <option value="">All Status</option>
-              <option value="paid">Paid</option>
-              <option value="unpaid">Unpaid</option>
+              {INVOICE_STATUSES.map(status => (
+                <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+              ))}
             </select>
           </div>
+          <div className="sm:w-56">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Client
+            </label>
+            <select
+              value={filters.clientId}
+              onChange={(e) => handleFilterChange('clientId', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All Clients</option>
+              {clients.map(client => (
+                <option key={client._id} value={client._id}>{client.name}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center sm:pt-7 text-sm text-gray-700 whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={filters.overdue === 'true'}
+              onChange={(e) => handleFilterChange('overdue', e.target.checked ? 'true' : '')}
+              className="h-4 w-4 mr-2 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+            />
+            Overdue only
+          </label>
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 lg:grid-cols-7 gap-4 items-end">
+          {[
+            ['issueDateFrom', 'Issued from', 'date'],
+            ['issueDateTo', 'Issued to', 'date'],
+            ['dueDateFrom', 'Due from', 'date'],
+            ['dueDateTo', 'Due to', 'date'],
+            ['minAmount', 'Min amount', 'number'],
+            ['maxAmount', 'Max amount', 'number']
+          ].map(([key, label, type]) => (
+            <div key={key}>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {label}
+              </label>
+              <input
+                type={type}
+                min={type === 'number' ? '0' : undefined}
+                step={type === 'number' ? '0.01' : undefined}
+                value={filters[key]}
+                onChange={(e) => handleFilterChange(key, e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={clearFilters}
+            disabled={!hasFilters}
+            className="inline-flex items-center justify-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FilterX className="h-4 w-4 mr-2" />
+            Clear filters
+          </button>
         </div>
       </div>
 
+      {/* Bulk Actions */}
+      {selectedCount > 0 && (
+        <div className="bg-primary-50 border border-primary-200 rounded-lg p-4 space-y-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <span className="text-sm font-medium text-gray-900">
+              {selectedCount} selected
+            </span>
+            {!allMatching && allOnPageSelected && total > invoices.length && (
+              <button
+                type="button"
+                onClick={() => setAllMatching(true)}
+                className="text-sm text-primary-600 hover:text-primary-900"
+              >
+                Select all {total} matching invoices
+              </button>
+            )}
+            <div className="flex flex-wrap items-center gap-2 ml-auto">
+              <button
+                onClick={handleBulkMarkPaid}
+                disabled={bulkRunning}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Mark Paid
+              </button>
+              <button
+                onClick={handleBulkSendReminders}
+                disabled={bulkRunning}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Bell className="h-4 w-4 mr-2" />
+                Send Reminders
+              </button>
+              <button
+                onClick={() => setShowVoidForm(!showVoidForm)}
+                disabled={bulkRunning}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-red-600 bg-white hover:bg-red-50 disabled:opacity-50"
+              >
+                <Ban className="h-4 w-4 mr-2" />
+                Void
+              </button>
+              <ExportButtons onExport={handleBulkExport} disabled={bulkRunning} />
+              <button
+                onClick={clearSelection}
+                className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                title="Clear selection"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+          {showVoidForm && (
+            <form onSubmit={handleBulkVoid} className="flex items-end gap-4">
+              <div className="flex-1">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Reason for voiding *
+                </label>
+                <input
+                  type="text"
+                  required
+                  autoFocus
+                  placeholder="e.g. Raised twice by mistake"
+                  value={voidReason}
+                  onChange={(e) => setVoidReason(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Invoices with payments or credit notes are skipped; correct those with a credit note
+                </p>
+              </div>
+              <button
+                type="submit"
+                disabled={bulkRunning}
+                className="px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                Void {selectedCount} Invoices
+              </button>
+            </form>
+          )}
+        </div>
+      )}
+
+      {/* Invoices a bulk action could not be applied to */}
+      {bulkFailures.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-start justify-between">
+            <h3 className="text-sm font-medium text-red-800">
+              {bulkFailures.length} invoices were not changed
+            </h3>
+            <button
+              onClick={() => setBulkFailures([])}
+              className="text-red-400 hover:text-red-600"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <ul className="mt-2 space-y-1 text-sm text-red-700">
+            {bulkFailures.map(result => (
+              <li key={result.invoiceId}>
+                <Link to={`/invoices/${result.invoiceId}`} className="font-medium hover:underline">
+                  {result.invoiceNumber || 'Draft'}
+                </Link>
+                : {result.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Invoices Table */}
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <div className="px-6 py-4 border-b border-gray-200">
           <h3 className="text-lg font-medium text-gray-900">
-            Invoice List ({invoices.length} invoices)
+            Invoice List ({total} invoices)
           </h3>
         </div>
         
-        {invoices.length === 0 ? (
+        {/* Only the table shows the spinner so the filter inputs keep their focus while results load */}
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : invoices.length === 0 ? (
           <div className="p-6 text-center text-gray-500">
             <FileText className="h-12 w-12 mx-auto text-gray-400 mb-4" />
             <p className="text-lg font-medium">No invoices found</p>
-            <p className="text-sm">Create your first invoice to get started</p>
+            <p className="text-sm">
+              {hasFilters ? 'No invoices match these filters' : 'Create your first invoice to get started'}
+            </p>
           </div>
         ) : (
           <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200">
               <thead className="bg-gray-50">
                 <tr>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Invoice
+                  <th className="px-6 py-3 w-4">
+                    <input
+                      type="checkbox"
+                      checked={allOnPageSelected}
+                      onChange={toggleSelectPage}
+                      className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                    />
                   </th>
+                  <SortableHeader field="invoiceNumber">Invoice</SortableHeader>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Client
                   </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Issue Date
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Due Date
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Amount
-                  </th>
-                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                    Status
-                  </th>
+                  <SortableHeader field="issueDate">Issue Date</SortableHeader>
+                  <SortableHeader field="dueDate">Due Date</SortableHeader>
+                  <SortableHeader field="total">Amount</SortableHeader>
+                  <SortableHeader field="status">Status</SortableHeader>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Actions
                   </th>
@@ -198,10 +565,18 @@ const Invoices = () => {
                       invoice.isOverdue ? 'bg-red-50' : ''
                     }`}
                   >
+                    <td className="px-6 py-4 w-4">
+                      <input
+                        type="checkbox"
+                        checked={allMatching || selectedIds.includes(invoice._id)}
+                        onChange={() => toggleSelected(invoice._id)}
+                        className="h-4 w-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+                      />
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="flex items-center">
                         <div className="text-sm font-medium text-gray-900">
-                          {invoice.invoiceNumber}
+                          {invoice.invoiceNumber || 'Draft'}
                         </div>
                         {invoice.isOverdue && (
                           <AlertTriangle className="ml-2 h-4 w-4 text-red-500" />
@@ -232,11 +607,16 @@ const Invoices = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm font-medium text-gray-900">
-                        ${invoice.total.toLocaleString()}
+                        {formatCurrency(invoice.total, invoice.currency)}
                       </div>
+                      {invoice.amountPaid > 0 && invoice.balanceDue > 0 && isOpenStatus(invoice.status) && (
+                        <div className="text-xs text-gray-500">
+                          {formatCurrency(invoice.balanceDue, invoice.currency)} due
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
-                      <StatusBadge status={invoice.status} isOverdue={invoice.isOverdue} />
+                      <StatusBadge invoice={invoice} />
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                       <div className="flex items-center space-x-2">
@@ -246,14 +626,23 @@ const Invoices = () => {
                         >
                           <Eye className="h-4 w-4" />
                         </Link>
-                        <ActionButton
-                          onClick={() => handleStatusUpdate(
-                            invoice._id, 
-                            invoice.status === 'paid' ? 'unpaid' : 'paid'
-                          )}
-                        >
-                          <Edit className="h-4 w-4" />
-                        </ActionButton>
+                        {invoice.status === 'draft' ? (
+                          <Link
+                            to={`/invoices/${invoice._id}/edit`}
+                            className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </Link>
+                        ) : (isOpenStatus(invoice.status) || invoice.status === 'paid') && (
+                          <ActionButton
+                            onClick={() => handleStatusUpdate(
+                              invoice._id, 
+                              invoice.status === 'paid' ? 'sent' : 'paid'
+                            )}
+                          >
+                            <Edit className="h-4 w-4" />
+                          </ActionButton>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -273,14 +662,14 @@ const Invoices = () => {
             </div>
             <div className="flex items-center space-x-2">
               <button
-                onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+                onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
                 disabled={currentPage === 1}
                 className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
               >
                 <ChevronLeft className="h-4 w-4" />
               </button>
               <button
-                onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+                onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
                 disabled={currentPage === totalPages}
                 className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
               >
@@ -11,14 +11,20 @@ import {
 } from 'lucide-react';
 import { itemAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
+import { downloadExport } from '../utils/download';
+import { useAppContext } from '../context/AppContext';
+import { formatCurrency } from '../utils/currency';
+import ExportButtons from '../components/ExportButtons';
 import toast from 'react-hot-toast';
 
 const Items = () => {
+  const { baseCurrency } = useAppContext();
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [searchTerm, setSearchTerm] = useState('');
+  const [exporting, setExporting] = useState(false);
 
   useEffect(() => {
     fetchItems();
@@ -72,6 +78,22 @@ const Items = () => {
     setCurrentPage(1);
   };
 
+  // Exports every item matching the search, not just this page
+  const handleExport = async (fileFormat) => {
+    try {
+      setExporting(true);
+      const response = await itemAPI.export({
+        format: fileFormat,
+        ...(searchTerm && { search: searchTerm })
+      });
+      downloadExport(response.data, 'items', fileFormat);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to export items');
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const StatusBadge = ({ status, quantity }) => {
     if (status === 'out-of-stock' || quantity === 0) {
       return (
@@ -105,13 +127,16 @@ const Items = () => {
           <h1 className="text-2xl font-bold text-gray-900">Inventory Items</h1>
           <p className="text-gray-600">Manage your product inventory</p>
         </div>
-        <Link
-          to="/items/create"
-          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
-        >
-          <Plus className="h-4 w-4 mr-2" />
-          Add Item
-        </Link>
+        <div className="flex items-center gap-3">
+          <ExportButtons onExport={handleExport} disabled={exporting} />
+          <Link
+            to="/items/create"
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add Item
+          </Link>
+        </div>
       </div>
 
       {/* Search */}
@@ -174,7 +199,7 @@ const Items = () => {
                 <div className="space-y-3">
                   <div className="flex items-center justify-between">
                     <span className="text-sm font-medium text-gray-700">Unit Price:</span>
-                    <span className="text-sm font-bold text-gray-900">${item.unitPrice}</span>
+                    <span className="text-sm font-bold text-gray-900">{formatCurrency(item.unitPrice, baseCurrency)}</span>
                   </div>
                   
                   <div className="flex items-center justify-between">
@@ -190,7 +215,7 @@ const Items = () => {
                   <div className="flex items-center justify-between">
                     <span className="text-sm font-medium text-gray-700">Total Value:</span>
                     <span className="text-sm font-bold text-gray-900">
-                      ${(item.unitPrice * item.quantity).toLocaleString()}
+                      {formatCurrency(item.unitPrice * item.quantity, baseCurrency)}
                     </span>
                   </div>
                 </div>
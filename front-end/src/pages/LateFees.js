@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { Save } from 'lucide-react';
+import { settingsAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+
+const FEE_TYPES = {
+  flat: 'Flat fee, charged once',
+  percentage: 'Percentage of the overdue balance, charged once',
+  interest: 'Interest on the overdue balance, charged every period'
+};
+
+const LateFees = () => {
+  const [policy, setPolicy] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPolicy();
+  }, []);
+
+  const fetchPolicy = async () => {
+    try {
+      setLoading(true);
+      const response = await settingsAPI.getLateFees();
+      setPolicy(response.data.data);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load late fee policy');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (field, value) => {
+    setPolicy(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const response = await settingsAPI.updateLateFees({
+        enabled: policy.enabled,
+        type: policy.type,
+        flatAmount: parseFloat(policy.flatAmount) || 0,
+        percentage: parseFloat(policy.percentage) || 0,
+        graceDays: parseInt(policy.graceDays, 10) || 0,
+        periodDays: parseInt(policy.periodDays, 10) || 1
+      });
+      setPolicy(response.data.data);
+      toast.success('Late fee policy saved successfully!');
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to save late fee policy');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading || !policy) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Late Fees</h1>
+          <p className="text-gray-600">
+            Fees are added to overdue invoices as separate lines and raise their balance due
+          </p>
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4 mr-2" />
+          Save
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 space-y-6">
+        <div>
+          <label className="flex items-center">
+            <input
+              type="checkbox"
+              checked={policy.enabled}
+              onChange={(e) => handleChange('enabled', e.target.checked)}
+              className="h-4 w-4 text-primary-600 border-gray-300 rounded"
+            />
+            <span className="ml-2 text-sm font-medium text-gray-900">Charge late fees on overdue invoices</span>
+          </label>
+          <p className="text-xs text-gray-500 mt-2">
+            {policy.enabled && policy.enabledAt
+              ? `Charging since ${format(new Date(policy.enabledAt), 'MMM dd, yyyy')}. Fees that fell due before then are not charged.`
+              : 'Fees that fell due before late fees are turned on are not charged retroactively.'}
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            Fee type
+          </label>
+          <select
+            value={policy.type}
+            onChange={(e) => handleChange('type', e.target.value)}
+            className="w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          >
+            {Object.entries(FEE_TYPES).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {policy.type === 'flat' ? (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Fee (base currency) *
+              </label>
+              <input
+                type="number"
+                required
+                min="0"
+                step="0.01"
+                value={policy.flatAmount}
+                onChange={(e) => handleChange('flatAmount', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">Converted at each invoice's exchange rate</p>
+            </div>
+          ) : (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Percentage *
+              </label>
+              <input
+                type="number"
+                required
+                min="0"
+                max="100"
+                step="0.01"
+                value={policy.percentage}
+                onChange={(e) => handleChange('percentage', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">Of the balance due, excluding earlier late fees</p>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Grace period (days)
+            </label>
+            <input
+              type="number"
+              min="0"
+              max="365"
+              step="1"
+              value={policy.graceDays}
+              onChange={(e) => handleChange('graceDays', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">Days past the due date before anything is charged</p>
+          </div>
+          {policy.type === 'interest' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Interest period (days)
+              </label>
+              <input
+                type="number"
+                min="1"
+                max="365"
+                step="1"
+                value={policy.periodDays}
+                onChange={(e) => handleChange('periodDays', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              />
+              <p className="text-xs text-gray-500 mt-1">Interest is charged at the end of every full period</p>
+            </div>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-500">
+          A late fee can be waived by issuing a credit note for its amount.
+        </p>
+      </div>
+    </form>
+  );
+};
+
+export default LateFees;
@@ -134,6 +134,10 @@ const Login = () => {
             </div>
           </form>
 
+          <p className="mt-4 text-center text-xs text-gray-500">
+            Client? <Link to="/portal/login" className="font-medium text-primary-600 hover:text-primary-500">Sign in to the client portal</Link>
+          </p>
+
           <div className="mt-6">
             <div className="relative">
               <div className="absolute inset-0 flex items-center">
@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Download, Printer, FileText } from 'lucide-react';
+import { portalAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import InvoiceDocument from '../components/InvoiceDocument';
+import toast from 'react-hot-toast';
+
+const PortalInvoice = () => {
+  const { id } = useParams();
+  const [invoice, setInvoice] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchInvoice = async () => {
+      try {
+        setLoading(true);
+        const response = await portalAPI.getInvoice(id);
+        setInvoice(response.data.data);
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to load invoice');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvoice();
+  }, [id]);
+
+  const handleDownloadPdf = async () => {
+    try {
+      const response = await portalAPI.downloadPdf(id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.invoiceNumber}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to download PDF');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!invoice) {
+    return (
+      <div className="text-center py-12">
+        <FileText className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Invoice not found</h3>
+        <Link to="/portal" className="text-sm font-medium text-primary-600 hover:text-primary-700">Back to your invoices</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between print:hidden">
+        <Link to="/portal" className="inline-flex items-center text-sm font-medium text-gray-600 hover:text-gray-900">
+          <ArrowLeft className="h-4 w-4 mr-2" />
+          Your invoices
+        </Link>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => window.print()}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </button>
+          <button
+            onClick={handleDownloadPdf}
+            className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Download PDF
+          </button>
+        </div>
+      </div>
+
+      <InvoiceDocument invoice={invoice} />
+    </div>
+  );
+};
+
+export default PortalInvoice;
@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { FileText, Eye, AlertTriangle, ChevronLeft, ChevronRight } from 'lucide-react';
+import { portalAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/currency';
+import { isOpenStatus, statusLabel, statusStyle } from '../utils/invoiceStatus';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+
+// Home page of the client portal: what the client owes and their invoices
+const PortalInvoices = () => {
+  const [balances, setBalances] = useState([]);
+  const [invoices, setInvoices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  useEffect(() => {
+    fetchSummary();
+  }, []);
+
+  useEffect(() => {
+    fetchInvoices();
+  }, [currentPage]);
+
+  const fetchSummary = async () => {
+    try {
+      const response = await portalAPI.getSummary();
+      setBalances(response.data.data.balances || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load your balance');
+    }
+  };
+
+  const fetchInvoices = async () => {
+    try {
+      setLoading(true);
+      const response = await portalAPI.getInvoices({ page: currentPage, limit: 10 });
+      const data = response.data.data;
+      setInvoices(data.invoices || []);
+      setTotalPages(data.links?.totalPages || 1);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load invoices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Your Invoices</h1>
+        <p className="text-gray-600">Open an invoice to print it or download it as a PDF</p>
+      </div>
+
+      {/* Balances */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {balances.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-6">
+            <p className="text-sm font-medium text-gray-700">Outstanding</p>
+            <p className="text-2xl font-bold text-green-600">Nothing to pay</p>
+          </div>
+        ) : balances.map(balance => (
+          <div key={balance.currency} className="bg-white rounded-lg shadow p-6">
+            <p className="text-sm font-medium text-gray-700">
+              Outstanding ({balance.openInvoices} {balance.openInvoices === 1 ? 'invoice' : 'invoices'})
+            </p>
+            <p className="text-2xl font-bold text-gray-900">{formatCurrency(balance.outstanding, balance.currency)}</p>
+            {balance.overdue > 0 && (
+              <p className="mt-1 flex items-center text-sm text-red-600">
+                <AlertTriangle className="h-4 w-4 mr-1" />
+                {formatCurrency(balance.overdue, balance.currency)} overdue on {balance.overdueInvoices} {balance.overdueInvoices === 1 ? 'invoice' : 'invoices'}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Invoice List */}
+      <div className="bg-white rounded-lg shadow">
+        {loading ? (
+          <div className="flex items-center justify-center h-64">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : invoices.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <FileText className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+            <p className="text-lg font-medium">No invoices yet</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Invoice</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issue Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due Date</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {invoices.map(invoice => (
+                  <tr key={invoice._id} className={`hover:bg-gray-50 ${invoice.isOverdue ? 'bg-red-50' : ''}`}>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{invoice.invoiceNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {format(new Date(invoice.issueDate), 'MMM dd, yyyy')}
+                    </td>
+                    <td className={`px-6 py-4 whitespace-nowrap text-sm ${invoice.isOverdue ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                      {format(new Date(invoice.dueDate), 'MMM dd, yyyy')}
+                      {invoice.isOverdue && (
+                        <div className="text-xs text-red-500">{invoice.overdueDays} days overdue</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">{formatCurrency(invoice.total, invoice.currency)}</div>
+                      {invoice.balanceDue > 0 && invoice.balanceDue !== invoice.total && isOpenStatus(invoice.status) && (
+                        <div className="text-xs text-gray-500">{formatCurrency(invoice.balanceDue, invoice.currency)} due</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${statusStyle(invoice)}`}>
+                        {statusLabel(invoice)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <Link to={`/portal/invoices/${invoice._id}`} className="text-primary-600 hover:text-primary-700">
+                        <Eye className="h-4 w-4" />
+                      </Link>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="bg-white rounded-lg shadow px-6 py-4">
+          <div className="flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+                disabled={currentPage === 1}
+                className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+                disabled={currentPage === totalPages}
+                className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PortalInvoices;
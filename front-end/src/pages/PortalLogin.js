@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Lock, Mail, Building2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import { authAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import toast from 'react-hot-toast';
+
+// Client portal login, with a password or a sign-in link emailed to the client.
+// Sign-in links come back to this page with ?token=.
+const PortalLogin = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { loginClient, loginClientWithLink } = useAuth();
+  const [mode, setMode] = useState('password');
+  const [loading, setLoading] = useState(false);
+  const [linkSent, setLinkSent] = useState(false);
+  const [formData, setFormData] = useState({
+    email: '',
+    password: ''
+  });
+  const linkToken = searchParams.get('token');
+  const linkTried = useRef(false);
+
+  useEffect(() => {
+    // Sign-in links work once, so make sure a re-render does not spend the token twice
+    if (!linkToken || linkTried.current) return;
+    linkTried.current = true;
+
+    const verifyLink = async () => {
+      setLoading(true);
+      const result = await loginClientWithLink(linkToken);
+      setLoading(false);
+      navigate(result.success ? '/portal' : '/portal/login', { replace: true });
+    };
+
+    verifyLink();
+  }, [linkToken, loginClientWithLink, navigate]);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.email || (mode === 'password' && !formData.password)) {
+      toast.error('Please fill in all fields');
+      return;
+    }
+
+    try {
+      setLoading(true);
+
+      if (mode === 'password') {
+        const result = await loginClient(formData.email, formData.password);
+        if (result.success) {
+          navigate('/portal');
+        }
+      } else {
+        await authAPI.requestClientLoginLink(formData.email);
+        setLinkSent(true);
+      }
+    } catch (error) {
+      handleApiError(error, toast, 'Could not send sign-in link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (linkToken) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="flex justify-center">
+          <Building2 className="h-12 w-12 text-primary-600" />
+        </div>
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Client portal
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          See your invoices, balances and statements
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {linkSent ? (
+            <div className="text-center space-y-4">
+              <Mail className="h-10 w-10 mx-auto text-primary-600" />
+              <p className="text-sm text-gray-700">
+                If {formData.email} has a portal account, a sign-in link is on its way. It can be used once and expires shortly.
+              </p>
+              <button
+                type="button"
+                onClick={() => setLinkSent(false)}
+                className="text-sm font-medium text-primary-600 hover:text-primary-500"
+              >
+                Back to sign in
+              </button>
+            </div>
+          ) : (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+              <div>
+                <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                  Email address
+                </label>
+                <div className="mt-1">
+                  <input
+                    id="email"
+                    name="email"
+                    type="email"
+                    autoComplete="email"
+                    required
+                    value={formData.email}
+                    onChange={(e) => handleInputChange('email', e.target.value)}
+                    className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                    placeholder="The email your invoices are sent to"
+                  />
+                </div>
+              </div>
+
+              {mode === 'password' && (
+                <div>
+                  <label htmlFor="password" className="block text-sm font-medium text-gray-700">
+                    Password
+                  </label>
+                  <div className="mt-1">
+                    <input
+                      id="password"
+                      name="password"
+                      type="password"
+                      autoComplete="current-password"
+                      required
+                      value={formData.password}
+                      onChange={(e) => handleInputChange('password', e.target.value)}
+                      className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                      placeholder="Enter your password"
+                    />
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50"
+                >
+                  {loading ? (
+                    <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white"></div>
+                  ) : mode === 'password' ? (
+                    <>
+                      <Lock className="h-4 w-4 mr-2" />
+                      Sign in
+                    </>
+                  ) : (
+                    <>
+                      <Mail className="h-4 w-4 mr-2" />
+                      Email me a sign-in link
+                    </>
+                  )}
+                </button>
+              </div>
+
+              <p className="text-center text-sm">
+                <button
+                  type="button"
+                  onClick={() => setMode(mode === 'password' ? 'link' : 'password')}
+                  className="font-medium text-primary-600 hover:text-primary-500"
+                >
+                  {mode === 'password' ? 'Sign in with an email link instead' : 'Sign in with a password instead'}
+                </button>
+              </p>
+            </form>
+          )}
+
+          <p className="mt-6 text-center text-xs text-gray-500">
+            Staff member? <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">Sign in here</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PortalLogin;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import { Printer } from 'lucide-react';
+import { portalAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import StatementDocument from '../components/StatementDocument';
+import toast from 'react-hot-toast';
+import { format, subMonths } from 'date-fns';
+
+const PortalStatement = () => {
+  const [range, setRange] = useState({
+    from: format(subMonths(new Date(), 3), 'yyyy-MM-dd'),
+    to: format(new Date(), 'yyyy-MM-dd')
+  });
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchStatement();
+  }, []);
+
+  const fetchStatement = async () => {
+    try {
+      setLoading(true);
+      const response = await portalAPI.getStatement({ from: range.from || undefined, to: range.to || undefined });
+      setStatement(response.data.data);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load statement');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    fetchStatement();
+  };
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-4 flex flex-wrap items-end gap-4 print:hidden">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            type="date"
+            value={range.from}
+            onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            type="date"
+            value={range.to}
+            onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+          />
+        </div>
+        <button
+          type="submit"
+          className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+        >
+          Show statement
+        </button>
+        <button
+          type="button"
+          onClick={() => window.print()}
+          disabled={!statement}
+          className="ml-auto inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Printer className="h-4 w-4 mr-2" />
+          Print
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : statement && (
+        <StatementDocument statement={statement} />
+      )}
+    </div>
+  );
+};
+
+export default PortalStatement;
@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Download, Printer, FileText } from 'lucide-react';
+import { publicAPI } from '../services/api';
+import InvoiceDocument from '../components/InvoiceDocument';
+
+// Read-only invoice opened by a client through a share link, laid out to print on a single page
+const PublicInvoice = () => {
+  const { token } = useParams();
+  const [invoice, setInvoice] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchInvoice = async () => {
+      try {
+        const response = await publicAPI.getInvoice(token);
+        setInvoice(response.data.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'This invoice could not be loaded');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInvoice();
+  }, [token]);
+
+  const handleDownloadPdf = async () => {
+    try {
+      const response = await publicAPI.downloadPdf(token);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.invoiceNumber}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('The PDF could not be downloaded, please try again later');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!invoice) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <FileText className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+          <p className="text-lg font-medium text-gray-900">{error}</p>
+          <p className="text-sm text-gray-500">Please ask the sender for a new link</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 print:bg-white print:py-0">
+      <div className="max-w-4xl mx-auto px-4 space-y-4">
+        <div className="flex justify-end space-x-3 print:hidden">
+          <button
+            onClick={() => window.print()}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </button>
+          <button
+            onClick={handleDownloadPdf}
+            className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Download PDF
+          </button>
+        </div>
+        {error && <p className="text-sm text-red-600 text-right print:hidden">{error}</p>}
+
+        <InvoiceDocument invoice={invoice} />
+      </div>
+    </div>
+  );
+};
+
+export default PublicInvoice;
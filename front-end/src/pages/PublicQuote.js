@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import { Printer, FileText, CheckCircle, XCircle } from 'lucide-react';
+import { publicAPI } from '../services/api';
+import QuoteDocument from '../components/QuoteDocument';
+import { format } from 'date-fns';
+
+// Quote opened by a client through the link it was sent with, where they accept or decline it
+const PublicQuote = () => {
+  const { token } = useParams();
+  const [quote, setQuote] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [mode, setMode] = useState('');
+  const [name, setName] = useState('');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchQuote = async () => {
+      try {
+        const response = await publicAPI.getQuote(token);
+        setQuote(response.data.data);
+      } catch (err) {
+        setError(err.response?.data?.error || 'This quote could not be loaded');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchQuote();
+  }, [token]);
+
+  const handleRespond = async (e) => {
+    e.preventDefault();
+
+    if (mode === 'accept' && !name.trim()) {
+      setError('Type your name to accept the quote');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = mode === 'accept'
+        ? await publicAPI.acceptQuote(token, name.trim())
+        : await publicAPI.declineQuote(token, reason.trim() || undefined);
+      setQuote(response.data.data);
+      setMode('');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Your answer could not be recorded, please try again later');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!quote) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="text-center">
+          <FileText className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+          <p className="text-lg font-medium text-gray-900">{error}</p>
+          <p className="text-sm text-gray-500">Please ask the sender for a new quote</p>
+        </div>
+      </div>
+    );
+  }
+
+  const canRespond = quote.status === 'sent' && new Date(quote.validUntil) >= new Date(format(new Date(), 'yyyy-MM-dd'));
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 print:bg-white print:py-0">
+      <div className="max-w-4xl mx-auto px-4 space-y-4">
+        <div className="flex justify-end space-x-3 print:hidden">
+          <button
+            onClick={() => window.print()}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </button>
+          {canRespond && (
+            <>
+              <button
+                onClick={() => setMode('decline')}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-red-600 bg-white hover:bg-red-50"
+              >
+                <XCircle className="h-4 w-4 mr-2" />
+                Decline
+              </button>
+              <button
+                onClick={() => setMode('accept')}
+                className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700"
+              >
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Accept Quote
+              </button>
+            </>
+          )}
+        </div>
+
+        {canRespond && mode && (
+          <form onSubmit={handleRespond} className="bg-white rounded-lg shadow p-6 flex items-end gap-4 print:hidden">
+            <div className="flex-1">
+              {mode === 'accept' ? (
+                <>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Your full name *
+                  </label>
+                  <input
+                    type="text"
+                    required
+                    autoFocus
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    By typing your name you accept this quote for {quote.client.name}
+                  </p>
+                </>
+              ) : (
+                <>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Reason (optional)
+                  </label>
+                  <input
+                    type="text"
+                    autoFocus
+                    placeholder="Let us know why, so we can improve our offer"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  />
+                </>
+              )}
+            </div>
+            <button
+              type="button"
+              onClick={() => setMode('')}
+              className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={submitting}
+              className={`px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white disabled:opacity-50 ${
+                mode === 'accept' ? 'bg-primary-600 hover:bg-primary-700' : 'bg-red-600 hover:bg-red-700'
+              }`}
+            >
+              {mode === 'accept' ? 'Accept Quote' : 'Decline Quote'}
+            </button>
+          </form>
+        )}
+
+        {quote.status === 'accepted' && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800 print:hidden">
+            Accepted{quote.acceptedName && ` by ${quote.acceptedName}`}
+            {quote.acceptedAt && ` on ${format(new Date(quote.acceptedAt), 'MMMM dd, yyyy')}`}. Thank you, we will be in touch with your invoice.
+          </div>
+        )}
+        {quote.status === 'declined' && (
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm text-gray-700 print:hidden">
+            You declined this quote{quote.declinedAt && ` on ${format(new Date(quote.declinedAt), 'MMMM dd, yyyy')}`}.
+          </div>
+        )}
+        {!canRespond && ['sent', 'expired'].includes(quote.status) && (
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm text-gray-700 print:hidden">
+            This quote has expired. Please ask the sender for a new one.
+          </div>
+        )}
+        {error && <p className="text-sm text-red-600 text-right print:hidden">{error}</p>}
+
+        <QuoteDocument quote={quote} />
+      </div>
+    </div>
+  );
+};
+
+export default PublicQuote;
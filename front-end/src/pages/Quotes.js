@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  FileSignature,
+  Eye,
+  Edit,
+  ChevronLeft,
+  ChevronRight
+} from 'lucide-react';
+import { quoteAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/currency';
+import { QUOTE_STATUSES, QUOTE_STATUS_LABELS, quoteStatusLabel, quoteStatusStyle } from '../utils/quoteStatus';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+
+const Quotes = () => {
+  const [quotes, setQuotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [statusFilter, setStatusFilter] = useState('');
+
+  useEffect(() => {
+    fetchQuotes();
+  }, [currentPage, statusFilter]);
+
+  const fetchQuotes = async () => {
+    try {
+      setLoading(true);
+      const response = await quoteAPI.getAll({
+        page: currentPage,
+        limit: 10,
+        ...(statusFilter && { status: statusFilter })
+      });
+      const data = response.data.data;
+
+      setQuotes(data.quotes || []);
+      setTotalPages(data.links?.totalPages || 1);
+      setTotal(data.links?.total || 0);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load quotes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStatusFilterChange = (value) => {
+    setStatusFilter(value);
+    setCurrentPage(1); // Reset to first page when filtering
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Quotes</h1>
+          <p className="text-gray-600">
+            Estimates your clients accept online before you invoice them
+          </p>
+        </div>
+        <Link
+          to="/quotes/create"
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
+        >
+          <FileSignature className="h-4 w-4 mr-2" />
+          Create Quote
+        </Link>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <select
+          value={statusFilter}
+          onChange={(e) => handleStatusFilterChange(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+        >
+          <option value="">All Status</option>
+          {QUOTE_STATUSES.map(status => (
+            <option key={status} value={status}>{QUOTE_STATUS_LABELS[status]}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Quotes Table */}
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">
+              Quote List ({total} quotes)
+            </h3>
+          </div>
+
+          {quotes.length === 0 ? (
+            <div className="p-6 text-center text-gray-500">
+              <FileSignature className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+              <p className="text-lg font-medium">No quotes found</p>
+              <p className="text-sm">Create a quote and send it to your client to accept</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Quote
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Client
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Date
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Valid Until
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Amount
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Status
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {quotes.map((quote) => (
+                    <tr key={quote._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {quote.quoteNumber}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {quote.client?.name || 'Unknown Client'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {format(new Date(quote.issueDate), 'MMM dd, yyyy')}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {format(new Date(quote.validUntil), 'MMM dd, yyyy')}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {formatCurrency(quote.total, quote.currency)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${quoteStatusStyle(quote)}`}>
+                          {quoteStatusLabel(quote)}
+                        </span>
+                        {quote.invoice && (
+                          <Link to={`/invoices/${quote.invoice._id}`} className="ml-2 text-xs text-primary-600 hover:text-primary-900">
+                            {quote.invoice.invoiceNumber}
+                          </Link>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex items-center space-x-2">
+                          <Link
+                            to={`/quotes/${quote._id}`}
+                            className="text-primary-600 hover:text-primary-700"
+                          >
+                            <Eye className="h-4 w-4" />
+                          </Link>
+                          {['draft', 'sent', 'expired'].includes(quote.status) && (
+                            <Link
+                              to={`/quotes/${quote._id}/edit`}
+                              className="p-2 text-gray-400 hover:text-gray-600 transition-colors"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </Link>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="bg-white rounded-lg shadow px-6 py-4">
+          <div className="flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Page {currentPage} of {totalPages}
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
+                disabled={currentPage === 1}
+                className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
+                disabled={currentPage === totalPages}
+                className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <ChevronRight className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Quotes;
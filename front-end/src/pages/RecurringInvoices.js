@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Repeat,
+  Plus,
+  Pause,
+  Play,
+  Send,
+  Trash2
+} from 'lucide-react';
+import { recurringInvoiceAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/currency';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  paused: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-gray-100 text-gray-800'
+};
+
+const describeInterval = ({ unit, every }) => (
+  every === 1 ? `Every ${unit}` : `Every ${every} ${unit}s`
+);
+
+const describeEnd = (schedule) => {
+  const conditions = [];
+  if (schedule.endDate) {
+    conditions.push(`until ${format(new Date(schedule.endDate), 'MMM dd, yyyy')}`);
+  }
+  if (schedule.maxOccurrences) {
+    conditions.push(`${schedule.occurrences} of ${schedule.maxOccurrences} issued`);
+  }
+  return conditions.length > 0 ? conditions.join(', ') : 'No end date';
+};
+
+const RecurringInvoices = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [statusFilter]);
+
+  const fetchSchedules = async () => {
+    try {
+      setLoading(true);
+      const response = await recurringInvoiceAPI.getAll(statusFilter ? { status: statusFilter } : {});
+      setSchedules(response.data.data || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load recurring invoices');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStatusChange = async (schedule, status) => {
+    try {
+      setBusyId(schedule._id);
+      await recurringInvoiceAPI.updateStatus(schedule._id, status);
+      toast.success(status === 'paused' ? 'Schedule paused' : 'Schedule resumed');
+      fetchSchedules();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to update schedule');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRunNow = async (schedule) => {
+    if (window.confirm(`Issue an invoice from "${schedule.name}" now? The schedule itself is not moved.`)) {
+      try {
+        setBusyId(schedule._id);
+        const response = await recurringInvoiceAPI.runNow(schedule._id);
+        toast.success(`Invoice ${response.data.data.invoiceNumber} created`);
+        fetchSchedules();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to generate invoice');
+        fetchSchedules();
+      } finally {
+        setBusyId(null);
+      }
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (window.confirm(`Delete "${schedule.name}"? Invoices it already generated are kept.`)) {
+      try {
+        await recurringInvoiceAPI.delete(schedule._id);
+        toast.success('Recurring invoice deleted');
+        fetchSchedules();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to delete recurring invoice');
+      }
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Recurring Invoices</h1>
+          <p className="text-gray-600">
+            Schedules issue a new invoice automatically each time they are due
+          </p>
+        </div>
+        <Link
+          to="/invoices/create"
+          className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          New Schedule
+        </Link>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+        >
+          <option value="">All Status</option>
+          <option value="active">Active</option>
+          <option value="paused">Paused</option>
+          <option value="completed">Completed</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : schedules.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-6 text-center text-gray-500">
+          <Repeat className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+          <p className="text-lg font-medium">No recurring invoices found</p>
+          <p className="text-sm">Tick "Repeat this invoice" when creating an invoice to set one up</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {schedules.map(schedule => (
+            <div key={schedule._id} className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-start justify-between">
+                <div>
+                  <div className="flex items-center space-x-3">
+                    <h3 className="text-lg font-medium text-gray-900">{schedule.name}</h3>
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${STATUS_STYLES[schedule.status]}`}>
+                      {schedule.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {schedule.client?.name || 'Unknown client'} &middot; {describeInterval(schedule.interval)} &middot; due {schedule.paymentTermsDays} days after issue
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {schedule.status === 'completed'
+                      ? `Completed after ${schedule.occurrences} invoice${schedule.occurrences === 1 ? '' : 's'}`
+                      : `Next invoice ${format(new Date(schedule.nextRunDate), 'MMM dd, yyyy')}`} &middot; {describeEnd(schedule)}
+                  </p>
+                </div>
+
+                <div className="flex items-center space-x-2">
+                  {schedule.status === 'active' && (
+                    <button
+                      onClick={() => handleStatusChange(schedule, 'paused')}
+                      disabled={busyId === schedule._id}
+                      title="Pause"
+                      className="p-2 text-gray-400 hover:text-gray-600 disabled:opacity-50"
+                    >
+                      <Pause className="h-4 w-4" />
+                    </button>
+                  )}
+                  {schedule.status === 'paused' && (
+                    <button
+                      onClick={() => handleStatusChange(schedule, 'active')}
+                      disabled={busyId === schedule._id}
+                      title="Resume"
+                      className="p-2 text-gray-400 hover:text-gray-600 disabled:opacity-50"
+                    >
+                      <Play className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRunNow(schedule)}
+                    disabled={busyId === schedule._id}
+                    title="Issue an invoice now"
+                    className="p-2 text-primary-400 hover:text-primary-600 disabled:opacity-50"
+                  >
+                    <Send className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(schedule)}
+                    title="Delete"
+                    className="p-2 text-red-400 hover:text-red-600"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+
+              {/* Recent Runs */}
+              <div className="mt-4 border-t border-gray-200 pt-4">
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Recent invoices</h4>
+                {schedule.runs.length === 0 ? (
+                  <p className="text-sm text-gray-500">No invoices generated yet</p>
+                ) : (
+                  <ul className="space-y-1">
+                    {[...schedule.runs].reverse().map(run => (
+                      <li key={run._id} className="flex items-center justify-between text-sm">
+                        <span className="text-gray-600">
+                          {format(new Date(run.runDate), 'MMM dd, yyyy')}{run.manual && ' (manual)'}
+                        </span>
+                        {run.status === 'created' && run.invoice ? (
+                          <Link to={`/invoices/${run.invoice._id}`} className="text-primary-600 hover:text-primary-900">
+                            {run.invoice.invoiceNumber} &middot; {formatCurrency(run.invoice.total, run.invoice.currency)}
+                          </Link>
+                        ) : run.status === 'created' ? (
+                          <span className="text-gray-500">Invoice deleted</span>
+                        ) : (
+                          <span className="text-red-600">Failed: {run.error}{run.attempts > 1 && ` (${run.attempts} attempts)`}</span>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurringInvoices;
@@ -9,39 +9,61 @@ import {
   MapPin,
   Calendar,
   FileText,
-  DollarSign
+  DollarSign,
+  Receipt,
+  KeyRound,
+  Ban,
+  Printer
 } from 'lucide-react';
-import { clientAPI, invoiceAPI } from '../services/api';
+import { clientAPI, invoiceAPI, creditNoteAPI } from '../services/api';
 import { Link } from 'react-router-dom';
 import { handleApiError } from '../utils/errorHandler';
+import { useAppContext } from '../context/AppContext';
+import { formatCurrency, toBaseAmount } from '../utils/currency';
+import { isOpenStatus, statusLabel, statusStyle } from '../utils/invoiceStatus';
+import StatementDocument from '../components/StatementDocument';
 import toast from 'react-hot-toast';
-import { format } from 'date-fns';
+import { format, subMonths } from 'date-fns';
 
 const SingleClient = () => {
+  const { baseCurrency } = useAppContext();
   const { id } = useParams();
   const navigate = useNavigate();
   const [client, setClient] = useState(null);
   const [invoices, setInvoices] = useState([]);
+  const [creditNotes, setCreditNotes] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [portalBusy, setPortalBusy] = useState(false);
+  // Shown when the invitation could not be emailed so it can be passed on another way
+  const [inviteUrl, setInviteUrl] = useState('');
+  const [statementRange, setStatementRange] = useState({
+    from: format(subMonths(new Date(), 3), 'yyyy-MM-dd'),
+    to: format(new Date(), 'yyyy-MM-dd')
+  });
+  const [statement, setStatement] = useState(null);
+  const [statementLoading, setStatementLoading] = useState(false);
 
   useEffect(() => {
     fetchClientData();
+    setStatement(null);
   }, [id]);
 
   const fetchClientData = async () => {
     try {
       setLoading(true);
-      const [clientResponse, invoicesResponse] = await Promise.all([
+      const [clientResponse, invoicesResponse, creditNotesResponse] = await Promise.all([
         clientAPI.getById(id),
-        invoiceAPI.getAll({ limit: 100 })
+        invoiceAPI.getAll({ limit: 100 }),
+        creditNoteAPI.getAll({ clientId: id })
       ]);
       
       setClient(clientResponse.data.data);
+      setCreditNotes(creditNotesResponse.data.data || []);
       
       // Filter invoices for this client
       const allInvoices = invoicesResponse.data.data.invoices || [];
       const clientInvoices = allInvoices.filter(invoice => 
-        invoice.client && invoice.client._id === id
+        invoice.client && invoice.client._id === id && invoice.status !== 'draft'
       );
       setInvoices(clientInvoices);
     } catch (error) {
@@ -52,16 +74,76 @@ const SingleClient = () => {
     }
   };
 
+  const handleShowStatement = async (e) => {
+    e.preventDefault();
+
+    try {
+      setStatementLoading(true);
+      const response = await clientAPI.getStatement(id, {
+        from: statementRange.from || undefined,
+        to: statementRange.to || undefined
+      });
+      setStatement(response.data.data);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load statement');
+    } finally {
+      setStatementLoading(false);
+    }
+  };
+
+  const handlePortalInvite = async () => {
+    const resending = client.portal?.enabled || client.portal?.invitedAt;
+    if (resending && !window.confirm('Send a new invitation? The client will be signed out of the portal until they accept it.')) {
+      return;
+    }
+
+    try {
+      setPortalBusy(true);
+      const response = await clientAPI.inviteToPortal(id);
+      const { client: updated, inviteUrl: url, emailed } = response.data.data;
+      setClient(prev => ({ ...prev, portal: updated.portal }));
+      setInviteUrl(emailed ? '' : url);
+      if (emailed) {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to send portal invitation');
+    } finally {
+      setPortalBusy(false);
+    }
+  };
+
+  const handleRevokePortal = async () => {
+    if (!window.confirm('Revoke portal access? The client will be signed out and their password removed.')) {
+      return;
+    }
+
+    try {
+      setPortalBusy(true);
+      const response = await clientAPI.revokePortalAccess(id);
+      setClient(prev => ({ ...prev, portal: response.data.data.portal }));
+      setInviteUrl('');
+      toast.success('Portal access revoked successfully!');
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to revoke portal access');
+    } finally {
+      setPortalBusy(false);
+    }
+  };
+
   const calculateClientStats = () => {
-    const totalInvoices = invoices.length;
-    const paidInvoices = invoices.filter(inv => inv.status === 'paid').length;
-    const unpaidInvoices = totalInvoices - paidInvoices;
-    const totalRevenue = invoices
-      .filter(inv => inv.status === 'paid')
-      .reduce((sum, inv) => sum + inv.total, 0);
-    const outstandingAmount = invoices
-      .filter(inv => inv.status === 'unpaid')
-      .reduce((sum, inv) => sum + inv.total, 0);
+    // Void invoices stay listed for audit but are left out of the figures
+    const billedInvoices = invoices.filter(inv => inv.status !== 'void');
+    const totalInvoices = billedInvoices.length;
+    const paidInvoices = billedInvoices.filter(inv => ['paid', 'credited'].includes(inv.status)).length;
+    const unpaidInvoices = billedInvoices.filter(inv => isOpenStatus(inv.status)).length;
+    const totalRevenue = billedInvoices
+      .reduce((sum, inv) => sum + toBaseAmount(inv, (inv.amountPaid || 0) - (inv.refundedAmount || 0)), 0);
+    const outstandingAmount = billedInvoices
+      .filter(inv => inv.status !== 'paid')
+      .reduce((sum, inv) => sum + toBaseAmount(inv, inv.balanceDue ?? inv.total), 0);
 
     return {
       totalInvoices,
@@ -95,7 +177,7 @@ const SingleClient = () => {
   return (
     <div className="space-y-6">
       {/* Header */}
-      <div className="flex items-center justify-between">
+      <div className="flex items-center justify-between print:hidden">
         <div className="flex items-center space-x-4">
           <button
             onClick={() => navigate('/clients')}
@@ -127,7 +209,7 @@ const SingleClient = () => {
         </div>
       </div>
 
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 print:hidden">
         {/* Client Information */}
         <div className="lg:col-span-2 space-y-6">
           {/* Basic Information */}
@@ -173,6 +255,14 @@ const SingleClient = () => {
                   </div>
                 </div>
               )}
+
+              <div className="flex items-center">
+                <DollarSign className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Invoice Currency</p>
+                  <p className="text-sm text-gray-900">{client.currency || baseCurrency}</p>
+                </div>
+              </div>
             </div>
           </div>
 
@@ -193,7 +283,7 @@ const SingleClient = () => {
                 <div className="text-sm text-gray-600">Unpaid Invoices</div>
               </div>
               <div className="text-center">
-                <div className="text-2xl font-bold text-green-600">${stats.totalRevenue.toLocaleString()}</div>
+                <div className="text-2xl font-bold text-green-600">{formatCurrency(stats.totalRevenue, baseCurrency)}</div>
                 <div className="text-sm text-gray-600">Total Revenue</div>
               </div>
             </div>
@@ -204,7 +294,7 @@ const SingleClient = () => {
                   <DollarSign className="h-5 w-5 text-yellow-600 mr-2" />
                   <div>
                     <p className="text-sm font-medium text-yellow-800">Outstanding Amount</p>
-                    <p className="text-lg font-bold text-yellow-800">${stats.outstandingAmount.toLocaleString()}</p>
+                    <p className="text-lg font-bold text-yellow-800">{formatCurrency(stats.outstandingAmount, baseCurrency)}</p>
                   </div>
                 </div>
               </div>
@@ -239,15 +329,11 @@ const SingleClient = () => {
                       </div>
                     </div>
                     <div className="flex items-center space-x-3">
-                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                        invoice.status === 'paid' 
-                          ? 'bg-green-100 text-green-800' 
-                          : 'bg-yellow-100 text-yellow-800'
-                      }`}>
-                        {invoice.status}
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusStyle(invoice)}`}>
+                        {statusLabel(invoice)}
                       </span>
                       <span className="text-sm font-medium text-gray-900">
-                        ${invoice.total.toLocaleString()}
+                        {formatCurrency(invoice.total, invoice.currency)}
                       </span>
                       <Link
                         to={`/invoices/${invoice._id}`}
@@ -261,10 +347,104 @@ const SingleClient = () => {
               </div>
             )}
           </div>
+
+          {/* Credit Notes */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Credit Notes</h3>
+            {creditNotes.length === 0 ? (
+              <p className="text-gray-500 text-center py-4">No credit notes issued to this client</p>
+            ) : (
+              <div className="space-y-3">
+                {creditNotes.map((creditNote) => (
+                  <div key={creditNote._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg">
+                    <div className="flex items-center">
+                      <Receipt className="h-5 w-5 text-gray-400 mr-3" />
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{creditNote.creditNoteNumber}</p>
+                        <p className="text-xs text-gray-600">
+                          {format(new Date(creditNote.issueDate), 'MMM dd, yyyy')} - {creditNote.reason}
+                        </p>
+                      </div>
+                    </div>
+                    <div className="flex items-center space-x-3">
+                      <span className="text-sm font-medium text-red-600">
+                        -{formatCurrency(creditNote.total, creditNote.currency)}
+                      </span>
+                      {creditNote.invoice && (
+                        <Link
+                          to={`/invoices/${creditNote.invoice._id}`}
+                          className="text-sm text-primary-600 hover:text-primary-700"
+                        >
+                          {creditNote.invoice.invoiceNumber}
+                        </Link>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
         </div>
 
         {/* Client Timeline */}
         <div className="space-y-6">
+          {/* Client Portal */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Client Portal</h3>
+            <div className="space-y-1 text-sm text-gray-700">
+              {client.portal?.enabled ? (
+                <>
+                  <p className="font-medium text-green-700">Active</p>
+                  {client.portal.activatedAt && (
+                    <p>Joined {format(new Date(client.portal.activatedAt), 'MMM dd, yyyy')}</p>
+                  )}
+                  <p>
+                    {client.portal.lastLoginAt
+                      ? `Last signed in ${format(new Date(client.portal.lastLoginAt), 'MMM dd, yyyy HH:mm')}`
+                      : 'Has not signed in yet'}
+                  </p>
+                </>
+              ) : client.portal?.invitedAt ? (
+                <p>Invited {format(new Date(client.portal.invitedAt), 'MMM dd, yyyy HH:mm')}, not accepted yet</p>
+              ) : (
+                <p className="text-gray-500">Not invited. Invited clients can see their invoices, balances and statements.</p>
+              )}
+            </div>
+
+            {inviteUrl && (
+              <div className="mt-3">
+                <p className="text-xs text-gray-500 mb-1">The email failed. Send the client this link another way:</p>
+                <input
+                  readOnly
+                  value={inviteUrl}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full px-2 py-1 text-xs border border-gray-300 rounded-md"
+                />
+              </div>
+            )}
+
+            <div className="mt-4 flex flex-wrap gap-2">
+              <button
+                onClick={handlePortalInvite}
+                disabled={portalBusy || client.status !== 'active'}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <KeyRound className="h-4 w-4 mr-2" />
+                {client.portal?.enabled || client.portal?.invitedAt ? 'Resend Invitation' : 'Invite to Portal'}
+              </button>
+              {(client.portal?.enabled || client.portal?.invitedAt) && (
+                <button
+                  onClick={handleRevokePortal}
+                  disabled={portalBusy}
+                  className="inline-flex items-center px-3 py-2 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50 disabled:opacity-50"
+                >
+                  <Ban className="h-4 w-4 mr-2" />
+                  Revoke Access
+                </button>
+              )}
+            </div>
+          </div>
+
           <div className="bg-white rounded-lg shadow p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4">Client Timeline</h3>
             <div className="space-y-3">
@@ -293,6 +473,58 @@ const SingleClient = () => {
           </div>
         </div>
       </div>
+
+      {/* Statement of Account; printing the page prints the statement only */}
+      <form onSubmit={handleShowStatement} className="bg-white rounded-lg shadow p-6 print:hidden">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Statement of Account</h3>
+        <div className="flex flex-wrap items-end gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+            <input
+              type="date"
+              value={statementRange.from}
+              onChange={(e) => setStatementRange(prev => ({ ...prev, from: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+            <input
+              type="date"
+              value={statementRange.to}
+              onChange={(e) => setStatementRange(prev => ({ ...prev, to: e.target.value }))}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={statementLoading}
+            className="px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            Show statement
+          </button>
+          <button
+            type="button"
+            onClick={() => window.print()}
+            disabled={!statement}
+            className="ml-auto inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Invoices, payments, credit notes and write-offs in the period, with the balance carried in from before it
+        </p>
+      </form>
+
+      {statementLoading ? (
+        <div className="flex items-center justify-center h-32 print:hidden">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      ) : statement && (
+        <StatementDocument statement={statement} />
+      )}
     </div>
   );
 };
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import { 
   FileText, 
   ArrowLeft, 
@@ -9,21 +9,94 @@ import {
   DollarSign,
   Package,
   CheckCircle,
-  XCircle
+  XCircle,
+  Download,
+  Banknote,
+  Trash2,
+  Receipt,
+  Send,
+  Ban,
+  Eye,
+  FileX,
+  Bell,
+  Mail,
+  Link2,
+  Copy,
+  Paperclip,
+  Upload
 } from 'lucide-react';
 import { invoiceAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
+import { useAppContext } from '../context/AppContext';
+import { useAuth } from '../context/AuthContext';
+import { formatCurrency } from '../utils/currency';
+import { STATUS_LABELS, isOpenStatus, statusLabel, statusStyle } from '../utils/invoiceStatus';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
 
+const PAYMENT_METHODS = {
+  bank_transfer: 'Bank transfer',
+  card: 'Card',
+  cash: 'Cash',
+  cheque: 'Cheque',
+  other: 'Other'
+};
+
+const EMAIL_STATUS_STYLES = {
+  sending: 'bg-yellow-100 text-yellow-800',
+  sent: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+const emptyPayment = () => ({
+  amount: '',
+  date: format(new Date(), 'yyyy-MM-dd'),
+  method: 'bank_transfer',
+  reference: ''
+});
+
+const emptyCredit = () => ({
+  quantities: {},
+  amount: '',
+  reason: '',
+  restock: true,
+  refundMethod: 'bank_transfer',
+  refundReference: ''
+});
+
 const SingleInvoice = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { baseCurrency } = useAppContext();
+  const { isStaff } = useAuth();
   const [invoice, setInvoice] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [payments, setPayments] = useState([]);
+  const [paymentForm, setPaymentForm] = useState(emptyPayment);
+  const [recordingPayment, setRecordingPayment] = useState(false);
+  const [creditNotes, setCreditNotes] = useState([]);
+  const [showCreditForm, setShowCreditForm] = useState(false);
+  const [creditForm, setCreditForm] = useState(emptyCredit);
+  const [issuingCredit, setIssuingCredit] = useState(false);
+  const [showVoidForm, setShowVoidForm] = useState(false);
+  const [voidReason, setVoidReason] = useState('');
+  const [voiding, setVoiding] = useState(false);
+  const [showWriteOffForm, setShowWriteOffForm] = useState(false);
+  const [writeOffReason, setWriteOffReason] = useState('');
+  const [writingOff, setWritingOff] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [shareLinks, setShareLinks] = useState([]);
+  const [shareExpiryDays, setShareExpiryDays] = useState(30);
+  const [creatingLink, setCreatingLink] = useState(false);
+  const [uploading, setUploading] = useState(false);
 
   useEffect(() => {
     fetchInvoice();
+    fetchPayments();
+    fetchCreditNotes();
+    if (isStaff()) {
+      fetchShareLinks();
+    }
   }, [id]);
 
   const fetchInvoice = async () => {
@@ -39,16 +112,340 @@ const SingleInvoice = () => {
     }
   };
 
+  const fetchPayments = async () => {
+    try {
+      const response = await invoiceAPI.getPayments(id);
+      setPayments(response.data.data || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load payments');
+    }
+  };
+
+  const fetchCreditNotes = async () => {
+    try {
+      const response = await invoiceAPI.getCreditNotes(id);
+      setCreditNotes(response.data.data || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load credit notes');
+    }
+  };
+
+  const fetchShareLinks = async () => {
+    try {
+      const response = await invoiceAPI.getShareLinks(id);
+      setShareLinks(response.data.data || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load share links');
+    }
+  };
+
+  const handleCreateShareLink = async () => {
+    try {
+      setCreatingLink(true);
+      const response = await invoiceAPI.createShareLink(id, parseInt(shareExpiryDays, 10));
+      await copyShareLink(response.data.data.url);
+      fetchShareLinks();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to create share link');
+    } finally {
+      setCreatingLink(false);
+    }
+  };
+
+  const copyShareLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied to clipboard');
+    } catch (error) {
+      window.prompt('Copy the link below', url);
+    }
+  };
+
+  const handleRevokeShareLink = async (linkId) => {
+    if (window.confirm('Revoke this link? Anyone using it will no longer be able to open the invoice.')) {
+      try {
+        await invoiceAPI.revokeShareLink(id, linkId);
+        toast.success('Link revoked');
+        fetchShareLinks();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to revoke link');
+      }
+    }
+  };
+
   const handleStatusUpdate = async (newStatus) => {
     try {
       await invoiceAPI.updateStatus(id, newStatus);
-      toast.success(`Invoice marked as ${newStatus}`);
+      toast.success(newStatus === 'sent' ? 'Invoice reopened' : `Invoice marked as ${STATUS_LABELS[newStatus].toLowerCase()}`);
       fetchInvoice(); // Refresh the data
+      fetchPayments();
     } catch (error) {
       handleApiError(error, toast, 'Failed to update invoice status');
     }
   };
 
+  const handleIssue = async () => {
+    if (window.confirm('Issue this invoice? It gets its number, stock is taken and it can no longer be edited.')) {
+      try {
+        await invoiceAPI.issue(id);
+        toast.success('Invoice issued successfully!');
+        fetchInvoice();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to issue invoice');
+      }
+    }
+  };
+
+  const handleSend = async () => {
+    const message = invoice.status === 'draft'
+      ? `Issue this invoice and email it to ${invoice.client.email}? It can no longer be edited once issued.`
+      : `Email this invoice to ${invoice.client.email}?`;
+    if (window.confirm(message)) {
+      try {
+        setSending(true);
+        await invoiceAPI.send(id);
+        toast.success('Invoice emailed successfully!');
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to email invoice');
+      } finally {
+        setSending(false);
+        fetchInvoice();
+      }
+    }
+  };
+
+  const handleDeleteDraft = async () => {
+    if (window.confirm('Delete this draft?')) {
+      try {
+        await invoiceAPI.delete(id);
+        toast.success('Draft deleted');
+        navigate('/invoices');
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to delete draft');
+      }
+    }
+  };
+
+  const handleVoid = async (e) => {
+    e.preventDefault();
+
+    if (!voidReason.trim()) {
+      toast.error('Please enter a reason');
+      return;
+    }
+
+    try {
+      setVoiding(true);
+      await invoiceAPI.void(id, voidReason.trim());
+      toast.success('Invoice voided and stock returned');
+      setShowVoidForm(false);
+      setVoidReason('');
+      fetchInvoice();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to void invoice');
+    } finally {
+      setVoiding(false);
+    }
+  };
+
+  const handleWriteOff = async (e) => {
+    e.preventDefault();
+
+    if (!writeOffReason.trim()) {
+      toast.error('Please enter a reason');
+      return;
+    }
+
+    if (window.confirm(`Write off the remaining ${formatCurrency(invoice.balanceDue, invoice.currency)}? This cannot be undone.`)) {
+      try {
+        setWritingOff(true);
+        await invoiceAPI.updateStatus(id, 'written_off', writeOffReason.trim());
+        toast.success('Invoice written off');
+        setShowWriteOffForm(false);
+        setWriteOffReason('');
+        fetchInvoice();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to write off invoice');
+      } finally {
+        setWritingOff(false);
+      }
+    }
+  };
+
+  const handlePaymentChange = (field, value) => {
+    setPaymentForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleRecordPayment = async (e) => {
+    e.preventDefault();
+
+    const amount = parseFloat(paymentForm.amount);
+    if (!amount || amount <= 0) {
+      toast.error('Please enter a payment amount');
+      return;
+    }
+    if (amount > invoice.balanceDue) {
+      toast.error(`Payment exceeds the balance due of ${formatCurrency(invoice.balanceDue, invoice.currency)}`);
+      return;
+    }
+
+    try {
+      setRecordingPayment(true);
+      await invoiceAPI.recordPayment(id, {
+        amount,
+        date: paymentForm.date,
+        method: paymentForm.method,
+        reference: paymentForm.reference.trim() || undefined
+      });
+      toast.success('Payment recorded successfully!');
+      setPaymentForm(emptyPayment());
+      fetchInvoice();
+      fetchPayments();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to record payment');
+    } finally {
+      setRecordingPayment(false);
+    }
+  };
+
+  const handleDeletePayment = async (paymentId) => {
+    if (window.confirm('Delete this payment? The amount will be added back to the balance due.')) {
+      try {
+        await invoiceAPI.deletePayment(id, paymentId);
+        toast.success('Payment deleted');
+        fetchInvoice();
+        fetchPayments();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to delete payment');
+      }
+    }
+  };
+
+  const handleCreditQuantityChange = (lineId, value) => {
+    setCreditForm(prev => ({
+      ...prev,
+      quantities: { ...prev.quantities, [lineId]: value }
+    }));
+  };
+
+  const handleCreditChange = (field, value) => {
+    setCreditForm(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleIssueCredit = async (e) => {
+    e.preventDefault();
+
+    const lines = Object.entries(creditForm.quantities)
+      .map(([lineId, quantity]) => ({ lineId, quantity: parseInt(quantity, 10) }))
+      .filter(line => line.quantity > 0);
+    const amount = parseFloat(creditForm.amount) || 0;
+
+    if (lines.length === 0 && amount <= 0) {
+      toast.error('Select quantities or enter an amount to credit');
+      return;
+    }
+    if (!creditForm.reason.trim()) {
+      toast.error('Please enter a reason');
+      return;
+    }
+
+    try {
+      setIssuingCredit(true);
+      const hasPayments = invoice.amountPaid - (invoice.refundedAmount || 0) > 0;
+      await invoiceAPI.createCreditNote(id, {
+        lines,
+        amount,
+        reason: creditForm.reason.trim(),
+        restock: creditForm.restock,
+        refund: hasPayments
+          ? { method: creditForm.refundMethod, reference: creditForm.refundReference.trim() || undefined }
+          : undefined
+      });
+      toast.success('Credit note issued successfully!');
+      setCreditForm(emptyCredit());
+      setShowCreditForm(false);
+      fetchInvoice();
+      fetchCreditNotes();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to issue credit note');
+    } finally {
+      setIssuingCredit(false);
+    }
+  };
+
+  const handleDownloadPdf = async () => {
+    try {
+      const response = await invoiceAPI.downloadPdf(id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${invoice.invoiceNumber || 'draft'}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to download invoice PDF');
+    }
+  };
+
+  const handleUploadAttachment = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setUploading(true);
+      const response = await invoiceAPI.uploadAttachment(id, file);
+      setInvoice(prev => ({ ...prev, attachments: [...(prev.attachments || []), response.data.data] }));
+      toast.success('Attachment uploaded');
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to upload attachment');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownloadAttachment = async (attachment) => {
+    try {
+      const response = await invoiceAPI.downloadAttachment(id, attachment._id);
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: attachment.contentType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to download attachment');
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    if (window.confirm(`Remove ${attachment.fileName} from this invoice?`)) {
+      try {
+        const response = await invoiceAPI.deleteAttachment(id, attachment._id);
+        setInvoice(prev => ({ ...prev, attachments: response.data.data || [] }));
+        toast.success('Attachment removed');
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to remove attachment');
+      }
+    }
+  };
+
+  const formatFileSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -67,6 +464,13 @@ const SingleInvoice = () => {
     );
   }
 
+  const creditedQuantities = creditNotes.reduce((quantities, creditNote) => {
+    creditNote.lines.forEach(line => {
+      quantities[line.lineItem] = (quantities[line.lineItem] || 0) + line.quantity;
+    });
+    return quantities;
+  }, {});
+
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -79,35 +483,207 @@ const SingleInvoice = () => {
             <ArrowLeft className="h-5 w-5" />
           </button>
           <div>
-            <h1 className="text-2xl font-bold text-gray-900">{invoice.invoiceNumber}</h1>
-            <p className="text-gray-600">Invoice Details</p>
+            <h1 className="text-2xl font-bold text-gray-900">{invoice.invoiceNumber || 'Draft Invoice'}</h1>
+            <p className="text-gray-600">
+              Invoice Details
+              {invoice.recurringInvoice && isStaff() && (
+                <> &middot; <Link to="/recurring-invoices" className="text-primary-600 hover:text-primary-900">generated by a recurring schedule</Link></>
+              )}
+              {invoice.quote && isStaff() && (
+                <> &middot; <Link to={`/quotes/${invoice.quote._id}`} className="text-primary-600 hover:text-primary-900">converted from quote {invoice.quote.quoteNumber}</Link></>
+              )}
+            </p>
           </div>
         </div>
         
         <div className="flex items-center space-x-3">
-          <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${
-            invoice.status === 'paid' 
-              ? 'bg-green-100 text-green-800' 
-              : 'bg-yellow-100 text-yellow-800'
-          }`}>
+          <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${statusStyle(invoice)}`}>
             {invoice.status === 'paid' ? (
               <CheckCircle className="h-4 w-4 mr-1" />
             ) : (
               <XCircle className="h-4 w-4 mr-1" />
             )}
-            {invoice.status}
+            {statusLabel(invoice)}
           </span>
           
           <button
-            onClick={() => handleStatusUpdate(invoice.status === 'paid' ? 'unpaid' : 'paid')}
+            onClick={handleDownloadPdf}
             className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
           >
-            <Edit className="h-4 w-4 mr-2" />
-            Mark as {invoice.status === 'paid' ? 'Unpaid' : 'Paid'}
+            <Download className="h-4 w-4 mr-2" />
+            Download PDF
           </button>
+
+          {invoice.status === 'draft' && (
+            <>
+              <Link
+                to={`/invoices/${id}/edit`}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+              >
+                <Edit className="h-4 w-4 mr-2" />
+                Edit
+              </Link>
+              <button
+                onClick={handleDeleteDraft}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-red-600 hover:bg-red-50"
+              >
+                <Trash2 className="h-4 w-4 mr-2" />
+                Delete
+              </button>
+              <button
+                onClick={handleIssue}
+                className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700"
+              >
+                <Send className="h-4 w-4 mr-2" />
+                Issue Invoice
+              </button>
+            </>
+          )}
+
+          {isStaff() && invoice.status !== 'void' && invoice.client?.email && (
+            <button
+              onClick={handleSend}
+              disabled={sending}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Mail className="h-4 w-4 mr-2" />
+              {invoice.status === 'draft' ? 'Issue & Email' : 'Email to Client'}
+            </button>
+          )}
+
+          {/* Only invoices nothing was paid or credited against can be voided */}
+          {isStaff() && isOpenStatus(invoice.status) && !(invoice.amountPaid > 0) && !(invoice.creditedAmount > 0) && (
+            <button
+              onClick={() => setShowVoidForm(!showVoidForm)}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-red-600 hover:bg-red-50"
+            >
+              <Ban className="h-4 w-4 mr-2" />
+              Void
+            </button>
+          )}
+
+          {/* Open invoices the client will never pay are written off rather than voided, the goods were delivered */}
+          {isStaff() && isOpenStatus(invoice.status) && invoice.balanceDue > 0 && (
+            <button
+              onClick={() => setShowWriteOffForm(!showWriteOffForm)}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-orange-600 hover:bg-orange-50"
+            >
+              <FileX className="h-4 w-4 mr-2" />
+              Write Off
+            </button>
+          )}
+
+          {!['draft', 'credited', 'void', 'written_off'].includes(invoice.status) && (
+            <button
+              onClick={() => setShowCreditForm(!showCreditForm)}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <Receipt className="h-4 w-4 mr-2" />
+              Issue Credit Note
+            </button>
+          )}
+
+          {/* Clients who confirm they received the invoice some other way than opening it */}
+          {['issued', 'sent'].includes(invoice.status) && (
+            <button
+              onClick={() => handleStatusUpdate('viewed')}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <Eye className="h-4 w-4 mr-2" />
+              Mark as Viewed
+            </button>
+          )}
+
+          {/* Invoices with recorded payments are reopened by deleting payments instead */}
+          {(isOpenStatus(invoice.status) || (invoice.status === 'paid' && payments.length === 0)) && (
+            <button
+              onClick={() => handleStatusUpdate(invoice.status === 'paid' ? 'sent' : 'paid')}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <Edit className="h-4 w-4 mr-2" />
+              {invoice.status === 'paid' ? 'Reopen' : 'Mark as Paid'}
+            </button>
+          )}
         </div>
       </div>
 
+      {/* Void */}
+      {showVoidForm && isOpenStatus(invoice.status) && (
+        <form onSubmit={handleVoid} className="bg-white rounded-lg shadow p-6 flex items-end gap-4">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Reason for voiding *
+            </label>
+            <input
+              type="text"
+              required
+              placeholder="e.g. Raised against the wrong client"
+              value={voidReason}
+              onChange={(e) => setVoidReason(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">The invoice is kept for audit, its stock is returned and it no longer counts as owed</p>
+          </div>
+          <button
+            type="submit"
+            disabled={voiding}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+          >
+            <Ban className="h-4 w-4 mr-2" />
+            Void Invoice
+          </button>
+        </form>
+      )}
+
+      {/* Write Off */}
+      {showWriteOffForm && isOpenStatus(invoice.status) && (
+        <form onSubmit={handleWriteOff} className="bg-white rounded-lg shadow p-6 flex items-end gap-4">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Reason for writing off *
+            </label>
+            <input
+              type="text"
+              required
+              placeholder="e.g. Client went out of business"
+              value={writeOffReason}
+              onChange={(e) => setWriteOffReason(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              The remaining {formatCurrency(invoice.balanceDue, invoice.currency)} stops counting as owed; payments already recorded are kept
+            </p>
+          </div>
+          <button
+            type="submit"
+            disabled={writingOff}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-orange-600 hover:bg-orange-700 disabled:opacity-50"
+          >
+            <FileX className="h-4 w-4 mr-2" />
+            Write Off Invoice
+          </button>
+        </form>
+      )}
+
+      {invoice.status === 'written_off' && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 text-sm text-orange-800">
+          <p className="font-medium">
+            {formatCurrency(invoice.writtenOffAmount, invoice.currency)} written off
+          </p>
+          <p>{invoice.statusHistory?.filter(entry => entry.status === 'written_off').pop()?.note}</p>
+        </div>
+      )}
+
+      {invoice.status === 'void' && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm text-gray-700">
+          <p className="font-medium">
+            Voided {invoice.voidedAt && format(new Date(invoice.voidedAt), 'MMM dd, yyyy HH:mm')}
+            {invoice.voidedBy?.name && ` by ${invoice.voidedBy.name}`}
+          </p>
+          <p>{invoice.voidReason}</p>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Invoice Details */}
         <div className="lg:col-span-2 space-y-6">
@@ -140,8 +716,13 @@ const SingleInvoice = () => {
                 <div>
                   <p className="text-sm font-medium text-gray-700">Total Amount</p>
                   <p className="text-lg font-bold text-gray-900">
-                    ${invoice.total.toLocaleString()}
+                    {formatCurrency(invoice.total, invoice.currency)}
                   </p>
+                  {invoice.exchangeRate && invoice.exchangeRate !== 1 && (
+                    <p className="text-xs text-gray-500">
+                      Exchange rate at issue: 1 {invoice.currency} = {invoice.exchangeRate} {baseCurrency}
+                    </p>
+                  )}
                 </div>
               </div>
               
@@ -149,7 +730,7 @@ const SingleInvoice = () => {
                 <FileText className="h-5 w-5 text-gray-400 mr-3" />
                 <div>
                   <p className="text-sm font-medium text-gray-700">Invoice Number</p>
-                  <p className="text-sm text-gray-900">{invoice.invoiceNumber}</p>
+                  <p className="text-sm text-gray-900">{invoice.invoiceNumber || 'Allocated when issued'}</p>
                 </div>
               </div>
             </div>
@@ -160,18 +741,33 @@ const SingleInvoice = () => {
             <h3 className="text-lg font-medium text-gray-900 mb-4">Invoice Items</h3>
             {invoice.items && invoice.items.length > 0 ? (
               <div className="space-y-4">
-                {invoice.items.map((item, index) => (
-                  <div key={index} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                {invoice.items.map((line, index) => (
+                  <div key={line._id || index} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
                     <div className="flex items-center">
                       <Package className="h-5 w-5 text-gray-400 mr-3" />
                       <div>
-                        <p className="text-sm font-medium text-gray-900">{item.name}</p>
-                        <p className="text-sm text-gray-600">Unit Price: ${item.unitPrice}</p>
+                        <p className="text-sm font-medium text-gray-900">{line.name}</p>
+                        {line.description && (
+                          <p className="text-sm text-gray-500">{line.description}</p>
+                        )}
+                        <p className="text-sm text-gray-600">
+                          {line.quantity} x {formatCurrency(line.unitPrice, invoice.currency)}
+                        </p>
+                        {line.discountAmount > 0 && (
+                          <p className="text-xs text-green-700">
+                            Less {line.discount?.type === 'percentage' ? `${line.discount.value}% ` : ''}discount (-{formatCurrency(line.discountAmount, invoice.currency)})
+                          </p>
+                        )}
+                        {line.taxes && line.taxes.length > 0 && (
+                          <p className="text-xs text-gray-500">
+                            {line.taxes.map(tax => `${tax.name} ${tax.percentage}%`).join(', ')}
+                          </p>
+                        )}
                       </div>
                     </div>
                     <div className="text-right">
                       <p className="text-sm font-medium text-gray-900">
-                        ${(item.unitPrice * (item.quantity || 1)).toLocaleString()}
+                        {formatCurrency(line.lineTotal, invoice.currency)}
                       </p>
                     </div>
                   </div>
@@ -181,6 +777,375 @@ const SingleInvoice = () => {
               <p className="text-gray-500 text-center py-4">No items found</p>
             )}
           </div>
+
+          {/* Summary */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Summary</h3>
+            <div className="space-y-2">
+              {invoice.discountTotal > 0 && (
+                <>
+                  <div className="flex justify-between text-sm text-gray-700">
+                    <span>Items</span>
+                    <span>{formatCurrency(invoice.items.reduce((sum, line) => sum + line.lineTotal, 0), invoice.currency)}</span>
+                  </div>
+                  {invoice.discountTotal > invoice.discountAmount && (
+                    <div className="flex justify-between text-sm text-green-700">
+                      <span>Line discounts</span>
+                      <span>-{formatCurrency(invoice.discountTotal - invoice.discountAmount, invoice.currency)}</span>
+                    </div>
+                  )}
+                  {invoice.discountAmount > 0 && (
+                    <div className="flex justify-between text-sm text-green-700">
+                      <span>
+                        Invoice discount{invoice.discount?.type === 'percentage' && ` (${invoice.discount.value}%)`}
+                      </span>
+                      <span>-{formatCurrency(invoice.discountAmount, invoice.currency)}</span>
+                    </div>
+                  )}
+                </>
+              )}
+              <div className="flex justify-between text-sm text-gray-700">
+                <span>Subtotal{invoice.taxInclusive && ' (excl. tax)'}</span>
+                <span>{formatCurrency(invoice.subtotal ?? invoice.total, invoice.currency)}</span>
+              </div>
+              {(invoice.taxes || []).map(tax => (
+                <div key={tax.taxRate} className="flex justify-between text-sm text-gray-700">
+                  <span>{tax.name} ({tax.percentage}%{tax.compound ? ', compound' : ''})</span>
+                  <span>{formatCurrency(tax.amount, invoice.currency)}</span>
+                </div>
+              ))}
+              {(invoice.lateFees || []).map(fee => (
+                <div key={fee._id} className="flex justify-between text-sm text-red-700">
+                  <span>
+                    {fee.description}
+                    <span className="text-xs text-gray-500"> ({format(new Date(fee.chargedAt), 'MMM dd, yyyy')})</span>
+                  </span>
+                  <span>{formatCurrency(fee.amount, invoice.currency)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between pt-2 border-t border-gray-200 text-base font-bold text-gray-900">
+                <span>Total</span>
+                <span>{formatCurrency(invoice.total, invoice.currency)}</span>
+              </div>
+              {(invoice.amountPaid > 0 || invoice.creditedAmount > 0) && (
+                <>
+                  {invoice.creditedAmount > 0 && (
+                    <div className="flex justify-between text-sm text-gray-700">
+                      <span>Credited</span>
+                      <span>-{formatCurrency(invoice.creditedAmount, invoice.currency)}</span>
+                    </div>
+                  )}
+                  {invoice.amountPaid > 0 && (
+                    <div className="flex justify-between text-sm text-gray-700">
+                      <span>Amount paid{invoice.refundedAmount > 0 && ` (less ${formatCurrency(invoice.refundedAmount, invoice.currency)} refunded)`}</span>
+                      <span>-{formatCurrency(invoice.amountPaid - (invoice.refundedAmount || 0), invoice.currency)}</span>
+                    </div>
+                  )}
+                  <div className="flex justify-between text-base font-bold text-gray-900">
+                    <span>Balance due</span>
+                    <span>{formatCurrency(invoice.balanceDue, invoice.currency)}</span>
+                  </div>
+                </>
+              )}
+              {invoice.taxInclusive && (
+                <p className="text-xs text-gray-500 text-right">Prices include tax</p>
+              )}
+            </div>
+          </div>
+
+          {/* Notes & Terms */}
+          {(invoice.notes || invoice.terms || invoice.footer) && (
+            <div className="bg-white rounded-lg shadow p-6 space-y-4">
+              <h3 className="text-lg font-medium text-gray-900">Notes & Terms</h3>
+              {invoice.notes && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Notes</p>
+                  <p className="text-sm text-gray-900 whitespace-pre-line">{invoice.notes}</p>
+                </div>
+              )}
+              {invoice.terms && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Payment Terms</p>
+                  <p className="text-sm text-gray-900 whitespace-pre-line">{invoice.terms}</p>
+                </div>
+              )}
+              {invoice.footer && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Footer</p>
+                  <p className="text-sm text-gray-500 whitespace-pre-line">{invoice.footer}</p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Drafts are not payable or creditable until they are issued */}
+          {invoice.status !== 'draft' && (
+            <>
+              {/* Payments */}
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Payments</h3>
+
+                {invoice.balanceDue > 0 && (
+                  <form onSubmit={handleRecordPayment} className="grid grid-cols-1 md:grid-cols-5 gap-4 items-end mb-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Amount ({invoice.currency}) *
+                      </label>
+                      <input
+                        type="number"
+                        required
+                        min="0.01"
+                        max={invoice.balanceDue}
+                        step="0.01"
+                        placeholder={invoice.balanceDue}
+                        value={paymentForm.amount}
+                        onChange={(e) => handlePaymentChange('amount', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Date *
+                      </label>
+                      <input
+                        type="date"
+                        required
+                        value={paymentForm.date}
+                        onChange={(e) => handlePaymentChange('date', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Method *
+                      </label>
+                      <select
+                        value={paymentForm.method}
+                        onChange={(e) => handlePaymentChange('method', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                      >
+                        {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                          <option key={value} value={value}>{label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Reference
+                      </label>
+                      <input
+                        type="text"
+                        value={paymentForm.reference}
+                        onChange={(e) => handlePaymentChange('reference', e.target.value)}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                      />
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={recordingPayment}
+                      className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                    >
+                      <Banknote className="h-4 w-4 mr-2" />
+                      Record
+                    </button>
+                  </form>
+                )}
+
+                {payments.length > 0 ? (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                          <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reference</th>
+                          <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                          <th className="px-4 py-2"></th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-gray-200">
+                        {payments.map(payment => (
+                          <tr key={payment._id}>
+                            <td className="px-4 py-2 text-sm text-gray-900">
+                              {format(new Date(payment.date), 'MMM dd, yyyy')}
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-900">
+                              {PAYMENT_METHODS[payment.method] || payment.method}
+                            </td>
+                            <td className="px-4 py-2 text-sm text-gray-600">
+                              {payment.reference || '-'}
+                              {payment.recordedBy?.name && (
+                                <p className="text-xs text-gray-500">Recorded by {payment.recordedBy.name}</p>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-sm font-medium text-gray-900 text-right">
+                              {formatCurrency(payment.amount, payment.currency)}
+                            </td>
+                            <td className="px-4 py-2 text-right">
+                              <button
+                                onClick={() => handleDeletePayment(payment._id)}
+                                className="p-1 text-red-400 hover:text-red-600"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <p className="text-gray-500 text-center py-4">No payments recorded</p>
+                )}
+              </div>
+
+              {/* Credit Notes */}
+              <div className="bg-white rounded-lg shadow p-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Credit Notes</h3>
+
+                {showCreditForm && (
+                  <form onSubmit={handleIssueCredit} className="space-y-4 mb-6 p-4 border border-gray-200 rounded-lg">
+                    <div className="space-y-2">
+                      {invoice.items.map(line => {
+                        const remaining = line.quantity - (creditedQuantities[line._id] || 0);
+                        return (
+                          <div key={line._id} className="flex items-center justify-between">
+                            <span className="text-sm text-gray-700">
+                              {line.name} <span className="text-gray-500">({remaining} of {line.quantity} creditable)</span>
+                            </span>
+                            <input
+                              type="number"
+                              min="0"
+                              max={remaining}
+                              step="1"
+                              disabled={remaining === 0}
+                              placeholder="0"
+                              value={creditForm.quantities[line._id] || ''}
+                              onChange={(e) => handleCreditQuantityChange(line._id, e.target.value)}
+                              className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500 disabled:bg-gray-100"
+                            />
+                          </div>
+                        );
+                      })}
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Additional amount ({invoice.currency})
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={creditForm.amount}
+                          onChange={(e) => handleCreditChange('amount', e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Reason *
+                        </label>
+                        <input
+                          type="text"
+                          required
+                          value={creditForm.reason}
+                          onChange={(e) => handleCreditChange('reason', e.target.value)}
+                          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                        />
+                      </div>
+                    </div>
+
+                    {invoice.amountPaid - (invoice.refundedAmount || 0) > 0 && (
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Refund method
+                          </label>
+                          <select
+                            value={creditForm.refundMethod}
+                            onChange={(e) => handleCreditChange('refundMethod', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                          >
+                            {Object.entries(PAYMENT_METHODS).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                          <p className="text-xs text-gray-500 mt-1">Used if the credit exceeds the balance due</p>
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Refund reference
+                          </label>
+                          <input
+                            type="text"
+                            value={creditForm.refundReference}
+                            onChange={(e) => handleCreditChange('refundReference', e.target.value)}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    <div className="flex items-center justify-between">
+                      <label className="inline-flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={creditForm.restock}
+                          onChange={(e) => handleCreditChange('restock', e.target.checked)}
+                          className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                        />
+                        Return credited items to stock
+                      </label>
+                      <button
+                        type="submit"
+                        disabled={issuingCredit}
+                        className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                      >
+                        <Receipt className="h-4 w-4 mr-2" />
+                        Issue Credit Note
+                      </button>
+                    </div>
+                  </form>
+                )}
+
+                {creditNotes.length > 0 ? (
+                  <div className="space-y-3">
+                    {creditNotes.map(creditNote => (
+                      <div key={creditNote._id} className="p-4 border border-gray-200 rounded-lg">
+                        <div className="flex items-center justify-between">
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">{creditNote.creditNoteNumber}</p>
+                            <p className="text-xs text-gray-600">
+                              {format(new Date(creditNote.issueDate), 'MMM dd, yyyy')} - {creditNote.reason}
+                            </p>
+                          </div>
+                          <span className="text-sm font-medium text-red-600">
+                            -{formatCurrency(creditNote.total, creditNote.currency)}
+                          </span>
+                        </div>
+                        {creditNote.lines.length > 0 && (
+                          <p className="text-xs text-gray-500 mt-2">
+                            {creditNote.lines.map(line => `${line.quantity} x ${line.name}`).join(', ')}
+                            {creditNote.restocked && ' (returned to stock)'}
+                          </p>
+                        )}
+                        {creditNote.refund?.amount > 0 && (
+                          <p className="text-xs text-gray-500">
+                            Refunded {formatCurrency(creditNote.refund.amount, creditNote.currency)} by {PAYMENT_METHODS[creditNote.refund.method] || creditNote.refund.method}
+                            {creditNote.refund.reference && ` (${creditNote.refund.reference})`}
+                          </p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="text-gray-500 text-center py-4">No credit notes issued</p>
+                )}
+              </div>
+            </>
+          )}
         </div>
 
         {/* Client Information */}
@@ -244,6 +1209,20 @@ const SingleInvoice = () => {
                 </div>
               </div>
               
+              {(invoice.statusHistory || []).map((entry, index) => (
+                <div key={index} className="flex items-start">
+                  <div className={`w-2 h-2 rounded-full mr-3 mt-1.5 ${['void', 'written_off', 'overdue'].includes(entry.status) ? 'bg-red-500' : 'bg-primary-500'}`}></div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{STATUS_LABELS[entry.status] || entry.status}</p>
+                    <p className="text-xs text-gray-600">
+                      {format(new Date(entry.at), 'MMM dd, yyyy HH:mm')}
+                      {entry.by?.name && ` by ${entry.by.name}`}
+                    </p>
+                    {entry.note && <p className="text-xs text-gray-500">{entry.note}</p>}
+                  </div>
+                </div>
+              ))}
+
               {invoice.updatedAt && invoice.updatedAt !== invoice.createdAt && (
                 <div className="flex items-center">
                   <div className="w-2 h-2 bg-blue-500 rounded-full mr-3"></div>
@@ -257,6 +1236,184 @@ const SingleInvoice = () => {
               )}
             </div>
           </div>
+
+          {/* Email Deliveries */}
+          {isStaff() && invoice.deliveries?.length > 0 && (
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Emailed</h3>
+              <div className="space-y-3">
+                {invoice.deliveries.map(delivery => (
+                  <div key={delivery._id} className="flex items-start">
+                    <Mail className="h-4 w-4 text-gray-400 mr-3 mt-0.5" />
+                    <div className="min-w-0">
+                      <div className="flex items-center">
+                        <p className="text-sm font-medium text-gray-900 truncate">{delivery.to}</p>
+                        <span className={`ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${EMAIL_STATUS_STYLES[delivery.status] || 'bg-gray-100 text-gray-800'}`}>
+                          {delivery.status}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-600">
+                        {format(new Date(delivery.sentAt), 'MMM dd, yyyy HH:mm')}
+                        {delivery.sentBy?.name && ` by ${delivery.sentBy.name}`}
+                      </p>
+                      {delivery.error && <p className="text-xs text-red-500">{delivery.error}</p>}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Share Links */}
+          {isStaff() && invoice.status !== 'draft' && (
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Share Links</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Anyone with a link can view and print this invoice without logging in until it expires or is revoked.
+              </p>
+              <div className="flex items-center space-x-2 mb-4">
+                <select
+                  value={shareExpiryDays}
+                  onChange={(e) => setShareExpiryDays(e.target.value)}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+                >
+                  {[7, 30, 90, 365].map(days => (
+                    <option key={days} value={days}>Expires in {days} days</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleCreateShareLink}
+                  disabled={creatingLink}
+                  className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+                >
+                  <Link2 className="h-4 w-4 mr-2" />
+                  Create
+                </button>
+              </div>
+              {shareLinks.length > 0 ? (
+                <div className="space-y-3">
+                  {shareLinks.map(link => (
+                    <div key={link._id} className="flex items-start justify-between">
+                      <div>
+                        <p className={`text-sm font-medium ${link.state === 'active' ? 'text-gray-900' : 'text-gray-400'}`}>
+                          {link.state === 'active' && `Expires ${format(new Date(link.expiresAt), 'MMM dd, yyyy')}`}
+                          {link.state === 'expired' && `Expired ${format(new Date(link.expiresAt), 'MMM dd, yyyy')}`}
+                          {link.state === 'revoked' && `Revoked ${format(new Date(link.revokedAt), 'MMM dd, yyyy')}${link.revokedBy?.name ? ` by ${link.revokedBy.name}` : ''}`}
+                        </p>
+                        <p className="text-xs text-gray-600">
+                          Created {format(new Date(link.createdAt), 'MMM dd, yyyy')}
+                          {link.createdBy?.name && ` by ${link.createdBy.name}`}
+                        </p>
+                        <p className="text-xs text-gray-500">
+                          {link.viewCount > 0
+                            ? `Opened ${link.viewCount} time${link.viewCount === 1 ? '' : 's'}, last ${format(new Date(link.lastViewedAt), 'MMM dd, yyyy HH:mm')}`
+                            : 'Not opened yet'}
+                        </p>
+                      </div>
+                      {link.state === 'active' && (
+                        <div className="flex items-center space-x-1">
+                          <button
+                            onClick={() => copyShareLink(link.url)}
+                            title="Copy link"
+                            className="p-1 text-gray-400 hover:text-gray-600"
+                          >
+                            <Copy className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => handleRevokeShareLink(link._id)}
+                            title="Revoke"
+                            className="p-1 text-red-400 hover:text-red-600"
+                          >
+                            <Ban className="h-4 w-4" />
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-gray-500 text-center py-4">No links shared</p>
+              )}
+            </div>
+          )}
+
+          {/* Attachments */}
+          {isStaff() && (
+            <div className="bg-white rounded-lg shadow p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Attachments</h3>
+                <label className={`inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 cursor-pointer ${uploading ? 'opacity-50 pointer-events-none' : ''}`}>
+                  <Upload className="h-4 w-4 mr-2" />
+                  {uploading ? 'Uploading...' : 'Upload'}
+                  <input type="file" onChange={handleUploadAttachment} className="hidden" />
+                </label>
+              </div>
+              {invoice.attachments?.length > 0 ? (
+                <div className="space-y-3">
+                  {invoice.attachments.map(attachment => (
+                    <div key={attachment._id} className="flex items-start justify-between">
+                      <button
+                        onClick={() => handleDownloadAttachment(attachment)}
+                        className="flex items-start text-left min-w-0"
+                      >
+                        <Paperclip className="h-4 w-4 text-gray-400 mr-2 mt-0.5 flex-shrink-0" />
+                        <div className="min-w-0">
+                          <p className="text-sm font-medium text-primary-600 hover:text-primary-900 truncate">{attachment.fileName}</p>
+                          <p className="text-xs text-gray-500">
+                            {formatFileSize(attachment.size)} &middot; {format(new Date(attachment.uploadedAt), 'MMM dd, yyyy')}
+                          </p>
+                        </div>
+                      </button>
+                      <button
+                        onClick={() => handleDeleteAttachment(attachment)}
+                        title="Remove"
+                        className="p-1 text-red-400 hover:text-red-600"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-gray-500 text-center py-4">No files attached</p>
+              )}
+            </div>
+          )}
+
+          {/* Payment Reminders */}
+          {isStaff() && invoice.status !== 'draft' && (
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Reminders</h3>
+              {isOpenStatus(invoice.status) && invoice.client && !invoice.client.email && (
+                <p className="text-xs text-orange-600 mb-3">
+                  This client has no email address, so no reminders will be sent.
+                </p>
+              )}
+              {invoice.reminders?.length > 0 ? (
+                <div className="space-y-3">
+                  {invoice.reminders.map(reminder => (
+                    <div key={reminder._id} className="flex items-start">
+                      <Bell className="h-4 w-4 text-gray-400 mr-3 mt-0.5" />
+                      <div className="min-w-0">
+                        <div className="flex items-center">
+                          <p className="text-sm font-medium text-gray-900 truncate">{reminder.subject}</p>
+                          <span className={`ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${EMAIL_STATUS_STYLES[reminder.status] || 'bg-gray-100 text-gray-800'}`}>
+                            {reminder.status}
+                          </span>
+                        </div>
+                        <p className="text-xs text-gray-600">
+                          {format(new Date(reminder.sentAt), 'MMM dd, yyyy HH:mm')} to {reminder.to}
+                        </p>
+                        {reminder.error && <p className="text-xs text-red-500">{reminder.error}</p>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-gray-500 text-center py-4">No reminders sent</p>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -15,10 +15,14 @@ import {
 import { itemAPI, invoiceAPI } from '../services/api';
 import { Link } from 'react-router-dom';
 import { handleApiError } from '../utils/errorHandler';
+import { useAppContext } from '../context/AppContext';
+import { formatCurrency, toBaseAmount } from '../utils/currency';
+import { statusLabel, statusStyle } from '../utils/invoiceStatus';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
 
 const SingleItem = () => {
+  const { baseCurrency } = useAppContext();
   const { id } = useParams();
   const navigate = useNavigate();
   const [item, setItem] = useState(null);
@@ -42,7 +46,7 @@ const SingleItem = () => {
       // Filter invoices that contain this item
       const allInvoices = invoicesResponse.data.data.invoices || [];
       const itemInvoices = allInvoices.filter(invoice => 
-        invoice.items && invoice.items.some(invItem => invItem._id === id)
+        invoice.status !== 'draft' && invoice.items && invoice.items.some(line => line.item === id)
       );
       setInvoices(itemInvoices);
     } catch (error) {
@@ -64,17 +68,16 @@ const SingleItem = () => {
   };
 
   const calculateItemStats = () => {
-    const totalInvoices = invoices.length;
-    const totalQuantitySold = invoices.reduce((sum, invoice) => {
-      const itemInInvoice = invoice.items.find(invItem => invItem._id === id);
-      return sum + (itemInInvoice ? (itemInInvoice.quantity || 1) : 0);
+    // Void invoices stay listed for audit, but their stock was returned
+    const billedInvoices = invoices.filter(invoice => invoice.status !== 'void');
+    const totalInvoices = billedInvoices.length;
+    const totalQuantitySold = billedInvoices.reduce((sum, invoice) => {
+      const itemLines = invoice.items.filter(line => line.item === id);
+      return sum + itemLines.reduce((lineSum, line) => lineSum + line.quantity, 0);
     }, 0);
-    const totalRevenue = invoices.reduce((sum, invoice) => {
-      const itemInInvoice = invoice.items.find(invItem => invItem._id === id);
-      if (itemInInvoice && item.unitPrice) {
-        return sum + (itemInInvoice.quantity || 1) * item.unitPrice;
-      }
-      return sum;
+    const totalRevenue = billedInvoices.reduce((sum, invoice) => {
+      const itemLines = invoice.items.filter(line => line.item === id);
+      return sum + itemLines.reduce((lineSum, line) => lineSum + toBaseAmount(invoice, line.lineTotal), 0);
     }, 0);
 
     return {
@@ -173,7 +176,7 @@ const SingleItem = () => {
                 <DollarSign className="h-5 w-5 text-gray-400 mr-3" />
                 <div>
                   <p className="text-sm font-medium text-gray-700">Unit Price</p>
-                  <p className="text-lg font-bold text-gray-900">${item.unitPrice.toLocaleString()}</p>
+                  <p className="text-lg font-bold text-gray-900">{formatCurrency(item.unitPrice, baseCurrency)}</p>
                 </div>
               </div>
               
@@ -195,7 +198,7 @@ const SingleItem = () => {
                 <div>
                   <p className="text-sm font-medium text-gray-700">Total Value</p>
                   <p className="text-lg font-bold text-gray-900">
-                    ${(item.unitPrice * item.quantity).toLocaleString()}
+                    {formatCurrency(item.unitPrice * item.quantity, baseCurrency)}
                   </p>
                 </div>
               </div>
@@ -215,7 +218,7 @@ const SingleItem = () => {
                 <div className="text-sm text-gray-600">Units Sold</div>
               </div>
               <div className="text-center">
-                <div className="text-2xl font-bold text-green-600">${stats.totalRevenue.toLocaleString()}</div>
+                <div className="text-2xl font-bold text-green-600">{formatCurrency(stats.totalRevenue, baseCurrency)}</div>
                 <div className="text-sm text-gray-600">Total Revenue</div>
               </div>
             </div>
@@ -238,7 +241,7 @@ const SingleItem = () => {
             ) : (
               <div className="space-y-3">
                 {invoices.slice(0, 5).map((invoice) => {
-                  const itemInInvoice = invoice.items.find(invItem => invItem._id === id);
+                  const itemInInvoice = invoice.items.find(line => line.item === id);
                   return (
                     <div key={invoice._id} className="flex items-center justify-between p-3 border border-gray-200 rounded-lg hover:bg-gray-50">
                       <div className="flex items-center">
@@ -251,15 +254,11 @@ const SingleItem = () => {
                         </div>
                       </div>
                       <div className="flex items-center space-x-3">
-                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                          invoice.status === 'paid' 
-                            ? 'bg-green-100 text-green-800' 
-                            : 'bg-yellow-100 text-yellow-800'
-                        }`}>
-                          {invoice.status}
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${statusStyle(invoice)}`}>
+                          {statusLabel(invoice)}
                         </span>
                         <span className="text-sm font-medium text-gray-900">
-                          ${itemInInvoice ? (itemInInvoice.quantity * item.unitPrice).toLocaleString() : '0'}
+                          {formatCurrency(itemInInvoice ? itemInInvoice.lineTotal : 0, invoice.currency)}
                         </span>
                         <Link
                           to={`/invoices/${invoice._id}`}
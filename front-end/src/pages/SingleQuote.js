@@ -0,0 +1,502 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import {
+  FileSignature,
+  ArrowLeft,
+  Edit,
+  User,
+  Calendar,
+  DollarSign,
+  Package,
+  Trash2,
+  Send,
+  Mail,
+  CheckCircle,
+  XCircle,
+  FileText,
+  Link2,
+  Copy
+} from 'lucide-react';
+import { quoteAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import { formatCurrency } from '../utils/currency';
+import { QUOTE_STATUS_LABELS, quoteStatusLabel, quoteStatusStyle } from '../utils/quoteStatus';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+
+const SingleQuote = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [quote, setQuote] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [showDeclineForm, setShowDeclineForm] = useState(false);
+  const [declineReason, setDeclineReason] = useState('');
+
+  useEffect(() => {
+    fetchQuote();
+  }, [id]);
+
+  const fetchQuote = async () => {
+    try {
+      setLoading(true);
+      const response = await quoteAPI.getById(id);
+      setQuote(response.data.data);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load quote details');
+      navigate('/quotes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyAcceptLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied to clipboard');
+    } catch (error) {
+      window.prompt('Copy the link below', url);
+    }
+  };
+
+  const handleSend = async (email) => {
+    const message = email
+      ? `Email this quote to ${quote.client.email}? They can accept or decline it through the link in the email.`
+      : 'Mark this quote as sent without emailing it? You can then copy its link to send it yourself.';
+    if (window.confirm(message)) {
+      try {
+        setBusy(true);
+        const response = await quoteAPI.send(id, email);
+        setQuote(response.data.data);
+        toast.success(email ? 'Quote emailed successfully!' : 'Quote marked as sent');
+      } catch (error) {
+        handleApiError(error, toast, email ? 'Failed to email quote' : 'Failed to send quote');
+      } finally {
+        setBusy(false);
+        fetchQuote();
+      }
+    }
+  };
+
+  const handleAccept = async () => {
+    if (window.confirm('Record that the client accepted this quote?')) {
+      try {
+        setBusy(true);
+        await quoteAPI.updateStatus(id, 'accepted');
+        toast.success('Quote marked as accepted');
+        fetchQuote();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to update quote status');
+      } finally {
+        setBusy(false);
+      }
+    }
+  };
+
+  const handleDecline = async (e) => {
+    e.preventDefault();
+
+    try {
+      setBusy(true);
+      await quoteAPI.updateStatus(id, 'declined', declineReason.trim() || undefined);
+      toast.success('Quote marked as declined');
+      setShowDeclineForm(false);
+      setDeclineReason('');
+      fetchQuote();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to update quote status');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleConvert = async () => {
+    if (window.confirm('Convert this quote into an invoice? The invoice is issued today at the quoted prices and stock is taken.')) {
+      try {
+        setBusy(true);
+        const response = await quoteAPI.convert(id);
+        toast.success(`Invoice ${response.data.data.invoiceNumber} created`);
+        navigate(`/invoices/${response.data.data._id}`);
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to convert quote');
+        fetchQuote();
+      } finally {
+        setBusy(false);
+      }
+    }
+  };
+
+  const handleDelete = async () => {
+    if (window.confirm('Delete this quote?')) {
+      try {
+        await quoteAPI.delete(id);
+        toast.success('Quote deleted');
+        navigate('/quotes');
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to delete quote');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!quote) {
+    return (
+      <div className="text-center py-12">
+        <FileSignature className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Quote not found</h3>
+        <p className="text-gray-600">The quote you're looking for doesn't exist.</p>
+      </div>
+    );
+  }
+
+  const isExpired = new Date(quote.validUntil) < new Date(format(new Date(), 'yyyy-MM-dd'));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={() => navigate('/quotes')}
+            className="p-2 text-gray-400 hover:text-gray-600"
+          >
+            <ArrowLeft className="h-5 w-5" />
+          </button>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">{quote.quoteNumber}</h1>
+            <p className="text-gray-600">
+              Quote Details
+              {quote.invoice && (
+                <> &middot; <Link to={`/invoices/${quote.invoice._id}`} className="text-primary-600 hover:text-primary-900">converted into invoice {quote.invoice.invoiceNumber}</Link></>
+              )}
+            </p>
+          </div>
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${quoteStatusStyle(quote)}`}>
+            {quoteStatusLabel(quote)}
+          </span>
+
+          {['draft', 'sent', 'expired'].includes(quote.status) && (
+            <Link
+              to={`/quotes/${id}/edit`}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              <Edit className="h-4 w-4 mr-2" />
+              Edit
+            </Link>
+          )}
+
+          {quote.status === 'draft' && !quote.sentAt && (
+            <button
+              onClick={handleDelete}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-red-600 hover:bg-red-50"
+            >
+              <Trash2 className="h-4 w-4 mr-2" />
+              Delete
+            </button>
+          )}
+
+          {quote.status === 'draft' && !isExpired && (
+            <button
+              onClick={() => handleSend(false)}
+              disabled={busy}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Send className="h-4 w-4 mr-2" />
+              Mark as Sent
+            </button>
+          )}
+
+          {['draft', 'sent'].includes(quote.status) && !isExpired && quote.client?.email && (
+            <button
+              onClick={() => handleSend(true)}
+              disabled={busy}
+              className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Mail className="h-4 w-4 mr-2" />
+              {quote.status === 'draft' ? 'Email to Client' : 'Email Again'}
+            </button>
+          )}
+
+          {/* Clients who answered some other way than through the link */}
+          {quote.status === 'sent' && (
+            <>
+              <button
+                onClick={() => setShowDeclineForm(!showDeclineForm)}
+                disabled={busy}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-red-600 hover:bg-red-50 disabled:opacity-50"
+              >
+                <XCircle className="h-4 w-4 mr-2" />
+                Mark Declined
+              </button>
+              <button
+                onClick={handleAccept}
+                disabled={busy}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Mark Accepted
+              </button>
+            </>
+          )}
+
+          {['sent', 'accepted'].includes(quote.status) && !quote.invoice && !(quote.status === 'sent' && isExpired) && (
+            <button
+              onClick={handleConvert}
+              disabled={busy}
+              className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+            >
+              <FileText className="h-4 w-4 mr-2" />
+              Convert to Invoice
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Decline */}
+      {showDeclineForm && quote.status === 'sent' && (
+        <form onSubmit={handleDecline} className="bg-white rounded-lg shadow p-6 flex items-end gap-4">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Reason
+            </label>
+            <input
+              type="text"
+              placeholder="e.g. Went with another supplier"
+              value={declineReason}
+              onChange={(e) => setDeclineReason(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={busy}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+          >
+            <XCircle className="h-4 w-4 mr-2" />
+            Mark as Declined
+          </button>
+        </form>
+      )}
+
+      {quote.status === 'accepted' && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800">
+          <p className="font-medium">
+            Accepted {quote.acceptedAt && format(new Date(quote.acceptedAt), 'MMM dd, yyyy HH:mm')}
+            {quote.acceptedName && ` by ${quote.acceptedName}`}
+          </p>
+          {!quote.invoice && <p>Convert it into an invoice once the work is ready to be billed.</p>}
+        </div>
+      )}
+
+      {quote.status === 'declined' && (
+        <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-sm text-gray-700">
+          <p className="font-medium">
+            Declined {quote.declinedAt && format(new Date(quote.declinedAt), 'MMM dd, yyyy HH:mm')}
+          </p>
+          {quote.declineReason && <p>{quote.declineReason}</p>}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Quote Details */}
+        <div className="lg:col-span-2 space-y-6">
+          {/* Basic Information */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Quote Information</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="flex items-center">
+                <Calendar className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Date</p>
+                  <p className="text-sm text-gray-900">
+                    {format(new Date(quote.issueDate), 'MMMM dd, yyyy')}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex items-center">
+                <Calendar className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Valid Until</p>
+                  <p className={`text-sm ${isExpired && quote.status !== 'accepted' ? 'text-red-600' : 'text-gray-900'}`}>
+                    {format(new Date(quote.validUntil), 'MMMM dd, yyyy')}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex items-center">
+                <DollarSign className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Total Amount</p>
+                  <p className="text-lg font-bold text-gray-900">
+                    {formatCurrency(quote.total, quote.currency)}
+                  </p>
+                </div>
+              </div>
+
+              <div className="flex items-center">
+                <FileText className="h-5 w-5 text-gray-400 mr-3" />
+                <div>
+                  <p className="text-sm font-medium text-gray-700">Payment Terms</p>
+                  <p className="text-sm text-gray-900">Due {quote.paymentTermsDays} days after conversion</p>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Items */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Quote Items</h3>
+            <div className="space-y-4">
+              {quote.items.map((line, index) => (
+                <div key={line._id || index} className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+                  <div className="flex items-center">
+                    <Package className="h-5 w-5 text-gray-400 mr-3" />
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{line.name}</p>
+                      {line.description && (
+                        <p className="text-sm text-gray-500">{line.description}</p>
+                      )}
+                      <p className="text-sm text-gray-600">
+                        {line.quantity} x {formatCurrency(line.unitPrice, quote.currency)}
+                      </p>
+                      {line.discountAmount > 0 && (
+                        <p className="text-xs text-green-700">
+                          Less {line.discount?.type === 'percentage' ? `${line.discount.value}% ` : ''}discount (-{formatCurrency(line.discountAmount, quote.currency)})
+                        </p>
+                      )}
+                      {line.taxes && line.taxes.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                          {line.taxes.map(tax => `${tax.name} ${tax.percentage}%`).join(', ')}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {formatCurrency(line.lineTotal, quote.currency)}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Summary */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Summary</h3>
+            <div className="space-y-2">
+              {quote.discountTotal > 0 && (
+                <div className="flex justify-between text-sm text-green-700">
+                  <span>Discounts</span>
+                  <span>-{formatCurrency(quote.discountTotal, quote.currency)}</span>
+                </div>
+              )}
+              <div className="flex justify-between text-sm text-gray-700">
+                <span>Subtotal{quote.taxInclusive && ' (excl. tax)'}</span>
+                <span>{formatCurrency(quote.subtotal ?? quote.total, quote.currency)}</span>
+              </div>
+              {(quote.taxes || []).map(tax => (
+                <div key={tax.taxRate} className="flex justify-between text-sm text-gray-700">
+                  <span>{tax.name} ({tax.percentage}%{tax.compound ? ', compound' : ''})</span>
+                  <span>{formatCurrency(tax.amount, quote.currency)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between pt-2 border-t border-gray-200 text-base font-bold text-gray-900">
+                <span>Total</span>
+                <span>{formatCurrency(quote.total, quote.currency)}</span>
+              </div>
+              {quote.taxInclusive && (
+                <p className="text-xs text-gray-500 text-right">Prices include tax</p>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-6">
+          {/* Client Information */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Client Information</h3>
+            {quote.client ? (
+              <div className="space-y-4">
+                <div className="flex items-center">
+                  <User className="h-5 w-5 text-gray-400 mr-3" />
+                  <div>
+                    <p className="text-sm font-medium text-gray-700">Name</p>
+                    <Link to={`/clients/${quote.client._id}`} className="text-sm text-primary-600 hover:text-primary-900">
+                      {quote.client.name}
+                    </Link>
+                  </div>
+                </div>
+                {quote.client.email && (
+                  <div>
+                    <p className="text-sm font-medium text-gray-700">Email</p>
+                    <p className="text-sm text-gray-900">{quote.client.email}</p>
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="text-gray-500 text-center py-4">Client information not available</p>
+            )}
+          </div>
+
+          {/* Acceptance Link */}
+          {quote.acceptUrl && (
+            <div className="bg-white rounded-lg shadow p-6">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Acceptance Link</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                The client can view, accept or decline the quote through this link until the end of its validity date. Editing the quote retires the link.
+              </p>
+              <div className="flex items-center space-x-2">
+                <Link2 className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                <p className="flex-1 text-sm text-gray-700 truncate">{quote.acceptUrl}</p>
+                <button
+                  onClick={() => copyAcceptLink(quote.acceptUrl)}
+                  title="Copy link"
+                  className="p-2 text-gray-400 hover:text-gray-600"
+                >
+                  <Copy className="h-4 w-4" />
+                </button>
+              </div>
+              {quote.viewedAt && (
+                <p className="text-xs text-gray-500 mt-2">
+                  First opened {format(new Date(quote.viewedAt), 'MMM dd, yyyy HH:mm')}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Quote Timeline */}
+          <div className="bg-white rounded-lg shadow p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Timeline</h3>
+            <div className="space-y-3">
+              {(quote.statusHistory || []).map((entry, index) => (
+                <div key={index} className="flex items-start">
+                  <div className={`w-2 h-2 rounded-full mr-3 mt-1.5 ${['declined', 'expired'].includes(entry.status) ? 'bg-red-500' : 'bg-primary-500'}`}></div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">{QUOTE_STATUS_LABELS[entry.status] || entry.status}</p>
+                    <p className="text-xs text-gray-600">
+                      {format(new Date(entry.at), 'MMM dd, yyyy HH:mm')}
+                      {entry.by?.name && ` by ${entry.by.name}`}
+                    </p>
+                    {entry.note && <p className="text-xs text-gray-500">{entry.note}</p>}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SingleQuote;
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Percent,
+  Plus,
+  Trash2
+} from 'lucide-react';
+import { taxRateAPI } from '../services/api';
+import { handleApiError } from '../utils/errorHandler';
+import toast from 'react-hot-toast';
+
+const TaxRates = () => {
+  const [taxRates, setTaxRates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState({
+    name: '',
+    percentage: '',
+    compound: false
+  });
+
+  useEffect(() => {
+    fetchTaxRates();
+  }, []);
+
+  const fetchTaxRates = async () => {
+    try {
+      setLoading(true);
+      const response = await taxRateAPI.getAll();
+      setTaxRates(response.data.data || []);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load tax rates');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim() || formData.percentage === '') {
+      toast.error('Please enter a name and percentage');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await taxRateAPI.create({
+        name: formData.name.trim(),
+        percentage: parseFloat(formData.percentage),
+        compound: formData.compound
+      });
+      toast.success('Tax rate created successfully!');
+      setFormData({ name: '', percentage: '', compound: false });
+      fetchTaxRates();
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to create tax rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (taxRateId) => {
+    if (window.confirm('Deactivate this tax rate? Existing invoices keep the rate they were issued with.')) {
+      try {
+        await taxRateAPI.delete(taxRateId);
+        toast.success('Tax rate deactivated');
+        fetchTaxRates();
+      } catch (error) {
+        handleApiError(error, toast, 'Failed to deactivate tax rate');
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Tax Rates</h1>
+        <p className="text-gray-600">Manage the VAT/GST rates applied to invoices</p>
+      </div>
+
+      {/* Create Form */}
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Add Tax Rate</h3>
+        <div className="flex flex-col md:flex-row md:items-end gap-4">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Name *
+            </label>
+            <input
+              type="text"
+              required
+              placeholder="e.g. VAT"
+              value={formData.name}
+              onChange={(e) => handleInputChange('name', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          <div className="md:w-40">
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Percentage *
+            </label>
+            <input
+              type="number"
+              required
+              min="0"
+              max="100"
+              step="0.01"
+              value={formData.percentage}
+              onChange={(e) => handleInputChange('percentage', e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+          <label className="inline-flex items-center text-sm text-gray-700 md:pb-2">
+            <input
+              type="checkbox"
+              checked={formData.compound}
+              onChange={(e) => handleInputChange('compound', e.target.checked)}
+              className="mr-2 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+            />
+            Compound
+          </label>
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            Add
+          </button>
+        </div>
+      </form>
+
+      {/* Tax Rates List */}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">
+            Active Tax Rates ({taxRates.length})
+          </h3>
+        </div>
+
+        {taxRates.length === 0 ? (
+          <div className="p-6 text-center text-gray-500">
+            <Percent className="h-12 w-12 mx-auto text-gray-400 mb-4" />
+            <p className="text-lg font-medium">No tax rates found</p>
+            <p className="text-sm">Add a tax rate to start charging tax on invoices</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {taxRates.map(taxRate => (
+              <li key={taxRate._id} className="flex items-center justify-between px-6 py-4">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{taxRate.name}</p>
+                  <p className="text-sm text-gray-600">
+                    {taxRate.percentage}%{taxRate.compound && ' - compound'}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleDelete(taxRate._id)}
+                  className="p-2 text-red-400 hover:text-red-600"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaxRates;
@@ -5,7 +5,7 @@ import {
   Save,
   ArrowLeft
 } from 'lucide-react';
-import { clientAPI } from '../services/api';
+import { clientAPI, currencyAPI } from '../services/api';
 import { handleApiError } from '../utils/errorHandler';
 import toast from 'react-hot-toast';
 
@@ -20,11 +20,14 @@ const UpdateClient = () => {
     phone_number: '',
     address: '',
     billingAddress: '',
+    currency: '',
     status: 'active'
   });
+  const [currencies, setCurrencies] = useState({ baseCurrency: '', rates: [] });
 
   useEffect(() => {
     fetchClientData();
+    fetchCurrencies();
   }, [id]);
 
   const fetchClientData = async () => {
@@ -39,6 +42,7 @@ const UpdateClient = () => {
         phone_number: client.phone_number || '',
         address: client.address || '',
         billingAddress: client.billingAddress || '',
+        currency: client.currency || '',
         status: client.status || 'active'
       });
     } catch (error) {
@@ -49,6 +53,21 @@ const UpdateClient = () => {
     }
   };
 
+  const fetchCurrencies = async () => {
+    try {
+      const response = await currencyAPI.get();
+      setCurrencies(response.data.data);
+    } catch (error) {
+      handleApiError(error, toast, 'Failed to load currencies');
+    }
+  };
+
+  // Keep a currency whose exchange rate was removed selectable for clients that still use it
+  const currencyOptions = [...new Set([
+    ...currencies.rates.map(rate => rate.currency),
+    ...(formData.currency ? [formData.currency] : [])
+  ])];
+
   const handleInputChange = (field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -175,6 +194,22 @@ const UpdateClient = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Invoice Currency
+              </label>
+              <select
+                value={formData.currency}
+                onChange={(e) => handleInputChange('currency', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value="">Base currency{currencies.baseCurrency && ` (${currencies.baseCurrency})`}</option>
+                {currencyOptions.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </div>
             
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -37,11 +37,12 @@ api.interceptors.response.use(
       console.error('Error Response Data:', error.response.data);
     }
 
-    // Handle 401 errors (unauthorized)
-    if (error.response && error.response.status === 401) {
+    // Handle 401 errors (unauthorized) by sending an expired session back to its login page
+    if (error.response && error.response.status === 401 && localStorage.getItem('token')) {
+      const isClient = (localStorage.getItem('user') || '').includes('"type":"client"');
       localStorage.removeItem('token');
       localStorage.removeItem('user');
-      window.location.href = '/login';
+      window.location.href = isClient ? '/portal/login' : '/login';
     }
     
     return Promise.reject(error);
@@ -53,6 +54,12 @@ export const authAPI = {
   // Staff authentication
   registerStaff: (data) => api.post('/auth/staff/register', data),
   loginStaff: (data) => api.post('/auth/staff/login', data),
+
+  // Client portal authentication
+  acceptClientInvite: (data) => api.post('/auth/client/accept-invite', data),
+  loginClient: (data) => api.post('/auth/client/login', data),
+  requestClientLoginLink: (email) => api.post('/auth/client/login-link', { email }),
+  loginClientWithLink: (token) => api.post('/auth/client/login-link/verify', { token }),
   
   // Get current user profile
   getProfile: () => api.get('/auth/profile'),
@@ -62,29 +69,143 @@ export const authAPI = {
 export const invoiceAPI = {
   create: (data) => api.post('/invoices/create', data),
   getAll: (params) => api.get('/invoices/list', { params }),
+  getDefaults: () => api.get('/invoices/defaults'),
+  // Takes the list filters, sortBy, sortOrder and format ('csv' or 'xlsx')
+  export: (params) => api.get('/invoices/export', { params, responseType: 'blob' }),
   getById: (id) => api.get(`/invoices/${id}`),
-  updateStatus: (id, status) => api.put(`/invoices/update-status/${id}`, { status }),
+  update: (id, data) => api.put(`/invoices/${id}`, data),
+  issue: (id) => api.post(`/invoices/${id}/issue`),
+  send: (id) => api.post(`/invoices/${id}/send`),
+  getShareLinks: (id) => api.get(`/invoices/${id}/share-links`),
+  createShareLink: (id, expiresInDays) => api.post(`/invoices/${id}/share-links`, { expiresInDays }),
+  revokeShareLink: (id, linkId) => api.delete(`/invoices/${id}/share-links/${linkId}`),
+  void: (id, reason) => api.post(`/invoices/${id}/void`, { reason }),
+  delete: (id) => api.delete(`/invoices/delete/${id}`),
+  updateStatus: (id, status, note) => api.put(`/invoices/update-status/${id}`, { status, note }),
+  downloadPdf: (id) => api.get(`/invoices/${id}/pdf`, { responseType: 'blob' }),
+  getPayments: (id) => api.get(`/invoices/${id}/payments`),
+  recordPayment: (id, data) => api.post(`/invoices/${id}/payments`, data),
+  deletePayment: (id, paymentId) => api.delete(`/invoices/${id}/payments/${paymentId}`),
+  getCreditNotes: (id) => api.get(`/invoices/${id}/credit-notes`),
+  createCreditNote: (id, data) => api.post(`/invoices/${id}/credit-notes`, data),
+  // The file is sent as the raw request body, named in the query
+  uploadAttachment: (id, file) => api.post(`/invoices/${id}/attachments`, file, {
+    params: { fileName: file.name },
+    headers: { 'Content-Type': file.type || 'application/octet-stream' }
+  }),
+  downloadAttachment: (id, attachmentId) => api.get(`/invoices/${id}/attachments/${attachmentId}`, { responseType: 'blob' }),
+  deleteAttachment: (id, attachmentId) => api.delete(`/invoices/${id}/attachments/${attachmentId}`),
+  // Bulk actions take { ids } or { filter } with the list filters, and report a result per invoice
+  bulkMarkPaid: (selection) => api.post('/invoices/bulk/mark-paid', selection),
+  bulkSendReminders: (selection) => api.post('/invoices/bulk/send-reminders', selection),
+  bulkVoid: (selection, reason) => api.post('/invoices/bulk/void', { ...selection, reason }),
+  bulkExport: (selection, format) => api.post('/invoices/bulk/export', { ...selection, format }, { responseType: 'blob' }),
+};
+
+// Public APIs, opened by clients through share links without logging in
+export const publicAPI = {
+  getInvoice: (token) => api.get(`/public/invoices/${token}`),
+  downloadPdf: (token) => api.get(`/public/invoices/${token}/pdf`, { responseType: 'blob' }),
+  getQuote: (token) => api.get(`/public/quotes/${token}`),
+  acceptQuote: (token, name) => api.post(`/public/quotes/${token}/accept`, { name }),
+  declineQuote: (token, reason) => api.post(`/public/quotes/${token}/decline`, { reason }),
+};
+
+// Client portal APIs, scoped by the server to the logged-in client
+export const portalAPI = {
+  getSummary: () => api.get('/portal/summary'),
+  getInvoices: (params) => api.get('/portal/invoices', { params }),
+  getInvoice: (id) => api.get(`/portal/invoices/${id}`),
+  downloadPdf: (id) => api.get(`/portal/invoices/${id}/pdf`, { responseType: 'blob' }),
+  getStatement: (params) => api.get('/portal/statement', { params }),
+};
+
+// Quote APIs
+export const quoteAPI = {
+  create: (data) => api.post('/quotes/create', data),
+  getAll: (params) => api.get('/quotes', { params }),
+  getById: (id) => api.get(`/quotes/${id}`),
+  update: (id, data) => api.put(`/quotes/update/${id}`, data),
+  send: (id, email = true) => api.post(`/quotes/${id}/send`, { email }),
+  updateStatus: (id, status, note) => api.put(`/quotes/update-status/${id}`, { status, note }),
+  convert: (id) => api.post(`/quotes/${id}/convert`),
+  delete: (id) => api.delete(`/quotes/delete/${id}`),
+};
+
+// Credit Note APIs
+export const creditNoteAPI = {
+  getAll: (params) => api.get('/credit-notes', { params }),
+  getById: (id) => api.get(`/credit-notes/${id}`),
+};
+
+// Recurring Invoice APIs
+export const recurringInvoiceAPI = {
+  create: (data) => api.post('/recurring-invoices/create', data),
+  getAll: (params) => api.get('/recurring-invoices', { params }),
+  getById: (id) => api.get(`/recurring-invoices/${id}`),
+  update: (id, data) => api.put(`/recurring-invoices/update/${id}`, data),
+  updateStatus: (id, status) => api.put(`/recurring-invoices/update-status/${id}`, { status }),
+  runNow: (id) => api.post(`/recurring-invoices/${id}/run`),
+  delete: (id) => api.delete(`/recurring-invoices/delete/${id}`),
 };
 
 // Client APIs
 export const clientAPI = {
   create: (data) => api.post('/clients/create', data),
   getAll: (params) => api.get('/clients/active', { params }),
+  export: (params) => api.get('/clients/export', { params, responseType: 'blob' }),
   getById: (id) => api.get(`/clients/${id}`),
   update: (id, data) => api.put(`/clients/update/${id}`, data),
   delete: (id) => api.delete(`/clients/delete/${id}`),
+  inviteToPortal: (id) => api.post(`/clients/${id}/portal-invite`),
+  revokePortalAccess: (id) => api.delete(`/clients/${id}/portal-access`),
+  getStatement: (id, params) => api.get(`/clients/${id}/statement`, { params }),
 };
 
 // Item APIs
 export const itemAPI = {
   create: (data) => api.post('/items/add', data),
   getAll: (params) => api.get('/items', { params }),
+  export: (params) => api.get('/items/export', { params, responseType: 'blob' }),
   getById: (id) => api.get(`/items/single/${id}`),
   update: (id, data) => api.put(`/items/update/${id}`, data),
   delete: (id) => api.delete(`/items/delete/${id}`),
   markOutOfStock: (id) => api.put(`/items/mark-out-of-stock/${id}`),
 };
 
+// Tax Rate APIs
+export const taxRateAPI = {
+  create: (data) => api.post('/tax-rates/create', data),
+  getAll: (params) => api.get('/tax-rates', { params }),
+  update: (id, data) => api.put(`/tax-rates/update/${id}`, data),
+  delete: (id) => api.delete(`/tax-rates/delete/${id}`),
+};
+
+// Currency APIs
+export const currencyAPI = {
+  get: () => api.get('/currencies'),
+  updateBase: (baseCurrency) => api.put('/currencies/base', { baseCurrency }),
+  setRate: (currency, rate) => api.put(`/currencies/rates/${currency}`, { rate }),
+  deleteRate: (currency) => api.delete(`/currencies/rates/${currency}`),
+};
+
+// Settings APIs
+export const settingsAPI = {
+  getInvoiceDefaults: () => api.get('/settings/invoice-defaults'),
+  updateInvoiceDefaults: (data) => api.put('/settings/invoice-defaults', data),
+  getInvoiceEmail: () => api.get('/settings/invoice-email'),
+  updateInvoiceEmail: (data) => api.put('/settings/invoice-email', data),
+  getLateFees: () => api.get('/settings/late-fees'),
+  updateLateFees: (data) => api.put('/settings/late-fees', data),
+  getReminders: () => api.get('/settings/reminders'),
+  updateReminders: (data) => api.put('/settings/reminders', data),
+};
+
+// Report APIs
+export const reportAPI = {
+  getAging: (params) => api.get('/reports/aging', { params }),
+};
+
 // AI APIs
 export const aiAPI = {
   query: (data) => api.post('/ai/query', data),
@@ -0,0 +1,19 @@
+/**
+ * Formats an amount of money in a currency
+ * @param {number} amount - The amount to format
+ * @param {string} currency - ISO currency code, e.g. 'EUR'
+ * @returns {string} - The formatted amount, e.g. '€1,234.50'
+ */
+export const formatCurrency = (amount, currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(Number(amount || 0));
+};
+
+/**
+ * Converts an invoice amount to the base currency at the rate stored on the invoice
+ * @param {Object} invoice - Invoice with exchangeRate
+ * @param {number} amount - Amount in the invoice currency, defaults to the invoice total
+ * @returns {number} - Amount in the base currency
+ */
+export const toBaseAmount = (invoice, amount = invoice.total) => {
+  return Math.round(amount * (invoice.exchangeRate || 1) * 100) / 100;
+};
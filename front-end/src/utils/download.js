@@ -0,0 +1,34 @@
+import { format } from 'date-fns';
+
+// Content types of the formats the export endpoints can produce
+export const EXPORT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Saves a file fetched as a blob through the browser's download prompt
+ * @param {Blob} data - The file contents
+ * @param {string} fileName - Name to save the file as
+ * @param {string} type - Content type of the file
+ */
+export const downloadFile = (data, fileName, type) => {
+  const url = window.URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Saves an export fetched from one of the export endpoints
+ * @param {Blob} data - The file contents
+ * @param {string} name - What was exported, e.g. 'invoices'
+ * @param {string} fileFormat - 'csv' or 'xlsx'
+ */
+export const downloadExport = (data, name, fileFormat) => {
+  downloadFile(data, `${name}-${format(new Date(), 'yyyy-MM-dd')}.${fileFormat}`, EXPORT_TYPES[fileFormat]);
+};
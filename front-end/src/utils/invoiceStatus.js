@@ -0,0 +1,76 @@
+/**
+ * Labels and badge styles for the invoice status lifecycle. The back-end
+ * (InvoiceStatusService) decides which status changes are allowed.
+ */
+
+// In lifecycle order, as listed in the status filter
+export const INVOICE_STATUSES = [
+  'draft',
+  'issued',
+  'sent',
+  'viewed',
+  'partially_paid',
+  'overdue',
+  'paid',
+  'credited',
+  'written_off',
+  'void'
+];
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  issued: 'Issued',
+  sent: 'Sent',
+  viewed: 'Viewed',
+  partially_paid: 'Partially Paid',
+  overdue: 'Overdue',
+  paid: 'Paid',
+  credited: 'Credited',
+  written_off: 'Written Off',
+  void: 'Void'
+};
+
+const STATUS_STYLES = {
+  draft: 'bg-purple-100 text-purple-800',
+  issued: 'bg-amber-100 text-amber-800',
+  sent: 'bg-yellow-100 text-yellow-800',
+  viewed: 'bg-indigo-100 text-indigo-800',
+  partially_paid: 'bg-blue-100 text-blue-800',
+  overdue: 'bg-red-100 text-red-800',
+  paid: 'bg-green-100 text-green-800',
+  credited: 'bg-gray-100 text-gray-800',
+  written_off: 'bg-orange-100 text-orange-800',
+  void: 'bg-gray-200 text-gray-600'
+};
+
+// Issued invoices that still expect money from the client
+const OPEN_STATUSES = ['issued', 'sent', 'viewed', 'partially_paid', 'overdue'];
+
+/**
+ * Checks whether an invoice still expects money from the client
+ * @param {string} status - The invoice status
+ * @returns {boolean} - True for issued, sent, viewed, partially paid and overdue invoices
+ */
+export const isOpenStatus = (status) => OPEN_STATUSES.includes(status);
+
+/**
+ * Works out the status to show for an invoice. Open invoices past their due date
+ * show as overdue even before the back-end's overdue job has marked them.
+ * @param {Object} invoice - Invoice with status and isOverdue
+ * @returns {string} - The status to display
+ */
+export const displayStatus = (invoice) => (invoice.isOverdue ? 'overdue' : invoice.status);
+
+/**
+ * Label for an invoice's status
+ * @param {Object} invoice - Invoice with status and isOverdue
+ * @returns {string} - e.g. 'Partially Paid'
+ */
+export const statusLabel = (invoice) => STATUS_LABELS[displayStatus(invoice)] || invoice.status;
+
+/**
+ * Badge classes for an invoice's status
+ * @param {Object} invoice - Invoice with status and isOverdue
+ * @returns {string} - Tailwind background and text classes
+ */
+export const statusStyle = (invoice) => STATUS_STYLES[displayStatus(invoice)] || 'bg-gray-100 text-gray-800';
@@ -0,0 +1,112 @@
+/**
+ * Client-side preview of the invoice totals calculated by the back-end
+ * (InvoiceService.calculateTotals). The server result is what gets stored.
+ */
+
+const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Calculates how much a discount takes off an amount
+ * @param {number} amount - The amount being discounted
+ * @param {Object} discount - { type: 'percentage' | 'fixed', value }
+ * @returns {number} - The discount amount, never more than the amount itself
+ */
+export const calculateDiscount = (amount, discount) => {
+  const value = Number(discount?.value);
+  if (!discount || !(value > 0)) return 0;
+  const discountAmount = discount.type === 'percentage' ? amount * value / 100 : value;
+  return roundMoney(Math.min(amount, discountAmount));
+};
+
+/**
+ * Splits an invoice-wide discount across lines in proportion to their amounts
+ * @param {number} discountAmount - The invoice-wide discount amount
+ * @param {Array} amounts - Line amounts after line discounts
+ * @returns {Array} - Each line's share, summing exactly to discountAmount
+ */
+const allocateDiscount = (discountAmount, amounts) => {
+  const base = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (discountAmount <= 0 || base <= 0) return amounts.map(() => 0);
+
+  const shares = amounts.map(amount => roundMoney(discountAmount * amount / base));
+  const remainder = roundMoney(discountAmount - shares.reduce((sum, share) => sum + share, 0));
+  const largest = amounts.indexOf(Math.max(...amounts));
+  shares[largest] = roundMoney(shares[largest] + remainder);
+  return shares;
+};
+
+/**
+ * Calculates the taxes charged on one line amount
+ * @param {number} amount - The line amount
+ * @param {Array} taxRates - Tax rates with percentage and compound flag
+ * @param {boolean} taxInclusive - Whether the amount already includes the taxes
+ * @returns {Object} - { taxes, taxAmount, net }
+ */
+export const calculateLineTaxes = (amount, taxRates, taxInclusive) => {
+  const simpleTaxes = taxRates.filter(tax => !tax.compound);
+  const compoundTaxes = taxRates.filter(tax => tax.compound);
+  const simpleRate = simpleTaxes.reduce((sum, tax) => sum + tax.percentage, 0) / 100;
+  const multiplier = compoundTaxes.reduce((product, tax) => product * (1 + tax.percentage / 100), 1 + simpleRate);
+  const base = taxInclusive ? amount / multiplier : amount;
+
+  const taxes = simpleTaxes.map(tax => ({ ...tax, amount: roundMoney(base * tax.percentage / 100) }));
+  let runningAmount = base + taxes.reduce((sum, tax) => sum + tax.amount, 0);
+  compoundTaxes.forEach(tax => {
+    const taxAmount = roundMoney(runningAmount * tax.percentage / 100);
+    taxes.push({ ...tax, amount: taxAmount });
+    runningAmount += taxAmount;
+  });
+
+  const taxAmount = roundMoney(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+  return { taxes, taxAmount, net: taxInclusive ? roundMoney(amount - taxAmount) : amount };
+};
+
+/**
+ * Calculates discounts, subtotal, per-rate tax summary and total for a set of lines
+ * @param {Array} lines - Lines with amount, taxRates and an optional discount
+ * @param {Object} options - { taxInclusive, discount }
+ * @returns {Object} - { itemsTotal, lineDiscountTotal, discountAmount, discountTotal, subtotal, taxes, taxTotal, total }
+ */
+export const calculateInvoiceTotals = (lines, { taxInclusive = false, discount } = {}) => {
+  const summary = new Map();
+  let subtotal = 0;
+  let taxTotal = 0;
+
+  const lineDiscounts = lines.map(line => calculateDiscount(line.amount, line.discount));
+  const discountedAmounts = lines.map((line, index) => roundMoney(line.amount - lineDiscounts[index]));
+  const discountAmount = calculateDiscount(
+    roundMoney(discountedAmounts.reduce((sum, amount) => sum + amount, 0)),
+    discount
+  );
+  const discountShares = allocateDiscount(discountAmount, discountedAmounts);
+  const lineDiscountTotal = roundMoney(lineDiscounts.reduce((sum, amount) => sum + amount, 0));
+
+  lines.forEach((line, index) => {
+    const amount = roundMoney(discountedAmounts[index] - discountShares[index]);
+    const { taxes, taxAmount, net } = calculateLineTaxes(amount, line.taxRates, taxInclusive);
+    subtotal += net;
+    taxTotal += taxAmount;
+    taxes.forEach(tax => {
+      const existing = summary.get(tax._id);
+      if (existing) {
+        existing.amount += tax.amount;
+      } else {
+        summary.set(tax._id, { ...tax });
+      }
+    });
+  });
+
+  subtotal = roundMoney(subtotal);
+  taxTotal = roundMoney(taxTotal);
+
+  return {
+    itemsTotal: roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)),
+    lineDiscountTotal,
+    discountAmount,
+    discountTotal: roundMoney(lineDiscountTotal + discountAmount),
+    subtotal,
+    taxes: Array.from(summary.values()).map(tax => ({ ...tax, amount: roundMoney(tax.amount) })),
+    taxTotal,
+    total: roundMoney(subtotal + taxTotal)
+  };
+};
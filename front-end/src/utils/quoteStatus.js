@@ -0,0 +1,37 @@
+/**
+ * Labels and badge styles for the quote status lifecycle. The back-end
+ * (QuoteService) decides which status changes are allowed.
+ */
+
+// In lifecycle order, as listed in the status filter
+export const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'declined', 'expired'];
+
+export const QUOTE_STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent',
+  accepted: 'Accepted',
+  declined: 'Declined',
+  expired: 'Expired'
+};
+
+const QUOTE_STATUS_STYLES = {
+  draft: 'bg-purple-100 text-purple-800',
+  sent: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-200 text-gray-600'
+};
+
+/**
+ * Label for a quote's status
+ * @param {Object} quote - Quote with status
+ * @returns {string} - e.g. 'Accepted'
+ */
+export const quoteStatusLabel = (quote) => QUOTE_STATUS_LABELS[quote.status] || quote.status;
+
+/**
+ * Badge classes for a quote's status
+ * @param {Object} quote - Quote with status
+ * @returns {string} - Tailwind background and text classes
+ */
+export const quoteStatusStyle = (quote) => QUOTE_STATUS_STYLES[quote.status] || 'bg-gray-100 text-gray-800';